@@ -6,7 +6,6 @@ module.exports = {
   testPathIgnorePatterns: [
     '/node_modules/',
     '/test/integration/',
-    '/test/unit/core/ffmpeg/',
     '/test/unit/core/storage/',
     '/test/unit/renderer/'
   ],
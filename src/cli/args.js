@@ -0,0 +1,79 @@
+/**
+ * Minimal argv parser for the Oratr CLI
+ * Supports positionals, --flag, --key value, --key=value and --no-flag
+ */
+
+/**
+ * Parse an argv array (without the node/script entries)
+ * @param {Array<string>} argv - Raw arguments
+ * @param {Object} options - Parser options
+ * @param {Array<string>} options.boolean - Flags that never consume a value
+ * @returns {{ positionals: Array<string>, flags: Object }}
+ */
+function parseArgs(argv, options = {}) {
+  const booleans = new Set(options.boolean || []);
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--') || arg.length === 2) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const body = arg.slice(2);
+    const eq = body.indexOf('=');
+
+    if (eq !== -1) {
+      flags[toCamelCase(body.slice(0, eq))] = body.slice(eq + 1);
+      continue;
+    }
+
+    if (body.startsWith('no-')) {
+      flags[toCamelCase(body.slice(3))] = false;
+      continue;
+    }
+
+    const key = toCamelCase(body);
+    const next = argv[i + 1];
+    if (!booleans.has(key) && next !== undefined && !next.startsWith('--')) {
+      flags[key] = next;
+      i++;
+    } else {
+      flags[key] = true;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Convert kebab-case flag names to camelCase option keys
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Split a comma separated flag value into a trimmed list
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === true) return [];
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseArgs,
+  parseList,
+  toCamelCase
+};
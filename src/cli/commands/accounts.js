@@ -0,0 +1,44 @@
+/**
+ * `oratr accounts` - unlock the shared wallet and pick the active account
+ */
+
+const { createSpkClient, unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson } = require('../output');
+
+const usage = `Usage:
+  oratr accounts unlock [--account <name>] [--pin <pin>] [--json]`;
+
+/**
+ * Verify the PIN, optionally switch the active account, and list wallet accounts.
+ * The wallet is re-locked when the command exits; each command unlocks on demand.
+ */
+async function unlock({ services, flags }) {
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager);
+  }
+  if (!services.spkClient.accountManager.hasPinSetup()) {
+    throw new Error('No wallet found. Create one in the Oratr desktop app first.');
+  }
+
+  const pin = await resolvePin(flags);
+  const active = await unlockAccount(services, pin, flags.account || null);
+  const accounts = services.spkClient.accountManager.listAccounts();
+
+  if (flags.json) {
+    printJson({ active, accounts });
+    return;
+  }
+
+  print('Wallet unlocked.');
+  for (const account of accounts) {
+    const keys = ['posting', 'active', 'memo', 'owner']
+      .filter(type => account[`has${type[0].toUpperCase()}${type.slice(1)}`]);
+    print(`${account.username === active ? '*' : ' '} ${account.username}  (${keys.join(', ') || 'no keys'})`);
+  }
+}
+
+module.exports = {
+  usage,
+  subcommands: { unlock }
+};
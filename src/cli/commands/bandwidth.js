@@ -0,0 +1,67 @@
+/**
+ * `oratr bandwidth` - show and change the upload/download rate limits and
+ * transfer windows shared by uploads, pinning and replication
+ */
+
+const BandwidthManager = require('../../core/services/bandwidth-manager');
+const { printJson, printTable } = require('../output');
+
+const usage = `Usage:
+  oratr bandwidth show [--json]
+  oratr bandwidth set [--upload <KiB/s>] [--download <KiB/s>] [--windows <windows>]
+
+  --upload limits uploads through a public storage node only. Direct uploads
+  (the default) are fetched from the local IPFS node, which has no bandwidth
+  cap; they wait for a window before broadcasting but do not pause when it
+  closes. 0 removes a rate limit. Windows are separated by ';', e.g.
+  "mon-fri 22:00-06:00; sat,sun 00:00-24:00". Days default to every day and
+  a window ending before it starts runs overnight. --windows any removes them.`;
+
+async function show({ services, flags }) {
+  const status = new BandwidthManager(BandwidthManager.fromSettings(services.settingsManager.getSettings())).getStatus();
+
+  if (flags.json) {
+    printJson(status);
+    return;
+  }
+
+  printTable([
+    ['Upload limit', status.uploadKBps ? `${status.uploadKBps} KiB/s` : 'unlimited'],
+    ['Download limit', status.downloadKBps ? `${status.downloadKBps} KiB/s` : 'unlimited'],
+    ['Transfer windows', status.windows.length > 0 ? status.windows.map(BandwidthManager.formatWindow).join('; ') : 'any time'],
+    ['Transfers allowed now', status.allowedNow ? 'yes' : `no, next window ${status.nextWindow || 'never'}`]
+  ]);
+}
+
+async function set({ services, flags }) {
+  const { settingsManager } = services;
+  const updates = {};
+
+  if (flags.upload !== undefined) updates.uploadRateLimitKBps = toLimit(flags.upload, '--upload');
+  if (flags.download !== undefined) updates.downloadRateLimitKBps = toLimit(flags.download, '--download');
+  if (flags.windows !== undefined) {
+    updates.transferWindows = flags.windows === 'any' ? [] : BandwidthManager.parseWindows(flags.windows);
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new Error(`Nothing to change.\n${usage}`);
+  }
+
+  await settingsManager.updateSettings(updates);
+  await show({ services, flags });
+}
+
+function toLimit(value, flag) {
+  const limit = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw new Error(`${flag} must be a rate in KiB/s (0 for unlimited), got ${value}`);
+  }
+  return limit;
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    show,
+    set
+  }
+};
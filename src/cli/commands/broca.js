@@ -0,0 +1,119 @@
+/**
+ * `oratr broca` - BROCA spend ledger, renewal forecast and the check run
+ * before uploads that renewals stay affordable
+ */
+
+const ContractRenewalService = require('../../core/services/contract-renewal-service');
+const BrocaLedger = require('../../core/services/broca-ledger');
+const { unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson, printTable } = require('../output');
+
+const usage = `Usage:
+  oratr broca ledger [--type upload|renewal|extension] [--since <date>]
+                     [--until <date>] [--account <name>] [--json]
+  oratr broca forecast [--days <n>] [--account <name>] [--pin <pin>] [--json]
+  oratr broca check <BROCA> [--days <n>] [--account <name>] [--pin <pin>] [--json]
+
+  The ledger lists BROCA spent by uploads, renewals and extensions made from
+  Oratr. forecast projects renewals of your contracts (skipping those whose
+  renewal policy is never) over --days (default: the brocaForecastDays
+  setting) and models BROCA regeneration from your SPK Power. check reports
+  whether spending <BROCA> now would leave too little to pay those renewals.`;
+
+async function ledger({ services, flags }) {
+  if (flags.type !== undefined && !BrocaLedger.ENTRY_TYPES.includes(flags.type)) {
+    throw new Error(`--type must be one of ${BrocaLedger.ENTRY_TYPES.join(', ')}, got ${flags.type}`);
+  }
+  const filter = { type: flags.type, account: flags.account, since: toDate(flags.since, '--since'), until: toDate(flags.until, '--until') };
+  const entries = await services.brocaLedger.getEntries(filter);
+  const summary = await services.brocaLedger.summary(filter);
+
+  if (flags.json) {
+    printJson({ entries, summary });
+    return;
+  }
+  if (entries.length === 0) {
+    print('No BROCA spend recorded');
+    return;
+  }
+  for (const entry of entries) {
+    const contract = entry.contractId ? `  ${entry.contractId}` : '';
+    print(`${entry.at}  ${entry.type.padEnd(9)}  ${String(entry.broca).padStart(10)} BROCA  @${entry.account || '-'}${contract}`);
+  }
+  print();
+  printTable([
+    ...Object.entries(summary.months).map(([month, spent]) => [month, `${spent.total} BROCA`]),
+    ['Total', `${summary.total} BROCA`]
+  ]);
+}
+
+async function forecast({ services, flags }) {
+  const outlook = await loadOutlook(services, flags);
+  if (flags.json) {
+    printJson(outlook);
+    return;
+  }
+  printOutlook(outlook);
+  for (const renewal of outlook.forecast.renewals) {
+    print(`${renewal.at.slice(0, 10)}  ${renewal.contractId}  ${renewal.broca} BROCA`);
+  }
+}
+
+async function check({ services, flags, args }) {
+  const cost = Number(args[0]);
+  if (args.length === 0 || !Number.isFinite(cost) || cost < 0) {
+    throw new Error(`A BROCA amount is required.\n${usage}`);
+  }
+  const outlook = await loadOutlook(services, flags);
+  const result = services.brocaLedger.checkUpload({ cost, ...outlook, renewals: outlook.forecast.renewals });
+  if (flags.json) {
+    printJson(result);
+    return;
+  }
+  printOutlook(outlook);
+  print(result.ok ? `Spending ${cost} BROCA leaves enough to renew your contracts` : result.warnings.join('\n'));
+}
+
+async function loadOutlook(services, flags) {
+  const days = flags.days !== undefined ? Number(flags.days) : services.settingsManager.get('brocaForecastDays');
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`--days must be a whole number of at least 1, got ${flags.days}`);
+  }
+
+  const pin = await resolvePin(flags);
+  const account = await unlockAccount(services, pin, flags.account || null);
+  const renewal = new ContractRenewalService({
+    contractSource: services.spkClient,
+    estimateCost: async (bytes, extensionDays) => (await services.spkClient.calculateBrocaCost(bytes, extensionDays)).broca
+  });
+  renewal.configure(ContractRenewalService.fromSettings(services.settingsManager.getSettings()));
+  renewal.username = account;
+  return services.brocaLedger.outlook({ renewal, spkClient: services.spkClient, days });
+}
+
+function printOutlook(outlook) {
+  printTable([
+    ['Available', `${Math.floor(outlook.available)} BROCA`],
+    ['SPK Power', outlook.power],
+    ['Regeneration', `${Math.floor(outlook.perDay)} BROCA/day up to ${Math.floor(outlook.capacity)}`],
+    [`Renewals in ${outlook.days} days`, `${outlook.forecast.total} BROCA`],
+    ...Object.entries(outlook.forecast.months).map(([month, broca]) => [`  ${month}`, `${broca} BROCA`])
+  ]);
+}
+
+function toDate(value, flag) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`${flag} must be a date such as 2024-05-01, got ${value}`);
+  return date;
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    ledger,
+    forecast,
+    check
+  }
+};
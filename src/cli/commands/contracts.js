@@ -0,0 +1,52 @@
+/**
+ * `oratr contracts` - inspect storage contracts for an account
+ */
+
+const ContractMonitor = require('../../core/storage/contract-monitor');
+const { resolveStorageAccount } = require('../services');
+const { print, printJson, formatBytes } = require('../output');
+
+const usage = `Usage:
+  oratr contracts list [--account <name>] [--json]`;
+
+async function list({ services, flags }) {
+  const account = await resolveStorageAccount(services, flags.account);
+  if (!account) {
+    throw new Error('No account configured. Pass --account <username>.');
+  }
+
+  const monitor = new ContractMonitor({
+    spkApiUrl: services.settingsManager.getSettings().spkNode,
+    username: account
+  });
+  let fetchError = null;
+  monitor.on('log', ({ level, message }) => {
+    if (level === 'error') fetchError = message;
+  });
+
+  const contracts = await monitor.fetchUserContracts();
+  if (fetchError) {
+    throw new Error(fetchError);
+  }
+
+  if (flags.json) {
+    printJson(contracts);
+    return;
+  }
+
+  if (contracts.length === 0) {
+    print(`No contracts found for @${account}`);
+    return;
+  }
+
+  print(`${contracts.length} contract(s) for @${account}:`);
+  for (const contract of contracts) {
+    const size = contract.size ? formatBytes(contract.size) : '';
+    print(`  ${contract.type.padEnd(7)} ${contract.id}  ${contract.cid || ''}  ${size}`.trimEnd());
+  }
+}
+
+module.exports = {
+  usage,
+  subcommands: { list }
+};
@@ -0,0 +1,78 @@
+/**
+ * `oratr encoders` - inspect and benchmark the encoders in the FFmpeg build
+ */
+
+const { parseList } = require('../args');
+const { print, printJson, printTable } = require('../output');
+
+const usage = `Usage:
+  oratr encoders list [--json]
+  oratr encoders benchmark [--codecs h264,hevc] [--json]
+
+  list shows the software and hardware encoders FFmpeg offers for each
+  codec profile and whether the filters the transcoder needs are present.
+  benchmark encodes a short generated 720p clip with each software encoder
+  and preset, then saves the recommended presets (encoderPresets) and batch
+  concurrency (transcodeConcurrency) to settings. Transcodes use the
+  software encoders, so hardware encoders are listed but not benchmarked.`;
+
+async function list({ services, flags }) {
+  const capabilities = await services.transcoder.probeCapabilities();
+
+  if (flags.json) {
+    printJson(capabilities);
+    return;
+  }
+
+  print(`FFmpeg: ${capabilities.ffmpegPath || 'not found'}`);
+  printTable(Object.keys(capabilities.software).map(codec => [
+    codec,
+    [
+      capabilities.software[codec] ? 'software' : 'no software encoder',
+      ...capabilities.hardware[codec]
+    ].join(', ')
+  ]));
+
+  const missing = Object.entries(capabilities.filters).filter(([, present]) => !present).map(([name]) => name);
+  if (missing.length > 0) {
+    print(`Missing filters: ${missing.join(', ')}`);
+  }
+}
+
+async function benchmark({ services, flags }) {
+  const { transcoder, settingsManager } = services;
+  const codecs = parseList(flags.codecs);
+
+  if (!flags.json) {
+    transcoder.on('benchmark-progress', (run) => {
+      const result = run.ok ? `${run.fps} fps (${run.speed}x)` : `unavailable (${run.error})`;
+      print(`[${run.completed}/${run.total}] ${run.encoder}${run.preset ? ` ${run.preset}` : ''}: ${result}`);
+    });
+  }
+
+  const result = await transcoder.runBenchmark({ codecs: codecs.length > 0 ? codecs : undefined });
+  await settingsManager.updateSettings({
+    encoderPresets: result.recommended.presets,
+    transcodeConcurrency: result.recommended.concurrency,
+    encoderBenchmark: result
+  });
+  transcoder.applyCapabilitySettings(settingsManager.getSettings());
+
+  if (flags.json) {
+    printJson(result);
+    return;
+  }
+
+  const { presets, concurrency } = result.recommended;
+  print('');
+  print('Saved recommendations:');
+  printTable([
+    ...Object.entries(presets).map(([codec, preset]) => [`${codec} preset`, preset]),
+    ['parallel jobs', concurrency]
+  ]);
+}
+
+module.exports = {
+  usage,
+  subcommands: { list, benchmark }
+};
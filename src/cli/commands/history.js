@@ -0,0 +1,134 @@
+/**
+ * `oratr history` - transactions broadcast from Oratr merged with the
+ * account's on-chain history, with filters and CSV export
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TransactionHistory = require('../../core/services/transaction-history');
+const { createSpkClient } = require('../services');
+const { print, printJson } = require('../output');
+
+const usage = `Usage:
+  oratr history list [--account <name>] [--token <token>] [--type <type>]
+                     [--source oratr|chain] [--since <date>] [--until <date>]
+                     [--search <text>] [--limit <n>] [--json]
+  oratr history sync [--account <name>] [--limit <n>]
+  oratr history export <file.csv> [same filters as list]
+  oratr history upload <upload id|contract id|transaction id> [--json]
+
+  Tokens are HIVE, HBD, VESTS (Hive Power), SPK, LARYNX and BROCA. sync
+  fetches the account's Hive history, which includes the SPK, LARYNX and
+  BROCA operations it signed; SPK, LARYNX and BROCA received from other
+  accounts are signed by the sender and are not listed. upload shows an
+  upload with its contract transaction. --account defaults to the wallet's
+  active account.`;
+
+async function list({ services, flags }) {
+  const entries = await services.transactionHistory.query(await filterFrom(services, flags));
+  if (flags.json) {
+    printJson(entries);
+    return;
+  }
+  if (entries.length === 0) {
+    print('No transactions. `oratr history sync` fetches the on-chain history.');
+    return;
+  }
+  printEntries(entries);
+}
+
+async function sync({ services, flags }) {
+  const account = await resolveAccount(services, flags);
+  const limit = flags.limit !== undefined ? toLimit(flags.limit) : undefined;
+  const result = await services.transactionHistory.sync(account, { limit });
+  print(`@${account}: ${result.added} transactions added, ${result.confirmed} broadcasts confirmed`);
+}
+
+async function exportCsv({ services, flags, args }) {
+  if (args.length === 0) {
+    throw new Error(`No file given.\n${usage}`);
+  }
+  const filePath = path.resolve(args[0]);
+  const entries = await services.transactionHistory.query(await filterFrom(services, flags));
+  await fs.writeFile(filePath, TransactionHistory.toCsv(entries));
+  print(`Exported ${entries.length} transactions to ${filePath}`);
+}
+
+async function upload({ services, flags, args }) {
+  if (args.length === 0) {
+    throw new Error(`No upload, contract or transaction id given.\n${usage}`);
+  }
+  const entries = await services.transactionHistory.linked(args[0]);
+  if (flags.json) {
+    printJson(entries);
+    return;
+  }
+  if (entries.length === 0) {
+    print(`No transactions found for ${args[0]}`);
+    return;
+  }
+  printEntries(entries);
+}
+
+async function filterFrom(services, flags) {
+  return {
+    account: await resolveAccount(services, flags),
+    token: flags.token ? String(flags.token).toUpperCase() : undefined,
+    type: flags.type,
+    source: flags.source,
+    since: toDate(flags.since, '--since'),
+    until: toDate(flags.until, '--until'),
+    search: flags.search,
+    limit: flags.limit !== undefined ? toLimit(flags.limit) : undefined
+  };
+}
+
+async function resolveAccount(services, flags) {
+  if (flags.account) return flags.account;
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+  }
+  const account = services.spkClient.accountManager.getActiveAccount();
+  if (!account) throw new Error('No active account. Pass --account <username>.');
+  return account;
+}
+
+function printEntries(entries) {
+  for (const entry of entries) {
+    const amount = entry.amount !== null && entry.amount !== undefined ? `${entry.amount} ${entry.token || ''}`.trim() : (entry.details || '');
+    const parties = entry.to && entry.to !== entry.from ? `@${entry.from} -> @${entry.to}` : `@${entry.from || entry.to}`;
+    const links = [entry.uploadId && `upload ${entry.uploadId}`, entry.contractId && `contract ${entry.contractId}`].filter(Boolean).join(', ');
+    print([
+      entry.at,
+      entry.type.padEnd(16),
+      amount.padEnd(20),
+      parties,
+      entry.status,
+      entry.transactionId || '-',
+      links ? `(${links})` : ''
+    ].join('  ').trimEnd());
+  }
+}
+
+function toDate(value, flag) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`${flag} must be a date such as 2024-05-01, got ${value}`);
+  return date;
+}
+
+function toLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`--limit must be a whole number of at least 1, got ${value}`);
+  return limit;
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    list,
+    sync,
+    export: exportCsv,
+    upload
+  }
+};
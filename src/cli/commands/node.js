@@ -0,0 +1,149 @@
+/**
+ * `oratr node` - run and inspect the IPFS + POA storage node without the GUI
+ */
+
+const FileSyncService = require('../../core/storage/file-sync-service');
+const MetricsService = require('../../core/services/metrics-service');
+const { resolveStorageAccount, shutdownHeadlessServices } = require('../services');
+const { print, printJson, printError, printTable, formatBytes } = require('../output');
+
+const usage = `Usage:
+  oratr node start [--account <name>] [--no-sync] [--no-poa]
+                   [--metrics-port <port>] [--metrics-host <addr>]
+  oratr node status [--json]`;
+
+/**
+ * Start IPFS, the POA storage node and file sync, then stay in the foreground
+ * until SIGINT/SIGTERM
+ */
+async function start({ services, flags }) {
+  const { settingsManager, ipfsManager, storageNode } = services;
+  const settings = settingsManager.getSettings();
+
+  const account = await resolveStorageAccount(services, flags.account);
+  if (flags.poa !== false && !account) {
+    throw new Error('No storage account configured. Pass --account <username>.');
+  }
+
+  ipfsManager.on('error', (error) => printError(`[ipfs] ${error.message}`));
+  storageNode.on('log', ({ level, message }) => {
+    const line = `[poa] ${message}`;
+    if (level === 'error') printError(line);
+    else print(line);
+  });
+  storageNode.on('validation', (event) => print(`[poa] validation ${event.type || ''} ${event.cid || ''}`.trim()));
+
+  print('Starting IPFS...');
+  const nodeInfo = await ipfsManager.start();
+  print(`IPFS ready: ${nodeInfo.id}`);
+
+  if (flags.poa !== false) {
+    storageNode.config.account = account;
+    storageNode.config.spkApiUrl = settings.spkNode || storageNode.config.spkApiUrl;
+    storageNode.config.ipfsHost = settings.ipfsHost || storageNode.config.ipfsHost;
+    storageNode.config.ipfsPort = settings.ipfsPort || storageNode.config.ipfsPort;
+
+    print(`Starting POA storage node for @${account}...`);
+    const result = await storageNode.start();
+    print(result && result.alreadyRunning ? 'POA already running' : 'POA started');
+  }
+
+  if (flags.sync !== false && account) {
+    services.fileSyncService = new FileSyncService({
+      username: account,
+      spkApiUrl: settings.spkNode,
+      ipfsManager,
+      storageNode,
+      bandwidthManager: services.bandwidth
+    });
+    services.fileSyncService.on('pins-deferred', ({ count, nextWindow }) => {
+      print(`[sync] ${count} pins wait for the transfer window${nextWindow ? ` at ${nextWindow}` : ''}`);
+    });
+    services.fileSyncService.on('sync-complete', (result) => {
+      print(`[sync] ${result.contracts} contracts, ${result.newPins} new pins, ${result.removedPins} removed`);
+    });
+    services.fileSyncService.on('error', (error) => printError(`[sync] ${error.message}`));
+    await services.fileSyncService.start();
+  }
+
+  if (flags.metricsPort || settings.metricsEnabled) {
+    services.metrics = new MetricsService(services);
+    const metrics = await services.metrics.start({
+      port: flags.metricsPort || settings.metricsPort || 9464,
+      host: flags.metricsHost || settings.metricsHost || '127.0.0.1',
+      token: settings.metricsToken || ''
+    });
+    print(`Metrics: http://${metrics.host}:${metrics.port}/metrics`);
+  }
+
+  print('Node running. Press Ctrl+C to stop.');
+
+  await new Promise((resolve) => {
+    const shutdown = async (signal) => {
+      print(`\nReceived ${signal}, shutting down...`);
+      await shutdownHeadlessServices(services);
+      resolve();
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  });
+}
+
+/**
+ * Report IPFS and POA state without starting anything
+ */
+async function status({ services, flags }) {
+  const { settingsManager, ipfsManager, storageNode } = services;
+  const settings = settingsManager.getSettings();
+
+  const report = {
+    ipfs: {
+      mode: settings.ipfsMode || 'internal',
+      host: ipfsManager.config.host,
+      port: ipfsManager.config.port,
+      running: await ipfsManager.isDaemonRunning(),
+      peerId: null,
+      repoSize: null,
+      storageMax: ipfsManager.config.maxStorage
+    },
+    poa: {
+      running: await storageNode.checkRunning(),
+      pid: storageNode.pid || null,
+      account: await resolveStorageAccount(services, flags.account),
+      spkApiUrl: storageNode.config.spkApiUrl
+    }
+  };
+
+  if (report.ipfs.running) {
+    try {
+      const nodeInfo = await ipfsManager.start();
+      report.ipfs.peerId = nodeInfo.id;
+      const repo = await ipfsManager.getRepoStats();
+      report.ipfs.repoSize = repo.repoSize;
+      report.ipfs.numObjects = repo.numObjects;
+    } catch (error) {
+      report.ipfs.error = error.message;
+    }
+  }
+
+  if (flags.json) {
+    printJson(report);
+    return;
+  }
+
+  printTable([
+    ['IPFS', report.ipfs.running ? 'running' : 'stopped'],
+    ['IPFS mode', report.ipfs.mode],
+    ['IPFS API', `${report.ipfs.host}:${report.ipfs.port}`],
+    ['Peer ID', report.ipfs.peerId],
+    ['Repo size', report.ipfs.repoSize === null ? null : `${formatBytes(report.ipfs.repoSize)} / ${formatBytes(report.ipfs.storageMax)}`],
+    ['POA', report.poa.running ? `running (pid ${report.poa.pid})` : 'stopped'],
+    ['Account', report.poa.account],
+    ['SPK API', report.poa.spkApiUrl]
+  ]);
+}
+
+module.exports = {
+  usage,
+  subcommands: { start, status }
+};
@@ -0,0 +1,188 @@
+/**
+ * `oratr offline` - signing requests for keys kept offline or shared between
+ * several signers: export the unsigned transaction, import the signatures
+ * made elsewhere and broadcast once they meet the account's threshold
+ */
+
+const fs = require('fs').promises;
+const OfflineSigning = require('../../core/services/offline-signing');
+const walletOperations = require('../../core/spk/wallet-operations');
+const { createSpkClient, unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson, printTable } = require('../output');
+
+const usage = `Usage:
+  oratr offline create transfer|power_up|power_down --account <name> --amount <n>
+                       [--token <token>] [--to <name>] [--memo <text>]
+                       [--expires <minutes>] [--description <text>] [--json]
+  oratr offline create raw --account <name> --operations <json|file>
+                       [--key posting|active|owner] [--expires <minutes>] [--description <text>]
+  oratr offline list [--json]
+  oratr offline show <id> [--json]
+  oratr offline export <id> [--out <file>] [--qr]
+  oratr offline import <file|payload|signature> [--id <id>]
+  oratr offline sign <id> [--account <name>] [--pin <pin>]
+  oratr offline broadcast <id>
+  oratr offline remove <id>
+
+  create prepares an unsigned transaction for the account (default active
+  key; raw operations take --key) that expires after --expires minutes,
+  60 at most. export writes the request to a file for co-signers, or with
+  --qr prints it as one line to render as a QR code. import reads a request
+  file, QR payload, signed transaction or bare signatures (which need --id).
+  sign adds a signature from a key in this wallet. broadcast sends the
+  transaction once the signatures carry the authority's threshold. Ids may
+  be shortened to their first 8 characters.`;
+
+async function create({ services, flags, args }) {
+  const action = args[0];
+  if (!action) throw new Error(`No action given.\n${usage}`);
+  const account = flags.account || flags.from;
+  if (!account) throw new Error('Pass --account <name>, the account the transaction is for');
+
+  let built;
+  if (action === 'raw') {
+    if (!flags.operations) throw new Error('Pass --operations with a JSON list or a file containing one');
+    const text = await fs.readFile(flags.operations, 'utf8').catch(() => flags.operations);
+    built = { operations: walletOperations.parseOperations(text), keyType: flags.key || 'active' };
+  } else {
+    built = walletOperations.forAction({
+      action,
+      account,
+      token: String(flags.token || (action === 'power_down' ? 'LARYNX' : 'HIVE')).toUpperCase(),
+      to: flags.to,
+      amount: flags.amount,
+      memo: flags.memo,
+      testnet: services.settingsManager.getNetworkSettings().isTestnet
+    });
+  }
+
+  const minutes = flags.expires !== undefined ? Number(flags.expires) : 60;
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+  }
+  const prepared = await services.spkClient.prepareTransactionForSigning(built.operations, built.keyType, {
+    account,
+    expiresIn: minutes * 60 * 1000
+  });
+  const request = await services.offlineSigning.create(prepared, { description: flags.description });
+  if (flags.json) {
+    printJson(request);
+    return;
+  }
+  print(`Created ${request.id}, expires ${request.transaction.expiration}Z`);
+  print(`Needs weight ${request.threshold} from @${request.account}'s ${request.keyType} authority`);
+  print(`Send it to the signers: oratr offline export ${request.id.slice(0, 8)} --out request.json`);
+}
+
+async function list({ services, flags }) {
+  const requests = await services.offlineSigning.list();
+  if (flags.json) {
+    printJson(requests);
+    return;
+  }
+  if (requests.length === 0) {
+    print('No signing requests. Create one with `oratr offline create`.');
+    return;
+  }
+  for (const request of requests) {
+    print([
+      request.id.slice(0, 8),
+      request.createdAt,
+      `@${request.account}`,
+      request.keyType.padEnd(7),
+      `${request.weight}/${request.threshold}`,
+      request.status.padEnd(9),
+      request.description || request.transaction.operations.map(([name]) => name).join(', ')
+    ].join('  '));
+  }
+}
+
+async function show({ services, flags, args }) {
+  const request = await services.offlineSigning.get(requireId(args));
+  if (flags.json) {
+    printJson(request);
+    return;
+  }
+  printTable([
+    ['Id', request.id],
+    ['Account', `@${request.account} (${request.keyType})`],
+    ['Description', request.description],
+    ['Status', request.status + (request.error ? ` (${request.error})` : '')],
+    ['Expires', `${request.transaction.expiration}Z`],
+    ['Weight', `${request.weight} of ${request.threshold}`]
+  ]);
+  print();
+  for (const entry of request.keys) {
+    print(`  ${entry.signed ? 'signed ' : 'missing'}  ${entry.account ? `@${entry.account}` : entry.key}  weight ${entry.weight}`);
+  }
+  print();
+  for (const [name, operation] of request.transaction.operations) {
+    print(`  ${name} ${JSON.stringify(operation)}`);
+  }
+}
+
+async function exportRequest({ services, flags, args }) {
+  const request = await services.offlineSigning.get(requireId(args));
+  if (flags.qr) {
+    print(OfflineSigning.toQrPayload(request));
+    return;
+  }
+  const json = JSON.stringify(OfflineSigning.toPayload(request), null, 2);
+  if (!flags.out) {
+    print(json);
+    return;
+  }
+  await fs.writeFile(flags.out, json);
+  print(`Saved ${request.id.slice(0, 8)} to ${flags.out}`);
+}
+
+async function importSignatures({ services, flags, args }) {
+  if (!args[0]) throw new Error(`Nothing to import.\n${usage}`);
+  const text = await fs.readFile(args[0], 'utf8').catch(() => args[0]);
+  const request = await services.offlineSigning.import(text, { id: flags.id || null });
+  printProgress(request);
+}
+
+async function sign({ services, flags, args }) {
+  const request = await services.offlineSigning.get(requireId(args));
+  const pin = await resolvePin(flags);
+  const signer = await unlockAccount(services, pin, flags.account || request.account);
+  const wif = await services.spkClient.accountManager.getPrivateKey(signer, request.keyType);
+  printProgress(await services.offlineSigning.sign(request.id, wif));
+}
+
+async function broadcast({ services, args }) {
+  const request = await services.offlineSigning.broadcast(requireId(args));
+  print(`Broadcast ${request.id}${request.result?.block_num ? ` in block ${request.result.block_num}` : ''}`);
+}
+
+async function remove({ services, args }) {
+  const request = await services.offlineSigning.get(requireId(args));
+  await services.offlineSigning.remove(request.id);
+  print(`Removed ${request.id.slice(0, 8)}`);
+}
+
+function printProgress(request) {
+  print(`${request.id.slice(0, 8)}: signatures carry weight ${request.weight} of the ${request.threshold} needed`);
+  if (request.ready) print(`Ready to broadcast: oratr offline broadcast ${request.id.slice(0, 8)}`);
+}
+
+function requireId(args) {
+  if (!args[0]) throw new Error(`No request id given.\n${usage}`);
+  return args[0];
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    create,
+    list,
+    show,
+    export: exportRequest,
+    import: importSignatures,
+    sign,
+    broadcast,
+    remove
+  }
+};
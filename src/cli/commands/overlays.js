@@ -0,0 +1,124 @@
+/**
+ * `oratr overlays` - manage branding overlay presets (the overlayPresets setting)
+ */
+
+const path = require('path');
+const { print, printJson, printTable } = require('../output');
+const overlays = require('../../core/ffmpeg/overlays');
+
+const usage = `Usage:
+  oratr overlays list [--json]
+  oratr overlays add --name <name> [--watermark <image>] [--position <pos>]
+                     [--opacity <0-1>] [--scale <0-1>] [--text <text>]
+                     [--text-position <pos>] [--font-size <0-1>] [--color <color>]
+                     [--font <file>] [--intro <clip>] [--outro <clip>] [--default]
+  oratr overlays remove <id>
+  oratr overlays default <id>|none
+
+  Positions: ${overlays.POSITIONS.join(', ')}. --scale is the watermark width
+  and --font-size the text height as a fraction of the frame. The default
+  preset is applied to every upload and transcode unless --no-overlay or
+  --overlay <preset> is given.`;
+
+async function list({ services, flags }) {
+  const settings = services.settingsManager.getSettings();
+  const presets = settings.overlayPresets || [];
+
+  if (flags.json) {
+    printJson({ presets, default: settings.overlayPreset || null });
+    return;
+  }
+  if (presets.length === 0) {
+    print('No overlay presets. Add one with `oratr overlays add`.');
+    return;
+  }
+
+  printTable(presets.map(preset => [
+    `${preset.id}${preset.id === settings.overlayPreset ? ' (default)' : ''}`,
+    describe(preset)
+  ]));
+}
+
+async function add({ services, flags }) {
+  if (!flags.name || flags.name === true) {
+    throw new Error('--name is required');
+  }
+  const { settingsManager } = services;
+  const presets = settingsManager.getSettings().overlayPresets || [];
+  const file = value => (typeof value === 'string' ? path.resolve(value) : undefined);
+
+  const preset = {
+    id: overlays.presetId(flags.name, presets),
+    name: flags.name,
+    watermark: flags.watermark ? {
+      path: file(flags.watermark),
+      position: flags.position,
+      opacity: flags.opacity,
+      scale: flags.scale
+    } : null,
+    text: typeof flags.text === 'string' ? {
+      text: flags.text,
+      position: flags.textPosition,
+      fontSize: flags.fontSize,
+      color: flags.color,
+      fontFile: file(flags.font)
+    } : null,
+    intro: file(flags.intro) || null,
+    outro: file(flags.outro) || null
+  };
+
+  // Store the validated form so defaults are visible in settings.json
+  const normalized = overlays.normalizePreset(preset);
+  if (!overlays.isEnabled(normalized)) {
+    throw new Error('A preset needs a watermark, text, intro or outro');
+  }
+
+  await settingsManager.updateSettings({
+    overlayPresets: [...presets, normalized],
+    ...(flags.default ? { overlayPreset: normalized.id } : {})
+  });
+
+  if (flags.json) {
+    printJson(normalized);
+    return;
+  }
+  print(`Added overlay preset ${normalized.id}: ${describe(normalized)}`);
+}
+
+async function remove({ services, args }) {
+  const { settingsManager } = services;
+  const settings = settingsManager.getSettings();
+  const preset = overlays.findPreset(settings.overlayPresets || [], args[0]);
+  if (!preset) throw new Error(`Overlay preset not found: ${args[0]}`);
+
+  await settingsManager.updateSettings({
+    overlayPresets: settings.overlayPresets.filter(entry => entry !== preset),
+    ...(settings.overlayPreset === preset.id ? { overlayPreset: '' } : {})
+  });
+  print(`Removed overlay preset ${preset.id}`);
+}
+
+async function setDefault({ services, args }) {
+  const { settingsManager } = services;
+  if (!args[0]) throw new Error('Give a preset id, or none');
+
+  const preset = args[0] === 'none'
+    ? null
+    : overlays.fromSettings(settingsManager.getSettings(), args[0]);
+  await settingsManager.updateSettings({ overlayPreset: preset ? preset.id : '' });
+  print(preset ? `Default overlay preset: ${preset.id}` : 'No default overlay preset');
+}
+
+function describe(preset) {
+  const parts = [];
+  if (preset.watermark) parts.push(`watermark ${path.basename(preset.watermark.path)} (${preset.watermark.position || 'bottom-right'})`);
+  if (preset.text) parts.push(`text "${preset.text.text}" (${preset.text.position || 'bottom-left'})`);
+  if (preset.intro) parts.push(`intro ${path.basename(preset.intro)}`);
+  if (preset.outro) parts.push(`outro ${path.basename(preset.outro)}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  usage,
+  subcommands: { list, add, remove, default: setDefault }
+};
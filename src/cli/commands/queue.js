@@ -0,0 +1,229 @@
+/**
+ * `oratr queue` - manage the persistent upload queue shared with the desktop
+ * app (~/.oratr/upload-queue.json) and process it headless
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { unlockAccount, shutdownHeadlessServices } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson, printError, printTable } = require('../output');
+const UploadQueue = require('../../core/services/upload-queue');
+const UploadDedupe = require('../../core/services/upload-dedupe');
+const { isVideo, recordUpload, videoUploadOptions } = require('./upload');
+
+const usage = `Usage:
+  oratr queue list [--json]
+  oratr queue add <file> [--priority <n>] [--start <time>] [--upload-at <time>]
+                  [--account <name>] [upload options, see \`oratr upload --help\`]
+  oratr queue move <id> <position>
+  oratr queue priority <id> <n>
+  oratr queue schedule <id> [--start <time>] [--upload-at <time>]
+  oratr queue pause|resume|retry|remove <id>
+  oratr queue clear
+  oratr queue concurrency [--transcode <n>] [--upload <n>]
+  oratr queue run [--account <name>] [--pin <pin>] [--json]
+
+  Items transcode in priority order, then upload. --start holds the whole
+  item until then; --upload-at transcodes now and uploads from then (e.g.
+  overnight). Times are anything Date can parse; an empty value clears them.
+  \`queue run\` processes the queue in the foreground until nothing is left
+  waiting. The desktop app processes the same queue, so do not run both.`;
+
+/**
+ * A queue that only starts work under `queue run`
+ */
+async function openQueue(services) {
+  const queue = new UploadQueue({ videoUploadService: services.videoUploadService });
+  await queue.pauseQueue();
+  return queue;
+}
+
+async function list({ services, flags }) {
+  const queue = await openQueue(services);
+  const items = await queue.getQueue();
+
+  if (flags.json) {
+    printJson({ items, status: queue.getStatus() });
+    return;
+  }
+  if (items.length === 0) {
+    print('The upload queue is empty. Add a video with `oratr queue add <file>`.');
+    return;
+  }
+
+  printTable(items.map((item, index) => [
+    `${index + 1}. ${item.id}`,
+    [
+      path.basename(item.videoPath),
+      item.status === 'paused' ? `paused (${item.pausedStatus})` : item.status,
+      `priority ${item.priority}`,
+      ...(item.scheduledAt ? [`starts ${new Date(item.scheduledAt).toLocaleString()}`] : []),
+      ...(item.uploadAt ? [`uploads ${new Date(item.uploadAt).toLocaleString()}`] : []),
+      ...(item.error ? [item.error] : [])
+    ].join(', ')
+  ]));
+}
+
+async function add({ services, flags, args }) {
+  if (!args[0]) throw new Error(`No file given.\n${usage}`);
+  const videoPath = path.resolve(args[0]);
+  await fs.access(videoPath);
+  if (!isVideo(videoPath)) throw new Error(`Not a video: ${videoPath}`);
+
+  const dedupe = UploadDedupe.resolveMode(flags.dedupe, services.settingsManager.get('uploadDedupe'));
+  const options = videoUploadOptions(services, flags, { account: flags.account || undefined, dedupe });
+
+  const queue = await openQueue(services);
+  const id = await queue.queueUpload(videoPath, options, {
+    priority: flags.priority,
+    scheduledAt: parseTime(flags.start),
+    uploadAt: parseTime(flags.uploadAt)
+  });
+
+  if (flags.json) {
+    printJson(await queue.getItem(id));
+    return;
+  }
+  print(`Queued ${path.basename(videoPath)} as ${id}`);
+}
+
+async function move({ services, args }) {
+  const queue = await openQueue(services);
+  const position = parseInt(args[1], 10);
+  if (!(position >= 1)) throw new Error('Give the new position, starting at 1');
+
+  await queue.moveItem(await findId(queue, args[0]), position - 1);
+  print(`Moved to position ${position}`);
+}
+
+async function priority({ services, args }) {
+  const queue = await openQueue(services);
+  const item = await queue.setPriority(await findId(queue, args[0]), args[1]);
+  print(`Priority ${item.priority}`);
+}
+
+async function schedule({ services, flags, args }) {
+  const queue = await openQueue(services);
+  const item = await queue.scheduleItem(await findId(queue, args[0]), {
+    scheduledAt: parseTime(flags.start),
+    uploadAt: parseTime(flags.uploadAt)
+  });
+  print(`Starts ${item.scheduledAt ? new Date(item.scheduledAt).toLocaleString() : 'when its turn comes'}, ` +
+    `uploads ${item.uploadAt ? new Date(item.uploadAt).toLocaleString() : 'once transcoded'}`);
+}
+
+function itemAction(method, done) {
+  return async ({ services, args }) => {
+    const queue = await openQueue(services);
+    await queue[method](await findId(queue, args[0]));
+    print(done);
+  };
+}
+
+async function clear({ services }) {
+  const queue = await openQueue(services);
+  const count = await queue.clearFinished();
+  print(`Cleared ${count} finished item${count === 1 ? '' : 's'}`);
+}
+
+async function concurrency({ services, flags }) {
+  const queue = await openQueue(services);
+  const limits = await queue.setConcurrency({ transcode: flags.transcode, upload: flags.upload });
+  print(`${limits.transcode} transcode(s) and ${limits.upload} upload(s) at a time`);
+}
+
+/**
+ * Process the queue in the foreground until nothing is waiting, or until
+ * SIGINT/SIGTERM. Interrupted items resume on the next run.
+ */
+async function run({ services, flags }) {
+  const pin = await resolvePin(flags);
+  const account = await unlockAccount(services, pin, flags.account || null);
+  await services.ipfsManager.start();
+
+  const queue = new UploadQueue({ videoUploadService: services.videoUploadService });
+  const log = (type, line) => {
+    if (flags.json) print(JSON.stringify({ type, ...line }));
+    else if (type === 'failed') printError(`[${type}] ${line.path} ${line.error || ''}`.trimEnd());
+    else print(`[${type}] ${line.path} ${line.detail || ''}`.trimEnd());
+  };
+  queue.on('completed', (item) => {
+    log('completed', { id: item.id, path: item.videoPath, detail: item.result.masterPlaylistCID });
+    recordUpload(services, account, item.result);
+  });
+  queue.on('failed', item => log('failed', { id: item.id, path: item.videoPath, error: item.error }));
+  services.videoUploadService.on('progress', (event) => {
+    if (!flags.json && queue.isRunning(event.uploadId)) {
+      print(`[${event.stage}] ${Math.round(event.progress || 0)}% ${event.message || ''}`.trimEnd());
+    }
+  });
+
+  if (!flags.json) {
+    print(`Uploading as @${account}`);
+    print('Press Ctrl+C to stop.');
+  }
+  await queue.processQueue();
+
+  await new Promise((resolve) => {
+    const finish = async () => {
+      clearInterval(timer);
+      await queue.pauseQueue();
+      resolve();
+    };
+    // Paused items do not keep the run going
+    const timer = setInterval(() => {
+      const status = queue.getStatus();
+      const waiting = queue.items.some(item => item.status === 'queued' || item.status === 'transcoded');
+      if (status.transcoding === 0 && status.uploading === 0 && !waiting) finish();
+    }, 1000);
+    const shutdown = async (signal) => {
+      print(`\nReceived ${signal}, shutting down...`);
+      await finish();
+      await shutdownHeadlessServices(services);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  });
+}
+
+/**
+ * Full item id from an id or a unique prefix of one
+ */
+async function findId(queue, target) {
+  if (!target) throw new Error('Give a queue item id');
+  const matches = (await queue.getQueue()).filter(item => item.id.startsWith(target));
+  if (matches.length !== 1) {
+    throw new Error(matches.length === 0 ? `No queue item ${target}` : `${target} matches several queue items`);
+  }
+  return matches[0].id;
+}
+
+/**
+ * --start/--upload-at value: undefined leaves the time alone, '' clears it
+ */
+function parseTime(value) {
+  if (value === undefined) return undefined;
+  if (value === '' || value === true) return null;
+  const time = new Date(value);
+  if (isNaN(time.getTime())) throw new Error(`Not a date and time: ${value}`);
+  return time.toISOString();
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    list,
+    add,
+    move,
+    priority,
+    schedule,
+    pause: itemAction('pauseItem', 'Paused'),
+    resume: itemAction('resumeItem', 'Resumed'),
+    retry: itemAction('retryItem', 'Queued again'),
+    remove: itemAction('removeItem', 'Removed'),
+    clear,
+    concurrency,
+    run
+  }
+};
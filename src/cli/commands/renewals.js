@@ -0,0 +1,146 @@
+/**
+ * `oratr renewals` - automatic renewal of the account's own storage
+ * contracts: policies, monthly BROCA budget and the decision log
+ */
+
+const ContractRenewalService = require('../../core/services/contract-renewal-service');
+const { unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson, printTable } = require('../output');
+
+const usage = `Usage:
+  oratr renewals show [--json]
+  oratr renewals set [--auto on|off] [--budget <BROCA>] [--within <days>]
+                     [--extend <days>] [--policy always|never|accessed]
+                     [--access-days <days>] [--rules <rules>]
+  oratr renewals run [--dry-run] [--account <name>] [--pin <pin>] [--json]
+  oratr renewals log [--limit <n>] [--json]
+
+  Rules are separated by ';' and match an SPK Drive folder (with its
+  subfolders), a file CID or a contract id, e.g.
+  "Videos/Archive: never; Videos/Live: accessed". --rules none removes them.
+  A budget of 0 is unlimited. 'accessed' renews only files opened in Oratr
+  within --access-days.`;
+
+function createService(services) {
+  const renewal = new ContractRenewalService({
+    contractSource: services.spkClient,
+    estimateCost: async (bytes, days) => (await services.spkClient.calculateBrocaCost(bytes, days)).broca
+  });
+  renewal.configure(ContractRenewalService.fromSettings(services.settingsManager.getSettings()));
+  return renewal;
+}
+
+async function show({ services, flags }) {
+  const status = await createService(services).getStatus();
+
+  if (flags.json) {
+    printJson(status);
+    return;
+  }
+
+  printTable([
+    ['Automatic renewal', status.enabled ? 'on' : 'off'],
+    ['Renew when expiring within', `${status.withinDays} days`],
+    ['Extend by', `${status.extensionDays} days`],
+    ['Default policy', status.defaultPolicy],
+    ['Rules', status.policies.length > 0 ? status.policies.map(ContractRenewalService.formatRule).join('; ') : 'none'],
+    ['Accessed means within', `${status.accessDays} days`],
+    ['Monthly budget', status.monthlyBudget ? `${status.monthlyBudget} BROCA` : 'unlimited'],
+    ['Spent this month', `${status.spentThisMonth} BROCA`]
+  ]);
+}
+
+async function set({ services, flags }) {
+  const { settingsManager } = services;
+  const updates = {};
+
+  if (flags.auto !== undefined) {
+    if (flags.auto !== 'on' && flags.auto !== 'off') throw new Error(`--auto must be on or off, got ${flags.auto}`);
+    updates.autoRenewContracts = flags.auto === 'on';
+  }
+  if (flags.budget !== undefined) updates.renewalBudgetBroca = toNumber(flags.budget, '--budget', 0);
+  if (flags.within !== undefined) updates.renewalWithinDays = toNumber(flags.within, '--within', 1);
+  if (flags.extend !== undefined) updates.renewalExtensionDays = toNumber(flags.extend, '--extend', 1);
+  if (flags.accessDays !== undefined) updates.renewalAccessDays = toNumber(flags.accessDays, '--access-days', 1);
+  if (flags.policy !== undefined) {
+    if (!ContractRenewalService.POLICIES.includes(flags.policy)) {
+      throw new Error(`--policy must be one of ${ContractRenewalService.POLICIES.join(', ')}, got ${flags.policy}`);
+    }
+    updates.renewalDefaultPolicy = flags.policy;
+  }
+  if (flags.rules !== undefined) {
+    updates.renewalPolicies = flags.rules === 'none' ? [] : ContractRenewalService.parseRules(flags.rules);
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new Error(`Nothing to change.\n${usage}`);
+  }
+
+  // Validate the combined config before saving it
+  new ContractRenewalService({}).configure(ContractRenewalService.fromSettings({ ...settingsManager.getSettings(), ...updates }));
+  await settingsManager.updateSettings(updates);
+  await show({ services, flags });
+}
+
+async function run({ services, flags }) {
+  const settings = services.settingsManager.getSettings();
+  if (!settings.autoRenewContracts && !flags.dryRun) {
+    throw new Error('Automatic renewal is off. Turn it on with `oratr renewals set --auto on`, or preview with --dry-run.');
+  }
+
+  const pin = await resolvePin(flags);
+  const account = await unlockAccount(services, pin, flags.account || null);
+  const renewal = createService(services);
+  renewal.username = account;
+
+  const decisions = await renewal.check({ dryRun: flags.dryRun === true });
+  if (flags.json) {
+    printJson(decisions);
+    return;
+  }
+  if (decisions.length === 0) {
+    print(`No contracts of @${account} expire within ${renewal.config.withinDays} days`);
+    return;
+  }
+  printDecisions(decisions);
+}
+
+async function log({ services, flags }) {
+  const limit = flags.limit !== undefined ? toNumber(flags.limit, '--limit', 1) : 20;
+  const decisions = await createService(services).getLog(limit);
+  if (flags.json) {
+    printJson(decisions);
+    return;
+  }
+  if (decisions.length === 0) {
+    print('No renewal decisions yet');
+    return;
+  }
+  printDecisions(decisions);
+}
+
+function printDecisions(decisions) {
+  for (const entry of decisions) {
+    const what = entry.decision === 'renew' ? 'would renew' : entry.decision;
+    const cost = entry.broca ? ` ${entry.broca} BROCA` : '';
+    print(`${entry.at}  ${entry.contractId}  ${what}${cost}${entry.reason ? `  (${entry.reason})` : ''}`);
+  }
+}
+
+function toNumber(value, flag, min) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(number) || number < min) {
+    throw new Error(`${flag} must be a number of at least ${min}, got ${value}`);
+  }
+  return number;
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    show,
+    set,
+    run,
+    log
+  }
+};
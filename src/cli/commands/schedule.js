@@ -0,0 +1,189 @@
+/**
+ * `oratr schedule` - recurring token operations (claim rewards, power up,
+ * transfer) with thresholds, limits and per-rule key approval
+ */
+
+const TokenScheduler = require('../../core/services/token-scheduler');
+const { createSpkClient, unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson } = require('../output');
+
+const usage = `Usage:
+  oratr schedule list [--json]
+  oratr schedule add claim_rewards|power_up|transfer [--token <token>] [--to <name>]
+                     [--amount <n>|all] [--memo <text>] [--keep <n>] [--threshold <n>]
+                     [--max-per-run <n>] [--max-per-day <n>] [--interval <hours>]
+                     [--name <text>] [--account <name>] [--json]
+  oratr schedule approve <id> --key posting|active [--pin <pin>]
+  oratr schedule revoke <id>
+  oratr schedule enable|disable <id>
+  oratr schedule remove <id>
+  oratr schedule run [<id>] [--pin <pin>] [--json]
+  oratr schedule log [--rule <id>] [--limit <n>] [--json]
+
+  claim_rewards claims pending Hive rewards (posting key). power_up powers up
+  HIVE, LARYNX or SPK and transfer sends HIVE, HBD, LARYNX or SPK (active
+  key). --keep leaves that much untouched, --threshold skips runs until more
+  is available (or pending, for rewards), and the --max limits cap each run
+  and each 24 hours. New and edited rules do not run until approved with the
+  key type they sign with; approving takes the wallet PIN. run without an id
+  runs every due rule once, for cron; with an id it runs that rule now.`;
+
+async function list({ services, flags }) {
+  const rules = await services.tokenScheduler.list();
+  if (flags.json) {
+    printJson(rules);
+    return;
+  }
+  if (rules.length === 0) {
+    print('No scheduled operations. Add one with `oratr schedule add`.');
+    return;
+  }
+  for (const rule of rules) {
+    const limits = [
+      rule.keep && `keep ${rule.keep}`,
+      rule.threshold && `over ${rule.threshold}`,
+      rule.maxPerRun && `max ${rule.maxPerRun}/run`,
+      rule.maxPerDay && `max ${rule.maxPerDay}/day`
+    ].filter(Boolean).join(', ');
+    print([
+      rule.id,
+      `${rule.name} (@${rule.account})${rule.enabled ? '' : ' (disabled)'}`,
+      `every ${rule.intervalHours}h`,
+      limits,
+      `${rule.keyType} key ${rule.approved ? 'approved' : 'NOT approved'}`,
+      rule.lastRun ? `last ${rule.lastRun} ${rule.lastStatus}` : 'never run'
+    ].filter(Boolean).join('  '));
+  }
+}
+
+async function add({ services, flags, args }) {
+  if (!args[0]) throw new Error(`No action given.\n${usage}`);
+  const rule = await services.tokenScheduler.add({
+    name: flags.name,
+    account: flags.account || await activeAccount(services),
+    action: args[0],
+    token: flags.token,
+    to: flags.to,
+    amount: flags.amount,
+    memo: flags.memo,
+    keep: flags.keep,
+    threshold: flags.threshold,
+    maxPerRun: flags.maxPerRun,
+    maxPerDay: flags.maxPerDay,
+    intervalHours: flags.interval
+  });
+  if (flags.json) {
+    printJson(rule);
+    return;
+  }
+  print(`Added ${rule.id}: ${rule.name}`);
+  print(`It runs once approved: oratr schedule approve ${rule.id} --key ${TokenScheduler.keyTypeOf(rule)}`);
+}
+
+async function approve({ services, flags, args }) {
+  const id = requireId(args);
+  // Approved rules sign without asking, so approving takes the wallet PIN
+  const pin = await resolvePin(flags);
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+  }
+  if (!(await services.spkClient.accountManager.verifyPin(pin))) throw new Error('Invalid PIN');
+
+  const rule = await services.tokenScheduler.approve(id, flags.key);
+  print(`"${rule.name}" may sign with the ${rule.approvedKeyType} key of @${rule.account}`);
+}
+
+async function revoke({ services, args }) {
+  const rule = await services.tokenScheduler.revoke(requireId(args));
+  print(`Approval withdrawn for "${rule.name}"`);
+}
+
+async function enable({ services, args }) {
+  const rule = await services.tokenScheduler.update(requireId(args), { enabled: true });
+  print(`Enabled "${rule.name}"`);
+}
+
+async function disable({ services, args }) {
+  const rule = await services.tokenScheduler.update(requireId(args), { enabled: false });
+  print(`Disabled "${rule.name}"`);
+}
+
+async function remove({ services, args }) {
+  const id = requireId(args);
+  await services.tokenScheduler.get(id);
+  await services.tokenScheduler.remove(id);
+  print(`Removed ${id}`);
+}
+
+async function run({ services, flags, args }) {
+  const pin = await resolvePin(flags);
+  await unlockAccount(services, pin, flags.account || null);
+  const runs = args[0] ? [await services.tokenScheduler.run(args[0])] : await services.tokenScheduler.tick();
+  if (flags.json) {
+    printJson(runs);
+    return;
+  }
+  if (runs.length === 0) {
+    print('No approved rules are due');
+    return;
+  }
+  runs.forEach(printRun);
+}
+
+async function log({ services, flags }) {
+  const limit = flags.limit !== undefined ? Number(flags.limit) : 20;
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`--limit must be a whole number of at least 1, got ${flags.limit}`);
+  const runs = await services.tokenScheduler.getLog({ ruleId: flags.rule, limit });
+  if (flags.json) {
+    printJson(runs);
+    return;
+  }
+  if (runs.length === 0) {
+    print('No runs yet');
+    return;
+  }
+  runs.forEach(printRun);
+}
+
+function printRun(entry) {
+  const amount = entry.amount ? `${entry.amount}${entry.token ? ` ${entry.token}` : ''}` : '';
+  print([
+    entry.at,
+    entry.ruleId,
+    entry.action.padEnd(13),
+    entry.status.padEnd(9),
+    amount,
+    entry.to ? `-> @${entry.to}` : '',
+    entry.transactionId || entry.reason || ''
+  ].filter(Boolean).join('  '));
+}
+
+async function activeAccount(services) {
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+  }
+  const account = services.spkClient.accountManager.getActiveAccount();
+  if (!account) throw new Error('No active account. Pass --account <username>.');
+  return account;
+}
+
+function requireId(args) {
+  if (!args[0]) throw new Error(`No rule id given.\n${usage}`);
+  return args[0];
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    list,
+    add,
+    approve,
+    revoke,
+    enable,
+    disable,
+    remove,
+    run,
+    log
+  }
+};
@@ -0,0 +1,314 @@
+/**
+ * `oratr transcode` - produce an HLS ladder locally without uploading
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseList } = require('../args');
+const { print, printJson } = require('../output');
+const audioProcessing = require('../../core/ffmpeg/audio-processing');
+const preprocessing = require('../../core/ffmpeg/preprocessing');
+const overlays = require('../../core/ffmpeg/overlays');
+
+const usage = `Usage:
+  oratr transcode <file> [--out <dir>] [--resolutions 1080p,720p,480p]
+                  [--ladder fixed|adaptive] [--codec h264|hevc|av1|vp9]
+                  [--segment-format ts|fmp4] [--single-pass]
+                  [--subtitles <file>[:lang],...] [--no-extract-subtitles]
+                  [--no-audio-tracks] [--seek-previews] [--preview-interval <s>]
+                  [--loudnorm] [--target-loudness <LUFS>] [--downmix stereo|mono|none]
+                  [--trim-silence] [--from <time>] [--to <time>]
+                  [--append <file>,...] [--crop W:H|WxH+X+Y] [--rotate 90|180|270]
+                  [--overlay <preset> | --no-overlay] [--json]
+
+  --ladder adaptive probes the source and picks renditions and bitrates
+  per title (--resolutions is ignored). Defaults to the ladderMode setting.
+  --codec and --segment-format default to the videoCodec and
+  hlsSegmentFormat settings; HEVC, AV1 and VP9 always write fMP4.
+  --single-pass decodes once and encodes all renditions in one FFmpeg
+  process (--no-single-pass to disable). Defaults to transcodeParallel.
+  --subtitles adds SRT/WebVTT caption files as subtitle tracks; the
+  language comes from the :lang suffix or a name like movie.en.srt.
+  Embedded text subtitle streams are included unless
+  --no-extract-subtitles is given.
+  Sources with several audio streams get one audio rendition per stream;
+  --no-audio-tracks keeps only the first, muxed into every rendition.
+  --seek-previews writes sprite sheets and a WebVTT thumbnails track to
+  thumbnails/ (one frame every --preview-interval seconds). Defaults to
+  the seekPreviews and seekPreviewInterval settings.
+  --loudnorm measures the audio and normalizes it to --target-loudness
+  (EBU R128, default -16 LUFS) in a second pass. --downmix stereo|mono
+  reduces the channel count and --trim-silence cuts leading and trailing
+  silence from the video. All default to the loudnessNormalization,
+  targetLoudness, audioDownmix and trimSilence settings.
+  --from/--to set in and out points (seconds or [HH:]MM:SS), --append joins
+  further clips after the input, --crop takes an aspect ratio (centred) or
+  a rectangle in source pixels, and --rotate turns the picture clockwise.
+  Cuts and joins of matching clips are not re-encoded before transcoding.
+  --overlay applies a branding preset from the overlayPresets setting (by id
+  or name): watermark and text on every rendition, intro and outro joined
+  around the video. Defaults to the overlayPreset setting.
+  An interrupted run resumes after its last finished segment when repeated
+  with the same file, --out and encoding options.`;
+
+async function run({ services, flags, args }) {
+  if (args.length !== 1) {
+    throw new Error(`Expected exactly one input file.\n${usage}`);
+  }
+
+  const { transcoder } = services;
+  const inputPath = path.resolve(args[0]);
+  await fs.access(inputPath);
+
+  const outputDir = path.resolve(flags.out || `${path.basename(inputPath, path.extname(inputPath))}_hls`);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Branding preset; intro and outro are joined as clips of the edit
+  const preset = resolveOverlay(flags, services.settingsManager);
+  const overlayPlan = preset
+    ? await transcoder.prepareOverlay(preset, path.join(outputDir, '.overlay'))
+    : null;
+
+  // In/out points, joined clips, crop and rotation; the list lives with the
+  // output so an interrupted run can resume from it
+  const edit = overlays.withClips(resolveEdit(flags), overlayPlan);
+  const editPlan = preprocessing.hasEdits(edit)
+    ? await transcoder.prepareEdit(inputPath, edit, path.join(outputDir, '.edit'))
+    : null;
+  const sourcePath = editPlan ? editPlan.source : inputPath;
+  const metadata = editPlan ? editPlan.metadata : await transcoder.analyzeVideo(inputPath);
+  const ladderMode = flags.ladder || services.settingsManager.get('ladderMode') || 'fixed';
+
+  let resolutions;
+  let complexity = null;
+  if (ladderMode === 'adaptive') {
+    if (!flags.json) print('Probing complexity...');
+    const ladder = await transcoder.buildAdaptiveLadder(sourcePath, { metadata, edit: editPlan });
+    resolutions = ladder.rungs;
+    complexity = ladder.complexity;
+  } else {
+    const available = transcoder.determineOutputResolutions(metadata);
+    const requested = parseList(flags.resolutions);
+    resolutions = requested.length > 0
+      ? requested.filter(res => available.includes(res))
+      : available;
+  }
+
+  if (resolutions.length === 0) {
+    throw new Error(`None of the requested resolutions fit a ${metadata.width}x${metadata.height} source`);
+  }
+
+  if (!flags.json) {
+    print(`Source: ${metadata.width}x${metadata.height}, ${Math.round(metadata.duration)}s, ${metadata.codec}`);
+    if (complexity) {
+      print(`Complexity: ${complexity.complexity.toFixed(2)}`);
+      print(`Renditions: ${resolutions.map(rung => `${rung.width}x${rung.height} @ ${rung.videoBitrate}`).join(', ')}`);
+    } else {
+      print(`Renditions: ${resolutions.join(', ')}`);
+    }
+    transcoder.on('progress', (progress) => {
+      print(`[${progress.jobId}] ${Math.round(progress.percent || 0)}%`);
+    });
+  }
+
+  const processingOptions = resolveAudioProcessing(flags, services.settingsManager);
+  if (processingOptions && !flags.json) print('Analyzing audio...');
+  const audioPlan = processingOptions
+    ? await transcoder.prepareAudioProcessing(sourcePath, processingOptions, { metadata })
+    : null;
+  if (audioPlan && !flags.json) {
+    if (audioPlan.loudness) {
+      print(`Loudness: ${audioPlan.loudness.inputI} LUFS -> ${audioPlan.settings.targetLoudness} LUFS`);
+    }
+    if (audioPlan.trim) {
+      print(`Trimming silence: keeping ${audioPlan.trim.start}s to ${audioPlan.trim.end}s`);
+    }
+  }
+
+  const job = await services.transcodeJobs.prepareJob(sourcePath, {
+    resolutions,
+    codec: flags.codec || services.settingsManager.get('videoCodec') || 'h264',
+    segmentFormat: flags.segmentFormat || services.settingsManager.get('hlsSegmentFormat') || 'ts',
+    fps: metadata.fps,
+    hasAudio: metadata.hasAudio,
+    audioTracks: flags.audioTracks === false ? [] : (metadata.audioStreams || []),
+    ...(audioPlan ? { audioProcessing: audioPlan } : {}),
+    ...(editPlan ? { edit: editPlan } : {}),
+    ...(overlays.hasLayers(overlayPlan) ? { overlay: overlayPlan } : {}),
+    duration: audioProcessing.trimmedDuration(audioPlan, metadata.duration)
+  }, { outputDir });
+  if (job.resumed && !flags.json) {
+    print(`Resuming: ${Object.entries(job.renditions).map(([name, state]) => `${name} ${state.complete ? 'done' : `${state.segments} segments`}`).join(', ')}`);
+  }
+
+  const results = await services.transcodeJobs.runJob(job.id, transcoder, {
+    singlePass: resolveSinglePass(flags, services.settingsManager)
+  });
+  // Reference renditions relative to the master so the output folder is portable
+  const relative = {};
+  for (const [resolution, data] of Object.entries(results)) {
+    relative[resolution] = { ...data, playlistPath: path.relative(outputDir, data.playlistPath) };
+  }
+
+  const trim = audioPlan ? audioPlan.trim : null;
+  const subtitleTracks = await createSubtitleTracks(transcoder, inputPath, outputDir, metadata, results, flags, {
+    duration: audioProcessing.trimmedDuration(audioPlan, metadata.duration),
+    trim: preprocessing.captionWindow(editPlan, trim)
+  });
+  const masterPlaylist = await transcoder.createMasterPlaylist(relative, {
+    subtitles: subtitleTracks.map(track => ({ ...track, playlistPath: path.relative(outputDir, track.playlistPath) }))
+  });
+  const masterPath = path.join(outputDir, 'master.m3u8');
+  await fs.writeFile(masterPath, masterPlaylist);
+
+  const previewOptions = resolveThumbnailTrack(flags, services.settingsManager);
+  const previews = previewOptions
+    ? await transcoder.generateThumbnailTrack(sourcePath, path.join(outputDir, 'thumbnails'), {
+      ...previewOptions,
+      metadata,
+      trim,
+      edit: editPlan
+    })
+    : null;
+
+  if (flags.json) {
+    printJson({
+      outputDir,
+      masterPlaylist: masterPath,
+      metadata,
+      complexity,
+      renditions: results,
+      subtitles: subtitleTracks,
+      previews,
+      audioProcessing: audioPlan,
+      edit: editPlan,
+      overlay: overlayPlan
+    });
+    return;
+  }
+
+  for (const data of Object.values(results).filter(data => data.type === 'audio')) {
+    print(`Audio: ${data.name}${data.default ? ' (default)' : ''}`);
+  }
+  for (const track of subtitleTracks) {
+    print(`Subtitles: ${track.name} (${track.cueCount} cues)`);
+  }
+  if (previews) {
+    print(`Seek previews: ${previews.trackPath} (${previews.sheets.length} sprite sheets)`);
+  }
+
+  print(`Wrote ${masterPath}`);
+}
+
+/**
+ * Write WebVTT renditions for --subtitles files and embedded text streams
+ * @param {Object} timeline - duration of the output and trim ({start, end} of the input it keeps)
+ */
+async function createSubtitleTracks(transcoder, inputPath, outputDir, metadata, results, flags, timeline) {
+  const files = parseSubtitleFiles(flags);
+  const streams = flags.extractSubtitles === false
+    ? []
+    : (metadata.subtitleStreams || []).filter(stream => stream.textBased);
+  if (files.length === 0 && streams.length === 0) return [];
+
+  return transcoder.createSubtitleTracks(inputPath, path.join(outputDir, 'subtitles'), {
+    files,
+    streams,
+    duration: timeline.duration,
+    segmentFormat: Object.values(results)[0]?.segmentFormat,
+    trim: timeline.trim
+  });
+}
+
+/**
+ * --subtitles captions.srt,movie.vtt:fr -> [{ path, language }]
+ */
+function parseSubtitleFiles(flags) {
+  return parseList(flags.subtitles).map((entry) => {
+    const match = /^(.+):([a-z]{2,3}(?:-[A-Za-z0-9]+)*)$/i.exec(entry);
+    const filePath = match ? match[1] : entry;
+    return { path: path.resolve(filePath), language: match ? match[2] : null };
+  });
+}
+
+/**
+ * --seek-previews / --preview-interval, falling back to the seekPreviews settings.
+ * Returns generateThumbnailTrack options, or false when disabled.
+ */
+function resolveThumbnailTrack(flags, settingsManager) {
+  const enabled = typeof flags.seekPreviews === 'boolean'
+    ? flags.seekPreviews
+    : settingsManager.get('seekPreviews', false) === true;
+  if (!enabled) return false;
+  return { interval: Number(flags.previewInterval) || settingsManager.get('seekPreviewInterval', 5) };
+}
+
+/**
+ * --loudnorm / --target-loudness / --downmix / --trim-silence, falling back to
+ * the loudnessNormalization, targetLoudness, audioDownmix and trimSilence
+ * settings. Returns prepareAudioProcessing options, or null when all are off.
+ */
+function resolveAudioProcessing(flags, settingsManager) {
+  const defaults = audioProcessing.fromSettings({
+    loudnessNormalization: settingsManager.get('loudnessNormalization', false),
+    targetLoudness: settingsManager.get('targetLoudness', audioProcessing.DEFAULTS.targetLoudness),
+    audioDownmix: settingsManager.get('audioDownmix', 'none'),
+    trimSilence: settingsManager.get('trimSilence', false)
+  });
+  const options = {
+    loudnorm: typeof flags.loudnorm === 'boolean' ? flags.loudnorm : defaults.loudnorm,
+    targetLoudness: flags.targetLoudness !== undefined ? Number(flags.targetLoudness) : defaults.targetLoudness,
+    downmix: flags.downmix !== undefined ? flags.downmix : defaults.downmix,
+    trimSilence: typeof flags.trimSilence === 'boolean' ? flags.trimSilence : defaults.trimSilence
+  };
+  if (options.downmix && !['stereo', 'mono', 'none'].includes(options.downmix)) {
+    throw new Error(`Unknown --downmix value: ${options.downmix} (expected stereo, mono or none)`);
+  }
+  return audioProcessing.isEnabled(audioProcessing.resolveSettings(options)) ? options : null;
+}
+
+/**
+ * --from / --to / --append / --crop / --rotate as Transcoder.prepareEdit
+ * options, or null when none is given
+ */
+function resolveEdit(flags) {
+  const edit = {
+    in: flags.from,
+    out: flags.to,
+    append: parseList(flags.append).map(file => path.resolve(file)),
+    crop: flags.crop,
+    rotate: flags.rotate
+  };
+  if (!preprocessing.hasEdits(edit)) return null;
+  // Validate early so typos fail before any analysis
+  preprocessing.normalizeEdit('input', edit);
+  return edit;
+}
+
+/**
+ * --overlay <preset> / --no-overlay, defaulting to the overlayPreset setting
+ * @returns {Object|null} The preset from the overlayPresets setting
+ */
+function resolveOverlay(flags, settingsManager) {
+  const choice = flags.overlay === false ? null : (typeof flags.overlay === 'string' ? flags.overlay : undefined);
+  return overlays.fromSettings(settingsManager.getSettings(), choice);
+}
+
+/**
+ * --single-pass / --no-single-pass, falling back to the transcodeParallel setting
+ */
+function resolveSinglePass(flags, settingsManager) {
+  if (typeof flags.singlePass === 'boolean') return flags.singlePass;
+  return settingsManager.get('transcodeParallel', true) !== false;
+}
+
+module.exports = {
+  usage,
+  run,
+  resolveSinglePass,
+  resolveThumbnailTrack,
+  resolveAudioProcessing,
+  resolveEdit,
+  resolveOverlay,
+  parseSubtitleFiles
+};
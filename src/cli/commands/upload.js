@@ -0,0 +1,191 @@
+/**
+ * `oratr upload` - transcode and upload a video, or direct-upload plain files
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseList } = require('../args');
+const { unlockAccount } = require('../services');
+const { resolvePin } = require('../prompt');
+const UploadDedupe = require('../../core/services/upload-dedupe');
+const { print, printJson, printError } = require('../output');
+const {
+  resolveSinglePass,
+  resolveThumbnailTrack,
+  resolveAudioProcessing,
+  resolveEdit,
+  resolveOverlay,
+  parseSubtitleFiles
+} = require('./transcode');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.avi', '.webm', '.m4v', '.flv', '.wmv'];
+
+const usage = `Usage:
+  oratr upload <file> [file...] [--account <name>] [--pin <pin>]
+                [--resolutions 1080p,720p,480p] [--ladder fixed|adaptive]
+                [--codec h264|hevc|av1|vp9] [--segment-format ts|fmp4]
+                [--single-pass | --no-single-pass]
+                [--subtitles <file>[:lang],...] [--no-extract-subtitles]
+                [--no-audio-tracks] [--seek-previews] [--preview-interval <s>]
+                [--loudnorm] [--target-loudness <LUFS>] [--downmix stereo|mono|none]
+                [--trim-silence] [--from <time>] [--to <time>]
+                [--append <file>,...] [--crop W:H|WxH+X+Y] [--rotate 90|180|270]
+                [--overlay <preset> | --no-overlay] [--duration <days>]
+                [--title <name>] [--folder <path>] [--description <text>]
+                [--method direct|public] [--no-thumbnail] [--thumbnail-at <s>]
+                [--dedupe reference|upload] [--json]
+
+  The poster frame is the best scoring of several scene-change and sampled
+  frames unless --thumbnail-at picks a time.
+
+  Files are hashed before anything is paid for. Files in your contracts that
+  expire after the new contract are referenced by their existing CIDs unless
+  --dedupe upload (or the uploadDedupe setting) says to pay for them again.
+  The master playlist is always uploaded.`;
+
+/**
+ * Add the BROCA paid for an upload to the spend ledger, and link the upload
+ * to its contract transaction in the transaction history
+ */
+async function recordUpload(services, account, result) {
+  const spend = result.contract
+    ? { broca: result.contract.cost, contractId: result.contract.id, transactionId: result.contract.transactionId, bytes: result.contract.totalSize }
+    : { broca: result.brocaCost, contractId: result.directUploadId, transactionId: result.transactionId, bytes: result.totalSize };
+  try {
+    if (spend.transactionId) {
+      await services.transactionHistory.linkUpload({
+        transactionId: spend.transactionId,
+        uploadId: result.masterPlaylistCID || result.uploadId,
+        contractId: spend.contractId,
+        account,
+        broca: spend.broca || null,
+        cids: result.masterPlaylistCID ? [result.masterPlaylistCID] : (result.files || []).map(file => file.cid)
+      });
+    }
+    if (spend.broca) await services.brocaLedger.record({ type: 'upload', account, ...spend });
+  } catch (error) {
+    printError(`Could not record the upload: ${error.message}`);
+  }
+}
+
+/**
+ * uploadVideo options from the upload flags and settings
+ */
+function videoUploadOptions(services, flags, { account, dedupe }) {
+  const durationDays = parseInt(flags.duration, 10) || 30;
+  const options = {
+    uploadMethod: flags.method || 'direct',
+    ladder: flags.ladder || services.settingsManager.get('ladderMode') || 'fixed',
+    codec: flags.codec || services.settingsManager.get('videoCodec') || 'h264',
+    segmentFormat: flags.segmentFormat || services.settingsManager.get('hlsSegmentFormat') || 'ts',
+    singlePass: resolveSinglePass(flags, services.settingsManager),
+    generateThumbnail: flags.thumbnail !== false,
+    thumbnailTimestamp: flags.thumbnailAt !== undefined ? Number(flags.thumbnailAt) : undefined,
+    subtitles: parseSubtitleFiles(flags),
+    extractSubtitles: flags.extractSubtitles !== false,
+    audioTracks: flags.audioTracks !== false,
+    thumbnailTrack: resolveThumbnailTrack(flags, services.settingsManager),
+    audioProcessing: resolveAudioProcessing(flags, services.settingsManager),
+    edit: resolveEdit(flags),
+    overlay: resolveOverlay(flags, services.settingsManager),
+    title: flags.title,
+    folderPath: flags.folder,
+    description: flags.description,
+    labels: flags.labels,
+    username: account,
+    dedupe,
+    contract: {
+      duration: durationDays * 24 * 60 * 60,
+      autoRenew: false,
+      redundancy: 3
+    }
+  };
+  const resolutions = parseList(flags.resolutions);
+  if (resolutions.length > 0) options.resolutions = resolutions;
+
+  return options;
+}
+
+function isVideo(filePath) {
+  return VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+async function run({ services, flags, args }) {
+  if (args.length === 0) {
+    throw new Error(`No file given.\n${usage}`);
+  }
+
+  const filePaths = args.map(file => path.resolve(file));
+  for (const filePath of filePaths) {
+    await fs.access(filePath);
+  }
+
+  const pin = await resolvePin(flags);
+  const account = await unlockAccount(services, pin, flags.account || null);
+  if (!flags.json) print(`Uploading as @${account}`);
+
+  // Direct uploads pin locally before broadcasting, so IPFS must be reachable
+  await services.ipfsManager.start();
+
+  const dedupe = UploadDedupe.resolveMode(flags.dedupe, services.settingsManager.get('uploadDedupe'));
+
+  const onProgress = (event) => {
+    if (!flags.json) print(`[${event.stage}] ${Math.round(event.progress || 0)}% ${event.message || ''}`.trimEnd());
+  };
+
+  let result;
+  if (filePaths.length === 1 && isVideo(filePaths[0])) {
+    const options = videoUploadOptions(services, flags, { account, dedupe });
+    services.videoUploadService.on('progress', onProgress);
+    result = await services.videoUploadService.uploadVideo(filePaths[0], options);
+  } else {
+    services.directUploadService.on('progress', onProgress);
+    result = await services.directUploadService.uploadFromPaths(filePaths, {
+      folderPath: flags.folder,
+      description: flags.description,
+      username: account,
+      dedupe
+    });
+  }
+
+  await recordUpload(services, account, result);
+
+  if (flags.json) {
+    printJson(result);
+    return;
+  }
+
+  if (result.masterPlaylistCID) {
+    print(`Master playlist: ${result.masterPlaylistCID}`);
+  }
+  for (const track of Object.values(result.audio || {})) {
+    print(`Audio: ${track.name}  ${track.playlistCID}`);
+  }
+  for (const track of result.subtitles || []) {
+    print(`Subtitles: ${track.name}  ${track.playlistCID}`);
+  }
+  if (result.thumbnailTrack) {
+    print(`Seek previews: ${result.thumbnailTrack.cid}`);
+  }
+  if (result.contract && result.contract.id) {
+    print(`Contract: ${result.contract.id}`);
+  }
+  if (result.transactionId) {
+    print(`Transaction: ${result.transactionId}`);
+  }
+  for (const file of result.files || []) {
+    print(`  ${file.name}  ${file.cid}${file.referenced ? '  (already stored, not paid again)' : ''}`);
+  }
+  const referencedCids = (result.contract && result.contract.referencedCids) || [];
+  if (referencedCids.length > 0) {
+    print(`Referenced ${referencedCids.length} files already stored instead of paying for them again`);
+  }
+}
+
+module.exports = {
+  usage,
+  run,
+  isVideo,
+  recordUpload,
+  videoUploadOptions
+};
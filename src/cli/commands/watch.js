@@ -0,0 +1,181 @@
+/**
+ * `oratr watch` - manage watch folders (the watchFolders setting) and run
+ * them headless
+ */
+
+const path = require('path');
+const { parseList } = require('../args');
+const { unlockAccount, shutdownHeadlessServices } = require('../services');
+const { resolvePin } = require('../prompt');
+const { print, printJson, printError, printTable } = require('../output');
+const WatchFolderService = require('../../core/services/watch-folder-service');
+const {
+  resolveSinglePass,
+  resolveThumbnailTrack,
+  resolveAudioProcessing,
+  resolveOverlay
+} = require('./transcode');
+
+const usage = `Usage:
+  oratr watch list [--json]
+  oratr watch add <folder> [--recursive] [--existing] [--resolutions 1080p,720p]
+                  [--duration <days>] [--drive-folder <path>] [--tags a,b]
+                  [--license <license>]
+  oratr watch remove <folder>
+  oratr watch enable|disable <folder>
+  oratr watch run [--account <name>] [--pin <pin>] [--json]
+
+  New videos are queued once they stop growing. --existing also queues the
+  videos already in the folder when watching starts. Videos with an upload
+  waiting for network confirmation are skipped. Audio processing, overlay,
+  codec and ladder follow the upload settings.`;
+
+async function list({ services, flags }) {
+  const folders = services.settingsManager.get('watchFolders') || [];
+
+  if (flags.json) {
+    printJson(folders);
+    return;
+  }
+  if (folders.length === 0) {
+    print('No watch folders. Add one with `oratr watch add <folder>`.');
+    return;
+  }
+
+  printTable(folders.map(folder => [
+    `${folder.path}${folder.enabled === false ? ' (disabled)' : ''}`,
+    [
+      folder.resolutions.length > 0 ? folder.resolutions.join(',') : 'default resolutions',
+      `${folder.contractDays} days`,
+      `-> ${folder.folderPath}`,
+      ...(folder.tags.length > 0 ? [`tags ${folder.tags.join(',')}`] : []),
+      ...(folder.license ? [folder.license] : [])
+    ].join(', ')
+  ]));
+}
+
+async function add({ services, flags, args }) {
+  if (!args[0]) throw new Error(`No folder given.\n${usage}`);
+  const { settingsManager } = services;
+  const folders = settingsManager.get('watchFolders') || [];
+
+  const folder = WatchFolderService.normalizeFolder({
+    path: args[0],
+    recursive: flags.recursive === true,
+    ingestExisting: flags.existing === true,
+    resolutions: parseList(flags.resolutions),
+    contractDays: flags.duration !== undefined ? flags.duration : undefined,
+    folderPath: typeof flags.driveFolder === 'string' ? flags.driveFolder : undefined,
+    tags: parseList(flags.tags),
+    license: typeof flags.license === 'string' ? flags.license : undefined
+  });
+  if (folders.some(entry => entry.id === folder.id)) {
+    throw new Error(`Already watching ${folder.path}`);
+  }
+
+  await settingsManager.updateSettings({ watchFolders: [...folders, folder] });
+  if (flags.json) {
+    printJson(folder);
+    return;
+  }
+  print(`Watching ${folder.path}`);
+}
+
+async function remove({ services, args }) {
+  const { settingsManager } = services;
+  const folders = settingsManager.get('watchFolders') || [];
+  const folder = findFolder(folders, args[0]);
+
+  await settingsManager.updateSettings({ watchFolders: folders.filter(entry => entry !== folder) });
+  print(`Stopped watching ${folder.path}`);
+}
+
+function setEnabled(enabled) {
+  return async ({ services, args }) => {
+    const { settingsManager } = services;
+    const folders = settingsManager.get('watchFolders') || [];
+    const folder = findFolder(folders, args[0]);
+
+    await settingsManager.updateSettings({
+      watchFolders: folders.map(entry => (entry === folder ? { ...entry, enabled } : entry))
+    });
+    print(`${enabled ? 'Enabled' : 'Disabled'} ${folder.path}`);
+  };
+}
+
+/**
+ * Watch the enabled folders in the foreground until SIGINT/SIGTERM
+ */
+async function run({ services, flags }) {
+  const { settingsManager, videoUploadService, pendingUploadsManager } = services;
+  const folders = (settingsManager.get('watchFolders') || []).filter(folder => folder.enabled !== false);
+  if (folders.length === 0) {
+    throw new Error('No enabled watch folders. Add one with `oratr watch add <folder>`.');
+  }
+
+  const pin = await resolvePin(flags);
+  const account = await unlockAccount(services, pin, flags.account || null);
+  await services.ipfsManager.start();
+
+  const watchFolders = new WatchFolderService({
+    videoUploadService,
+    pendingUploadsManager,
+    uploadDefaults: () => ({
+      ladder: settingsManager.get('ladderMode') || 'fixed',
+      codec: settingsManager.get('videoCodec') || 'h264',
+      segmentFormat: settingsManager.get('hlsSegmentFormat') || 'ts',
+      singlePass: resolveSinglePass({}, settingsManager),
+      thumbnailTrack: resolveThumbnailTrack({}, settingsManager),
+      audioProcessing: resolveAudioProcessing({}, settingsManager),
+      overlay: resolveOverlay({}, settingsManager)
+    })
+  });
+
+  const log = (type, line) => {
+    if (flags.json) print(JSON.stringify({ type, ...line }));
+    else if (type === 'fileFailed' || type === 'folderError') printError(`[${type}] ${line.path || ''} ${line.error || ''}`.trimEnd());
+    else print(`[${type}] ${line.path || ''} ${line.detail || ''}`.trimEnd());
+  };
+  watchFolders.on('fileQueued', ({ path: file, queueId }) => log('fileQueued', { path: file, queueId }));
+  watchFolders.on('fileSkipped', ({ path: file, reason }) => log('fileSkipped', { path: file, detail: reason }));
+  watchFolders.on('fileUploaded', ({ path: file, result }) => log('fileUploaded', { path: file, detail: result.masterPlaylistCID }));
+  watchFolders.on('fileFailed', ({ path: file, error }) => log('fileFailed', { path: file, error: error && error.message }));
+  watchFolders.on('folderError', ({ folder, error }) => log('folderError', { path: folder && folder.path, error: error.message }));
+
+  const status = await watchFolders.start(folders);
+  if (!flags.json) {
+    print(`Uploading as @${account}`);
+    for (const folder of status.folders) print(`Watching ${folder.path}`);
+    print('Press Ctrl+C to stop.');
+  }
+
+  await new Promise((resolve) => {
+    const shutdown = async (signal) => {
+      print(`\nReceived ${signal}, shutting down...`);
+      await watchFolders.stop();
+      await shutdownHeadlessServices(services);
+      resolve();
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  });
+}
+
+function findFolder(folders, target) {
+  if (!target) throw new Error('Give a watch folder path');
+  const folder = folders.find(entry => entry.id === target || entry.path === path.resolve(target));
+  if (!folder) throw new Error(`Not watching ${target}`);
+  return folder;
+}
+
+module.exports = {
+  usage,
+  subcommands: {
+    list,
+    add,
+    remove,
+    enable: setEnabled(true),
+    disable: setEnabled(false),
+    run
+  }
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Oratr headless CLI
+ * Runs the storage node, uploads and transcodes from a terminal using the same
+ * core services and ~/.oratr/settings.json as the desktop app.
+ */
+
+const { parseArgs } = require('./args');
+const { createHeadlessServices, shutdownHeadlessServices } = require('./services');
+const { print, printError } = require('./output');
+const packageJson = require('../../package.json');
+
+const commands = {
+  node: require('./commands/node'),
+  upload: require('./commands/upload'),
+  queue: require('./commands/queue'),
+  transcode: require('./commands/transcode'),
+  encoders: require('./commands/encoders'),
+  overlays: require('./commands/overlays'),
+  watch: require('./commands/watch'),
+  bandwidth: require('./commands/bandwidth'),
+  contracts: require('./commands/contracts'),
+  renewals: require('./commands/renewals'),
+  broca: require('./commands/broca'),
+  history: require('./commands/history'),
+  schedule: require('./commands/schedule'),
+  offline: require('./commands/offline'),
+  accounts: require('./commands/accounts')
+};
+
+const BOOLEAN_FLAGS = ['json', 'help', 'version', 'sync', 'poa', 'thumbnail', 'singlePass', 'seekPreviews', 'loudnorm', 'trimSilence', 'default', 'recursive', 'existing', 'dryRun', 'qr'];
+
+const HELP = `oratr ${packageJson.version} - headless SPK Network storage and upload tool
+
+Usage: oratr <command> [options]
+
+Commands:
+  node start          Start IPFS, the POA storage node and file sync in the foreground
+  node status         Show IPFS and POA storage node status
+  upload <file>       Transcode and upload a video, or direct-upload files
+  queue add <file>    Queue a video to transcode and upload in priority order
+  queue run           Process the upload queue in the foreground
+  transcode <file>    Transcode a video to an HLS ladder on disk
+  encoders list       List the encoders and filters in the FFmpeg build
+  encoders benchmark  Benchmark encoders and save recommended presets
+  overlays list       List watermark/text/intro/outro overlay presets
+  overlays add        Add an overlay preset
+  watch add <folder>  Auto-upload new videos saved to a folder
+  watch run           Watch the configured folders in the foreground
+  bandwidth show      Show upload/download rate limits and transfer windows
+  bandwidth set       Change rate limits and transfer windows
+  contracts list      List storage contracts for the configured account
+  renewals show|set   Show or change automatic contract renewal policies and budget
+  renewals run        Renew expiring contracts now (--dry-run to preview)
+  renewals log        Show recent renewal decisions
+  broca ledger        Show BROCA spent on uploads, renewals and extensions
+  broca forecast      Forecast renewal spend and BROCA regeneration
+  broca check <BROCA> Check that spending leaves enough to renew your contracts
+  history list        List transactions sent from Oratr and fetched from chain
+  history sync        Fetch the account's on-chain history
+  history export      Export transactions to CSV
+  schedule list|add   Manage recurring claim, power up and transfer rules
+  schedule approve    Approve the key type a rule signs with
+  schedule run        Run due rules now (for cron)
+  offline create      Prepare a transaction to sign offline or with several keys
+  offline import      Import a signing request, signed transaction or signatures
+  offline broadcast   Broadcast once the signatures meet the threshold
+  accounts unlock     Verify the wallet PIN and set the active account
+
+Global options:
+  --json              Machine-readable output
+  --help              Show help for a command
+  --version           Print version
+
+The wallet PIN is read from --pin, the ORATR_PIN environment variable, or prompted.
+Settings are shared with the desktop app (~/.oratr/settings.json).`;
+
+/**
+ * Resolve the handler for argv positionals: `<command> [subcommand] [...args]`
+ */
+function resolveCommand(positionals) {
+  const [name, subName, ...rest] = positionals;
+  const command = commands[name];
+  if (!command) return null;
+
+  if (command.subcommands) {
+    const handler = command.subcommands[subName];
+    return { command, handler, args: rest };
+  }
+  return { command, handler: command.run, args: positionals.slice(1) };
+}
+
+async function main(argv) {
+  const { positionals, flags } = parseArgs(argv, { boolean: BOOLEAN_FLAGS });
+
+  if (flags.version) {
+    print(packageJson.version);
+    return 0;
+  }
+
+  const resolved = resolveCommand(positionals);
+  if (!resolved) {
+    if (positionals.length > 0) printError(`Unknown command: ${positionals[0]}\n`);
+    print(HELP);
+    return positionals.length > 0 ? 1 : 0;
+  }
+
+  if (flags.help || !resolved.handler) {
+    print(resolved.command.usage);
+    return flags.help ? 0 : 1;
+  }
+
+  const services = await createHeadlessServices();
+  try {
+    await resolved.handler({ services, flags, args: resolved.args });
+    return 0;
+  } finally {
+    await shutdownHeadlessServices(services);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      printError(`Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, resolveCommand };
@@ -0,0 +1,42 @@
+/**
+ * Output helpers for the Oratr CLI
+ * Human readable lines go to stdout, diagnostics to stderr so --json stays parseable
+ */
+
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function printError(line) {
+  process.stderr.write(`${line}\n`);
+}
+
+/**
+ * Print aligned key/value rows
+ * @param {Array<[string, *]>} rows
+ */
+function printTable(rows) {
+  const width = rows.reduce((max, [key]) => Math.max(max, key.length), 0);
+  for (const [key, value] of rows) {
+    print(`${key.padEnd(width)}  ${value === undefined || value === null ? '-' : value}`);
+  }
+}
+
+function formatBytes(bytes) {
+  if (!bytes || bytes <= 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 2)} ${units[i]}`;
+}
+
+module.exports = {
+  print,
+  printJson,
+  printError,
+  printTable,
+  formatBytes
+};
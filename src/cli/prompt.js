@@ -0,0 +1,44 @@
+/**
+ * Interactive prompts for the Oratr CLI
+ */
+
+const readline = require('readline');
+
+/**
+ * Ask a question without echoing the answer (used for the wallet PIN)
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error('PIN required. Pass --pin or set ORATR_PIN when not running in a terminal.'));
+      return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Suppress echo of typed characters while keeping the prompt itself visible
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) rl.output.write(question);
+    };
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Resolve the wallet PIN from --pin, ORATR_PIN, or an interactive prompt
+ */
+async function resolvePin(flags) {
+  if (typeof flags.pin === 'string' && flags.pin.length > 0) return flags.pin;
+  if (process.env.ORATR_PIN) return process.env.ORATR_PIN;
+  return promptHidden('Wallet PIN: ');
+}
+
+module.exports = {
+  promptHidden,
+  resolvePin
+};
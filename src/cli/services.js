@@ -0,0 +1,254 @@
+/**
+ * Headless service bootstrap for the Oratr CLI
+ * Builds the same core services as the Electron main process, driven by
+ * ~/.oratr/settings.json, without creating windows or IPC handlers.
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+
+const SettingsManager = require('../core/settings/settings-manager');
+const Transcoder = require('../core/ffmpeg/transcoder');
+const PlaylistProcessor = require('../core/ffmpeg/playlist-processor');
+const IPFSManager = require('../core/ipfs/ipfs-manager');
+const POAStorageNode = require('../core/storage/poa-storage-node');
+const PendingUploadsManager = require('../core/services/pending-uploads-manager');
+const TranscodeJobsManager = require('../core/services/transcode-jobs-manager');
+const DirectUploadService = require('../core/services/direct-upload-service');
+const VideoUploadService = require('../core/services/video-upload-service');
+const BandwidthManager = require('../core/services/bandwidth-manager');
+const UploadDedupe = require('../core/services/upload-dedupe');
+const BrocaLedger = require('../core/services/broca-ledger');
+const TransactionHistory = require('../core/services/transaction-history');
+const TokenScheduler = require('../core/services/token-scheduler');
+const OfflineSigning = require('../core/services/offline-signing');
+const walletOperations = require('../core/spk/wallet-operations');
+
+/**
+ * Create core services from persisted settings
+ * @returns {Promise<Object>} services container
+ */
+async function createHeadlessServices() {
+  const services = {};
+
+  services.settingsManager = new SettingsManager();
+  await services.settingsManager.init();
+  const saved = services.settingsManager.getSettings();
+
+  services.bandwidth = new BandwidthManager(BandwidthManager.fromSettings(saved));
+
+  services.transcoder = new Transcoder();
+  services.transcoder.applyCapabilitySettings(saved);
+  services.playlistProcessor = new PlaylistProcessor();
+  services.ipfsManager = new IPFSManager({
+    host: saved.ipfsHost || '127.0.0.1',
+    port: saved.ipfsPort || 5001,
+    dataPath: saved.ipfsDataPath,
+    externalNode: (saved.ipfsMode === 'external'),
+    daemon: (saved.ipfsMode !== 'external'),
+    maxStorage: (saved.maxStorageGB || 100) * 1024 * 1024 * 1024
+  });
+  services.storageNode = new POAStorageNode({
+    dataPath: saved.poaDataPath,
+    spkApiUrl: saved.spkNode,
+    ipfsHost: saved.ipfsHost || '127.0.0.1',
+    ipfsPort: saved.ipfsPort || 5001,
+    maxStorage: (saved.maxStorageGB || 100) * 1024 * 1024 * 1024
+  });
+
+  services.pendingUploadsManager = new PendingUploadsManager();
+  await services.pendingUploadsManager.init();
+
+  services.transcodeJobs = new TranscodeJobsManager();
+  await services.transcodeJobs.init();
+
+  services.uploadDedupe = new UploadDedupe({
+    ipfsManager: services.ipfsManager,
+    spkApiUrl: () => services.settingsManager.getNetworkSettings().spkNode,
+    checkNetwork: (cids) => services.spkClient.checkExistingFiles(cids)
+  });
+
+  services.directUploadService = new DirectUploadService({
+    ipfsManager: services.ipfsManager,
+    spkClient: null, // Set once an account is unlocked
+    pendingUploadsManager: services.pendingUploadsManager,
+    bandwidthManager: services.bandwidth,
+    uploadDedupe: services.uploadDedupe
+  });
+
+  services.videoUploadService = new VideoUploadService({
+    transcoder: services.transcoder,
+    playlistProcessor: services.playlistProcessor,
+    ipfsManager: services.ipfsManager,
+    spkClient: null, // Set once an account is unlocked
+    integratedStorage: null,
+    directUploadService: services.directUploadService,
+    transcodeJobs: services.transcodeJobs,
+    uploadDedupe: services.uploadDedupe
+  });
+
+  services.brocaLedger = new BrocaLedger();
+
+  const dhive = require('@hiveio/dhive');
+  const hiveClient = new dhive.Client(['https://api.hive.blog']);
+  services.transactionHistory = new TransactionHistory({ hiveClient });
+
+  // Same rules as the desktop app; `oratr schedule run` runs them once the wallet is unlocked
+  services.tokenScheduler = new TokenScheduler({
+    getBalances: async (account, chain) => {
+      if (chain === 'spk') {
+        const spk = await services.spkClient.getSpkInstance(account);
+        return walletOperations.spkBalances(await spk.getBalances(true));
+      }
+      const [record] = await hiveClient.database.getAccounts([account]);
+      if (!record) throw new Error(`Hive account @${account} not found`);
+      return walletOperations.hiveBalances(record);
+    },
+    broadcast: (account, tx, keyType) => services.spkClient.accountManager.signAndBroadcast(account, tx, keyType, { approved: true }),
+    isUnlocked: () => Boolean(services.spkClient && services.spkClient.accountManager.isUnlocked()),
+    isTestnet: () => services.settingsManager.getNetworkSettings().isTestnet
+  });
+
+  services.offlineSigning = new OfflineSigning({ hiveClient });
+  services.offlineSigning.on('broadcast', ({ username, operations, result }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, result }).catch(() => {});
+  });
+  services.offlineSigning.on('failed', ({ username, operations, error }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, error }).catch(() => {});
+  });
+
+  return services;
+}
+
+/**
+ * Locate the desktop app's Electron userData directory, where the encrypted
+ * wallet (spk-accounts-v2.json) lives. ORATR_USER_DATA overrides detection.
+ */
+function getAppDataDir() {
+  if (process.env.ORATR_USER_DATA) return process.env.ORATR_USER_DATA;
+
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(os.homedir(), 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+
+  // Packaged builds use the productName, development runs use the package name
+  const candidates = ['Oratr', 'oratr'].map(name => path.join(base, name));
+  const existing = candidates.find(dir => fsSync.existsSync(path.join(dir, 'spk-accounts-v2.json')));
+  return existing || candidates[1];
+}
+
+/**
+ * Create the SPK client wrapper without registering Electron IPC handlers.
+ * Loaded lazily so commands that never touch the wallet do not pull in spk-js.
+ */
+async function createSpkClient(settingsManager, bandwidthManager = null, transactionHistory = null) {
+  const SPKClientWrapper = require('../core/spk/spk-client-wrapper');
+  const spkClient = new SPKClientWrapper({
+    accountManager: { storeCwd: getAppDataDir() },
+    bandwidthManager
+  });
+  const networkSettings = settingsManager.getNetworkSettings();
+  spkClient.config = {
+    spkNode: networkSettings.spkNode,
+    isTestnet: networkSettings.isTestnet
+  };
+  await spkClient.accountManager.init();
+
+  // Broadcasts made from the CLI go into the same history as the desktop app's
+  if (transactionHistory) {
+    spkClient.accountManager.on('transaction-broadcast', ({ username, operations, result }) => {
+      transactionHistory.recordBroadcast({ username, operations, result }).catch(() => {});
+    });
+    spkClient.accountManager.on('transaction-failed', ({ username, operations, error }) => {
+      transactionHistory.recordBroadcast({ username, operations, error }).catch(() => {});
+    });
+  }
+  return spkClient;
+}
+
+/**
+ * Unlock the wallet and select an account, then attach the client to upload services
+ * @param {Object} services - Services from createHeadlessServices
+ * @param {string} pin - Wallet PIN
+ * @param {string|null} username - Account to activate (defaults to stored active account)
+ */
+async function unlockAccount(services, pin, username = null) {
+  if (!services.spkClient) {
+    services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+  }
+  const accountManager = services.spkClient.accountManager;
+
+  await accountManager.unlock(pin);
+
+  const target = username || accountManager.getActiveAccount();
+  if (!target) {
+    throw new Error('No active account. Pass --account <username>.');
+  }
+  if (!accountManager.getAccount(target)) {
+    throw new Error(`Account ${target} not found in wallet`);
+  }
+
+  accountManager.setActiveAccount(target);
+  services.spkClient.currentUser = target;
+  services.directUploadService.spkClient = services.spkClient;
+  services.videoUploadService.spkClient = services.spkClient;
+
+  return target;
+}
+
+/**
+ * Resolve the storage node account: explicit flag, then the persisted POA
+ * service config, then the wallet's active account
+ */
+async function resolveStorageAccount(services, explicit = null) {
+  if (explicit) return explicit;
+
+  try {
+    const configPath = path.join(os.homedir(), '.oratr', 'poa-service.json');
+    const json = JSON.parse(await fs.readFile(configPath, 'utf8') || '{}');
+    if (json && typeof json.account === 'string' && json.account.length > 0) {
+      return json.account;
+    }
+  } catch (_) { /* best effort */ }
+
+  try {
+    if (!services.spkClient) {
+      services.spkClient = await createSpkClient(services.settingsManager, services.bandwidth, services.transactionHistory);
+    }
+    return services.spkClient.accountManager.getActiveAccount();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Best-effort shutdown of anything the CLI may have started.
+ * A POA node owned by another process (desktop app, systemd) is left alone.
+ */
+async function shutdownHeadlessServices(services) {
+  try { await services.metrics?.stop?.(); } catch (_) { /* best effort */ }
+  try { await services.fileSyncService?.stop?.(); } catch (_) { /* best effort */ }
+  try {
+    if (services.storageNode?.process) await services.storageNode.stop();
+  } catch (_) { /* best effort */ }
+  try { await services.ipfsManager?.stop?.(); } catch (_) { /* best effort */ }
+  try { await services.transcoder?.cleanup?.(); } catch (_) { /* best effort */ }
+  try { await services.transactionHistory?.flush(); } catch (_) { /* best effort */ }
+  try { services.spkClient?.accountManager?.lock(); } catch (_) { /* best effort */ }
+}
+
+module.exports = {
+  createHeadlessServices,
+  createSpkClient,
+  getAppDataDir,
+  unlockAccount,
+  resolveStorageAccount,
+  shutdownHeadlessServices
+};
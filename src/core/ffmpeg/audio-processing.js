@@ -0,0 +1,227 @@
+/**
+ * Audio processing for uploads
+ * EBU R128 loudness normalization in two passes (measure with `loudnorm`,
+ * then apply the measured values with a linear gain), optional downmix and
+ * trimming of leading/trailing silence. Analysis produces a plan that is
+ * stored with the transcode job, so resumed renditions use the same gain.
+ */
+
+const DEFAULTS = {
+  loudnorm: false,
+  targetLoudness: -16, // integrated loudness in LUFS; -16 suits online playback, EBU R128 broadcast is -23
+  truePeak: -1.5, // dBTP
+  loudnessRange: 11, // LU
+  downmix: null, // 'stereo' or 'mono'
+  trimSilence: false,
+  silenceThreshold: -50, // dB
+  minSilence: 1 // seconds of silence before it counts
+};
+
+const DOWNMIX_CHANNELS = { stereo: 2, mono: 1 };
+
+// loudnorm works at 192 kHz internally; bring it back to the AAC rate
+const OUTPUT_SAMPLE_RATE = 48000;
+
+// Silence left in place at a trimmed edge so speech onsets are not clipped
+const TRIM_PADDING = 0.25;
+
+/**
+ * Merge per-upload options over the defaults and validate them
+ * @param {Object} options - loudnorm, targetLoudness, truePeak, loudnessRange,
+ *   downmix ('stereo', 'mono' or 'none'), trimSilence, silenceThreshold, minSilence
+ */
+function resolveSettings(options = {}) {
+  const number = (value, fallback) => (
+    value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value)
+  );
+  const settings = {
+    loudnorm: !!options.loudnorm,
+    targetLoudness: number(options.targetLoudness, DEFAULTS.targetLoudness),
+    truePeak: number(options.truePeak, DEFAULTS.truePeak),
+    loudnessRange: number(options.loudnessRange, DEFAULTS.loudnessRange),
+    downmix: DOWNMIX_CHANNELS[options.downmix] ? options.downmix : null,
+    trimSilence: !!options.trimSilence,
+    silenceThreshold: number(options.silenceThreshold, DEFAULTS.silenceThreshold),
+    minSilence: number(options.minSilence, DEFAULTS.minSilence)
+  };
+
+  // Ranges accepted by FFmpeg's loudnorm filter
+  if (settings.targetLoudness < -70 || settings.targetLoudness > -5) {
+    throw new Error(`Target loudness must be between -70 and -5 LUFS, got ${settings.targetLoudness}`);
+  }
+  if (settings.truePeak < -9 || settings.truePeak > 0) {
+    throw new Error(`True peak must be between -9 and 0 dBTP, got ${settings.truePeak}`);
+  }
+  if (settings.loudnessRange < 1 || settings.loudnessRange > 50) {
+    throw new Error(`Loudness range must be between 1 and 50 LU, got ${settings.loudnessRange}`);
+  }
+  return settings;
+}
+
+/**
+ * Whether any processing is switched on
+ */
+function isEnabled(settings) {
+  return !!(settings && (settings.loudnorm || settings.downmix || settings.trimSilence));
+}
+
+/**
+ * Upload options from the flat SettingsManager keys
+ */
+function fromSettings(settings = {}) {
+  return {
+    loudnorm: settings.loudnessNormalization === true,
+    targetLoudness: settings.targetLoudness || undefined,
+    downmix: settings.audioDownmix,
+    trimSilence: settings.trimSilence === true
+  };
+}
+
+function loudnormTarget(settings) {
+  return `I=${settings.targetLoudness}:TP=${settings.truePeak}:LRA=${settings.loudnessRange}`;
+}
+
+/**
+ * Filters for the analysis pass, run on one audio stream with `-f null`
+ */
+function analysisFilters(settings) {
+  const filters = [];
+  if (settings.trimSilence) {
+    filters.push(`silencedetect=noise=${settings.silenceThreshold}dB:d=${settings.minSilence}`);
+  }
+  if (settings.loudnorm) {
+    filters.push(`loudnorm=${loudnormTarget(settings)}:print_format=json`);
+  }
+  return filters;
+}
+
+/**
+ * Measured values from the JSON block loudnorm prints at the end of the
+ * analysis pass, or null when there is none (e.g. a silent track reports -inf)
+ * @param {Array<string>} lines - FFmpeg stderr lines
+ */
+function parseLoudnorm(lines) {
+  const text = lines.join('\n');
+  const start = text.lastIndexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  let stats;
+  try {
+    stats = JSON.parse(text.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+
+  const measured = {
+    inputI: parseFloat(stats.input_i),
+    inputTp: parseFloat(stats.input_tp),
+    inputLra: parseFloat(stats.input_lra),
+    inputThresh: parseFloat(stats.input_thresh),
+    targetOffset: parseFloat(stats.target_offset)
+  };
+  return Object.values(measured).every(Number.isFinite) ? measured : null;
+}
+
+/**
+ * Silent ranges reported by silencedetect. A range still open at the end of
+ * the stream has `end: null`.
+ * @param {Array<string>} lines - FFmpeg stderr lines
+ */
+function parseSilences(lines) {
+  const silences = [];
+  for (const line of lines) {
+    const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+    const end = /silence_end:\s*(-?[\d.]+)/.exec(line);
+    if (start) {
+      silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+    } else if (end && silences.length > 0 && silences[silences.length - 1].end === null) {
+      silences[silences.length - 1].end = parseFloat(end[1]);
+    }
+  }
+  return silences;
+}
+
+/**
+ * Part of the video to keep once leading and trailing silence is cut
+ * @param {Array<{start: number, end: number|null}>} silences - From parseSilences
+ * @param {number} duration - Source duration in seconds
+ * @returns {{start: number, end: number}|null} null when nothing would be cut
+ */
+function trimRange(silences, duration) {
+  if (!(duration > 0) || silences.length === 0) return null;
+
+  let start = 0;
+  let end = duration;
+  const first = silences[0];
+  if (first.start <= 0.05 && first.end !== null) {
+    start = Math.max(0, first.end - TRIM_PADDING);
+  }
+  const last = silences[silences.length - 1];
+  if (last.start > 0.05 && (last.end === null || last.end >= duration - 0.05)) {
+    end = Math.min(duration, last.start + TRIM_PADDING);
+  }
+
+  // A video that is silent throughout is kept whole
+  if (end - start < 1 || (start === 0 && end === duration)) return null;
+  return { start: round(start), end: round(end) };
+}
+
+/**
+ * Audio filter chain for the encode
+ * @param {Object} settings - From resolveSettings
+ * @param {Object|null} loudness - From parseLoudnorm; without it loudnorm
+ *   falls back to its single-pass dynamic mode
+ */
+function buildFilters(settings, loudness) {
+  if (!settings.loudnorm) return [];
+
+  const measured = loudness
+    ? `:measured_I=${loudness.inputI}:measured_TP=${loudness.inputTp}` +
+      `:measured_LRA=${loudness.inputLra}:measured_thresh=${loudness.inputThresh}` +
+      `:offset=${loudness.targetOffset}:linear=true`
+    : '';
+  return [`loudnorm=${loudnormTarget(settings)}${measured}`, `aresample=${OUTPUT_SAMPLE_RATE}`];
+}
+
+/**
+ * Combine settings and analysis into the plan renditions are encoded with
+ * @param {Object} analysis - { loudness, silences } from the analysis pass
+ * @returns {{settings, loudness, filters, channels, trim}}
+ */
+function createPlan(settings, analysis = {}, duration = 0) {
+  const loudness = analysis.loudness || null;
+  return {
+    settings,
+    loudness,
+    filters: buildFilters(settings, loudness),
+    channels: DOWNMIX_CHANNELS[settings.downmix] || null,
+    trim: settings.trimSilence ? trimRange(analysis.silences || [], duration) : null
+  };
+}
+
+/**
+ * Duration of the output once a plan's trim is applied
+ */
+function trimmedDuration(plan, duration) {
+  return plan && plan.trim ? round(plan.trim.end - plan.trim.start) : duration;
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  DEFAULTS,
+  DOWNMIX_CHANNELS,
+  resolveSettings,
+  isEnabled,
+  fromSettings,
+  analysisFilters,
+  parseLoudnorm,
+  parseSilences,
+  trimRange,
+  buildFilters,
+  createPlan,
+  trimmedDuration
+};
@@ -0,0 +1,73 @@
+/**
+ * Audio renditions for HLS
+ * Sources with several audio streams (languages, commentary) get one AAC
+ * rendition per stream, grouped with EXT-X-MEDIA TYPE=AUDIO so players can
+ * switch tracks. Video variants are then encoded without audio.
+ */
+
+const { normalizeLanguage, languageName } = require('./subtitles');
+
+const GROUP_ID = 'audio';
+
+// Stereo AAC-LC plays everywhere; surround layouts are downmixed
+const AUDIO_BITRATE = '128k';
+const AUDIO_CHANNELS = 2;
+
+/**
+ * Give each audio stream a unique id, a display name and pick the default.
+ * The stream marked default in the source wins, otherwise the first one.
+ * @param {Array<Object>} streams - analyzeVideo().audioStreams
+ * @returns {Array<Object>} { id, index, name, language, default }
+ */
+function describeAudioTracks(streams) {
+  const usedIds = new Set();
+  const defaultIndex = Math.max(0, streams.findIndex(stream => stream.default));
+  const languageCounts = {};
+  for (const stream of streams) {
+    const language = normalizeLanguage(stream.language);
+    languageCounts[language] = (languageCounts[language] || 0) + 1;
+  }
+
+  return streams.map((stream, i) => {
+    const language = normalizeLanguage(stream.language);
+    // Track ids name the files, so they must be unique across the upload
+    const base = `audio_${(language || 'und').replace(/[^A-Za-z0-9-]/g, '')}`;
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}_${n}`;
+    usedIds.add(id);
+
+    // Titles tell apart several tracks in one language (e.g. commentary)
+    let name = languageName(language);
+    if (stream.title && (languageCounts[language] > 1 || !language)) {
+      name = language ? `${name} (${stream.title})` : stream.title;
+    }
+
+    return { id, index: stream.index, name, language, default: i === defaultIndex };
+  });
+}
+
+/**
+ * EXT-X-MEDIA tag for an audio rendition
+ * @param {Object} track - name, language, default, channels
+ * @param {string} uri - Playlist URI
+ */
+function createMediaTag(track, uri) {
+  const attributes = [
+    'TYPE=AUDIO',
+    `GROUP-ID="${GROUP_ID}"`,
+    `NAME="${String(track.name || languageName(track.language)).replace(/"/g, '\'')}"`
+  ];
+  if (track.language) attributes.push(`LANGUAGE="${track.language}"`);
+  attributes.push(`DEFAULT=${track.default ? 'YES' : 'NO'}`, 'AUTOSELECT=YES');
+  attributes.push(`CHANNELS="${track.channels || AUDIO_CHANNELS}"`);
+  attributes.push(`URI="${uri}"`);
+  return `#EXT-X-MEDIA:${attributes.join(',')}`;
+}
+
+module.exports = {
+  GROUP_ID,
+  AUDIO_BITRATE,
+  AUDIO_CHANNELS,
+  describeAudioTracks,
+  createMediaTag
+};
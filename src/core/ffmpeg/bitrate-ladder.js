@@ -0,0 +1,129 @@
+/**
+ * Per-title bitrate ladder
+ * Picks HLS rungs and bitrates from source analysis and a complexity score
+ * instead of a fixed resolution/bitrate table.
+ */
+
+// Reference rungs. Bitrates (kbps) are for average-complexity 30fps content
+// and match the fixed table in Transcoder.getEncodingSettings.
+const RUNGS = [
+  { name: '2160p', shortSide: 2160, bitrate: 16000, audioBitrate: '192k' },
+  { name: '1440p', shortSide: 1440, bitrate: 9000, audioBitrate: '192k' },
+  { name: '1080p', shortSide: 1080, bitrate: 5000, audioBitrate: '128k' },
+  { name: '720p', shortSide: 720, bitrate: 2500, audioBitrate: '128k' },
+  { name: '480p', shortSide: 480, bitrate: 1000, audioBitrate: '128k' },
+  { name: '360p', shortSide: 360, bitrate: 500, audioBitrate: '96k' },
+  { name: '240p', shortSide: 240, bitrate: 250, audioBitrate: '64k' }
+];
+
+// Bits per pixel of the probe encode (x264 ultrafast, CRF 23, 360p) for
+// content we consider average complexity. Screencasts land far below this,
+// sports and film grain above.
+const REFERENCE_BPP = 0.1;
+
+const MIN_COMPLEXITY = 0.3;
+const MAX_COMPLEXITY = 1.6;
+
+/**
+ * Map probe bits-per-pixel to a bitrate multiplier
+ * @param {number} bitsPerPixel
+ * @returns {number} complexity in [MIN_COMPLEXITY, MAX_COMPLEXITY], 1 = average
+ */
+function complexityFromBitsPerPixel(bitsPerPixel) {
+  if (!Number.isFinite(bitsPerPixel) || bitsPerPixel <= 0) return 1;
+  return clamp(bitsPerPixel / REFERENCE_BPP, MIN_COMPLEXITY, MAX_COMPLEXITY);
+}
+
+/**
+ * Build a ladder for one video
+ * @param {Object} metadata - Result of Transcoder.analyzeVideo
+ * @param {Object} options
+ * @param {number} options.complexity - Bitrate multiplier from the probe (default 1)
+ * @param {number} options.maxRungs - Maximum renditions (default 4)
+ * @param {string} options.preset - x264 preset (default 'fast')
+ * @returns {Array<Object>} rungs, highest first, shaped like getEncodingSettings()
+ */
+function buildLadder(metadata, options = {}) {
+  const width = Number(metadata.width) || 0;
+  const height = Number(metadata.height) || 0;
+  const complexity = clamp(Number(options.complexity) || 1, MIN_COMPLEXITY, MAX_COMPLEXITY);
+  const maxRungs = Math.max(1, Number(options.maxRungs) || 4);
+  const preset = options.preset || 'fast';
+
+  if (!width || !height) {
+    throw new Error('Source dimensions are required to build a ladder');
+  }
+
+  const portrait = height > width;
+  const sourceShort = Math.min(width, height);
+  const fpsFactor = frameRateFactor(Number(metadata.fps) || 30);
+
+  // Total source bitrate minus a typical audio track; never encode above it
+  const sourceKbps = Number(metadata.bitrate) > 0 ? Number(metadata.bitrate) / 1000 : null;
+  const sourceVideoKbps = sourceKbps ? Math.max(sourceKbps - (metadata.hasAudio ? 128 : 0), sourceKbps * 0.8) : null;
+
+  const candidates = RUNGS.filter(rung => rung.shortSide <= sourceShort).slice(0, maxRungs);
+
+  if (candidates.length === 0) {
+    // Smaller than the lowest rung: a single rendition at source size
+    const kbps = capBitrate(Math.round(RUNGS[RUNGS.length - 1].bitrate * complexity * fpsFactor), sourceVideoKbps);
+    return [toEncoding({ name: `${even(sourceShort)}p`, audioBitrate: '64k' }, even(width), even(height), kbps, preset, portrait)];
+  }
+
+  return candidates.map((rung) => {
+    const scale = rung.shortSide / sourceShort;
+    const outWidth = even(width * scale);
+    const outHeight = even(height * scale);
+    const kbps = capBitrate(Math.round(rung.bitrate * complexity * fpsFactor), sourceVideoKbps);
+    return toEncoding(rung, outWidth, outHeight, kbps, preset, portrait);
+  });
+}
+
+/**
+ * High frame rate needs more bits, but not twice as many
+ */
+function frameRateFactor(fps) {
+  if (fps <= 30) return 1;
+  return 1 + 0.5 * ((Math.min(fps, 60) - 30) / 30);
+}
+
+function capBitrate(kbps, sourceVideoKbps) {
+  const capped = sourceVideoKbps ? Math.min(kbps, Math.round(sourceVideoKbps)) : kbps;
+  return Math.max(capped, 100);
+}
+
+function toEncoding(rung, width, height, kbps, preset, portrait) {
+  const audioKbps = parseInt(rung.audioBitrate, 10);
+  return {
+    name: rung.name,
+    videoBitrate: `${kbps}k`,
+    audioBitrate: rung.audioBitrate,
+    maxrate: `${Math.round(kbps * 1.5)}k`,
+    bufsize: `${kbps * 2}k`,
+    maxWidth: width,
+    maxHeight: height,
+    width,
+    height,
+    portrait,
+    preset,
+    crf: 23,
+    bandwidth: Math.round(kbps * 1.5 + audioKbps) * 1000
+  };
+}
+
+function even(value) {
+  const rounded = Math.round(value);
+  return rounded % 2 === 0 ? rounded : rounded - 1;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+module.exports = {
+  RUNGS,
+  REFERENCE_BPP,
+  buildLadder,
+  complexityFromBitsPerPixel,
+  frameRateFactor
+};
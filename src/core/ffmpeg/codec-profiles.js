@@ -0,0 +1,153 @@
+/**
+ * Codec profiles for HLS output
+ * Each profile names the FFmpeg encoder, its quality settings, the segment
+ * container it needs and how to build the RFC 6381 CODECS string for the
+ * master playlist.
+ */
+
+const AUDIO_CODECS = 'mp4a.40.2'; // AAC-LC
+
+const PROFILES = {
+  h264: {
+    id: 'h264',
+    label: 'H.264 (AVC)',
+    encoder: 'libx264',
+    crf: 23,
+    bitrateFactor: 1,
+    // MPEG-TS stays the default for the widest player support
+    segmentFormats: ['mpegts', 'fmp4'],
+    outputOptions: (level) => ['-profile:v high', `-level:v ${h264Level(level)}`],
+    codecs: (level) => `avc1.6400${toHex(h264Level(level) * 10)}`
+  },
+  hevc: {
+    id: 'hevc',
+    label: 'HEVC (H.265)',
+    encoder: 'libx265',
+    crf: 28,
+    bitrateFactor: 0.6,
+    segmentFormats: ['fmp4'],
+    // hvc1 tag is required for Safari / Apple devices
+    outputOptions: (level) => ['-tag:v hvc1', `-x265-params level-idc=${Math.round(level * 10)}`],
+    codecs: (level) => `hvc1.1.6.L${Math.round(level * 30)}.B0`
+  },
+  av1: {
+    id: 'av1',
+    label: 'AV1',
+    encoder: 'libsvtav1',
+    crf: 35,
+    bitrateFactor: 0.5,
+    segmentFormats: ['fmp4'],
+    // SVT-AV1 presets are 0 (slowest) - 13 (fastest)
+    preset: '8',
+    outputOptions: () => [],
+    codecs: (level) => `av01.0.${pad2(av1LevelIndex(level))}M.08`
+  },
+  vp9: {
+    id: 'vp9',
+    label: 'VP9',
+    encoder: 'libvpx-vp9',
+    crf: 33,
+    bitrateFactor: 0.65,
+    segmentFormats: ['fmp4'],
+    preset: null,
+    outputOptions: () => ['-row-mt 1', '-deadline good', '-cpu-used 4'],
+    codecs: (level) => `vp09.00.${Math.round(level * 10)}.08`
+  }
+};
+
+const DEFAULT_PROFILE = 'h264';
+
+/**
+ * Look up a profile by id, case-insensitive, with common aliases
+ * @param {string} id - 'h264' | 'hevc' | 'av1' | 'vp9' (also 'avc', 'h265', 'x265')
+ */
+function getProfile(id) {
+  const key = String(id || DEFAULT_PROFILE).toLowerCase();
+  const aliases = { avc: 'h264', x264: 'h264', h265: 'hevc', x265: 'hevc' };
+  const profile = PROFILES[aliases[key] || key];
+  if (!profile) {
+    throw new Error(`Unknown codec profile: ${id}`);
+  }
+  return profile;
+}
+
+/**
+ * Segment container for a profile: HEVC/AV1/VP9 always use fMP4 (CMAF),
+ * H.264 uses MPEG-TS unless fMP4 is requested
+ * @param {Object} profile
+ * @param {string} requested - 'ts' | 'mpegts' | 'fmp4' | 'cmaf'
+ */
+function resolveSegmentFormat(profile, requested) {
+  const wanted = ['fmp4', 'cmaf'].includes(String(requested).toLowerCase()) ? 'fmp4' : 'mpegts';
+  return profile.segmentFormats.includes(wanted) ? wanted : profile.segmentFormats[0];
+}
+
+/**
+ * Generic level (3.1 - 5.2) that covers a frame size and rate
+ */
+function levelFor(width, height, fps = 30) {
+  const pixels = (Number(width) || 1920) * (Number(height) || 1080);
+  const highFrameRate = Number(fps) > 30;
+
+  if (pixels <= 1280 * 720) return highFrameRate ? 4.0 : 3.1;
+  if (pixels <= 2048 * 1088) return highFrameRate ? 4.1 : 4.0;
+  return highFrameRate ? 5.2 : 5.1;
+}
+
+/**
+ * CODECS attribute value (video and AAC audio) for a rendition
+ */
+function codecsFor(profileId, { width, height, fps, hasAudio = true } = {}) {
+  const profile = getProfile(profileId);
+  const video = profile.codecs(levelFor(width, height, fps));
+  return hasAudio ? `${video},${AUDIO_CODECS}` : video;
+}
+
+/**
+ * FFmpeg output options specific to the profile (level, tags, speed)
+ */
+function encoderOptions(profileId, { width, height, fps } = {}) {
+  const profile = getProfile(profileId);
+  return profile.outputOptions(levelFor(width, height, fps));
+}
+
+/**
+ * Scale a bitrate string ('5000k') by the profile's efficiency over H.264
+ */
+function scaleBitrate(bitrate, factor) {
+  if (!bitrate || factor === 1) return bitrate;
+  return `${Math.max(100, Math.round(parseInt(bitrate, 10) * factor))}k`;
+}
+
+// H.264 has no level 4.1 split for 1080p60 in our table; it needs 4.2.
+// The encoder and the CODECS string must both use it.
+function h264Level(level) {
+  return level === 4.1 ? 4.2 : level;
+}
+
+// AV1 seq_level_idx = (major - 2) * 4 + minor
+function av1LevelIndex(level) {
+  const major = Math.floor(level);
+  const minor = Math.round((level - major) * 10);
+  return (major - 2) * 4 + minor;
+}
+
+function toHex(value) {
+  return Math.round(value).toString(16).padStart(2, '0');
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  AUDIO_CODECS,
+  getProfile,
+  resolveSegmentFormat,
+  levelFor,
+  codecsFor,
+  encoderOptions,
+  scaleBitrate
+};
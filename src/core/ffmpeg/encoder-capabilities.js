@@ -0,0 +1,84 @@
+/**
+ * Encoder capabilities
+ * Which encoders to look for in an FFmpeg build, which presets to benchmark,
+ * and how to turn benchmark results into preset and concurrency settings.
+ */
+
+const { PROFILES } = require('./codec-profiles');
+
+// Hardware encoders by codec profile, reported by the capability probe. The
+// transcoder encodes with the software encoders only, so these are not
+// benchmarked or recommended.
+const HARDWARE_ENCODERS = {
+  h264: ['h264_nvenc', 'h264_qsv', 'h264_videotoolbox', 'h264_vaapi', 'h264_amf', 'h264_v4l2m2m'],
+  hevc: ['hevc_nvenc', 'hevc_qsv', 'hevc_videotoolbox', 'hevc_vaapi', 'hevc_amf'],
+  av1: ['av1_nvenc', 'av1_qsv', 'av1_vaapi', 'av1_amf'],
+  vp9: ['vp9_qsv', 'vp9_vaapi']
+};
+
+// Filters the transcoder relies on
+const REQUIRED_FILTERS = ['scale', 'split', 'fps', 'thumbnail'];
+
+// Software presets to try, fastest first. VP9 speed is set by -cpu-used in its
+// profile, so it is benchmarked once at the profile default.
+const BENCHMARK_PRESETS = {
+  h264: ['veryfast', 'faster', 'fast', 'medium'],
+  hevc: ['veryfast', 'faster', 'fast', 'medium'],
+  av1: ['12', '10', '8'],
+  vp9: [null]
+};
+
+// Benchmark input: generated test pattern, like test/fixtures/sample-video.mp4
+// but long enough to measure
+const BENCHMARK_SOURCE = { width: 1280, height: 720, fps: 30, duration: 4 };
+
+// Encode speed (x realtime at 720p) a preset needs to be recommended. Leaves
+// headroom for 1080p renditions and single-pass jobs running all rungs at once.
+const TARGET_SPEED = 2;
+
+// Approximate peak memory of one transcode job
+const MEMORY_PER_JOB = 1.5 * 1024 * 1024 * 1024;
+
+const MAX_CONCURRENCY = 4;
+
+/**
+ * Pick a preset per codec and a batchTranscode concurrency from benchmark runs
+ * @param {Array<Object>} benchmarks - { codec, encoder, preset, speed, ok }
+ * @param {Object} system - { cpus, totalMemory } (bytes)
+ * @returns {{presets: Object, concurrency: number}}
+ */
+function recommendSettings(benchmarks, system) {
+  const presets = {};
+
+  for (const codec of Object.keys(PROFILES)) {
+    const runs = benchmarks.filter(run => run.ok && run.codec === codec &&
+      run.encoder === PROFILES[codec].encoder && run.preset);
+    if (runs.length === 0) continue;
+
+    // Slowest (best quality) preset that is still fast enough, else the fastest
+    const fastEnough = runs.filter(run => run.speed >= TARGET_SPEED);
+    presets[codec] = fastEnough.length > 0
+      ? fastEnough[fastEnough.length - 1].preset
+      : runs.reduce((best, run) => (run.speed > best.speed ? run : best)).preset;
+  }
+
+  // x264 already spreads one job across cores; parallel jobs pay off only on
+  // larger machines and are capped by memory
+  const h264 = benchmarks.find(run => run.ok && run.codec === 'h264' && run.preset === presets.h264);
+  const byCpu = Math.max(1, Math.floor((Number(system.cpus) || 1) / 4));
+  const byMemory = Math.max(1, Math.floor((Number(system.totalMemory) || 0) / MEMORY_PER_JOB));
+  const concurrency = h264 && h264.speed < 1
+    ? 1
+    : Math.min(byCpu, byMemory, MAX_CONCURRENCY);
+
+  return { presets, concurrency };
+}
+
+module.exports = {
+  HARDWARE_ENCODERS,
+  REQUIRED_FILTERS,
+  BENCHMARK_PRESETS,
+  BENCHMARK_SOURCE,
+  TARGET_SPEED,
+  recommendSettings
+};
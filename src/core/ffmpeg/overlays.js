@@ -0,0 +1,244 @@
+/**
+ * Branding overlays
+ * Presets combine an image watermark, a text overlay and intro/outro clips.
+ * The watermark and text are drawn in the HLS encode: the watermark is
+ * scaled relative to the frame with scale2ref, so one graph suits every
+ * rendition. Intro and outro clips are joined through the edit pipeline
+ * (see preprocessing.js) as clips before and after the main video.
+ */
+
+const path = require('path');
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+const DEFAULTS = {
+  watermark: {
+    position: 'bottom-right',
+    opacity: 0.8,
+    scale: 0.15, // width as a fraction of the frame width
+    margin: 0.03 // distance from the edges as a fraction of the frame
+  },
+  text: {
+    position: 'bottom-left',
+    fontSize: 0.045, // fraction of the frame height
+    color: 'white',
+    opacity: 0.9,
+    box: true, // translucent background behind the text
+    margin: 0.03
+  }
+};
+
+// drawtext reads the text from a file, so it needs no filtergraph escaping
+const TEXT_FILENAME = 'overlay.txt';
+
+/**
+ * Validate a preset and fill in defaults
+ * @param {Object} preset - id, name, watermark ({ path, position, opacity,
+ *   scale, margin }), text ({ text, position, fontSize, color, opacity, box,
+ *   fontFile, margin }), intro and outro (clip paths)
+ */
+function normalizePreset(preset = {}) {
+  const watermark = preset.watermark && preset.watermark.path
+    ? { ...DEFAULTS.watermark, ...compact(preset.watermark), path: path.resolve(preset.watermark.path) }
+    : null;
+  const text = preset.text && String(preset.text.text || '').trim()
+    ? { ...DEFAULTS.text, ...compact(preset.text), text: String(preset.text.text) }
+    : null;
+
+  for (const [kind, layer] of [['Watermark', watermark], ['Text', text]]) {
+    if (!layer) continue;
+    if (!POSITIONS.includes(layer.position)) {
+      throw new Error(`${kind} position must be one of ${POSITIONS.join(', ')}, got ${layer.position}`);
+    }
+    layer.opacity = Number(layer.opacity);
+    layer.margin = Number(layer.margin);
+    if (!(layer.opacity > 0 && layer.opacity <= 1)) {
+      throw new Error(`${kind} opacity must be between 0 and 1, got ${layer.opacity}`);
+    }
+    if (!(layer.margin >= 0 && layer.margin < 0.5)) {
+      throw new Error(`${kind} margin must be between 0 and 0.5, got ${layer.margin}`);
+    }
+  }
+  if (watermark) {
+    watermark.scale = Number(watermark.scale);
+    if (!(watermark.scale > 0 && watermark.scale <= 1)) {
+      throw new Error(`Watermark scale must be between 0 and 1, got ${watermark.scale}`);
+    }
+  }
+  if (text) {
+    text.fontSize = Number(text.fontSize);
+    if (!(text.fontSize > 0 && text.fontSize < 1)) {
+      throw new Error(`Text size must be a fraction of the frame height, got ${text.fontSize}`);
+    }
+    if (!/^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(text.color)) {
+      throw new Error(`Invalid text color: ${text.color}`);
+    }
+  }
+
+  return {
+    id: preset.id || null,
+    name: preset.name || preset.id || null,
+    watermark,
+    text,
+    intro: preset.intro ? path.resolve(preset.intro) : null,
+    outro: preset.outro ? path.resolve(preset.outro) : null
+  };
+}
+
+/**
+ * Whether a preset draws anything or adds clips
+ */
+function isEnabled(preset) {
+  return !!(preset && (preset.watermark || preset.text || preset.intro || preset.outro));
+}
+
+/**
+ * Whether a preset draws on the video (as opposed to only adding clips)
+ */
+function hasLayers(preset) {
+  return !!(preset && (preset.watermark || preset.text));
+}
+
+/**
+ * Find a preset by id or name in the overlayPresets setting
+ * @returns {Object|null}
+ */
+function findPreset(presets = [], idOrName) {
+  if (!idOrName) return null;
+  return presets.find(preset => preset.id === idOrName) ||
+    presets.find(preset => preset.name && preset.name.toLowerCase() === String(idOrName).toLowerCase()) ||
+    null;
+}
+
+/**
+ * Preset for an upload from the overlayPresets/overlayPreset settings
+ * @param {Object|string|null} choice - A preset, a preset id or name, or
+ *   'none'/null for no overlay; undefined picks the default preset
+ * @returns {Object|null}
+ */
+function fromSettings(settings = {}, choice) {
+  const selected = choice === undefined ? settings.overlayPreset : choice;
+  if (!selected || selected === 'none') return null;
+  if (typeof selected === 'object') return selected;
+
+  const preset = findPreset(settings.overlayPresets || [], selected);
+  if (!preset) throw new Error(`Overlay preset not found: ${selected}`);
+  return preset;
+}
+
+/**
+ * Id for a new preset from its name, unique among the existing ones
+ */
+function presetId(name, presets = []) {
+  const base = String(name || 'preset').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+  let id = base;
+  for (let n = 2; presets.some(preset => preset.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * x/y expressions placing an item of size (w, h) in a frame of size (W, H)
+ * @param {Object} size - expression names for the item width and height
+ *   (overlay uses w/h, drawtext tw/th)
+ */
+function placement(position, margin, size = { w: 'w', h: 'h' }) {
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+  const x = {
+    left: `W*${margin}`,
+    right: `W-${size.w}-W*${margin}`,
+    center: `(W-${size.w})/2`
+  }[horizontal];
+  const y = {
+    top: `H*${margin}`,
+    bottom: `H-${size.h}-H*${margin}`,
+    center: `(H-${size.h})/2`
+  }[vertical];
+  return { x, y };
+}
+
+/**
+ * drawtext filter for a text layer
+ * @param {string} textFile - File holding the text
+ */
+function textFilter(text, textFile) {
+  const { x, y } = placement(text.position, text.margin, { w: 'tw', h: 'th' });
+  const options = [
+    `textfile=${quote(textFile)}`,
+    'expansion=none',
+    ...(text.fontFile ? [`fontfile=${quote(text.fontFile)}`] : []),
+    `fontsize=h*${text.fontSize}`,
+    `fontcolor=${text.color}@${text.opacity}`,
+    ...(text.box ? ['box=1', 'boxcolor=black@0.4', 'boxborderw=8'] : []),
+    `x=${x}`,
+    `y=${y}`
+  ];
+  return `drawtext=${options.join(':')}`;
+}
+
+/**
+ * Filter graph drawing an overlay plan onto a video
+ * @param {Object} plan - From Transcoder.prepareOverlay
+ * @param {Object} options - source (video input label), image (watermark
+ *   input label), filters (applied to the video first, e.g. crop and
+ *   scale), output (label of the result)
+ * @returns {Array<string>}
+ */
+function buildGraph(plan, options = {}) {
+  const { source = '0:v', image = '1:v', filters = [], output = 'vout' } = options;
+  const layers = plan.text ? [textFilter(plan.text, plan.textFile)] : [];
+
+  if (!plan.watermark) {
+    return [`[${source}]${[...filters, ...layers].join(',') || 'null'}[${output}]`];
+  }
+
+  const { watermark } = plan;
+  const { x, y } = placement(watermark.position, watermark.margin);
+  return [
+    `[${image}]format=rgba,colorchannelmixer=aa=${watermark.opacity}[wmsrc]`,
+    `[${source}]${filters.join(',') || 'null'}[base]`,
+    `[wmsrc][base]scale2ref=w=main_w*${watermark.scale}:h=ow/a[wm][ref]`,
+    `[ref][wm]${[`overlay=${x}:${y}`, ...layers].join(',')}[${output}]`
+  ];
+}
+
+/**
+ * Edit options with a preset's intro before and outro after the video
+ */
+function withClips(edit, plan) {
+  if (!plan || (!plan.intro && !plan.outro)) return edit;
+  const base = edit || {};
+  return {
+    ...base,
+    prepend: [...(plan.intro ? [plan.intro] : []), ...(base.prepend || [])],
+    append: [...(base.append || []), ...(plan.outro ? [plan.outro] : [])]
+  };
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+// File path as a quoted filter option value. Forward slashes keep Windows
+// paths intact and colons are escaped for the option parser.
+function quote(file) {
+  if (String(file).includes('\'')) {
+    throw new Error(`Overlay file paths cannot contain quotes: ${file}`);
+  }
+  return `'${String(file).replace(/\\/g, '/').replace(/:/g, '\\:')}'`;
+}
+
+module.exports = {
+  POSITIONS,
+  DEFAULTS,
+  TEXT_FILENAME,
+  normalizePreset,
+  isEnabled,
+  hasLayers,
+  findPreset,
+  fromSettings,
+  presetId,
+  placement,
+  textFilter,
+  buildGraph,
+  withClips
+};
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const subtitles = require('./subtitles');
+const audioTracks = require('./audio-tracks');
 
 /**
  * M3U8 Playlist Processor
@@ -37,6 +39,9 @@ class PlaylistProcessor {
         playlist.targetDuration = parseInt(line.split(':')[1]);
       } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
         playlist.mediaSequence = parseInt(line.split(':')[1]);
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        // fMP4 init segment
+        playlist.map = this.parseAttributes(line.substring('#EXT-X-MAP:'.length)).URI || null;
       } else if (line.startsWith('#EXTINF:')) {
         const duration = parseFloat(line.split(':')[1].split(',')[0]);
         currentSegment = { duration };
@@ -64,7 +69,8 @@ class PlaylistProcessor {
     const lines = content.split('\n').filter(line => line.trim());
     const playlist = {
       version: 3,
-      variants: []
+      variants: [],
+      media: []
     };
 
     let currentVariant = {};
@@ -74,6 +80,19 @@ class PlaylistProcessor {
 
       if (line.startsWith('#EXT-X-VERSION:')) {
         playlist.version = parseInt(line.split(':')[1]);
+      } else if (line.startsWith('#EXT-X-MEDIA:')) {
+        // Alternative renditions such as subtitle tracks
+        const attributes = this.parseAttributes(line.substring('#EXT-X-MEDIA:'.length));
+        playlist.media.push({
+          type: attributes.TYPE,
+          groupId: attributes['GROUP-ID'],
+          name: attributes.NAME,
+          language: attributes.LANGUAGE || null,
+          default: attributes.DEFAULT === 'YES',
+          forced: attributes.FORCED === 'YES',
+          channels: attributes.CHANNELS || null,
+          uri: attributes.URI || null
+        });
       } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
         // Parse stream info
         const info = line.substring('#EXT-X-STREAM-INF:'.length);
@@ -82,7 +101,9 @@ class PlaylistProcessor {
         currentVariant = {
           bandwidth: parseInt(attributes.BANDWIDTH) || 0,
           resolution: attributes.RESOLUTION || null,
-          codecs: attributes.CODECS || null
+          codecs: attributes.CODECS || null,
+          audio: attributes.AUDIO || null,
+          subtitles: attributes.SUBTITLES || null
         };
       } else if (!line.startsWith('#') && line.length > 0 && Object.keys(currentVariant).length > 0) {
         // This is the variant URI
@@ -132,6 +153,16 @@ class PlaylistProcessor {
         }
         
         rewritten.push(this.createIPFSUrl(hash, segmentName));
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        // fMP4 init segment referenced from a tag
+        rewritten.push(line.replace(/URI="([^"]+)"/, (match, uri) => {
+          const initName = this.extractFilename(uri);
+          const hash = segmentHashes[initName];
+          if (!hash) {
+            throw new Error(`Missing hash for init segment: ${initName}`);
+          }
+          return `URI="${this.createIPFSUrl(hash, initName)}"`;
+        }));
       } else {
         rewritten.push(line);
       }
@@ -222,6 +253,10 @@ class PlaylistProcessor {
   validateSegmentHashes(playlistContent, segmentHashes) {
     const parsed = this.parsePlaylist(playlistContent);
     
+    if (parsed.map && !segmentHashes[this.extractFilename(parsed.map)]) {
+      return false;
+    }
+    
     for (const segment of parsed.segments) {
       const filename = this.extractFilename(segment.uri);
       if (!segmentHashes[filename]) {
@@ -234,15 +269,33 @@ class PlaylistProcessor {
 
   /**
    * Create master playlist from resolution data
+   * @param {Object} options.subtitles - Subtitle renditions { name, language, default, forced, filename, hash }
+   * @param {Object} options.audio - Audio renditions { name, language, default, channels, bandwidth, filename, hash }
    */
-  createMasterPlaylist(resolutions) {
-    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  createMasterPlaylist(resolutions, options = {}) {
+    // fMP4 segments need protocol version 7
+    const version = resolutions.some(resolution => resolution.segmentFormat === 'fmp4') ? 7 : 3;
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${version}`];
+
+    const audio = options.audio || [];
+    for (const track of audio) {
+      const uri = track.hash ? this.createIPFSUrl(track.hash, track.filename) : track.filename;
+      lines.push(audioTracks.createMediaTag(track, uri));
+    }
+    // Variant bandwidth has to cover the largest audio rendition as well
+    const audioBandwidth = audio.reduce((max, track) => Math.max(max, track.bandwidth || 0), 0);
+
+    const subtitleTracks = options.subtitles || [];
+    for (const track of subtitleTracks) {
+      const uri = track.hash ? this.createIPFSUrl(track.hash, track.filename) : track.filename;
+      lines.push(subtitles.createMediaTag(track, uri));
+    }
     
     // Sort by bandwidth (highest first)
     const sorted = [...resolutions].sort((a, b) => b.bandwidth - a.bandwidth);
     
     for (const resolution of sorted) {
-      const streamInfo = [`BANDWIDTH=${resolution.bandwidth}`];
+      const streamInfo = [`BANDWIDTH=${resolution.bandwidth + audioBandwidth}`];
       
       if (resolution.width && resolution.height) {
         streamInfo.push(`RESOLUTION=${resolution.width}x${resolution.height}`);
@@ -251,6 +304,14 @@ class PlaylistProcessor {
       if (resolution.codecs) {
         streamInfo.push(`CODECS="${resolution.codecs}"`);
       }
+
+      if (audio.length > 0) {
+        streamInfo.push(`AUDIO="${audioTracks.GROUP_ID}"`);
+      }
+
+      if (subtitleTracks.length > 0) {
+        streamInfo.push(`SUBTITLES="${subtitles.GROUP_ID}"`);
+      }
       
       lines.push(`#EXT-X-STREAM-INF:${streamInfo.join(',')}`);
       
@@ -0,0 +1,275 @@
+/**
+ * Pre-processing edits: in/out points, concatenation, crop and rotation
+ * Cuts and joins of matching clips go through an ffconcat list (FFmpeg's
+ * concat demuxer with inpoint/outpoint), so nothing is re-encoded before the
+ * HLS pass. Only clips that differ in codec, size or frame rate are rendered
+ * once to an intermediate file. Crop and rotation are video filters applied
+ * ahead of scaling in every rendition.
+ */
+
+const path = require('path');
+
+const ROTATIONS = [0, 90, 180, 270];
+
+// Intermediate renders are an editing master, so quality beats size
+const INTERMEDIATE = {
+  filename: 'edited.mp4',
+  videoCodec: 'libx264',
+  preset: 'veryfast',
+  crf: 16,
+  audioBitrate: '192k',
+  sampleRate: 48000
+};
+
+const CONCAT_LIST = 'source.ffconcat';
+
+/**
+ * Parse a time given as seconds (`90`, `12.5`) or `[HH:]MM:SS[.mmm]`
+ * @returns {number|null} seconds, or null for an empty value
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid time: ${value}`);
+    return value;
+  }
+
+  const match = /^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid time: ${value}`);
+  const [, first, second, seconds] = match;
+  const hours = second !== undefined ? Number(first) : 0;
+  const minutes = second !== undefined ? Number(second) : Number(first || 0);
+  return hours * 3600 + minutes * 60 + Number(seconds);
+}
+
+/**
+ * Parse a crop given as an aspect ratio (`16:9`) or a rectangle (`1280x720+320+0`)
+ */
+function parseCrop(value) {
+  if (!value || value === 'none') return null;
+  if (typeof value === 'object') return value;
+
+  const rect = /^(\d+)x(\d+)(?:\+(\d+)\+(\d+))?$/.exec(value);
+  if (rect) {
+    const [, width, height, x, y] = rect;
+    return { width: Number(width), height: Number(height), ...(x !== undefined ? { x: Number(x), y: Number(y) } : {}) };
+  }
+  if (/^\d+(?:\.\d+)?:\d+(?:\.\d+)?$/.test(value)) {
+    return { aspect: value };
+  }
+  throw new Error(`Invalid crop: ${value} (expected W:H or WxH+X+Y)`);
+}
+
+/**
+ * Turn an upload's edit options into a list of clips
+ * @param {string} videoPath - The main video
+ * @param {Object} edit - in, out (times for the main video), prepend and
+ *   append (clips before and after it: paths or { path, in, out }), crop, rotate
+ * @returns {{clips: Array<{path, in, out}>, main: number, crop: Object|null, rotate: number}}
+ *   main is the index of the main video in clips
+ */
+function normalizeEdit(videoPath, edit = {}) {
+  const clip = entry => (typeof entry === 'string' ? { path: entry } : { ...entry });
+  const prepend = (edit.prepend || []).map(clip);
+  const clips = [...prepend, { path: videoPath, in: edit.in, out: edit.out }, ...(edit.append || []).map(clip)];
+
+  const rotate = Number(edit.rotate) || 0;
+  if (!ROTATIONS.includes(((rotate % 360) + 360) % 360)) {
+    throw new Error(`Rotation must be a multiple of 90 degrees, got ${edit.rotate}`);
+  }
+
+  return {
+    clips: clips.map(entry => ({ path: path.resolve(entry.path), in: parseTime(entry.in), out: parseTime(entry.out) })),
+    main: prepend.length,
+    crop: parseCrop(edit.crop),
+    rotate: ((rotate % 360) + 360) % 360
+  };
+}
+
+/**
+ * Whether an edit changes anything
+ */
+function hasEdits(edit) {
+  if (!edit) return false;
+  return !!(edit.in || edit.out || (edit.append && edit.append.length > 0) || (edit.prepend && edit.prepend.length > 0) ||
+    (edit.crop && edit.crop !== 'none') || Number(edit.rotate));
+}
+
+/**
+ * Fill in and check clip in/out points against the clips' durations
+ * @param {Array<Object>} metadatas - analyzeVideo() result per clip
+ * @returns {Array<{path, in, out, duration}>}
+ */
+function resolveClips(clips, metadatas) {
+  return clips.map((clip, i) => {
+    const length = Number(metadatas[i].duration) || 0;
+    const start = clip.in || 0;
+    const end = clip.out !== null && clip.out !== undefined ? Math.min(clip.out, length || clip.out) : length;
+    if (!(end > start)) {
+      throw new Error(`Clip ${path.basename(clip.path)}: out point (${end}s) must be after the in point (${start}s)`);
+    }
+    return { path: clip.path, in: start, out: end, duration: round(end - start) };
+  });
+}
+
+/**
+ * Whether clips can be joined by the concat demuxer without re-encoding
+ * first: same codecs, frame size, frame rate and audio layout
+ */
+function clipsCompatible(metadatas) {
+  const [first, ...rest] = metadatas;
+  const channels = metadata => (metadata.audioStreams && metadata.audioStreams[0] ? metadata.audioStreams[0].channels : null);
+  return rest.every(metadata =>
+    metadata.codec === first.codec &&
+    metadata.width === first.width &&
+    metadata.height === first.height &&
+    Math.abs((metadata.fps || 0) - (first.fps || 0)) < 0.01 &&
+    metadata.hasAudio === first.hasAudio &&
+    metadata.audioCodec === first.audioCodec &&
+    channels(metadata) === channels(first)
+  );
+}
+
+/**
+ * Crop rectangle in source pixels: an aspect ratio is centred in the frame,
+ * a rectangle without x/y too. Dimensions are rounded down to even numbers.
+ */
+function cropRect(crop, width, height) {
+  if (!crop) return null;
+
+  let rect;
+  if (crop.aspect) {
+    const [w, h] = String(crop.aspect).split(':').map(Number);
+    if (!(w > 0 && h > 0)) throw new Error(`Invalid crop aspect ratio: ${crop.aspect}`);
+    rect = width / height > w / h
+      ? { width: (height * w) / h, height }
+      : { width, height: (width * h) / w };
+  } else {
+    rect = { width: Number(crop.width), height: Number(crop.height) };
+  }
+
+  rect.width = Math.floor(rect.width / 2) * 2;
+  rect.height = Math.floor(rect.height / 2) * 2;
+  rect.x = crop.x !== undefined ? Number(crop.x) : Math.floor((width - rect.width) / 2);
+  rect.y = crop.y !== undefined ? Number(crop.y) : Math.floor((height - rect.height) / 2);
+
+  if (!(rect.width > 0 && rect.height > 0) || rect.x < 0 || rect.y < 0 ||
+      rect.x + rect.width > width || rect.y + rect.height > height) {
+    throw new Error(`Crop ${rect.width}x${rect.height}+${rect.x}+${rect.y} does not fit a ${width}x${height} video`);
+  }
+  return rect;
+}
+
+/**
+ * Crop, then rotate clockwise
+ */
+function videoFilters(rect, rotate = 0) {
+  const filters = [];
+  if (rect) filters.push(`crop=${rect.width}:${rect.height}:${rect.x}:${rect.y}`);
+  if (rotate === 90) filters.push('transpose=1');
+  if (rotate === 180) filters.push('hflip', 'vflip');
+  if (rotate === 270) filters.push('transpose=2');
+  return filters;
+}
+
+/**
+ * Frame size after crop and rotation
+ */
+function outputDimensions(size, rotate = 0) {
+  return rotate === 90 || rotate === 270
+    ? { width: size.height, height: size.width }
+    : { width: size.width, height: size.height };
+}
+
+/**
+ * ffconcat list joining clips by file name (relative names keep the concat
+ * demuxer's safe mode happy). A comment per clip names the original file,
+ * so the list changes whenever an input does.
+ * @param {Array<{file, in, out, duration, origin}>} clips - origin is a
+ *   description of the input such as its path, size and modification time
+ */
+function createConcatList(clips) {
+  const lines = ['ffconcat version 1.0'];
+  for (const clip of clips) {
+    if (clip.origin) lines.push(`# ${clip.origin}`);
+    lines.push(`file ${clip.file}`);
+    if (clip.in > 0) lines.push(`inpoint ${clip.in}`);
+    if (clip.out !== undefined && clip.out !== null) lines.push(`outpoint ${clip.out}`);
+    if (clip.duration) lines.push(`duration ${clip.duration}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Filter graph joining clips of different sizes or formats with the concat
+ * filter. Every clip is letterboxed to the target frame and frame rate;
+ * clips without audio get silence so the audio stays in sync.
+ * @param {Array<{duration, hasAudio}>} clips - One per FFmpeg input, in order
+ * @param {Object} target - width, height, fps of the output
+ * @returns {{filters: Array<string>, video: string, audio: string|null}}
+ */
+function concatFilterGraph(clips, target) {
+  const { width, height } = target;
+  const fps = Math.round((target.fps || 30) * 1000) / 1000;
+  const withAudio = clips.some(clip => clip.hasAudio);
+  const filters = [];
+  const inputs = [];
+
+  clips.forEach((clip, i) => {
+    filters.push(
+      `[${i}:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`
+    );
+    inputs.push(`[v${i}]`);
+    if (withAudio) {
+      filters.push(clip.hasAudio
+        ? `[${i}:a:0]aresample=${INTERMEDIATE.sampleRate},aformat=channel_layouts=stereo[a${i}]`
+        : `aevalsrc=0:c=stereo:s=${INTERMEDIATE.sampleRate}:d=${clip.duration}[a${i}]`);
+      inputs.push(`[a${i}]`);
+    }
+  });
+
+  filters.push(`${inputs.join('')}concat=n=${clips.length}:v=1:a=${withAudio ? 1 : 0}[outv]${withAudio ? '[outa]' : ''}`);
+  return { filters, video: 'outv', audio: withAudio ? 'outa' : null };
+}
+
+/**
+ * Part of the main video's timeline that ends up in the output, combined
+ * with a silence trim ({start, end} on the edited timeline). Caption files
+ * and embedded subtitles belong to the main video, so they are cut to this.
+ * @returns {{start: number, end: number, offset?: number}|null} offset is
+ *   where the window starts in the output when clips play before it
+ */
+function captionWindow(editPlan, trim) {
+  if (!editPlan) return trim || null;
+  const index = editPlan.main || 0;
+  const main = editPlan.clips[index];
+  const before = editPlan.clips.slice(0, index).reduce((sum, clip) => sum + clip.duration, 0);
+  const trimStart = trim ? trim.start : 0;
+  const start = main.in + Math.max(0, trimStart - before);
+  const end = Math.min(main.out, main.in + (trim ? trim.end : Infinity) - before);
+  const offset = round(Math.max(0, before - trimStart));
+  return { start: round(start), end: round(end), ...(offset > 0 ? { offset } : {}) };
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  ROTATIONS,
+  INTERMEDIATE,
+  CONCAT_LIST,
+  parseTime,
+  parseCrop,
+  normalizeEdit,
+  hasEdits,
+  resolveClips,
+  clipsCompatible,
+  cropRect,
+  videoFilters,
+  outputDimensions,
+  createConcatList,
+  concatFilterGraph,
+  captionWindow
+};
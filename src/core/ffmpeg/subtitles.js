@@ -0,0 +1,207 @@
+/**
+ * WebVTT subtitles for HLS
+ * Parses SRT and WebVTT caption files into cues and splits them into the
+ * segmented WebVTT renditions referenced by EXT-X-MEDIA TYPE=SUBTITLES.
+ */
+
+const path = require('path');
+
+// Subtitle codecs FFmpeg can convert to WebVTT. Bitmap subtitles (PGS, DVB,
+// VobSub) would need OCR and are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Subtitle segments line up with the 10 s video segments
+const SEGMENT_DURATION = 10;
+
+// Start of the video timeline in 90 kHz ticks. FFmpeg's MPEG-TS muxer starts
+// at 1.4 s, fMP4 at zero; cue times are mapped onto it with X-TIMESTAMP-MAP.
+const MPEGTS_OFFSETS = { ts: 126000, fmp4: 0 };
+
+const GROUP_ID = 'subs';
+
+/**
+ * Parse an SRT/WebVTT timestamp (`01:02:03,456`, `02:03.456`) into seconds
+ */
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid subtitle timestamp: ${value}`);
+  }
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (`HH:MM:SS.mmm`)
+ */
+function formatTimestamp(seconds) {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor(totalMillis / 60000) % 60;
+  const secs = Math.floor(totalMillis / 1000) % 60;
+  const millis = totalMillis % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(millis, 3)}`;
+}
+
+/**
+ * Parse SRT or WebVTT content into cues sorted by start time
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function parseCues(content) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+    if (lines.length === 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    // The timing line follows an optional SRT index / VTT cue identifier;
+    // WebVTT cue settings after the end time are dropped
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+    const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+
+    const text = lines.slice(timingIndex + 1).join('\n');
+    if (!text) continue;
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Move cues by `offset` seconds, dropping those that end up outside
+ * [0, duration] and clipping the ones that straddle an edge
+ */
+function shiftCues(cues, offset, duration = Infinity) {
+  return cues
+    .map(cue => ({ ...cue, start: Math.max(0, cue.start + offset), end: Math.min(duration, cue.end + offset) }))
+    .filter(cue => cue.end > cue.start);
+}
+
+/**
+ * Split cues into WebVTT segments. A cue spanning a boundary is repeated in
+ * each segment it overlaps, as HLS requires.
+ * @param {Object} options - duration (seconds, defaults to the last cue end),
+ *   segmentDuration, segmentFormat ('ts' or 'fmp4') of the video renditions
+ * @returns {Array<{duration: number, content: string}>}
+ */
+function segmentCues(cues, options = {}) {
+  const segmentDuration = options.segmentDuration || SEGMENT_DURATION;
+  const lastCueEnd = cues.reduce((max, cue) => Math.max(max, cue.end), 0);
+  const total = Number(options.duration) || lastCueEnd || segmentDuration;
+  const count = Math.max(1, Math.ceil(total / segmentDuration));
+  const header = [
+    'WEBVTT',
+    `X-TIMESTAMP-MAP=MPEGTS:${MPEGTS_OFFSETS[options.segmentFormat] ?? MPEGTS_OFFSETS.ts},LOCAL:00:00:00.000`
+  ].join('\n');
+
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const start = i * segmentDuration;
+    const end = Math.min(total, start + segmentDuration);
+    const body = cues
+      .filter(cue => cue.start < end && cue.end > start)
+      .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`);
+
+    segments.push({
+      duration: Math.max(end - start, 0.001),
+      content: [header, ...body].join('\n\n') + '\n'
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Build a VOD media playlist for subtitle segments
+ * @param {Array<{filename: string, duration: number}>} segments
+ */
+function createSubtitlePlaylist(segments) {
+  const targetDuration = Math.ceil(segments.reduce((max, seg) => Math.max(max, seg.duration), 0));
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  for (const segment of segments) {
+    lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segment.filename);
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Canonical BCP 47 tag for a language code (ffprobe reports ISO 639-2,
+ * e.g. `eng` -> `en`), or null when the code is missing or invalid
+ */
+function normalizeLanguage(code) {
+  if (!code || code === 'und') return null;
+  try {
+    return Intl.getCanonicalLocales(code)[0];
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Display name for a language tag, falling back to the tag itself
+ */
+function languageName(language) {
+  if (!language) return 'Unknown';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (_) {
+    return language;
+  }
+}
+
+/**
+ * Language from a caption filename such as `movie.en.srt` or `movie.pt-BR.vtt`
+ */
+function languageFromFilename(filePath) {
+  const match = /\.([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)$/i.exec(path.basename(filePath, path.extname(filePath)));
+  return match ? normalizeLanguage(match[1]) : null;
+}
+
+/**
+ * EXT-X-MEDIA tag for a subtitle rendition
+ * @param {Object} track - name, language, default, forced
+ * @param {string} uri - Playlist URI
+ */
+function createMediaTag(track, uri) {
+  const attributes = [
+    'TYPE=SUBTITLES',
+    `GROUP-ID="${GROUP_ID}"`,
+    `NAME="${String(track.name || languageName(track.language)).replace(/"/g, '\'')}"`
+  ];
+  if (track.language) attributes.push(`LANGUAGE="${track.language}"`);
+  attributes.push(`DEFAULT=${track.default ? 'YES' : 'NO'}`, 'AUTOSELECT=YES');
+  if (track.forced) attributes.push('FORCED=YES');
+  attributes.push(`URI="${uri}"`);
+  return `#EXT-X-MEDIA:${attributes.join(',')}`;
+}
+
+module.exports = {
+  TEXT_SUBTITLE_CODECS,
+  SEGMENT_DURATION,
+  MPEGTS_OFFSETS,
+  GROUP_ID,
+  parseTimestamp,
+  formatTimestamp,
+  parseCues,
+  shiftCues,
+  segmentCues,
+  createSubtitlePlaylist,
+  normalizeLanguage,
+  languageName,
+  languageFromFilename,
+  createMediaTag
+};
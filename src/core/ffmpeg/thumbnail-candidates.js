@@ -0,0 +1,166 @@
+/**
+ * Thumbnail candidate selection
+ * Picks poster frames from scene changes and evenly spaced samples, scored
+ * on exposure, contrast and sharpness so black, washed-out, flat and
+ * motion-blurred frames lose.
+ */
+
+// Frames are scored as small grayscale images
+const ANALYSIS_WIDTH = 160;
+
+// Scene change score (0-1) FFmpeg's select filter must exceed
+const SCENE_THRESHOLD = 0.3;
+
+// The first frame after a cut is often mid-transition
+const SCENE_OFFSET = 0.5;
+
+// Skip fades in and end credits
+const LEAD_IN = 0.02;
+const LEAD_OUT = 0.05;
+
+const DEFAULT_SAMPLES = 16;
+const MAX_SCENES = 32;
+
+/**
+ * Timestamps of scene changes from `showinfo` filter output lines
+ */
+function parseSceneTimes(lines) {
+  const times = [];
+  for (const line of lines) {
+    const match = /pts_time:\s*([\d.]+)/.exec(line);
+    if (match && line.includes('showinfo')) {
+      times.push(parseFloat(match[1]));
+    }
+  }
+  return times;
+}
+
+/**
+ * Merge scene changes with evenly spaced samples into the timestamps to score
+ * @param {number} duration - Video duration in seconds
+ * @param {Array<number>} sceneTimes - From parseSceneTimes
+ * @param {Object} options - samples (evenly spaced timestamps to add)
+ * @returns {Array<{timestamp: number, scene: boolean}>} sorted, at least 1 s apart
+ */
+function candidateTimestamps(duration, sceneTimes = [], options = {}) {
+  const samples = options.samples || DEFAULT_SAMPLES;
+  if (!(duration > 0)) return [{ timestamp: 0, scene: false }];
+
+  const start = duration * LEAD_IN;
+  const end = duration * (1 - LEAD_OUT);
+  const candidates = [];
+
+  // Spread scene changes over the video rather than keeping the first few
+  const scenes = sceneTimes
+    .map(time => time + SCENE_OFFSET)
+    .filter(time => time >= start && time <= end);
+  const step = Math.max(1, scenes.length / MAX_SCENES);
+  for (let i = 0; i < scenes.length && candidates.length < MAX_SCENES; i += step) {
+    candidates.push({ timestamp: scenes[Math.floor(i)], scene: true });
+  }
+
+  for (let i = 0; i < samples; i++) {
+    candidates.push({ timestamp: start + ((end - start) * (i + 0.5)) / samples, scene: false });
+  }
+
+  candidates.sort((a, b) => a.timestamp - b.timestamp);
+  const spaced = [];
+  for (const candidate of candidates) {
+    const last = spaced[spaced.length - 1];
+    if (!last || candidate.timestamp - last.timestamp >= 1) {
+      spaced.push({ ...candidate, timestamp: Math.round(candidate.timestamp * 1000) / 1000 });
+    } else if (candidate.scene) {
+      last.scene = true;
+    }
+  }
+  return spaced;
+}
+
+/**
+ * Score an 8-bit grayscale frame
+ * @param {Buffer|Uint8Array} pixels - width * height luma values
+ * @returns {{brightness: number, contrast: number, sharpness: number, score: number}}
+ *   brightness is the mean (0-255), contrast the standard deviation, sharpness
+ *   the variance of the Laplacian; score is 0-1
+ */
+function scoreFrame(pixels, width, height) {
+  const count = width * height;
+  if (!count || pixels.length < count) {
+    return { brightness: 0, contrast: 0, sharpness: 0, score: 0 };
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < count; i++) {
+    sum += pixels[i];
+    sumSquares += pixels[i] * pixels[i];
+  }
+  const brightness = sum / count;
+  const contrast = Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness));
+
+  let lapSum = 0;
+  let lapSquares = 0;
+  let lapCount = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      lapCount++;
+    }
+  }
+  const lapMean = lapCount ? lapSum / lapCount : 0;
+  const sharpness = lapCount ? lapSquares / lapCount - lapMean * lapMean : 0;
+
+  const exposure = 1 - Math.abs(brightness - 128) / 128;
+  const contrastScore = Math.min(1, contrast / 64);
+  const sharpnessScore = Math.min(1, Math.log10(1 + sharpness) / 3);
+  let score = 0.3 * exposure + 0.3 * contrastScore + 0.4 * sharpnessScore;
+
+  // Near-black, blown-out or flat frames (fades, title cards) are last resorts
+  if (brightness < 30 || brightness > 230 || contrast < 12) {
+    score *= 0.1;
+  }
+
+  return {
+    brightness: Math.round(brightness * 10) / 10,
+    contrast: Math.round(contrast * 10) / 10,
+    sharpness: Math.round(sharpness * 10) / 10,
+    score: Math.round(score * 1000) / 1000
+  };
+}
+
+/**
+ * Best `count` scored candidates, spread out so near-identical frames of one
+ * shot do not fill the list
+ * @param {Array<Object>} scored - { timestamp, score, ... }
+ * @param {number} minGap - Seconds required between picks
+ */
+function selectCandidates(scored, count, minGap = 0) {
+  const ranked = [...scored].sort((a, b) => b.score - a.score);
+  const picked = [];
+
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (picked.every(other => Math.abs(other.timestamp - candidate.timestamp) >= minGap)) {
+      picked.push(candidate);
+    }
+  }
+  // Fill up from the rest when spacing left too few
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (!picked.includes(candidate)) picked.push(candidate);
+  }
+
+  return picked;
+}
+
+module.exports = {
+  ANALYSIS_WIDTH,
+  SCENE_THRESHOLD,
+  parseSceneTimes,
+  candidateTimestamps,
+  scoreFrame,
+  selectCandidates
+};
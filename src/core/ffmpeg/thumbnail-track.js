@@ -0,0 +1,85 @@
+/**
+ * Seek preview thumbnails
+ * Frames taken at a fixed interval are tiled into JPEG sprite sheets, and a
+ * WebVTT thumbnails track maps each time range to a tile with a
+ * `#xywh=x,y,w,h` media fragment, the format scrub-preview plugins read.
+ */
+
+const { formatTimestamp } = require('./subtitles');
+
+const DEFAULTS = {
+  interval: 5, // seconds between frames
+  width: 160, // tile width; height follows the source aspect ratio
+  columns: 10,
+  rows: 10
+};
+
+const TRACK_FILENAME = 'thumbnails.vtt';
+
+/**
+ * Sprite sheet file name (FFmpeg pattern `sprite_%03d.jpg`)
+ */
+function sheetFilename(index) {
+  return `sprite_${String(index).padStart(3, '0')}.jpg`;
+}
+
+/**
+ * Work out tile size and how many frames and sheets a video needs
+ * @param {Object} metadata - analyzeVideo() result (duration, width, height)
+ * @param {Object} options - interval, width, columns, rows
+ */
+function planSpriteSheets(metadata, options = {}) {
+  const interval = Number(options.interval) > 0 ? Number(options.interval) : DEFAULTS.interval;
+  const tileWidth = Math.round((Number(options.width) || DEFAULTS.width) / 2) * 2;
+  const columns = Number(options.columns) || DEFAULTS.columns;
+  const rows = Number(options.rows) || DEFAULTS.rows;
+
+  // Even dimensions keep the scaler happy; fall back to 16:9 without metadata
+  const aspect = metadata.width && metadata.height ? metadata.height / metadata.width : 9 / 16;
+  const tileHeight = Math.max(2, Math.round((tileWidth * aspect) / 2) * 2);
+
+  const duration = Number(metadata.duration) || 0;
+  const frames = Math.max(1, Math.ceil(duration / interval));
+
+  return {
+    interval,
+    duration,
+    tileWidth,
+    tileHeight,
+    columns,
+    rows,
+    frames,
+    sheets: Math.ceil(frames / (columns * rows))
+  };
+}
+
+/**
+ * Build the WebVTT thumbnails track for a plan
+ * @param {Object} plan - From planSpriteSheets
+ * @param {Function} sheetUrl - Maps a sheet file name to the URL players load
+ */
+function createThumbnailTrack(plan, sheetUrl = filename => filename) {
+  const perSheet = plan.columns * plan.rows;
+  const cues = [];
+
+  for (let frame = 0; frame < plan.frames; frame++) {
+    const start = frame * plan.interval;
+    const end = plan.duration > 0 ? Math.min(plan.duration, start + plan.interval) : start + plan.interval;
+    const tile = frame % perSheet;
+    const x = (tile % plan.columns) * plan.tileWidth;
+    const y = Math.floor(tile / plan.columns) * plan.tileHeight;
+
+    cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\n` +
+      `${sheetUrl(sheetFilename(Math.floor(frame / perSheet)))}#xywh=${x},${y},${plan.tileWidth},${plan.tileHeight}`);
+  }
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+module.exports = {
+  DEFAULTS,
+  TRACK_FILENAME,
+  sheetFilename,
+  planSpriteSheets,
+  createThumbnailTrack
+};
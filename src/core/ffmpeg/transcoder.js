@@ -6,6 +6,22 @@ const fs = require('fs').promises;
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const FFmpegBinaryManager = require('../binaries/ffmpeg-binary');
+const { buildLadder, complexityFromBitsPerPixel } = require('./bitrate-ladder');
+const codecProfiles = require('./codec-profiles');
+const {
+  HARDWARE_ENCODERS,
+  REQUIRED_FILTERS,
+  BENCHMARK_PRESETS,
+  BENCHMARK_SOURCE,
+  recommendSettings
+} = require('./encoder-capabilities');
+const subtitles = require('./subtitles');
+const audioTracks = require('./audio-tracks');
+const thumbnailTrack = require('./thumbnail-track');
+const thumbnailCandidates = require('./thumbnail-candidates');
+const audioProcessing = require('./audio-processing');
+const preprocessing = require('./preprocessing');
+const overlays = require('./overlays');
 
 /**
  * Video Transcoder using native FFmpeg
@@ -23,6 +39,9 @@ class Transcoder extends EventEmitter {
     this.tempDir = config.tempDir || path.join(os.tmpdir(), 'spk-transcode');
     this.activeJobs = new Map();
     this.isAvailable = null;
+    // Benchmark-recommended presets per codec profile and batch concurrency
+    this.encoderPresets = config.encoderPresets || {};
+    this.batchConcurrency = config.batchConcurrency || 2;
     
     // Set FFmpeg paths if they exist
     if (this.ffmpegPath) {
@@ -136,6 +155,149 @@ class Transcoder extends EventEmitter {
     });
   }
 
+  /**
+   * List codec profiles with whether this FFmpeg build has their encoder
+   * @returns {Promise<Array<{id, label, encoder, available, segmentFormats}>>}
+   */
+  async getCodecProfiles() {
+    const encoders = await new Promise((resolve) => {
+      ffmpeg.getAvailableEncoders((err, list) => resolve(err ? {} : list));
+    });
+
+    return Object.values(codecProfiles.PROFILES).map(profile => ({
+      id: profile.id,
+      label: profile.label,
+      encoder: profile.encoder,
+      available: !!encoders[profile.encoder],
+      segmentFormats: profile.segmentFormats
+    }));
+  }
+
+  /**
+   * Enumerate what the FFmpeg build offers: the software and hardware
+   * encoders for each codec profile and the filters the transcoder needs
+   * @returns {Promise<{software: Object, hardware: Object, filters: Object}>}
+   */
+  async probeCapabilities() {
+    const [encoders, filters] = await Promise.all([
+      new Promise(resolve => ffmpeg.getAvailableEncoders((err, list) => resolve(err ? {} : list))),
+      new Promise(resolve => ffmpeg.getAvailableFilters((err, list) => resolve(err ? {} : list)))
+    ]);
+
+    const software = {};
+    const hardware = {};
+    for (const profile of Object.values(codecProfiles.PROFILES)) {
+      software[profile.id] = !!encoders[profile.encoder];
+      hardware[profile.id] = HARDWARE_ENCODERS[profile.id].filter(name => !!encoders[name]);
+    }
+
+    const requiredFilters = {};
+    for (const name of REQUIRED_FILTERS) {
+      requiredFilters[name] = !!filters[name];
+    }
+
+    return { ffmpegPath: this.ffmpegPath, software, hardware, filters: requiredFilters };
+  }
+
+  /**
+   * Time a short encode of a generated test pattern. Failures resolve with
+   * ok: false.
+   * @returns {Promise<{codec, encoder, preset, ok, fps, speed, error}>}
+   */
+  benchmarkEncoder(codec, encoder, preset = null, source = BENCHMARK_SOURCE) {
+    const profile = codecProfiles.getProfile(codec);
+    const frames = source.fps * source.duration;
+    const outputOptions = [
+      ...(preset ? [`-preset ${preset}`] : []),
+      ...codecProfiles.encoderOptions(profile.id, source),
+      `-frames:v ${frames}`,
+      '-an',
+      '-f null'
+    ];
+    return new Promise((resolve) => {
+      const started = Date.now();
+      const command = ffmpeg()
+        .input(`testsrc2=size=${source.width}x${source.height}:rate=${source.fps}`)
+        .inputFormat('lavfi')
+        .videoCodec(encoder)
+        .outputOptions(outputOptions);
+
+      command.on('error', (err) => {
+        resolve({ codec: profile.id, encoder, preset, ok: false, fps: 0, speed: 0, error: err.message.split('\n')[0] });
+      });
+
+      command.on('end', () => {
+        const seconds = Math.max((Date.now() - started) / 1000, 0.001);
+        const fps = frames / seconds;
+        resolve({
+          codec: profile.id,
+          encoder,
+          preset,
+          ok: true,
+          fps: Math.round(fps * 10) / 10,
+          speed: Math.round((fps / source.fps) * 100) / 100
+        });
+      });
+
+      command.save('-');
+    });
+  }
+
+  /**
+   * Probe the FFmpeg build, benchmark every preset of the software encoders
+   * renditions are made with, and recommend presets and batch concurrency for
+   * this machine. Emits `benchmark-progress` after each run.
+   * @param {Object} options
+   * @param {Array<string>} options.codecs - Profiles to benchmark (default all)
+   */
+  async runBenchmark(options = {}) {
+    const capabilities = await this.probeCapabilities();
+    const codecs = options.codecs || Object.keys(codecProfiles.PROFILES);
+
+    const runs = [];
+    for (const codec of codecs) {
+      const profile = codecProfiles.getProfile(codec);
+      if (capabilities.software[profile.id]) {
+        for (const preset of BENCHMARK_PRESETS[profile.id]) {
+          runs.push({ codec: profile.id, encoder: profile.encoder, preset });
+        }
+      }
+    }
+
+    const benchmarks = [];
+    for (const run of runs) {
+      const result = await this.benchmarkEncoder(run.codec, run.encoder, run.preset);
+      benchmarks.push(result);
+      this.emit('benchmark-progress', { ...result, completed: benchmarks.length, total: runs.length });
+    }
+
+    const system = {
+      platform: os.platform(),
+      arch: os.arch(),
+      cpus: os.cpus().length,
+      totalMemory: os.totalmem()
+    };
+
+    return {
+      benchmarkedAt: new Date().toISOString(),
+      system,
+      capabilities,
+      benchmarks,
+      recommended: recommendSettings(benchmarks, system)
+    };
+  }
+
+  /**
+   * Use benchmark-recommended presets and batch concurrency from settings
+   * @param {Object} settings - { encoderPresets, transcodeConcurrency }
+   */
+  applyCapabilitySettings({ encoderPresets, transcodeConcurrency } = {}) {
+    this.encoderPresets = { ...(encoderPresets || {}) };
+    if (Number(transcodeConcurrency) > 0) {
+      this.batchConcurrency = Number(transcodeConcurrency);
+    }
+  }
+
   /**
    * Analyze video metadata
    */
@@ -160,6 +322,27 @@ class Transcoder extends EventEmitter {
 
         const videoStream = metadata.streams.find(s => s.codec_type === 'video');
         const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        const audioStreams = metadata.streams
+          .filter(s => s.codec_type === 'audio')
+          .map(s => ({
+            index: s.index,
+            codec: s.codec_name,
+            language: subtitles.normalizeLanguage(s.tags?.language),
+            title: s.tags?.title || null,
+            channels: s.channels || null,
+            default: s.disposition?.default === 1
+          }));
+        const subtitleStreams = metadata.streams
+          .filter(s => s.codec_type === 'subtitle')
+          .map(s => ({
+            index: s.index,
+            codec: s.codec_name,
+            language: subtitles.normalizeLanguage(s.tags?.language),
+            title: s.tags?.title || null,
+            default: s.disposition?.default === 1,
+            forced: s.disposition?.forced === 1,
+            textBased: subtitles.TEXT_SUBTITLE_CODECS.includes(s.codec_name)
+          }));
 
         resolve({
           duration: metadata.format.duration,
@@ -171,6 +354,8 @@ class Transcoder extends EventEmitter {
           fps: eval(videoStream?.r_frame_rate) || 0,
           hasAudio: !!audioStream,
           audioCodec: audioStream?.codec_name || null,
+          audioStreams,
+          subtitleStreams,
           format: metadata.format.format_name
         });
       });
@@ -186,16 +371,22 @@ class Transcoder extends EventEmitter {
 
     // Define standard resolutions
     const standards = [
+      { name: '2160p', width: 3840, height: 2160 },
+      { name: '1440p', width: 2560, height: 1440 },
       { name: '1080p', width: 1920, height: 1080 },
       { name: '720p', width: 1280, height: 720 },
       { name: '480p', width: 854, height: 480 },
       { name: '360p', width: 640, height: 360 }
     ];
 
+    // Compare long and short sides so portrait sources are not upscaled
+    const longSide = Math.max(width, height);
+    const shortSide = Math.min(width, height);
+
     // Only include resolutions that don't upscale
     // Check if either width OR height meets the standard (to support widescreen videos)
     for (const standard of standards) {
-      if (width >= standard.width || height >= standard.height) {
+      if (longSide >= standard.width || shortSide >= standard.height) {
         resolutions.push(standard.name);
       }
     }
@@ -208,20 +399,105 @@ class Transcoder extends EventEmitter {
     return resolutions;
   }
 
+  /**
+   * Estimate how hard a video is to compress with a few short, low resolution
+   * probe encodes spread across the timeline
+   * @returns {Promise<{complexity: number, bitsPerPixel: number|null, samples: number}>}
+   */
+  async probeComplexity(videoPath, metadata, options = {}) {
+    const sampleCount = options.samples || 3;
+    const sampleDuration = options.sampleDuration || 3;
+    const duration = Number(metadata.duration) || 0;
+    const fps = Number(metadata.fps) || 30;
+    const portrait = metadata.height > metadata.width;
+
+    // Probe at 360 on the short side; keeps the pass fast on 4K sources
+    const sourceShort = Math.min(metadata.width, metadata.height) || 360;
+    const probeShort = Math.min(360, sourceShort);
+    const scale = probeShort / sourceShort;
+    const probePixels = Math.round(metadata.width * scale) * Math.round(metadata.height * scale);
+    const scaleFilter = portrait ? `scale=${probeShort}:-2` : `scale=-2:${probeShort}`;
+
+    const tempDir = await this.createTempDirectory();
+    const results = [];
+
+    try {
+      for (let i = 0; i < sampleCount; i++) {
+        const length = Math.min(sampleDuration, duration || sampleDuration);
+        const start = duration > sampleDuration
+          ? Math.max(0, (duration * (i + 1)) / (sampleCount + 1) - length / 2)
+          : 0;
+        const samplePath = path.join(tempDir, `probe_${i}.mp4`);
+
+        await new Promise((resolve, reject) => {
+          ffmpeg(videoPath)
+            .seekInput(start)
+            .duration(length)
+            .noAudio()
+            .videoCodec('libx264')
+            .videoFilters([...editFilters(options.edit), scaleFilter])
+            .outputOptions(['-preset ultrafast', '-crf 23'])
+            .on('error', reject)
+            .on('end', resolve)
+            .save(samplePath);
+        });
+
+        const { size } = await fs.stat(samplePath);
+        results.push((size * 8) / (probePixels * fps * length));
+
+        // Short clips only need one sample
+        if (duration <= sampleDuration) break;
+      }
+    } catch (error) {
+      console.warn('Complexity probe failed, using average complexity:', error.message);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    if (results.length === 0) {
+      return { complexity: 1, bitsPerPixel: null, samples: 0 };
+    }
+
+    const bitsPerPixel = results.reduce((sum, bpp) => sum + bpp, 0) / results.length;
+    return {
+      complexity: complexityFromBitsPerPixel(bitsPerPixel),
+      bitsPerPixel,
+      samples: results.length
+    };
+  }
+
+  /**
+   * Build a per-title ladder: rungs and bitrates chosen from the source's
+   * resolution, orientation, frame rate, bitrate and measured complexity
+   * @param {string} videoPath
+   * @param {Object} options - { metadata, probe (default true), maxRungs, preset, edit }
+   * @returns {Promise<{metadata: Object, complexity: Object, rungs: Array<Object>}>}
+   */
+  async buildAdaptiveLadder(videoPath, options = {}) {
+    const metadata = options.metadata || await this.analyzeVideo(videoPath);
+    const complexity = options.probe === false
+      ? { complexity: 1, bitsPerPixel: null, samples: 0 }
+      : await this.probeComplexity(videoPath, metadata, options);
+
+    const rungs = buildLadder(metadata, {
+      complexity: complexity.complexity,
+      maxRungs: options.maxRungs,
+      preset: options.preset
+    });
+
+    return { metadata, complexity, rungs };
+  }
+
   /**
    * Generate thumbnail from video
+   * @param {Object} options - edit: plan from prepareEdit, so the frame is cropped and rotated
    */
-  async generateThumbnail(videoPath, timestamp = 1) {
+  async generateThumbnail(videoPath, timestamp = 1, options = {}) {
     const thumbnailPath = path.join(await this.createTempDirectory(), `thumb_${uuidv4()}.jpg`);
+    const filters = editFilters(options.edit);
 
     return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .screenshots({
-          timestamps: [timestamp],
-          filename: path.basename(thumbnailPath),
-          folder: path.dirname(thumbnailPath),
-          size: '640x360'
-        })
+      const command = ffmpeg(videoPath)
         .on('error', reject)
         .on('end', async () => {
           try {
@@ -235,67 +511,502 @@ class Transcoder extends EventEmitter {
             reject(error);
           }
         });
+
+      if (filters.length > 0) {
+        // screenshots() cannot take filters; grab the frame with a plain encode
+        command
+          .seekInput(timestamp)
+          .videoFilters(filters)
+          .size('640x360')
+          .outputOptions(['-frames:v 1'])
+          .save(thumbnailPath);
+      } else {
+        command.screenshots({
+          timestamps: [timestamp],
+          filename: path.basename(thumbnailPath),
+          folder: path.dirname(thumbnailPath),
+          size: '640x360'
+        });
+      }
+    });
+  }
+
+  /**
+   * Timestamps of scene changes. Only keyframes are decoded: encoders place
+   * them at cuts, so this finds most scene changes at a fraction of the cost
+   * of decoding every frame.
+   * @param {Object} options - threshold: scene score (0-1) a change must exceed
+   */
+  detectSceneChanges(videoPath, options = {}) {
+    const threshold = options.threshold || thumbnailCandidates.SCENE_THRESHOLD;
+    const lines = [];
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .inputOptions(['-skip_frame nokey'])
+        .videoFilters([
+          `scale=${thumbnailCandidates.ANALYSIS_WIDTH}:-2`,
+          `select='gt(scene,${threshold})'`,
+          'showinfo'
+        ])
+        .outputOptions(['-an', '-vsync vfr', '-f null'])
+        .on('stderr', (line) => {
+          if (line.includes('showinfo')) lines.push(line);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(thumbnailCandidates.parseSceneTimes(lines)))
+        .save('-');
+    });
+  }
+
+  /**
+   * Decode one frame as raw 8-bit grayscale pixels for scoring
+   */
+  extractGrayFrame(videoPath, timestamp, width, height, filters = []) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const command = ffmpeg(videoPath)
+        .seekInput(timestamp)
+        .videoFilters([...filters, `scale=${width}:${height}`, 'format=gray'])
+        .outputOptions(['-frames:v 1', '-an', '-f rawvideo'])
+        .on('error', reject);
+
+      const stream = command.pipe();
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  /**
+   * Propose the best poster frames: scene changes plus evenly spaced samples,
+   * scored on exposure, contrast and sharpness
+   * @param {Object} options - count (default 6), samples, metadata from analyzeVideo,
+   *   edit (plan from prepareEdit)
+   * @returns {Promise<Array<Object>>} { timestamp, scene, score, brightness, contrast, sharpness }, best first
+   */
+  async findThumbnailCandidates(videoPath, options = {}) {
+    const count = options.count || 6;
+    const metadata = options.metadata || await this.analyzeVideo(videoPath);
+
+    let sceneTimes = [];
+    try {
+      sceneTimes = await this.detectSceneChanges(videoPath);
+    } catch (_) {
+      // Evenly spaced samples still give usable candidates
+    }
+
+    const width = thumbnailCandidates.ANALYSIS_WIDTH;
+    const aspect = metadata.width && metadata.height ? metadata.height / metadata.width : 9 / 16;
+    const height = Math.max(2, Math.round((width * aspect) / 2) * 2);
+
+    const scored = [];
+    for (const candidate of thumbnailCandidates.candidateTimestamps(metadata.duration, sceneTimes, options)) {
+      try {
+        const pixels = await this.extractGrayFrame(videoPath, candidate.timestamp, width, height, editFilters(options.edit));
+        scored.push({ ...candidate, ...thumbnailCandidates.scoreFrame(pixels, width, height) });
+      } catch (_) {
+        // Undecodable frame (e.g. past the last keyframe); skip it
+      }
+    }
+
+    return thumbnailCandidates.selectCandidates(scored, count, (Number(metadata.duration) || 0) / (count * 2));
+  }
+
+  /**
+   * Generate seek preview sprite sheets and the WebVTT thumbnails track
+   * pointing into them, written to outputDir
+   * @param {Object} options - interval (s), width (tile px), columns, rows;
+   *   metadata from analyzeVideo to skip probing again; trim ({start, end}
+   *   from prepareAudioProcessing) to follow a trimmed video's timeline; edit
+   *   (plan from prepareEdit) to crop and rotate the frames
+   * @returns {Promise<{plan: Object, sheets: Array<{filename, path}>, trackPath: string}>}
+   */
+  async generateThumbnailTrack(videoPath, outputDir, options = {}) {
+    const metadata = options.metadata || await this.analyzeVideo(videoPath);
+    const trim = options.trim || null;
+    const plan = thumbnailTrack.planSpriteSheets(
+      trim ? { ...metadata, duration: trim.end - trim.start } : metadata,
+      options
+    );
+    await fs.mkdir(outputDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath);
+      if (trim) {
+        command.seekInput(trim.start).duration(trim.end - trim.start);
+      }
+      command
+        .videoFilters([
+          ...editFilters(options.edit),
+          `fps=1/${plan.interval}`,
+          `scale=${plan.tileWidth}:${plan.tileHeight}`,
+          `tile=${plan.columns}x${plan.rows}`
+        ])
+        .outputOptions(['-an', '-q:v 5', '-start_number 0'])
+        .on('error', reject)
+        .on('end', resolve)
+        .save(path.join(outputDir, 'sprite_%03d.jpg'));
     });
+
+    const sheets = [];
+    for (let i = 0; i < plan.sheets; i++) {
+      const filename = thumbnailTrack.sheetFilename(i);
+      sheets.push({ filename, path: path.join(outputDir, filename) });
+    }
+
+    const trackPath = path.join(outputDir, thumbnailTrack.TRACK_FILENAME);
+    await fs.writeFile(trackPath, thumbnailTrack.createThumbnailTrack(plan));
+
+    return { plan, sheets, trackPath };
+  }
+
+  /**
+   * Check an overlay preset's files and write its text for drawtext. Intro
+   * and outro clips are left to prepareEdit (see overlays.withClips).
+   * @param {Object} preset - Entry of the overlayPresets setting
+   * @param {string} workDir - Where the text file goes
+   * @returns {Promise<Object|null>} { watermark, text, textFile, intro, outro },
+   *   or null when the preset is empty
+   */
+  async prepareOverlay(preset, workDir) {
+    const plan = overlays.normalizePreset(preset);
+    if (!overlays.isEnabled(plan)) return null;
+
+    const files = [plan.watermark && plan.watermark.path, plan.text && plan.text.fontFile, plan.intro, plan.outro];
+    for (const file of files.filter(Boolean)) {
+      try {
+        await fs.access(file);
+      } catch (_) {
+        throw new Error(`Overlay file not found: ${file}`);
+      }
+    }
+
+    let textFile = null;
+    if (plan.text) {
+      await fs.mkdir(workDir, { recursive: true });
+      textFile = path.join(workDir, overlays.TEXT_FILENAME);
+      await fs.writeFile(textFile, plan.text.text);
+    }
+    return { ...plan, textFile };
+  }
+
+  /**
+   * Apply in/out points, concatenation, crop and rotation ahead of the HLS
+   * pass. Cuts and joins of matching clips become an ffconcat list over links
+   * to the inputs; only clips that differ in format are rendered once to an
+   * intermediate file. Crop and rotation are returned as filters for
+   * the renditions (`options.edit`).
+   * @param {Object} edit - in, out, prepend/append (clips: paths or { path, in, out }), crop, rotate
+   * @param {string} workDir - Where the list, links or intermediate file go
+   * @returns {Promise<Object>} { source (file to transcode), intermediate, clips,
+   *   main (index of videoPath in clips), crop, rotate, videoFilters, metadata
+   *   (of the edited video) }
+   */
+  async prepareEdit(videoPath, edit, workDir) {
+    const spec = preprocessing.normalizeEdit(videoPath, edit);
+    const metadatas = [];
+    for (const clip of spec.clips) {
+      metadatas.push(await this.analyzeVideo(clip.path));
+    }
+    const clips = preprocessing.resolveClips(spec.clips, metadatas);
+    // Crop, frame size and letterboxing follow the main video
+    const main = metadatas[spec.main];
+
+    let source = videoPath;
+    let intermediate = false;
+    const cut = clips.length > 1 || clips[0].in > 0 || clips[0].out < (Number(main.duration) || Infinity);
+    if (cut) {
+      await fs.mkdir(workDir, { recursive: true });
+      if (clips.length === 1 || preprocessing.clipsCompatible(metadatas)) {
+        const entries = [];
+        for (const [i, clip] of clips.entries()) {
+          const file = `clip_${String(i).padStart(3, '0')}${path.extname(clip.path).toLowerCase()}`;
+          await linkFile(clip.path, path.join(workDir, file));
+          const { size, mtimeMs } = await fs.stat(clip.path);
+          entries.push({ ...clip, file, origin: `${clip.path} ${size} ${Math.round(mtimeMs)}` });
+        }
+        source = path.join(workDir, preprocessing.CONCAT_LIST);
+        await fs.writeFile(source, preprocessing.createConcatList(entries));
+      } else {
+        source = path.join(workDir, preprocessing.INTERMEDIATE.filename);
+        await this.renderConcat(clips, metadatas, source, main);
+        intermediate = true;
+      }
+    }
+
+    const crop = preprocessing.cropRect(spec.crop, main.width, main.height);
+    const size = preprocessing.outputDimensions(crop || main, spec.rotate);
+    const sourceMetadata = intermediate ? await this.analyzeVideo(source) : main;
+
+    return {
+      source,
+      intermediate,
+      clips,
+      main: spec.main,
+      crop,
+      rotate: spec.rotate,
+      videoFilters: preprocessing.videoFilters(crop, spec.rotate),
+      metadata: {
+        ...sourceMetadata,
+        ...size,
+        duration: clips.reduce((sum, clip) => sum + clip.duration, 0)
+      }
+    };
+  }
+
+  /**
+   * Join clips that differ in size or format with the concat filter into one
+   * intermediate file, letterboxed to the target's frame
+   * @param {Object} target - Metadata whose width, height and fps the output takes
+   */
+  renderConcat(clips, metadatas, outputPath, target = metadatas[0]) {
+    const jobId = uuidv4();
+    const graph = preprocessing.concatFilterGraph(
+      clips.map((clip, i) => ({ duration: clip.duration, hasAudio: metadatas[i].hasAudio })),
+      { width: target.width, height: target.height, fps: target.fps }
+    );
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      for (const clip of clips) {
+        command.input(clip.path);
+        if (clip.in > 0) command.seekInput(clip.in);
+        command.inputOptions([`-t ${clip.duration}`]);
+      }
+
+      command
+        .complexFilter(graph.filters)
+        .outputOptions([
+          `-map [${graph.video}]`,
+          ...(graph.audio ? [`-map [${graph.audio}]`, '-c:a aac', `-b:a ${preprocessing.INTERMEDIATE.audioBitrate}`] : []),
+          `-c:v ${preprocessing.INTERMEDIATE.videoCodec}`,
+          `-preset ${preprocessing.INTERMEDIATE.preset}`,
+          `-crf ${preprocessing.INTERMEDIATE.crf}`
+        ]);
+
+      this.trackProgress(command, jobId, ['edit']);
+      command.on('error', (err) => {
+        this.activeJobs.delete(jobId);
+        reject(err.message.includes('SIGKILL') ? new Error('Transcoding cancelled') : err);
+      });
+      command.on('end', () => {
+        this.activeJobs.delete(jobId);
+        resolve(outputPath);
+      });
+
+      this.activeJobs.set(jobId, command);
+      command.save(outputPath);
+    });
+  }
+
+  /**
+   * Analysis pass over one audio stream: loudnorm measurement and/or
+   * silencedetect, decoding audio only
+   * @param {Object} settings - From audioProcessing.resolveSettings
+   * @param {Object} options - streamIndex (absolute stream index, default the first audio stream)
+   * @returns {Promise<{loudness: Object|null, silences: Array<{start, end}>}>}
+   */
+  analyzeAudio(videoPath, settings, options = {}) {
+    const stream = options.streamIndex !== undefined ? `0:${options.streamIndex}` : '0:a:0';
+    const lines = [];
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .outputOptions([
+          `-map ${stream}`,
+          '-vn',
+          '-sn',
+          `-af ${audioProcessing.analysisFilters(settings).join(',')}`,
+          '-f null'
+        ])
+        .on('stderr', (line) => {
+          // silencedetect lines and loudnorm's JSON summary; skip progress output
+          if (line.includes('silence_') || /^\s*[{}"]/.test(line)) lines.push(line);
+        })
+        .on('error', reject)
+        .on('end', () => resolve({
+          loudness: settings.loudnorm ? audioProcessing.parseLoudnorm(lines) : null,
+          silences: settings.trimSilence ? audioProcessing.parseSilences(lines) : []
+        }))
+        .save('-');
+    });
+  }
+
+  /**
+   * Measure the source and build the audio processing plan renditions are
+   * encoded with (`options.audioProcessing` of transcodeToHLS and friends)
+   * @param {Object} options - loudnorm, targetLoudness, truePeak, loudnessRange,
+   *   downmix, trimSilence, silenceThreshold, minSilence
+   * @param {Object} context - metadata from analyzeVideo to skip probing again
+   * @returns {Promise<Object|null>} { settings, loudness, filters, channels, trim },
+   *   or null when nothing is switched on or the source has no audio
+   */
+  async prepareAudioProcessing(videoPath, options = {}, context = {}) {
+    const settings = audioProcessing.resolveSettings(options);
+    if (!audioProcessing.isEnabled(settings)) return null;
+
+    const metadata = context.metadata || await this.analyzeVideo(videoPath);
+    if (!metadata.hasAudio) return null;
+
+    const analysis = settings.loudnorm || settings.trimSilence
+      ? await this.analyzeAudio(videoPath, settings)
+      : {};
+    return audioProcessing.createPlan(settings, analysis, metadata.duration);
   }
 
   /**
    * Transcode video to HLS format
+   * @param {Object} options.encoding - Rung from buildAdaptiveLadder; overrides the fixed table
+   * @param {string} options.codec - Codec profile: 'h264' (default), 'hevc', 'av1' or 'vp9'
+   * @param {string} options.segmentFormat - 'ts' or 'fmp4'; HEVC/AV1/VP9 always use fMP4
+   * @param {number} options.fps - Source frame rate, used to pick the codec level
+   * @param {boolean} options.resume - Continue after the last complete segment already in outputDir
+   * @param {Object} options.audioProcessing - Plan from prepareAudioProcessing (loudness, downmix, trim)
+   * @param {Object} options.edit - Plan from prepareEdit; its crop/rotate filters run before scaling
+   * @param {Object} options.overlay - Plan from prepareOverlay, drawn after scaling
    */
-  async transcodeToHLS(videoPath, outputDir, resolution) {
+  async transcodeToHLS(videoPath, outputDir, resolution, options = {}) {
     const jobId = uuidv4();
-    const playlistName = `${resolution}.m3u8`;
-    const playlistPath = path.join(outputDir, playlistName);
-    const segmentPattern = path.join(outputDir, `${resolution}_segment_%03d.ts`);
+    let plan = this.planRendition(outputDir, resolution, options);
 
     // Ensure output directory exists
     await fs.mkdir(outputDir, { recursive: true });
 
-    // Get encoding settings
-    const settings = this.getEncodingSettings(resolution);
+    if (options.resume) {
+      const state = await this.readRenditionState(plan);
+      if (state.complete) {
+        return this.collectRendition(plan);
+      }
+      if (state.segments.length > 0) {
+        plan = this.planRendition(outputDir, resolution, { ...options, resumeFrom: state });
+        this.emit('resume', { jobId, resolution, offset: state.offset, segments: state.segments.length });
+      }
+    }
 
     return new Promise((resolve, reject) => {
-      const command = ffmpeg(videoPath)
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .outputOptions([
-          `-preset ${settings.preset}`,
-          `-crf ${settings.crf}`,
-          `-b:v ${settings.videoBitrate}`,
-          `-maxrate ${settings.videoBitrate}`,
-          `-bufsize ${parseInt(settings.videoBitrate) * 2}k`,
-          `-b:a ${settings.audioBitrate}`,
-          `-hls_time 10`,
-          `-hls_list_size 0`,
-          `-hls_segment_filename ${segmentPattern}`,
-          '-f hls'
-        ]);
+      const command = ffmpeg(videoPath).videoCodec(plan.encoder);
+      if (!plan.separateAudio) {
+        command.audioCodec('aac');
+      }
+      command.outputOptions(plan.outputOptions);
 
-      // Apply resolution scaling if not original
-      if (resolution !== 'original') {
-        command.size(`${settings.maxWidth}x${settings.maxHeight}`);
+      if (plan.seekInput) {
+        command.seekInput(plan.seekInput);
       }
 
-      // Track progress
-      let duration = 0;
-      command.on('codecData', (data) => {
-        const match = /Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/.exec(data.duration);
-        if (match) {
-          duration = parseFloat(match[1]) * 3600 + parseFloat(match[2]) * 60 + parseFloat(match[3]);
+      if (plan.overlay) {
+        // The watermark is a second input, so everything goes through one graph
+        if (plan.overlay.watermark) command.input(plan.overlay.watermark.path);
+        command
+          .complexFilter(overlays.buildGraph(plan.overlay, {
+            filters: [
+              ...plan.videoFilters,
+              ...(plan.scale ? [`scale=w=${plan.scale.width}:h=${plan.scale.height}`] : [])
+            ],
+            output: 'vout'
+          }))
+          .outputOptions(['-map [vout]', ...(plan.separateAudio ? [] : ['-map 0:a:0?'])]);
+      } else {
+        // Crop/rotate from prepareEdit; fluent-ffmpeg appends the scaling after these
+        if (plan.videoFilters.length > 0) {
+          command.videoFilters(plan.videoFilters);
+        }
+
+        // Apply resolution scaling if not original
+        if (plan.scale) {
+          command.size(`${plan.scale.width}x${plan.scale.height}`);
+        }
+      }
+
+      this.trackProgress(command, jobId, [resolution]);
+
+      command.on('error', (err) => {
+        this.activeJobs.delete(jobId);
+        if (err.message.includes('SIGKILL')) {
+          reject(new Error('Transcoding cancelled'));
+        } else {
+          reject(err);
         }
       });
 
-      command.on('progress', (progress) => {
-        if (duration > 0) {
-          const percent = (progress.timemark.replace(/:/g, '') / duration) * 100;
-          this.emit('progress', {
-            jobId,
-            percent: Math.min(percent, 100),
-            currentTime: progress.timemark,
-            speed: progress.currentFps
-          });
+      command.on('end', async () => {
+        this.activeJobs.delete(jobId);
+        try {
+          resolve(await this.collectRendition(plan));
+        } catch (error) {
+          reject(error);
         }
       });
 
+      // Store command for cancellation
+      this.activeJobs.set(jobId, command);
+      
+      // Run the command
+      command.save(plan.playlistPath);
+    });
+  }
+
+  /**
+   * Transcode every rendition from a single decode. The source video is
+   * split in a filter graph and each branch is scaled and encoded to its own
+   * HLS output, so long videos are read and decoded once instead of once per
+   * rendition. Output layout and results match transcodeToMultipleResolutions.
+   * @param {Array<string|Object>} resolutions - Names ('720p') or ladder rungs
+   * @param {Object} options - Same as transcodeToHLS (codec, segmentFormat, fps, hasAudio)
+   * @returns {Promise<Object>} resolution -> transcodeToHLS-style result
+   */
+  async transcodeToHLSSinglePass(videoPath, outputDir, resolutions, options = {}) {
+    const jobId = uuidv4();
+    const plans = resolutions.map((entry) => {
+      const resolution = typeof entry === 'string' ? entry : entry.name;
+      const renditionOptions = typeof entry === 'string' ? { ...options } : { ...options, encoding: entry };
+      return this.planRendition(path.join(outputDir, resolution), resolution, renditionOptions);
+    });
+
+    for (const plan of plans) {
+      await fs.mkdir(plan.outputDir, { recursive: true });
+    }
+
+    // [0:v](crop/rotate,)split=N[s0]...[sN-1]; [si]scale=WxH[vi] (or passthrough for 'original').
+    // Overlays are drawn once at source size, ahead of the split.
+    const splitLabels = plans.map((_, i) => `[s${i}]`).join('');
+    const { overlay } = plans[0];
+    const preFilters = plans[0].videoFilters.length > 0 ? `${plans[0].videoFilters.join(',')},` : '';
+    const filterGraph = overlay
+      ? [
+        ...overlays.buildGraph(overlay, { filters: plans[0].videoFilters, output: 'main' }),
+        `[main]split=${plans.length}${splitLabels}`
+      ]
+      : [`[0:v]${preFilters}split=${plans.length}${splitLabels}`];
+    plans.forEach((plan, i) => {
+      filterGraph.push(plan.scale
+        ? `[s${i}]scale=w=${plan.scale.width}:h=${plan.scale.height}[v${i}]`
+        : `[s${i}]null[v${i}]`);
+    });
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath).complexFilter(filterGraph);
+      if (plans[0].seekInput) {
+        command.seekInput(plans[0].seekInput);
+      }
+      if (overlay && overlay.watermark) {
+        command.input(overlay.watermark.path);
+      }
+
+      plans.forEach((plan, i) => {
+        command
+          .output(plan.playlistPath)
+          .outputOptions([
+            `-map [v${i}]`,
+            ...(plan.separateAudio ? [] : ['-map 0:a:0?']),
+            `-c:v ${plan.encoder}`,
+            ...(plan.separateAudio ? [] : ['-c:a aac']),
+            ...plan.outputOptions
+          ]);
+      });
+
+      this.trackProgress(command, jobId, plans.map(plan => plan.resolution));
+
       command.on('error', (err) => {
         this.activeJobs.delete(jobId);
         if (err.message.includes('SIGKILL')) {
@@ -307,28 +1018,377 @@ class Transcoder extends EventEmitter {
 
       command.on('end', async () => {
         this.activeJobs.delete(jobId);
-        
-        // Get list of generated segments
-        const files = await fs.readdir(outputDir);
-        const segments = files
-          .filter(f => f.startsWith(`${resolution}_segment_`) && f.endsWith('.ts'))
-          .map(filename => ({
-            filename,
-            path: path.join(outputDir, filename)
-          }));
+        try {
+          const results = {};
+          for (const plan of plans) {
+            results[plan.resolution] = await this.collectRendition(plan);
+          }
+          resolve(results);
+        } catch (error) {
+          reject(error);
+        }
+      });
 
-        resolve({
-          playlistPath,
-          segments,
-          resolution
+      // Store command for cancellation
+      this.activeJobs.set(jobId, command);
+
+      command.run();
+    });
+  }
+
+  /**
+   * Work out file names, encoder settings and FFmpeg output options for one
+   * rendition without running anything
+   */
+  planRendition(outputDir, resolution, options = {}) {
+    const profile = codecProfiles.getProfile(options.codec);
+    const segmentFormat = codecProfiles.resolveSegmentFormat(profile, options.segmentFormat);
+    const segmentExtension = segmentFormat === 'fmp4' ? 'm4s' : 'ts';
+    const initFilename = `${resolution}_init.mp4`;
+    const playlistPath = path.join(outputDir, `${resolution}.m3u8`);
+    const segmentPattern = path.join(outputDir, `${resolution}_segment_%03d.${segmentExtension}`);
+
+    // Get encoding settings
+    const baseSettings = options.encoding
+      ? { ...this.getEncodingSettings(resolution), ...options.encoding }
+      : this.getEncodingSettings(resolution);
+
+    // Newer codecs reach the same quality at a lower bitrate
+    const settings = {
+      ...baseSettings,
+      videoBitrate: codecProfiles.scaleBitrate(baseSettings.videoBitrate, profile.bitrateFactor),
+      maxrate: codecProfiles.scaleBitrate(baseSettings.maxrate || baseSettings.videoBitrate, profile.bitrateFactor),
+      bufsize: codecProfiles.scaleBitrate(baseSettings.bufsize || `${parseInt(baseSettings.videoBitrate) * 2}k`, profile.bitrateFactor),
+      crf: profile.id === 'h264' ? baseSettings.crf : profile.crf
+    };
+    const frame = {
+      width: settings.width || settings.maxWidth,
+      height: settings.height || settings.maxHeight,
+      fps: options.fps
+    };
+
+    // Ladder rungs carry exact dimensions; the fixed table scales to its maximum
+    let scale = null;
+    if (options.encoding && settings.width && settings.height) {
+      scale = { width: settings.width, height: settings.height };
+    } else if (resolution !== 'original') {
+      scale = { width: settings.maxWidth, height: settings.maxHeight };
+    }
+
+    const preset = this.encoderPresets[profile.id] ||
+      (profile.preset === undefined ? settings.preset : profile.preset);
+    const hlsFlags = [];
+    const resumeFrom = options.resumeFrom;
+    const outputOptions = [
+      ...(preset ? [`-preset ${preset}`] : []),
+      `-crf ${settings.crf}`,
+      `-b:v ${settings.videoBitrate}`,
+      `-maxrate ${settings.maxrate}`,
+      `-bufsize ${settings.bufsize}`,
+      ...codecProfiles.encoderOptions(profile.id, frame),
+      // Audio lives in its own renditions when the source has several tracks
+      ...(options.separateAudio
+        ? ['-an']
+        : [`-b:a ${settings.audioBitrate}`, ...audioProcessingOptions(options.audioProcessing)]),
+      ...trimOptions(options.audioProcessing, resumeFrom),
+      `-hls_time 10`,
+      `-hls_list_size 0`,
+      `-hls_segment_filename ${segmentPattern}`
+    ];
+    if (segmentFormat === 'fmp4') {
+      // CMAF: fragmented MP4 segments with a shared init segment, each
+      // segment starting on a keyframe
+      outputOptions.push(
+        '-hls_segment_type fmp4',
+        `-hls_fmp4_init_filename ${initFilename}`,
+        '-force_key_frames expr:gte(t,n_forced*2)'
+      );
+      hlsFlags.push('independent_segments');
+    }
+
+    // Resuming: seek past the finished segments, keep timestamps continuous
+    // and append to the existing playlist with continued segment numbers
+    if (resumeFrom) {
+      outputOptions.push(
+        `-output_ts_offset ${resumeFrom.offset}`,
+        `-start_number ${resumeFrom.segments.length}`
+      );
+      hlsFlags.push('append_list');
+    }
+    if (hlsFlags.length > 0) {
+      outputOptions.push(`-hls_flags ${hlsFlags.join('+')}`);
+    }
+    outputOptions.push('-f hls');
+
+    return {
+      resolution,
+      outputDir,
+      playlistPath,
+      encoder: profile.encoder,
+      outputOptions,
+      scale,
+      videoFilters: editFilters(options.edit),
+      overlay: overlays.hasLayers(options.overlay) ? options.overlay : null,
+      separateAudio: !!options.separateAudio,
+      seekInput: seekPosition(options.audioProcessing, resumeFrom),
+      segmentFormat,
+      segmentExtension,
+      initFilename,
+      result: {
+        codec: profile.id,
+        segmentFormat,
+        codecs: codecProfiles.codecsFor(profile.id, { ...frame, hasAudio: options.hasAudio !== false }),
+        bandwidth: options.encoding
+          ? Math.round(settings.bandwidth * profile.bitrateFactor)
+          : parseInt(settings.maxrate) * 1000,
+        ...(options.encoding ? {
+          width: settings.width,
+          height: settings.height,
+          videoBitrate: settings.videoBitrate
+        } : {})
+      }
+    };
+  }
+
+  /**
+   * Plan an audio-only rendition for one source audio stream. The plan has
+   * the same shape as planRendition's (`resolution` is the track id), so
+   * collectRendition and readRenditionState work on it unchanged.
+   * @param {Object} track - From describeAudioTracks: { id, index, name, language, default }
+   * @param {Object} options - codec and segmentFormat of the video renditions, resumeFrom,
+   *   audioProcessing (plan with this track's loudness filters)
+   */
+  planAudioRendition(outputDir, track, options = {}) {
+    const profile = codecProfiles.getProfile(options.codec);
+    const segmentFormat = codecProfiles.resolveSegmentFormat(profile, options.segmentFormat);
+    const segmentExtension = segmentFormat === 'fmp4' ? 'm4s' : 'ts';
+    const initFilename = `${track.id}_init.mp4`;
+    const bitrate = options.audioBitrate || audioTracks.AUDIO_BITRATE;
+    const processing = options.audioProcessing || null;
+    const channels = (processing && processing.channels) || audioTracks.AUDIO_CHANNELS;
+    const resumeFrom = options.resumeFrom;
+
+    const hlsFlags = [];
+    const outputOptions = [
+      `-map 0:${track.index}`,
+      '-vn',
+      '-c:a aac',
+      `-b:a ${bitrate}`,
+      ...audioProcessingOptions(processing ? { ...processing, channels } : { channels }),
+      ...trimOptions(processing, resumeFrom),
+      '-hls_time 10',
+      '-hls_list_size 0',
+      `-hls_segment_filename ${path.join(outputDir, `${track.id}_segment_%03d.${segmentExtension}`)}`
+    ];
+    if (segmentFormat === 'fmp4') {
+      outputOptions.push('-hls_segment_type fmp4', `-hls_fmp4_init_filename ${initFilename}`);
+      hlsFlags.push('independent_segments');
+    }
+
+    if (resumeFrom) {
+      outputOptions.push(
+        `-output_ts_offset ${resumeFrom.offset}`,
+        `-start_number ${resumeFrom.segments.length}`
+      );
+      hlsFlags.push('append_list');
+    }
+    if (hlsFlags.length > 0) {
+      outputOptions.push(`-hls_flags ${hlsFlags.join('+')}`);
+    }
+    outputOptions.push('-f hls');
+
+    return {
+      resolution: track.id,
+      outputDir,
+      playlistPath: path.join(outputDir, `${track.id}.m3u8`),
+      outputOptions,
+      seekInput: seekPosition(processing, resumeFrom),
+      segmentFormat,
+      segmentExtension,
+      initFilename,
+      result: {
+        type: 'audio',
+        name: track.name,
+        language: track.language,
+        default: track.default,
+        channels,
+        segmentFormat,
+        codecs: codecProfiles.AUDIO_CODECS,
+        bandwidth: parseInt(bitrate) * 1000
+      }
+    };
+  }
+
+  /**
+   * Encode each source audio stream to its own HLS audio rendition in
+   * `<outputDir>/<track id>/`
+   * @param {Array<Object>} streams - analyzeVideo().audioStreams
+   * @param {Object} options - codec, segmentFormat, audioBitrate, resume, audioProcessing
+   * @returns {Promise<Object>} track id -> rendition result with `type: 'audio'`
+   */
+  async transcodeAudioRenditions(videoPath, outputDir, streams, options = {}) {
+    const results = {};
+
+    for (const track of audioTracks.describeAudioTracks(streams)) {
+      const trackDir = path.join(outputDir, track.id);
+      let trackOptions = options;
+      let plan = this.planAudioRendition(trackDir, track, trackOptions);
+      await fs.mkdir(trackDir, { recursive: true });
+
+      let state = null;
+      if (options.resume) {
+        state = await this.readRenditionState(plan);
+        if (state.complete) {
+          results[track.id] = await this.collectRendition(plan);
+          continue;
+        }
+      }
+
+      // Each language track has its own loudness, so it gets its own measurement
+      const processing = options.audioProcessing;
+      if (processing && processing.settings.loudnorm) {
+        const { loudness } = await this.analyzeAudio(videoPath, { ...processing.settings, trimSilence: false }, {
+          streamIndex: track.index
         });
+        trackOptions = {
+          ...options,
+          audioProcessing: { ...processing, loudness, filters: audioProcessing.buildFilters(processing.settings, loudness) }
+        };
+        plan = this.planAudioRendition(trackDir, track, trackOptions);
+      }
+      if (state && state.segments.length > 0) {
+        plan = this.planAudioRendition(trackDir, track, { ...trackOptions, resumeFrom: state });
+      }
+
+      results[track.id] = await this.runAudioRendition(videoPath, plan);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run one planned audio rendition
+   */
+  runAudioRendition(videoPath, plan) {
+    const jobId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath).outputOptions(plan.outputOptions);
+      if (plan.seekInput) {
+        command.seekInput(plan.seekInput);
+      }
+
+      this.trackProgress(command, jobId, [plan.resolution]);
+
+      command.on('error', (err) => {
+        this.activeJobs.delete(jobId);
+        reject(err.message.includes('SIGKILL') ? new Error('Transcoding cancelled') : err);
+      });
+
+      command.on('end', async () => {
+        this.activeJobs.delete(jobId);
+        try {
+          resolve(await this.collectRendition(plan));
+        } catch (error) {
+          reject(error);
+        }
       });
 
-      // Store command for cancellation
       this.activeJobs.set(jobId, command);
-      
-      // Run the command
-      command.save(playlistPath);
+      command.save(plan.playlistPath);
+    });
+  }
+
+  /**
+   * Build the result for a finished rendition from the files on disk
+   */
+  async collectRendition(plan) {
+    const { resolution, outputDir, segmentFormat, segmentExtension, initFilename } = plan;
+
+    // Get list of generated segments (fMP4 init segment first)
+    const files = await fs.readdir(outputDir);
+    const segments = files
+      .filter(f => f.startsWith(`${resolution}_segment_`) && f.endsWith(`.${segmentExtension}`))
+      .sort()
+      .map(filename => ({
+        filename,
+        path: path.join(outputDir, filename)
+      }));
+    if (segmentFormat === 'fmp4' && files.includes(initFilename)) {
+      segments.unshift({ filename: initFilename, path: path.join(outputDir, initFilename) });
+    }
+
+    return {
+      playlistPath: plan.playlistPath,
+      segments,
+      resolution,
+      ...plan.result
+    };
+  }
+
+  /**
+   * Read what an earlier (possibly interrupted) run left in a rendition's
+   * directory. The playlist is rewritten after each finished segment, so
+   * anything it lists is complete; segment files it does not list were being
+   * written when FFmpeg stopped and are deleted.
+   * @returns {Promise<{complete: boolean, segments: Array<{filename, duration}>, offset: number}>}
+   */
+  async readRenditionState(plan) {
+    let content;
+    try {
+      content = await fs.readFile(plan.playlistPath, 'utf8');
+    } catch (_) {
+      return { complete: false, segments: [], offset: 0 };
+    }
+
+    const segments = [];
+    let duration = null;
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.trim();
+      if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.substring('#EXTINF:'.length));
+      } else if (line && !line.startsWith('#') && duration !== null) {
+        segments.push({ filename: path.basename(line), duration });
+        duration = null;
+      }
+    }
+
+    const listed = new Set(segments.map(seg => seg.filename));
+    const files = await fs.readdir(plan.outputDir);
+    for (const file of files) {
+      if (file.startsWith(`${plan.resolution}_segment_`) && !listed.has(file)) {
+        await fs.rm(path.join(plan.outputDir, file), { force: true });
+      }
+    }
+
+    return {
+      complete: content.includes('#EXT-X-ENDLIST'),
+      segments,
+      offset: segments.reduce((sum, seg) => sum + seg.duration, 0)
+    };
+  }
+
+  /**
+   * Forward FFmpeg progress as `progress` events. One event stream per
+   * FFmpeg process, so a single-pass job reports all its renditions at once.
+   */
+  trackProgress(command, jobId, renditions) {
+    let duration = 0;
+    command.on('codecData', (data) => {
+      duration = parseTimemark(data.duration);
+    });
+
+    command.on('progress', (progress) => {
+      if (duration > 0) {
+        const percent = (parseTimemark(progress.timemark) / duration) * 100;
+        this.emit('progress', {
+          jobId,
+          percent: Math.min(percent, 100),
+          currentTime: progress.timemark,
+          speed: progress.currentFps,
+          renditions
+        });
+      }
     });
   }
 
@@ -337,6 +1397,22 @@ class Transcoder extends EventEmitter {
    */
   getEncodingSettings(resolution) {
     const settings = {
+      '2160p': {
+        videoBitrate: '16000k',
+        audioBitrate: '192k',
+        maxWidth: 3840,
+        maxHeight: 2160,
+        preset: 'fast',
+        crf: 23
+      },
+      '1440p': {
+        videoBitrate: '9000k',
+        audioBitrate: '192k',
+        maxWidth: 2560,
+        maxHeight: 1440,
+        preset: 'fast',
+        crf: 23
+      },
       '1080p': {
         videoBitrate: '5000k',
         audioBitrate: '128k',
@@ -390,38 +1466,198 @@ class Transcoder extends EventEmitter {
 
   /**
    * Transcode to multiple resolutions
+   * @param {Array<string|Object>} resolutions - Names ('720p') or ladder rungs from buildAdaptiveLadder
+   * @param {Object} options - Passed to transcodeToHLS (codec, segmentFormat, fps, hasAudio);
+   *   `singlePass: true` decodes once and encodes all renditions in one FFmpeg process;
+   *   `audioTracks` (analyzeVideo().audioStreams) with more than one stream moves audio
+   *   into separate renditions, returned alongside the video ones with `type: 'audio'`;
+   *   `audioProcessing` (from prepareAudioProcessing) applies to video and audio renditions alike
    */
-  async transcodeToMultipleResolutions(videoPath, outputDir, resolutions) {
-    const results = {};
+  async transcodeToMultipleResolutions(videoPath, outputDir, resolutions, options = {}) {
+    const { singlePass, audioTracks: audioStreams = [], ...renditionDefaults } = options;
+    const separateAudio = (audioStreams || []).length > 1;
+    if (separateAudio) {
+      renditionDefaults.separateAudio = true;
+    }
 
-    for (const resolution of resolutions) {
-      const resolutionDir = path.join(outputDir, resolution);
-      results[resolution] = await this.transcodeToHLS(videoPath, resolutionDir, resolution);
+    const resuming = renditionDefaults.resume && await this.hasPartialOutput(outputDir, resolutions);
+    let results = {};
+    if (singlePass && resolutions.length > 1 && !resuming) {
+      results = await this.transcodeToHLSSinglePass(videoPath, outputDir, resolutions, renditionDefaults);
+    } else {
+      for (const entry of resolutions) {
+        const resolution = typeof entry === 'string' ? entry : entry.name;
+        const renditionOptions = typeof entry === 'string' ? { ...renditionDefaults } : { ...renditionDefaults, encoding: entry };
+        const resolutionDir = path.join(outputDir, resolution);
+        results[resolution] = await this.transcodeToHLS(videoPath, resolutionDir, resolution, renditionOptions);
+      }
+    }
+
+    if (separateAudio) {
+      Object.assign(results, await this.transcodeAudioRenditions(videoPath, outputDir, audioStreams, renditionDefaults));
     }
 
     return results;
   }
 
+  /**
+   * Whether a previous run left renditions in outputDir. Resumed jobs continue
+   * rendition by rendition, since each may have stopped at a different segment.
+   */
+  async hasPartialOutput(outputDir, resolutions) {
+    for (const entry of resolutions) {
+      const resolution = typeof entry === 'string' ? entry : entry.name;
+      try {
+        await fs.access(path.join(outputDir, resolution, `${resolution}.m3u8`));
+        return true;
+      } catch (_) {
+        // Not started yet
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Convert an embedded text subtitle stream to a WebVTT file
+   * @param {number} streamIndex - Stream index from analyzeVideo().subtitleStreams
+   */
+  extractSubtitleStream(videoPath, streamIndex, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .outputOptions([`-map 0:${streamIndex}`, '-c:s webvtt', '-f webvtt'])
+        .on('error', reject)
+        .on('end', () => resolve(outputPath))
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * Build segmented WebVTT renditions from caption files and embedded text
+   * subtitle streams. Each track is written to `<outputDir>/<id>/`.
+   * @param {Object} options
+   * @param {Array<Object>} options.files - Caption files: { path, language, name, default, forced }
+   * @param {Array<Object>} options.streams - Embedded streams from analyzeVideo; bitmap ones are skipped
+   * @param {number} options.duration - Output duration, so the track covers the whole timeline
+   * @param {string} options.segmentFormat - Segment format of the video renditions ('ts' or 'fmp4')
+   * @param {Object} options.trim - { start, end } of the source kept in the output (silence
+   *   trimming, in/out points) and its offset in the output (after an intro);
+   *   cues are moved to match and cut to the window
+   * @returns {Promise<Array<Object>>} { id, name, language, default, forced, playlistPath, segments }
+   */
+  async createSubtitleTracks(videoPath, outputDir, options = {}) {
+    const { files = [], streams = [], duration, segmentFormat, trim = null } = options;
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const sources = [];
+    for (const file of files) {
+      sources.push({
+        language: subtitles.normalizeLanguage(file.language) || subtitles.languageFromFilename(file.path),
+        name: file.name,
+        default: !!file.default,
+        forced: !!file.forced,
+        content: await fs.readFile(file.path, 'utf-8')
+      });
+    }
+    for (const stream of streams.filter(s => s.textBased)) {
+      const vttPath = path.join(outputDir, `stream_${stream.index}.vtt`);
+      await this.extractSubtitleStream(videoPath, stream.index, vttPath);
+      sources.push({
+        language: stream.language,
+        name: stream.title,
+        default: stream.default,
+        forced: stream.forced,
+        content: await fs.readFile(vttPath, 'utf-8')
+      });
+    }
+
+    const tracks = [];
+    const usedIds = new Set();
+    for (const source of sources) {
+      // Track ids name the files, so they must be unique across the upload
+      const base = `subs_${(source.language || 'und').replace(/[^A-Za-z0-9-]/g, '')}`;
+      let id = base;
+      for (let n = 2; usedIds.has(id); n++) id = `${base}_${n}`;
+      usedIds.add(id);
+
+      const trackDir = path.join(outputDir, id);
+      await fs.mkdir(trackDir, { recursive: true });
+
+      let cues = subtitles.parseCues(source.content);
+      if (trim) {
+        cues = subtitles.shiftCues(cues, -trim.start, trim.end - trim.start);
+        if (trim.offset) cues = subtitles.shiftCues(cues, trim.offset);
+      }
+      const segments = [];
+      for (const [i, segment] of subtitles.segmentCues(cues, { duration, segmentFormat }).entries()) {
+        const filename = `${id}_segment_${String(i).padStart(3, '0')}.vtt`;
+        const segmentPath = path.join(trackDir, filename);
+        await fs.writeFile(segmentPath, segment.content);
+        segments.push({ filename, path: segmentPath, duration: segment.duration });
+      }
+
+      const playlistPath = path.join(trackDir, `${id}.m3u8`);
+      await fs.writeFile(playlistPath, subtitles.createSubtitlePlaylist(segments));
+
+      tracks.push({
+        id,
+        name: source.name || subtitles.languageName(source.language),
+        language: source.language,
+        default: source.default,
+        forced: source.forced,
+        cueCount: cues.length,
+        playlistPath,
+        segments
+      });
+    }
+
+    return tracks;
+  }
+
   /**
    * Create master playlist
+   * @param {Object} options.subtitles - Tracks from createSubtitleTracks, added as an EXT-X-MEDIA group
    */
-  async createMasterPlaylist(resolutionResults) {
-    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  async createMasterPlaylist(resolutionResults, options = {}) {
+    // fMP4 segments need protocol version 7
+    const entries = Object.values(resolutionResults);
+    const version = entries.some(data => data.segmentFormat === 'fmp4') ? 7 : 3;
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${version}`];
+
+    // Separate audio renditions from transcodeToMultipleResolutions
+    const audio = entries.filter(data => data.type === 'audio');
+    for (const track of audio) {
+      lines.push(audioTracks.createMediaTag(track, track.playlistPath));
+    }
+    const audioTag = audio.length > 0 ? `,AUDIO="${audioTracks.GROUP_ID}"` : '';
+    const audioBandwidth = audio.reduce((max, track) => Math.max(max, track.bandwidth || 0), 0);
+
+    const subtitleTracks = options.subtitles || [];
+    for (const track of subtitleTracks) {
+      lines.push(subtitles.createMediaTag(track, track.playlistPath));
+    }
+    const subtitlesTag = subtitleTracks.length > 0 ? `,SUBTITLES="${subtitles.GROUP_ID}"` : '';
 
     // Sort by bandwidth (highest first)
     const sorted = Object.entries(resolutionResults)
+      .filter(([, data]) => data.type !== 'audio')
       .sort((a, b) => (b[1].bandwidth || 0) - (a[1].bandwidth || 0));
 
     for (const [resolution, data] of sorted) {
       const settings = this.getEncodingSettings(resolution);
-      const bandwidth = parseInt(settings.videoBitrate) * 1000;
+      // Peak bandwidth includes the largest audio rendition a player may pair
+      const bandwidth = (data.bandwidth || parseInt(settings.videoBitrate) * 1000) + audioBandwidth;
       
+      // Ladder rungs carry their real (possibly portrait) dimensions
       let resolutionTag = '';
-      if (resolution !== 'original') {
+      if (data.width && data.height) {
+        resolutionTag = `,RESOLUTION=${data.width}x${data.height}`;
+      } else if (resolution !== 'original') {
         resolutionTag = `,RESOLUTION=${settings.maxWidth}x${settings.maxHeight}`;
       }
 
-      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}${resolutionTag}`);
+      const codecsTag = data.codecs ? `,CODECS="${data.codecs}"` : '';
+
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}${resolutionTag}${codecsTag}${audioTag}${subtitlesTag}`);
       lines.push(data.playlistPath);
     }
 
@@ -489,8 +1725,9 @@ class Transcoder extends EventEmitter {
 
   /**
    * Batch transcode with queue management
+   * @param {number} concurrency - Parallel jobs (default: the benchmarked transcodeConcurrency)
    */
-  async batchTranscode(jobs, concurrency = 2) {
+  async batchTranscode(jobs, concurrency = this.batchConcurrency) {
     const results = [];
     const queue = [...jobs];
     const active = new Set();
@@ -530,4 +1767,70 @@ class Transcoder extends EventEmitter {
   }
 }
 
+/**
+ * FFmpeg timemark ('01:02:03.45') or duration string to seconds
+ */
+function parseTimemark(timemark) {
+  const match = /(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(String(timemark || ''));
+  if (!match) return 0;
+  return parseFloat(match[1]) * 3600 + parseFloat(match[2]) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Crop/rotate filters of an edit plan from prepareEdit
+ */
+function editFilters(edit) {
+  return edit && edit.videoFilters ? edit.videoFilters : [];
+}
+
+/**
+ * Link an input into a work directory under a new name, copying only when
+ * the file system supports neither symbolic nor hard links
+ */
+async function linkFile(target, linkPath) {
+  await fs.rm(linkPath, { force: true });
+  try {
+    await fs.symlink(target, linkPath);
+  } catch (_) {
+    try {
+      await fs.link(target, linkPath);
+    } catch (_) {
+      await fs.copyFile(target, linkPath);
+    }
+  }
+}
+
+/**
+ * Audio filter and channel options for a processing plan
+ */
+function audioProcessingOptions(processing) {
+  if (!processing) return [];
+  const options = [];
+  if (processing.filters && processing.filters.length > 0) {
+    options.push(`-af ${processing.filters.join(',')}`);
+  }
+  if (processing.channels) {
+    options.push(`-ac ${processing.channels}`);
+  }
+  return options;
+}
+
+/**
+ * Output length for a silence-trimmed encode, less what a resumed run already has
+ */
+function trimOptions(processing, resumeFrom) {
+  if (!processing || !processing.trim) return [];
+  const length = processing.trim.end - processing.trim.start - (resumeFrom ? resumeFrom.offset : 0);
+  return [`-t ${Math.max(0, Math.round(length * 1000) / 1000)}`];
+}
+
+/**
+ * Input seek position: the trimmed start plus what a resumed run already has
+ */
+function seekPosition(processing, resumeFrom) {
+  const position = (processing && processing.trim ? processing.trim.start : 0) +
+    (resumeFrom ? resumeFrom.offset : 0);
+  return position > 0 ? position : null;
+}
+
 module.exports = Transcoder;
\ No newline at end of file
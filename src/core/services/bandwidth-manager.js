@@ -0,0 +1,324 @@
+/**
+ * Bandwidth Manager
+ * Shared upload/download rate limits and allowed transfer windows for
+ * uploads, IPFS pinning and replication. One instance is shared by every
+ * service so concurrent transfers split the configured rate between them.
+ */
+
+const { EventEmitter } = require('events');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Throttled streams are cut into slices this size so waits stay short
+const SLICE_SIZE = 64 * 1024;
+// Up to this much of the rate can be sent in one burst after an idle period
+const BURST_MS = 1000;
+// Waits outside a window re-check at least this often so setting changes apply
+const MAX_WINDOW_SLEEP = 60 * 1000;
+// How often the IPFS inbound rate is sampled while over the download limit
+const RATE_POLL_INTERVAL = 2000;
+
+/**
+ * Build manager config from settings (uploadRateLimitKBps,
+ * downloadRateLimitKBps, transferWindows)
+ */
+function fromSettings(settings = {}) {
+  return {
+    uploadKBps: settings.uploadRateLimitKBps,
+    downloadKBps: settings.downloadRateLimitKBps,
+    windows: settings.transferWindows
+  };
+}
+
+/**
+ * Validate a transfer window and fill in defaults.
+ * A window whose end is not after its start runs overnight; it belongs to
+ * the day it starts on.
+ * @param {Object|string} window - { days: [0-6], start: 'HH:MM', end: 'HH:MM' } or 'mon-fri 22:00-06:00'
+ */
+function normalizeWindow(window) {
+  if (typeof window === 'string') return parseWindow(window);
+  if (!window || typeof window !== 'object') {
+    throw new Error('Transfer window must be an object or a string like "mon-fri 22:00-06:00"');
+  }
+
+  const days = window.days === undefined || window.days === null ? ALL_DAYS : window.days;
+  const normalized = {
+    days: Array.from(new Set((Array.isArray(days) ? days : [days]).map(toDay))).sort(),
+    start: formatMinutes(toMinutes(window.start === undefined ? '00:00' : window.start)),
+    end: formatMinutes(toMinutes(window.end === undefined ? '24:00' : window.end))
+  };
+  if (normalized.days.length === 0) {
+    throw new Error('Transfer window needs at least one day');
+  }
+  return normalized;
+}
+
+/**
+ * Parse '[days] HH:MM-HH:MM', e.g. 'mon-fri 22:00-06:00', 'sat,sun 00:00-24:00'
+ * or '01:00-07:00' (every day)
+ */
+function parseWindow(text) {
+  const match = String(text).trim().toLowerCase().match(/^(?:([a-z,\- ]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid transfer window "${text}", expected e.g. "mon-fri 22:00-06:00"`);
+  }
+
+  let days = ALL_DAYS;
+  if (match[1]) {
+    days = [];
+    for (const part of match[1].split(',').map(item => item.trim()).filter(Boolean)) {
+      const [from, to] = part.split('-').map(item => item.trim());
+      const first = toDay(from);
+      const last = to === undefined ? first : toDay(to);
+      for (let day = first; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === last) break;
+      }
+    }
+  }
+  return normalizeWindow({ days, start: match[2], end: match[3] });
+}
+
+/**
+ * Parse a list of windows separated by ';'
+ */
+function parseWindows(text) {
+  return String(text || '').split(';').map(item => item.trim()).filter(Boolean).map(parseWindow);
+}
+
+/**
+ * Format a window as text accepted by parseWindow
+ */
+function formatWindow(window) {
+  const days = window.days.length === 7 ? '' : `${window.days.map(day => DAY_NAMES[day]).join(',')} `;
+  return `${days}${window.start}-${window.end}`;
+}
+
+class BandwidthManager extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {number} config.uploadKBps - Upload limit in KiB/s (0 = unlimited)
+   * @param {number} config.downloadKBps - Download limit in KiB/s (0 = unlimited)
+   * @param {Array<Object|string>} config.windows - Allowed transfer windows (empty = any time)
+   */
+  constructor(config = {}) {
+    super();
+    this.nextSlot = { upload: 0, download: 0 };
+    this.sleepers = new Set();
+    this.configure(config);
+  }
+
+  /**
+   * Replace the limits and windows. Transfers already waiting re-check
+   * against the new config.
+   */
+  configure(config = {}) {
+    this.limits = {
+      upload: toRate(config.uploadKBps),
+      download: toRate(config.downloadKBps)
+    };
+    this.windows = (config.windows || []).map(normalizeWindow);
+    this.nextSlot = { upload: 0, download: 0 };
+
+    for (const wake of Array.from(this.sleepers)) wake();
+    this.emit('configured', this.getStatus());
+    return this.getStatus();
+  }
+
+  /**
+   * Whether transfers may run at the given time
+   */
+  isAllowed(date = new Date()) {
+    if (this.windows.length === 0) return true;
+
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minute = date.getHours() * 60 + date.getMinutes();
+
+    return this.windows.some(window => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      if (end > start) {
+        return window.days.includes(day) && minute >= start && minute < end;
+      }
+      return (window.days.includes(day) && minute >= start) ||
+        (window.days.includes(previousDay) && minute < end);
+    });
+  }
+
+  /**
+   * Start of the next allowed window, or the given time when already allowed
+   * @returns {Date|null} null when no window can ever open
+   */
+  nextAllowedTime(date = new Date()) {
+    if (this.isAllowed(date)) return date;
+
+    let next = null;
+    for (let offset = 0; offset <= 7; offset++) {
+      for (const window of this.windows) {
+        const candidate = new Date(date);
+        candidate.setDate(candidate.getDate() + offset);
+        if (!window.days.includes(candidate.getDay())) continue;
+
+        const start = toMinutes(window.start);
+        candidate.setHours(Math.floor(start / 60), start % 60, 0, 0);
+        if (candidate > date && (!next || candidate < next)) next = candidate;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Resolve once transfers are allowed
+   * @param {string} label - Describes the waiting transfer in 'waiting' events
+   */
+  async waitForWindow(label = 'transfer') {
+    let announced = false;
+    while (!this.isAllowed()) {
+      const until = this.nextAllowedTime();
+      if (!announced) {
+        this.emit('waiting', { label, reason: 'window', until: until ? until.toISOString() : null });
+        announced = true;
+      }
+      const delay = until ? until.getTime() - Date.now() : MAX_WINDOW_SLEEP;
+      await this.sleep(Math.max(1000, Math.min(delay, MAX_WINDOW_SLEEP)));
+    }
+  }
+
+  /**
+   * Wait until `bytes` more may be transferred in a direction
+   * @param {'upload'|'download'} direction
+   */
+  async consume(direction, bytes) {
+    const rate = this.limits[direction];
+    if (!rate || !bytes) return;
+
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot[direction]);
+    this.nextSlot[direction] = start + (bytes * 1000) / rate;
+
+    const wait = this.nextSlot[direction] - now - BURST_MS;
+    if (wait > 0) await this.sleep(wait);
+  }
+
+  /**
+   * Yield a buffer or (async) iterable of chunks at the configured rate,
+   * pausing while outside the allowed windows
+   * @param {Buffer|Uint8Array|AsyncIterable|Iterable} source
+   * @param {'upload'|'download'} direction
+   * @param {string} label
+   */
+  async * throttle(source, direction = 'upload', label = 'transfer') {
+    const chunks = source instanceof Uint8Array ? [source] : source;
+    for await (const chunk of chunks) {
+      const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      for (let offset = 0; offset < bytes.length; offset += SLICE_SIZE) {
+        const slice = bytes.subarray(offset, offset + SLICE_SIZE);
+        await this.waitForWindow(label);
+        await this.consume(direction, slice.length);
+        yield slice;
+      }
+    }
+  }
+
+  /**
+   * Wait before starting an IPFS fetch (pin or replication). Pins are
+   * fetched by the IPFS daemon, so the download limit is enforced by holding
+   * new fetches while the node's measured inbound rate is over it.
+   * @param {Object} ipfsManager - Provides getBandwidthStats()
+   * @param {string} label
+   */
+  async waitForDownloadCapacity(ipfsManager, label = 'pin') {
+    await this.waitForWindow(label);
+    if (!this.limits.download || !ipfsManager || !ipfsManager.getBandwidthStats) return;
+
+    let announced = false;
+    for (;;) {
+      let rateIn = 0;
+      try {
+        rateIn = (await ipfsManager.getBandwidthStats()).rateIn || 0;
+      } catch (_) {
+        return; // stats unavailable, do not block transfers on them
+      }
+      if (rateIn <= this.limits.download) return;
+
+      if (!announced) {
+        this.emit('waiting', { label, reason: 'rate', rateIn });
+        announced = true;
+      }
+      await this.sleep(RATE_POLL_INTERVAL);
+      await this.waitForWindow(label);
+    }
+  }
+
+  /**
+   * Concurrent fetches to allow: one at a time while a download limit is set
+   */
+  fetchConcurrency(defaultMax) {
+    return this.limits.download ? 1 : defaultMax;
+  }
+
+  /**
+   * Current limits and window state
+   */
+  getStatus() {
+    const next = this.nextAllowedTime();
+    return {
+      uploadKBps: this.limits.upload / 1024,
+      downloadKBps: this.limits.download / 1024,
+      windows: this.windows.map(window => ({ ...window })),
+      allowedNow: this.isAllowed(),
+      nextWindow: next ? next.toISOString() : null
+    };
+  }
+
+  /**
+   * Sleep that ends early when the config changes
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.sleepers.add(wake);
+    });
+  }
+}
+
+function toRate(kbps) {
+  const value = Number(kbps) || 0;
+  if (value < 0) throw new Error(`Rate limit must be 0 (unlimited) or more, got ${kbps}`);
+  return value * 1024;
+}
+
+function toDay(day) {
+  const index = typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3));
+  if (!Number.isInteger(index) || index < 0 || index > 6) {
+    throw new Error(`Invalid day "${day}", use 0-6 or sun-sat`);
+  }
+  return index;
+}
+
+function toMinutes(time) {
+  const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time "${time}", expected HH:MM`);
+  }
+  return minutes;
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = BandwidthManager;
+module.exports.fromSettings = fromSettings;
+module.exports.normalizeWindow = normalizeWindow;
+module.exports.parseWindows = parseWindows;
+module.exports.formatWindow = formatWindow;
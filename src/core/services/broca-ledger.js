@@ -0,0 +1,252 @@
+/**
+ * BROCA Ledger
+ * Persistent record of BROCA spent from Oratr (uploads, renewals, contract
+ * extensions), projected spend for renewing current contracts, and a model
+ * of BROCA regeneration from powered-up SPK used to warn before an upload
+ * would leave too little to renew existing contracts.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const LEDGER_FILE = path.join(os.homedir(), '.oratr', 'broca-ledger.json');
+
+const ENTRY_TYPES = ['upload', 'renewal', 'extension'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Each SPK Power allows this much BROCA, refilled from empty over broca_refill blocks
+const BROCA_PER_POWER = 1000;
+const DEFAULT_REFILL_BLOCKS = 144000;
+const BLOCK_SECONDS = 3;
+// Protocol precision for SPK/LARYNX/BROCA balances is 3
+const BALANCE_SCALE = 1000;
+
+/**
+ * Available BROCA and SPK Power, in display units, from getBalances()
+ */
+function fromBalances(balances = {}) {
+  return {
+    available: Number(balances.BROCA?.available ?? balances.broca ?? 0) / BALANCE_SCALE,
+    power: Number(balances.SPK?.power ?? balances.spk_power ?? balances.SPK?.staked ?? 0) / BALANCE_SCALE
+  };
+}
+
+/**
+ * BROCA capacity and regeneration for an amount of SPK Power
+ * @param {Object} options.power - Powered-up SPK
+ * @param {Object} options.refillBlocks - Network broca_refill (blocks to refill from empty)
+ * @returns {Object} { capacity, perDay }
+ */
+function regeneration({ power = 0, refillBlocks = DEFAULT_REFILL_BLOCKS } = {}) {
+  const capacity = power * BROCA_PER_POWER;
+  const refillDays = (refillBlocks * BLOCK_SECONDS) / (24 * 60 * 60);
+  return { capacity, perDay: refillDays > 0 ? capacity / refillDays : 0 };
+}
+
+class BrocaLedger extends EventEmitter {
+  /**
+   * @param {string} options.ledgerFile - Where spend entries are kept
+   */
+  constructor({ ledgerFile = LEDGER_FILE } = {}) {
+    super();
+    this.ledgerFile = ledgerFile;
+    this.entries = [];
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Record a spend. Entries with the same type and reference (by default the
+   * transaction id) are recorded once.
+   * @param {Object} spend - { type, broca, account, contractId, transactionId, bytes, days, reference, note }
+   */
+  async record(spend) {
+    await this.load();
+    if (!ENTRY_TYPES.includes(spend.type)) {
+      throw new Error(`Unknown ledger entry type "${spend.type}", use ${ENTRY_TYPES.join(', ')}`);
+    }
+    const broca = Number(spend.broca);
+    if (!Number.isFinite(broca) || broca < 0) {
+      throw new Error(`BROCA amount must be 0 or more, got ${spend.broca}`);
+    }
+
+    const reference = spend.reference || spend.transactionId || null;
+    if (reference) {
+      const existing = this.entries.find(entry => entry.type === spend.type && entry.reference === reference);
+      if (existing) return existing;
+    }
+
+    const entry = {
+      id: `${Date.now().toString(36)}-${this.entries.length}`,
+      at: spend.at || new Date().toISOString(),
+      type: spend.type,
+      broca,
+      account: spend.account || null,
+      contractId: spend.contractId || null,
+      transactionId: spend.transactionId || null,
+      bytes: spend.bytes || null,
+      days: spend.days || null,
+      reference,
+      note: spend.note || null
+    };
+    this.entries.push(entry);
+    await this.save();
+    this.emit('recorded', entry);
+    return entry;
+  }
+
+  /**
+   * Entries matching a filter, oldest first
+   * @param {Object} filter - { type, account, since, until } (dates or ISO strings)
+   */
+  async getEntries(filter = {}) {
+    await this.load();
+    const since = filter.since ? new Date(filter.since).getTime() : -Infinity;
+    const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+    return this.entries.filter(entry => {
+      const at = new Date(entry.at).getTime();
+      return (!filter.type || entry.type === filter.type) &&
+        (!filter.account || entry.account === filter.account) &&
+        at >= since && at < until;
+    });
+  }
+
+  /**
+   * Spend per calendar month ('YYYY-MM') and type
+   */
+  async summary(filter = {}) {
+    const months = {};
+    let total = 0;
+    for (const entry of await this.getEntries(filter)) {
+      const month = monthKey(new Date(entry.at));
+      months[month] = months[month] || { upload: 0, renewal: 0, extension: 0, total: 0 };
+      months[month][entry.type] += entry.broca;
+      months[month].total += entry.broca;
+      total += entry.broca;
+    }
+    return { total, months };
+  }
+
+  /**
+   * Projected renewal spend for current contracts over the next `days`.
+   * Contracts are renewed for `extensionDays` each time they would expire.
+   * @param {Array<Object>} options.contracts - Normalized contracts ({ id, size, expiresAt })
+   * @param {Function} options.estimateCost - async (bytes, days) => BROCA
+   * @returns {Promise<Object>} { total, months, renewals: [{ contractId, at, broca }] }
+   */
+  async forecast({ contracts = [], estimateCost, days = 90, extensionDays = 30, now = new Date() }) {
+    const end = now.getTime() + days * DAY_MS;
+    const renewals = [];
+    for (const contract of contracts) {
+      if (!contract.expiresAt) continue;
+      const broca = Math.ceil(await estimateCost(contract.size, extensionDays));
+      for (let at = Math.max(contract.expiresAt.getTime(), now.getTime()); at < end; at += extensionDays * DAY_MS) {
+        renewals.push({ contractId: contract.id, at: new Date(at).toISOString(), broca });
+      }
+    }
+    renewals.sort((a, b) => a.at.localeCompare(b.at));
+
+    const months = {};
+    for (const renewal of renewals) {
+      const month = monthKey(new Date(renewal.at));
+      months[month] = (months[month] || 0) + renewal.broca;
+    }
+    return { total: renewals.reduce((sum, renewal) => sum + renewal.broca, 0), months, renewals };
+  }
+
+  /**
+   * Whether an upload leaves enough BROCA, with regeneration, to pay the
+   * forecast renewals as they come due
+   * @param {Object} options.cost - BROCA the upload will spend
+   * @param {Object} options.available - BROCA available now
+   * @param {Object} options.power - Powered-up SPK
+   * @param {Array<Object>} options.renewals - From forecast()
+   * @returns {Object} { ok, available, capacity, perDay, shortfalls: [{ contractId, at, broca, balance }], warnings }
+   */
+  checkUpload({ cost, available, power = 0, refillBlocks, renewals = [], now = new Date() }) {
+    const { capacity, perDay } = regeneration({ power, refillBlocks });
+    const warnings = [];
+    if (cost > available) {
+      warnings.push(`The upload needs ${Math.ceil(cost)} BROCA but only ${Math.floor(available)} is available`);
+    }
+
+    let balance = available - cost;
+    let last = now.getTime();
+    const shortfalls = [];
+    for (const renewal of renewals) {
+      const at = new Date(renewal.at).getTime();
+      // Regeneration stops at capacity (a balance above it is kept)
+      balance = Math.min(Math.max(capacity, balance), balance + (perDay * Math.max(0, at - last)) / DAY_MS);
+      last = Math.max(last, at);
+      if (balance < renewal.broca) {
+        shortfalls.push({ ...renewal, balance: Math.floor(balance) });
+      } else {
+        balance -= renewal.broca;
+      }
+    }
+    if (shortfalls.length > 0) {
+      const first = shortfalls[0];
+      warnings.push(`${shortfalls.length} renewal(s) could not be paid after this upload; the first is ${first.contractId} on ${first.at.slice(0, 10)} (needs ${first.broca} BROCA, ${Math.max(0, first.balance)} expected)`);
+    }
+    return { ok: warnings.length === 0, available, capacity, perDay, shortfalls, warnings };
+  }
+
+  /**
+   * Renewal forecast for the contracts a ContractRenewalService would renew,
+   * with the account's BROCA balance and regeneration
+   * @param {Object} options.renewal - ContractRenewalService with its username set
+   * @param {Object} options.spkClient - Provides getBalances() and getNetworkStats()
+   * @returns {Promise<Object>} { days, forecast, available, power, refillBlocks, capacity, perDay }
+   */
+  async outlook({ renewal, spkClient, days = 90 }) {
+    const [contracts, balances, stats] = await Promise.all([
+      renewal.upcoming(days),
+      spkClient.getBalances(true),
+      spkClient.getNetworkStats().catch(() => null)
+    ]);
+    const forecast = await this.forecast({
+      contracts,
+      estimateCost: renewal.estimateCost,
+      days,
+      extensionDays: renewal.config.extensionDays
+    });
+    const { available, power } = fromBalances(balances);
+    const refillBlocks = Number(stats?.result?.broca_refill) || DEFAULT_REFILL_BLOCKS;
+    return { days, forecast, available, power, refillBlocks, ...regeneration({ power, refillBlocks }) };
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.ledgerFile, 'utf8'));
+          this.entries = Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load BROCA ledger:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the ledger; writes are serialized so concurrent records are not lost
+   */
+  async save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.ledgerFile), { recursive: true });
+      await fs.writeFile(this.ledgerFile, JSON.stringify({ entries: this.entries }, null, 2));
+    });
+    return this.saving;
+  }
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+module.exports = BrocaLedger;
+module.exports.fromBalances = fromBalances;
+module.exports.regeneration = regeneration;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
@@ -0,0 +1,431 @@
+/**
+ * Contract Renewal Service
+ * Periodically finds the account's own storage contracts nearing expiry and
+ * extends them according to renewal policies, within a monthly BROCA budget.
+ * Every decision (renewed, skipped, failed) is written to a persistent log;
+ * the budget is tracked in monthly totals that outlast the log.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const STATE_FILE = path.join(os.homedir(), '.oratr', 'contract-renewals.json');
+
+const POLICIES = ['always', 'never', 'accessed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+// Oldest decisions are dropped past this many log entries (monthly totals are kept)
+const MAX_LOG_ENTRIES = 1000;
+
+/**
+ * Build service config from settings (autoRenewContracts, renewalBudgetBroca,
+ * renewalWithinDays, renewalExtensionDays, renewalDefaultPolicy,
+ * renewalPolicies, renewalAccessDays)
+ */
+function fromSettings(settings = {}) {
+  return {
+    enabled: settings.autoRenewContracts === true,
+    monthlyBudget: settings.renewalBudgetBroca,
+    withinDays: settings.renewalWithinDays,
+    extensionDays: settings.renewalExtensionDays,
+    defaultPolicy: settings.renewalDefaultPolicy,
+    policies: settings.renewalPolicies,
+    accessDays: settings.renewalAccessDays
+  };
+}
+
+/**
+ * Validate a renewal policy rule. Rules match a contract id, a file CID or
+ * an SPK Drive folder (and its subfolders).
+ * @param {Object|string} rule - { contract | cid | folder, policy } or 'Videos/Archive: never'
+ */
+function normalizeRule(rule) {
+  if (typeof rule === 'string') return parseRule(rule);
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Renewal rule must be an object or a string like "Videos/Archive: never"');
+  }
+
+  const normalized = { policy: toPolicy(rule.policy) };
+  if (rule.contract) normalized.contract = String(rule.contract);
+  else if (rule.cid) normalized.cid = String(rule.cid);
+  else if (rule.folder !== undefined) normalized.folder = toFolder(rule.folder);
+  else throw new Error('Renewal rule needs a contract, cid or folder');
+  return normalized;
+}
+
+/**
+ * Parse '<folder|CID|contract id>: <policy>'. CIDs start with Qm or bafy and
+ * contract ids contain ':'; anything else is a folder.
+ */
+function parseRule(text) {
+  const match = String(text).trim().match(/^(.+):\s*([a-z]+)$/i);
+  if (!match) {
+    throw new Error(`Invalid renewal rule "${text}", expected e.g. "Videos/Archive: never"`);
+  }
+  const target = match[1].trim();
+  const policy = match[2].toLowerCase();
+  if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|bafy[a-z0-9]+)$/.test(target)) return normalizeRule({ cid: target, policy });
+  if (target.includes(':')) return normalizeRule({ contract: target, policy });
+  return normalizeRule({ folder: target, policy });
+}
+
+/**
+ * Parse a list of rules separated by ';'
+ */
+function parseRules(text) {
+  return String(text || '').split(';').map(item => item.trim()).filter(Boolean).map(parseRule);
+}
+
+/**
+ * Format a rule as text accepted by parseRule
+ */
+function formatRule(rule) {
+  return `${rule.contract || rule.cid || rule.folder || '/'}: ${rule.policy}`;
+}
+
+/**
+ * Contract fields under the names used by spk-js and the SPK API
+ * @returns {Object} { id, owner, expiresAt, size, files: [{ cid, size, folder }] }
+ */
+function normalizeContract(contract) {
+  let files = [];
+  if (Array.isArray(contract.files)) {
+    files = contract.files.map(file => ({
+      cid: file.cid,
+      size: file.size || 0,
+      folder: toFolder(file.folder || (file.path ? path.posix.dirname(file.path) : ''))
+    }));
+  } else if (contract.df) {
+    files = Object.entries(contract.df).map(([cid, size]) => ({ cid, size, folder: toFolder(contract.folder || '') }));
+  }
+
+  const expires = contract.expiresAt || contract.expires || contract.expiration;
+  const expiresAt = expires ? new Date(expires) : null;
+  return {
+    id: contract.id || contract.i,
+    owner: contract.owner || contract.fileOwner || contract.t,
+    expiresAt: expiresAt && !isNaN(expiresAt) ? expiresAt : null,
+    size: contract.size || contract.u || files.reduce((sum, file) => sum + (file.size || 0), 0),
+    files
+  };
+}
+
+class ContractRenewalService extends EventEmitter {
+  /**
+   * @param {Object} options.contractSource - Provides getExpiringContracts(days) and
+   *   extendContract(contractId, fileOwner, brocaAmount, power), e.g. StorageNodeManager
+   * @param {Function} options.estimateCost - async (bytes, days) => BROCA for an extension
+   * @param {string} options.stateFile - Where the decision log and file accesses are kept
+   */
+  constructor({ contractSource, estimateCost, stateFile = STATE_FILE, checkInterval = CHECK_INTERVAL }) {
+    super();
+    this.contractSource = contractSource;
+    this.estimateCost = estimateCost;
+    this.stateFile = stateFile;
+    this.checkInterval = checkInterval;
+
+    this.username = null;
+    this.timer = null;
+    this.checking = null;
+    this.decisions = [];
+    this.spent = {}; // 'YYYY-MM' -> BROCA renewed for, kept apart from the trimmed log
+    this.access = {}; // cid -> ISO time of the last access
+    this.loaded = null;
+    this.configure();
+  }
+
+  /**
+   * Replace the renewal config
+   * @param {Object} config - See fromSettings
+   */
+  configure(config = {}) {
+    const extensionDays = Number(config.extensionDays || 30);
+    if (!Number.isInteger(extensionDays) || extensionDays < 1) {
+      throw new Error(`Extension must be a whole number of days, got ${config.extensionDays}`);
+    }
+    const monthlyBudget = Number(config.monthlyBudget || 0);
+    if (!Number.isFinite(monthlyBudget) || monthlyBudget < 0) {
+      throw new Error(`Monthly budget must be 0 (unlimited) or more BROCA, got ${config.monthlyBudget}`);
+    }
+
+    this.config = {
+      enabled: config.enabled === true,
+      monthlyBudget,
+      withinDays: Number(config.withinDays || 7),
+      extensionDays,
+      defaultPolicy: toPolicy(config.defaultPolicy || 'always'),
+      policies: (config.policies || []).map(normalizeRule),
+      accessDays: Number(config.accessDays || 30)
+    };
+    return this.config;
+  }
+
+  /**
+   * Check for expiring contracts now and then every checkInterval
+   * @param {string} username - Account whose own contracts are renewed
+   */
+  async start(username) {
+    this.stop();
+    this.username = username;
+    this.timer = setInterval(() => {
+      this.check().catch(error => this.emit('error', error));
+    }, this.checkInterval);
+    return this.check();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Renew what the policies and budget allow. Concurrent calls share one run.
+   * @param {Object} options.dryRun - Log what would happen without extending anything
+   * @returns {Promise<Array<Object>>} decisions made in this run
+   */
+  async check(options = {}) {
+    if (!this.checking) {
+      this.checking = this.runCheck(options).finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async runCheck({ dryRun = false } = {}) {
+    await this.load();
+    if (!this.config.enabled && !dryRun) return [];
+    if (!this.username) throw new Error('No account to renew contracts for');
+
+    const expiring = (await this.contractSource.getExpiringContracts(this.config.withinDays) || [])
+      .map(normalizeContract)
+      .filter(contract => contract.id && contract.owner === this.username)
+      // Spend the budget on the contracts closest to expiring first
+      .sort((a, b) => (a.expiresAt ? a.expiresAt.getTime() : Infinity) - (b.expiresAt ? b.expiresAt.getTime() : Infinity));
+
+    const decisions = [];
+    let remaining = this.remainingBudget();
+    for (const contract of expiring) {
+      const decision = await this.decide(contract, remaining);
+      if (decision.decision === 'renew' && !dryRun) {
+        try {
+          await this.contractSource.extendContract(contract.id, contract.owner, decision.broca, 0);
+          decision.decision = 'renewed';
+        } catch (error) {
+          decision.decision = 'failed';
+          decision.reason = error.message;
+        }
+      }
+      if (decision.decision === 'renewed' || (dryRun && decision.decision === 'renew')) {
+        remaining -= decision.broca;
+      }
+      decision.dryRun = dryRun;
+      decisions.push(decision);
+      this.emit('decision', decision);
+    }
+
+    if (!dryRun) {
+      for (const decision of decisions) this.logDecision(decision);
+      await this.save();
+    }
+    this.emit('checked', { decisions, remainingBudget: this.config.monthlyBudget ? remaining : null });
+    return decisions;
+  }
+
+  /**
+   * The account's contracts expiring within `days` whose policy would renew them,
+   * for forecasting renewal spend
+   * @returns {Promise<Array<Object>>} Normalized contracts
+   */
+  async upcoming(days) {
+    await this.load();
+    if (!this.username) throw new Error('No account to forecast renewals for');
+    return (await this.contractSource.getExpiringContracts(days) || [])
+      .map(normalizeContract)
+      .filter(contract => contract.id && contract.owner === this.username && this.policyFor(contract) !== 'never');
+  }
+
+  /**
+   * Decide on one contract
+   * @param {number} remaining - BROCA left in this month's budget
+   */
+  async decide(contract, remaining) {
+    const policy = this.policyFor(contract);
+    const decision = {
+      at: new Date().toISOString(),
+      contractId: contract.id,
+      owner: contract.owner,
+      expiresAt: contract.expiresAt ? contract.expiresAt.toISOString() : null,
+      policy,
+      extensionDays: this.config.extensionDays,
+      broca: 0,
+      decision: 'skipped',
+      reason: null
+    };
+
+    if (policy === 'never') {
+      decision.reason = 'policy is never';
+      return decision;
+    }
+    if (policy === 'accessed' && !this.wasAccessed(contract)) {
+      decision.reason = `no files accessed in the last ${this.config.accessDays} days`;
+      return decision;
+    }
+
+    decision.broca = Math.ceil(await this.estimateCost(contract.size, this.config.extensionDays));
+    if (this.config.monthlyBudget && decision.broca > remaining) {
+      decision.reason = `needs ${decision.broca} BROCA, ${Math.max(0, remaining)} left in this month's budget`;
+      return decision;
+    }
+    decision.decision = 'renew';
+    return decision;
+  }
+
+  /**
+   * Policy for a contract: a rule for the contract itself wins, then each
+   * file's CID rule or deepest folder rule, then the default. The contract
+   * is kept when any of its files should be.
+   */
+  policyFor(contract) {
+    const rules = this.config.policies;
+    const contractRule = rules.find(rule => rule.contract === contract.id);
+    if (contractRule) return contractRule.policy;
+    if (contract.files.length === 0) return this.config.defaultPolicy;
+
+    const policies = contract.files.map(file => {
+      const cidRule = rules.find(rule => rule.cid === file.cid);
+      if (cidRule) return cidRule.policy;
+      const folderRule = rules
+        .filter(rule => rule.folder !== undefined && isInFolder(file.folder, rule.folder))
+        .sort((a, b) => b.folder.length - a.folder.length)[0];
+      return folderRule ? folderRule.policy : this.config.defaultPolicy;
+    });
+    return ['always', 'accessed', 'never'].find(policy => policies.includes(policy));
+  }
+
+  wasAccessed(contract) {
+    const since = Date.now() - this.config.accessDays * DAY_MS;
+    return contract.files.some(file => this.access[file.cid] && new Date(this.access[file.cid]).getTime() >= since);
+  }
+
+  /**
+   * Note that files were opened or downloaded, for the 'accessed' policy
+   * @param {Array<string>|string} cids
+   */
+  async recordAccess(cids) {
+    await this.load();
+    const at = new Date().toISOString();
+    for (const cid of [].concat(cids).filter(Boolean)) this.access[cid] = at;
+    await this.save();
+  }
+
+  /**
+   * Add a decision to the log and the monthly totals. A contract skipped again
+   * for the same reason is logged once, so checks every few hours do not
+   * crowd renewals out of the log.
+   */
+  logDecision(decision) {
+    if (decision.decision === 'renewed') {
+      const month = monthKey(new Date(decision.at));
+      this.spent[month] = (this.spent[month] || 0) + decision.broca;
+    }
+    if (decision.decision === 'skipped') {
+      const last = this.decisions.filter(entry => entry.contractId === decision.contractId).pop();
+      if (last && last.decision === 'skipped' && last.reason === decision.reason) return;
+    }
+    this.decisions.push(decision);
+  }
+
+  /**
+   * BROCA spent on renewals this calendar month
+   */
+  spentThisMonth(now = new Date()) {
+    return this.spent[monthKey(now)] || 0;
+  }
+
+  remainingBudget() {
+    return this.config.monthlyBudget ? this.config.monthlyBudget - this.spentThisMonth() : Infinity;
+  }
+
+  /**
+   * Recent decisions, newest first
+   */
+  async getLog(limit = 100) {
+    await this.load();
+    return this.decisions.slice(-limit).reverse();
+  }
+
+  async getStatus() {
+    await this.load();
+    return {
+      ...this.config,
+      running: this.timer !== null,
+      username: this.username,
+      spentThisMonth: this.spentThisMonth(),
+      remainingBudget: this.config.monthlyBudget ? Math.max(0, this.remainingBudget()) : null
+    };
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+          this.decisions = Array.isArray(state.decisions) ? state.decisions : [];
+          this.spent = state.spent || totalsByMonth(this.decisions);
+          this.access = state.access || {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load contract renewal log:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  async save() {
+    this.decisions = this.decisions.slice(-MAX_LOG_ENTRIES);
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify({ decisions: this.decisions, spent: this.spent, access: this.access }, null, 2));
+  }
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Monthly totals from the log, for state files written before they were kept
+ */
+function totalsByMonth(decisions) {
+  const spent = {};
+  for (const entry of decisions.filter(decision => decision.decision === 'renewed')) {
+    const month = monthKey(new Date(entry.at));
+    spent[month] = (spent[month] || 0) + entry.broca;
+  }
+  return spent;
+}
+
+function toPolicy(policy) {
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Invalid renewal policy "${policy}", use ${POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+function toFolder(folder) {
+  return String(folder || '').replace(/^\/+|\/+$/g, '');
+}
+
+function isInFolder(folder, parent) {
+  return parent === '' || folder === parent || folder.startsWith(`${parent}/`);
+}
+
+module.exports = ContractRenewalService;
+module.exports.fromSettings = fromSettings;
+module.exports.normalizeRule = normalizeRule;
+module.exports.parseRules = parseRules;
+module.exports.formatRule = formatRule;
+module.exports.normalizeContract = normalizeContract;
+module.exports.POLICIES = POLICIES;
@@ -5,22 +5,38 @@
 
 const { EventEmitter } = require('events');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const UploadDedupe = require('./upload-dedupe');
+
+// Files given as paths or streams are read in chunks this size
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+// Storing progress is reported every time this many more bytes are added
+const PROGRESS_STEP = 8 * 1024 * 1024;
 
 class DirectUploadService extends EventEmitter {
-  constructor({ ipfsManager, spkClient, pendingUploadsManager }) {
+  /**
+   * @param {Object} options.bandwidthManager - Optional BandwidthManager; holds broadcasts to transfer windows
+   * @param {Object} options.uploadDedupe - Optional UploadDedupe; files already stored are referenced, not re-paid
+   */
+  constructor({ ipfsManager, spkClient, pendingUploadsManager, bandwidthManager = null, uploadDedupe = null }) {
     super();
     this.ipfsManager = ipfsManager;
     this.spkClient = spkClient;
     this.pendingUploadsManager = pendingUploadsManager;
+    this.bandwidthManager = bandwidthManager;
+    this.uploadDedupe = uploadDedupe;
     this.activeUploads = new Map();
   }
 
   /**
    * ONE-CLICK Direct Upload - streamlined process
-   * @param {Array} files - Array of file objects (File, Buffer, or { name, content/buffer/arrayBuffer })
+   * @param {Array} files - Array of file objects (File, Buffer, { name, content/buffer/arrayBuffer },
+   *   or { name, path/stream, size } to stream large files into IPFS without buffering them)
    * @param {Object} options - Upload options
+   * @param {string} options.dedupe - 'reference' (default) skips files already stored, 'upload' pays for them again
+   * @param {number} options.duration - Contract duration in seconds; only stored files that outlive it are skipped
    * @returns {Promise} Upload result
    */
   async directUpload(files, options = {}) {
@@ -65,6 +81,15 @@ class DirectUploadService extends EventEmitter {
             size: content.length,
             arrayBuffer: async () => content instanceof Buffer ? content : Buffer.from(content)
           };
+        } else if (file.path || file.stream) {
+          // Disk file or request body - streamed into IPFS so memory stays bounded
+          processedFile = {
+            name: file.name || (file.path ? path.basename(file.path) : `file_${i}`),
+            path: file.path,
+            size: Number.isFinite(file.size) ? file.size : (file.path ? (await fs.stat(file.path)).size : null),
+            type: file.type,
+            stream: () => file.stream || createReadStream(file.path, { highWaterMark: STREAM_CHUNK_SIZE })
+          };
         } else if (file.arrayBuffer) {
           // File-like object with arrayBuffer method
           processedFile = file;
@@ -85,6 +110,38 @@ class DirectUploadService extends EventEmitter {
       // Create metadata for the upload - keep it minimal
       const metadata = options.metadata || {};
       
+      // Hash before anything is stored or paid for so files already stored can be referenced
+      let dedupe = null;
+      if (this.uploadDedupe && UploadDedupe.resolveMode(options.dedupe) === 'reference') {
+        this.emit('progress', {
+          uploadId,
+          stage: 'hashing',
+          progress: 32,
+          message: 'Checking for files already stored...'
+        });
+        dedupe = await this.uploadDedupe.check(processedFiles, this.uploaderName(options), options.duration);
+        if (dedupe.duplicates.length > 0) {
+          this.emit('progress', {
+            uploadId,
+            stage: 'hashing',
+            progress: 35,
+            message: `${dedupe.duplicates.length}/${processedFiles.length} files already stored (${formatMB(dedupe.duplicateBytes)}), referencing existing CIDs`
+          });
+        }
+      }
+      
+      // Storage nodes fetch the files as soon as the upload is broadcast, so hold it outside transfer windows
+      if (this.bandwidthManager && !this.bandwidthManager.isAllowed()) {
+        const next = this.bandwidthManager.nextAllowedTime();
+        this.emit('progress', {
+          uploadId,
+          stage: 'waiting',
+          progress: 35,
+          message: next ? `Waiting for transfer window at ${next.toLocaleString()}` : 'Waiting for transfer window'
+        });
+        await this.bandwidthManager.waitForWindow(`direct upload ${uploadId}`);
+      }
+      
       this.emit('progress', {
         uploadId,
         stage: 'broadcasting',
@@ -95,16 +152,29 @@ class DirectUploadService extends EventEmitter {
       // Add files to OUR IPFS node and get real CIDs
       console.log(`[DirectUpload] Adding ${processedFiles.length} files to local IPFS node...`);
       
-      const cids = [];
-      const sizes = [];
-      const fileDetails = [];
+      const stored = [];
+      const referenced = [];
       
       for (let i = 0; i < processedFiles.length; i++) {
         const file = processedFiles[i];
         
-        // Get file content as buffer
+        const known = dedupe && dedupe.files[i].reference && dedupe.files[i].existing;
+        if (known) {
+          referenced.push({
+            name: file.name,
+            cid: dedupe.files[i].cid,
+            size: dedupe.files[i].size,
+            type: file.type || 'application/octet-stream',
+            existing: known
+          });
+          continue;
+        }
+        
+        // Get file content as buffer, or a chunk stream for large files
         let content;
-        if (file.arrayBuffer) {
+        if (file.stream) {
+          content = file.stream();
+        } else if (file.arrayBuffer) {
           content = Buffer.from(await file.arrayBuffer());
         } else if (file.content) {
           content = file.content;
@@ -114,20 +184,40 @@ class DirectUploadService extends EventEmitter {
           throw new Error(`Cannot get content for file: ${file.name}`);
         }
         
-        console.log(`[DirectUpload] Adding file ${i + 1}/${processedFiles.length}: ${file.name} (${content.length} bytes)`);
+        const expectedSize = file.stream ? file.size : Buffer.byteLength(content);
+        console.log(`[DirectUpload] Adding file ${i + 1}/${processedFiles.length}: ${file.name} (${expectedSize === null ? 'unknown size' : `${expectedSize} bytes`})`);
         
         // Actually add to IPFS (not just compute hash) - this stores the file
-        const result = await this.ipfsManager.addFile(content, file.name);
+        const counter = { bytes: 0 };
+        const counted = this.countBytes(content, counter, (bytes) => {
+          this.emit('progress', {
+            uploadId,
+            stage: 'storing',
+            progress: 40 + ((i + (expectedSize ? Math.min(bytes / expectedSize, 1) : 0)) / processedFiles.length) * 30,
+            file: file.name,
+            bytes,
+            totalBytes: expectedSize,
+            message: `Storing ${file.name} in IPFS (${formatMB(bytes)}${expectedSize ? ` of ${formatMB(expectedSize)}` : ''})`
+          });
+        });
+        // Adding to the local node is loopback traffic, and storage nodes later fetch from IPFS,
+        // which has no outbound cap: direct uploads are not rate limited, only held to transfer windows
+        const result = await this.ipfsManager.addFile(counted, file.name);
         const cid = result.cid ? result.cid.toString() : result.toString();
-        cids.push(cid);
-        sizes.push(content.length);
+        if (file.stream && typeof expectedSize === 'number' && counter.bytes !== expectedSize) {
+          throw new Error(`${file.name} changed size while uploading (expected ${expectedSize} bytes, read ${counter.bytes})`);
+        }
         
         // Store file details for pending uploads
-        fileDetails.push({
-          name: file.name,
-          cid: cid,
-          size: content.length,
-          type: file.type || 'application/octet-stream'
+        stored.push({
+          index: i,
+          file,
+          detail: {
+            name: file.name,
+            cid: cid,
+            size: counter.bytes,
+            type: file.type || 'application/octet-stream'
+          }
         });
         
         console.log(`[DirectUpload] File added to IPFS: ${file.name} -> ${cid}`);
@@ -142,6 +232,22 @@ class DirectUploadService extends EventEmitter {
       
       console.log('[DirectUpload] All files stored in local IPFS successfully');
       
+      // Streams can only be hashed while they are added, so check those now
+      if (dedupe) {
+        const unhashed = stored.filter(entry => !dedupe.files[entry.index].cid);
+        const existing = await this.uploadDedupe.findExisting(unhashed.map(entry => entry.detail.cid), this.uploaderName(options));
+        for (const entry of unhashed) {
+          if (UploadDedupe.canReference(entry.detail.name, existing.get(entry.detail.cid), options.duration)) {
+            referenced.push({ ...entry.detail, existing: existing.get(entry.detail.cid) });
+          }
+        }
+      }
+      const toUpload = stored.filter(entry => !referenced.some(ref => ref.cid === entry.detail.cid));
+      const uploadFiles = toUpload.map(entry => entry.file);
+      const fileDetails = toUpload.map(entry => entry.detail);
+      const cids = fileDetails.map(detail => detail.cid);
+      const sizes = fileDetails.map(detail => detail.size);
+      
       // Create metadata array - one metadata object per file
       const uploadMetadata = [];
       
@@ -152,8 +258,8 @@ class DirectUploadService extends EventEmitter {
       // Users can specify custom path like "Videos/Movies" or "MyVideos" 
       const folderPath = options.folderPath || 'Videos';
       
-      for (let i = 0; i < processedFiles.length; i++) {
-        const file = processedFiles[i];
+      for (let i = 0; i < uploadFiles.length; i++) {
+        const file = uploadFiles[i];
         const parts = file.name.split('.');
         const ext = parts[parts.length - 1];
         
@@ -198,6 +304,7 @@ class DirectUploadService extends EventEmitter {
         type: options.type || 'files',
         status: 'uploading',
         files: fileDetails,
+        referenced: referenced,
         cids: cids,
         sizes: sizes,
         totalSize: sizes.reduce((sum, size) => sum + size, 0),
@@ -208,6 +315,11 @@ class DirectUploadService extends EventEmitter {
         transcodingSettings: options.transcodingSettings
       };
       
+      if (cids.length === 0) {
+        // Everything is already stored, there is nothing to pay for
+        return this.completeReferencedOnly(uploadId, referenced);
+      }
+      
       console.log('[DirectUpload] Saving to pending uploads for restart capability...');
       if (this.pendingUploadsManager) {
         await this.pendingUploadsManager.addPendingUpload(pendingUpload);
@@ -265,7 +377,8 @@ class DirectUploadService extends EventEmitter {
           cid: f.cid,
           url: `https://ipfs.dlux.io/ipfs/${f.cid}`,
           type: f.type
-        })),
+        })).concat(referenced.map(toReferencedFile)),
+        referenced: referenced.map(toReferencedFile),
         filesUploaded: result.filesUploaded,
         totalSize: result.totalSize,
         brocaCost: result.totalSize, // Direct upload uses 1:1 BROCA per byte
@@ -295,6 +408,55 @@ class DirectUploadService extends EventEmitter {
     }
   }
 
+  /**
+   * Finish an upload whose files were all found already stored
+   */
+  completeReferencedOnly(uploadId, referenced) {
+    const files = referenced.map(toReferencedFile);
+    const uploadResult = {
+      success: true,
+      uploadId,
+      directUploadId: null,
+      transactionId: null,
+      files,
+      referenced: files,
+      filesUploaded: 0,
+      totalSize: 0,
+      brocaCost: 0,
+      metadata: []
+    };
+    
+    this.emit('progress', {
+      uploadId,
+      stage: 'complete',
+      progress: 100,
+      message: 'All files are already stored, nothing to upload'
+    });
+    this.activeUploads.delete(uploadId);
+    this.emit('completed', uploadResult);
+    return uploadResult;
+  }
+
+  /**
+   * Hash files and report which are already stored, without uploading.
+   * Lets the UI offer referencing duplicates before an upload starts.
+   * @param {Array} files - Same shapes as directUpload
+   * @param {Object} options - { username }
+   */
+  async checkDuplicates(files, options = {}) {
+    if (!this.uploadDedupe) {
+      throw new Error('Duplicate detection is not available');
+    }
+    return this.uploadDedupe.check(files, this.uploaderName(options));
+  }
+
+  /**
+   * Account whose contracts are checked for duplicates
+   */
+  uploaderName(options = {}) {
+    return options.username || this.spkClient?.username || this.spkClient?.currentUser || null;
+  }
+
   /**
    * Drag & Drop Upload - simplified interface for file paths
    * @param {Array<string>} filePaths - Array of file paths
@@ -304,13 +466,12 @@ class DirectUploadService extends EventEmitter {
     const files = [];
     
     for (const filePath of filePaths) {
-      const content = await fs.readFile(filePath);
-      const name = path.basename(filePath);
       const stats = await fs.stat(filePath);
       
+      // Files are streamed from disk during the upload rather than read up front
       files.push({
-        name,
-        content,
+        name: path.basename(filePath),
+        path: filePath,
         size: stats.size
       });
     }
@@ -318,6 +479,24 @@ class DirectUploadService extends EventEmitter {
     return this.directUpload(files, options);
   }
 
+  /**
+   * Pass a buffer or chunk stream through, counting bytes into `counter.bytes`
+   * and calling onProgress every PROGRESS_STEP bytes
+   */
+  async * countBytes(content, counter, onProgress) {
+    const chunks = typeof content === 'string' || content instanceof Uint8Array ? [content] : content;
+    let reported = 0;
+    for await (const chunk of chunks) {
+      const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      counter.bytes += bytes.length;
+      if (counter.bytes - reported >= PROGRESS_STEP) {
+        reported = counter.bytes;
+        onProgress(counter.bytes);
+      }
+      yield bytes;
+    }
+  }
+
   /**
    * Video Upload - streamlined for transcoded video files
    * @param {Array} videoFiles - Array of video files (segments, playlists, thumbnails)
@@ -419,4 +598,20 @@ class DirectUploadService extends EventEmitter {
 
 }
 
-module.exports = DirectUploadService;
\ No newline at end of file
+function toReferencedFile(file) {
+  return {
+    name: file.name,
+    size: file.size,
+    cid: file.cid,
+    url: `https://ipfs.dlux.io/ipfs/${file.cid}`,
+    type: file.type,
+    referenced: true,
+    existing: file.existing
+  };
+}
+
+function formatMB(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = DirectUploadService;
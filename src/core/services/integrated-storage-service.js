@@ -8,13 +8,14 @@ const fs = require('fs').promises;
  * that allows users to earn rewards by storing files
  */
 class IntegratedStorageService extends EventEmitter {
-  constructor({ ipfsManager, poaStorageNode, spkClient, videoUploadService }) {
+  constructor({ ipfsManager, poaStorageNode, spkClient, videoUploadService, bandwidthManager = null }) {
     super();
     
     this.ipfs = ipfsManager;
     this.poa = poaStorageNode;
     this.spk = spkClient;
     this.videoUpload = videoUploadService;
+    this.bandwidth = bandwidthManager; // Optional download limit and transfer windows for replication
     
     this.storageContracts = new Map();
     this.replicationQueue = [];
@@ -283,6 +284,11 @@ class IntegratedStorageService extends EventEmitter {
         return;
       }
       
+      // Queued contracts wait for the next transfer window
+      if (this.bandwidth && !this.bandwidth.isAllowed()) {
+        return;
+      }
+      
       this.isReplicating = true;
       const contract = this.replicationQueue.shift();
       
@@ -304,6 +310,10 @@ class IntegratedStorageService extends EventEmitter {
     console.log(`Replicating file ${contract.cid}...`);
     
     try {
+      if (this.bandwidth) {
+        await this.bandwidth.waitForDownloadCapacity(this.ipfs, `replicate ${contract.cid}`);
+      }
+      
       // Pin the file (IPFS will fetch it from the network)
       await this.ipfs.pinFile(contract.cid);
       
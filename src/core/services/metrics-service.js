@@ -0,0 +1,261 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Proof latency histogram buckets (seconds)
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Metrics Service
+ * Exposes storage node health in Prometheus text format on /metrics.
+ * Reads live state from the shared services container at scrape time, so
+ * services created or replaced after start are picked up automatically.
+ */
+class MetricsService {
+  constructor(services) {
+    this.services = services;
+    this.httpServer = null;
+    this.port = 9464;
+    this.host = '127.0.0.1';
+    this.token = '';
+
+    this.latency = {
+      buckets: LATENCY_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    this.earnings = {}; // token -> total
+    this.ipfsDaemonExits = 0;
+    this.contractMonitorErrors = 0;
+    this.scrapeErrors = 0;
+    this.attached = new WeakSet();
+  }
+
+  /**
+   * Subscribe to events that are not kept as counters on the services themselves
+   */
+  attach() {
+    const { storageNode, ipfsManager, contractMonitor } = this.services;
+
+    if (storageNode && !this.attached.has(storageNode)) {
+      this.attached.add(storageNode);
+      storageNode.on('validation', ({ latencyMs }) => {
+        if (typeof latencyMs === 'number') this.observeLatency(latencyMs / 1000);
+      });
+      storageNode.on('earnings-update', ({ amount, token }) => {
+        const key = String(token || 'unknown').toUpperCase();
+        this.earnings[key] = (this.earnings[key] || 0) + (Number(amount) || 0);
+      });
+    }
+
+    if (ipfsManager && !this.attached.has(ipfsManager)) {
+      this.attached.add(ipfsManager);
+      ipfsManager.on('daemon-stopped', () => { this.ipfsDaemonExits++; });
+    }
+
+    if (contractMonitor && !this.attached.has(contractMonitor)) {
+      this.attached.add(contractMonitor);
+      contractMonitor.on('error', () => { this.contractMonitorErrors++; });
+    }
+  }
+
+  observeLatency(seconds) {
+    LATENCY_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) this.latency.buckets[i]++;
+    });
+    this.latency.sum += seconds;
+    this.latency.count++;
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format
+   * @returns {Promise<string>}
+   */
+  async collect() {
+    this.attach();
+    const { storageNode, ipfsManager, fileSyncService, contractMonitor } = this.services;
+    const out = [];
+
+    // POA storage node
+    if (storageNode) {
+      const stats = storageNode.stats || {};
+      const labels = { account: storageNode.config?.account || '' };
+      metric(out, 'oratr_poa_up', 'gauge', 'Whether the POA storage node process is running', storageNode.running ? 1 : 0, labels);
+      metric(out, 'oratr_poa_validations_total', 'counter', 'Validation requests handled by the POA node', stats.validations || 0, labels);
+      metric(out, 'oratr_poa_files_stored_total', 'counter', 'Storage contracts registered by the POA node', stats.filesStored || 0, labels);
+      metric(out, 'oratr_poa_last_validation_timestamp_seconds', 'gauge', 'Unix time of the last validation',
+        stats.lastValidation ? Math.floor(new Date(stats.lastValidation).getTime() / 1000) : 0, labels);
+      metric(out, 'oratr_poa_starts_total', 'counter', 'POA process starts', stats.starts || 0, labels);
+      metric(out, 'oratr_poa_restarts_total', 'counter', 'POA process starts after the first', stats.restarts || 0, labels);
+      metric(out, 'oratr_poa_unexpected_exits_total', 'counter', 'POA process exits not requested by Oratr', stats.unexpectedExits || 0, labels);
+
+      header(out, 'oratr_poa_proof_latency_seconds', 'histogram', 'Time from validation request to proof');
+      LATENCY_BUCKETS.forEach((bound, i) => {
+        sample(out, 'oratr_poa_proof_latency_seconds_bucket', this.latency.buckets[i], { ...labels, le: String(bound) });
+      });
+      sample(out, 'oratr_poa_proof_latency_seconds_bucket', this.latency.count, { ...labels, le: '+Inf' });
+      sample(out, 'oratr_poa_proof_latency_seconds_sum', this.latency.sum, labels);
+      sample(out, 'oratr_poa_proof_latency_seconds_count', this.latency.count, labels);
+
+      header(out, 'oratr_poa_earnings_total', 'counter', 'Rewards reported by the POA node');
+      for (const [token, amount] of Object.entries(this.earnings)) {
+        sample(out, 'oratr_poa_earnings_total', amount, { ...labels, token });
+      }
+    }
+
+    // IPFS
+    if (ipfsManager) {
+      const maxStorage = ipfsManager.config?.maxStorage || 0;
+      metric(out, 'oratr_ipfs_up', 'gauge', 'Whether the IPFS client is connected', ipfsManager.running ? 1 : 0);
+      metric(out, 'oratr_ipfs_storage_max_bytes', 'gauge', 'Configured maximum storage', maxStorage);
+      metric(out, 'oratr_ipfs_daemon_exits_total', 'counter', 'Exits of the IPFS daemon started by Oratr', this.ipfsDaemonExits);
+
+      if (ipfsManager.running && ipfsManager.client) {
+        try {
+          const repo = await withTimeout(ipfsManager.getRepoStats(), 5000);
+          metric(out, 'oratr_ipfs_repo_size_bytes', 'gauge', 'IPFS repository size', repo.repoSize);
+          metric(out, 'oratr_ipfs_repo_objects', 'gauge', 'Objects in the IPFS repository', repo.numObjects);
+          metric(out, 'oratr_ipfs_storage_usage_ratio', 'gauge', 'Repository size divided by maximum storage',
+            maxStorage > 0 ? repo.repoSize / maxStorage : 0);
+        } catch (_) {
+          this.scrapeErrors++;
+        }
+        try {
+          const bw = await withTimeout(ipfsManager.getBandwidthStats(), 5000);
+          metric(out, 'oratr_ipfs_bandwidth_in_bytes_total', 'counter', 'Bytes received by IPFS', bw.totalIn);
+          metric(out, 'oratr_ipfs_bandwidth_out_bytes_total', 'counter', 'Bytes sent by IPFS', bw.totalOut);
+          metric(out, 'oratr_ipfs_bandwidth_in_rate_bytes', 'gauge', 'Current IPFS receive rate (bytes/s)', bw.rateIn);
+          metric(out, 'oratr_ipfs_bandwidth_out_rate_bytes', 'gauge', 'Current IPFS send rate (bytes/s)', bw.rateOut);
+        } catch (_) {
+          this.scrapeErrors++;
+        }
+      }
+    }
+
+    // Contract pinning: file sync (headless) and/or contract monitor (desktop)
+    if (fileSyncService) {
+      const stats = fileSyncService.getStats();
+      metric(out, 'oratr_sync_up', 'gauge', 'Whether file sync is running', fileSyncService.isRunning() ? 1 : 0);
+      metric(out, 'oratr_sync_runs_total', 'counter', 'Completed file sync cycles', stats.syncCount || 0);
+      metric(out, 'oratr_sync_errors_total', 'counter', 'Failed file sync cycles', stats.errorCount || 0);
+      metric(out, 'oratr_sync_contracts', 'gauge', 'Contracts seen in the last sync', stats.totalContracts || 0);
+      metric(out, 'oratr_sync_pinned_cids', 'gauge', 'CIDs pinned by file sync', stats.pinnedCIDs || 0);
+      metric(out, 'oratr_sync_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful sync',
+        stats.lastSync ? Math.floor(new Date(stats.lastSync).getTime() / 1000) : 0);
+    }
+
+    if (contractMonitor) {
+      const status = contractMonitor.getStatus();
+      metric(out, 'oratr_contract_monitor_up', 'gauge', 'Whether the contract monitor is running', status.monitoring ? 1 : 0);
+      metric(out, 'oratr_contract_monitor_contracts', 'gauge', 'Contracts tracked by the contract monitor', status.contracts || 0);
+      metric(out, 'oratr_contract_monitor_pinned_cids', 'gauge', 'CIDs pinned by the contract monitor', status.pinnedCIDs || 0);
+      metric(out, 'oratr_contract_monitor_errors_total', 'counter', 'Failed contract checks', this.contractMonitorErrors);
+    }
+
+    metric(out, 'oratr_metrics_scrape_errors_total', 'counter', 'Errors while collecting metrics', this.scrapeErrors);
+
+    return out.join('\n') + '\n';
+  }
+
+  async start(config = {}) {
+    if (this.httpServer) return { running: true, port: this.port, host: this.host };
+
+    if (config.port !== undefined) this.port = Number(config.port);
+    this.host = config.host || this.host;
+    this.token = String(config.token || '').trim();
+    this.attach();
+
+    this.httpServer = http.createServer(async (req, res) => {
+      const pathname = (req.url || '').split('?')[0];
+      if (req.method !== 'GET' || pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found\n');
+      }
+      if (!this.isAuthorized(req)) {
+        res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer realm="Oratr"' });
+        return res.end('Unauthorized\n');
+      }
+      try {
+        const body = await this.collect();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`${error.message}\n`);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+    this.port = this.httpServer.address().port;
+
+    return { running: true, port: this.port, host: this.host };
+  }
+
+  async stop() {
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+    return { running: false };
+  }
+
+  getStatus() {
+    return {
+      running: !!this.httpServer,
+      port: this.port,
+      host: this.host,
+      requireAuth: !!this.token
+    };
+  }
+
+  // Token is optional; when set, Prometheus must send it as a bearer token
+  isAuthorized(req) {
+    if (!this.token) return true;
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const a = Buffer.from(match[1].trim());
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+function header(out, name, type, help) {
+  out.push(`# HELP ${name} ${help}`);
+  out.push(`# TYPE ${name} ${type}`);
+}
+
+function sample(out, name, value, labels = {}) {
+  const entries = Object.entries(labels);
+  const labelText = entries.length > 0
+    ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`
+    : '';
+  out.push(`${name}${labelText} ${formatValue(value)}`);
+}
+
+function metric(out, name, type, help, value, labels) {
+  header(out, name, type, help);
+  sample(out, name, value, labels);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? String(num) : '0';
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timeout')), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,367 @@
+/**
+ * Offline Signing
+ * Signing requests for transactions whose keys are not in the local wallet:
+ * an unsigned transaction (from prepareTransactionForSigning) is exported as
+ * a file or QR payload, signatures made elsewhere are imported and checked
+ * against the account's authority, and once their weight meets the
+ * authority's threshold the transaction is broadcast. Requests are keyed by
+ * the Hive transaction id, so the same request exported to several
+ * co-signers merges back into one.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { cryptoUtils, PrivateKey, Signature } = require('@hiveio/dhive');
+
+const REQUESTS_FILE = path.join(os.homedir(), '.oratr', 'signing-requests.json');
+const PAYLOAD_FORMAT = 'oratr-signing-request';
+const QR_PREFIX = 'oratr-tx1:';
+// Bytes a version 40 QR code holds at the lowest error correction level
+const QR_MAX_LENGTH = 2953;
+const KEY_TYPES = ['posting', 'active', 'owner'];
+const SIGNATURE_PATTERN = /^[0-9a-f]{130}$/i;
+
+/**
+ * Request file contents; the transaction carries the signatures collected so far
+ */
+function toPayload(request) {
+  return {
+    format: PAYLOAD_FORMAT,
+    version: 1,
+    id: request.id,
+    account: request.account,
+    keyType: request.keyType,
+    description: request.description,
+    authority: request.authority,
+    accountAuthorities: request.accountAuthorities,
+    transaction: { ...request.transaction, signatures: request.signatures.map(entry => entry.signature) }
+  };
+}
+
+/**
+ * Compact text for a QR code
+ */
+function toQrPayload(request) {
+  const text = QR_PREFIX + Buffer.from(JSON.stringify(toPayload(request))).toString('base64url');
+  if (text.length > QR_MAX_LENGTH) {
+    throw new Error(`The request is ${text.length} bytes, too large for one QR code (${QR_MAX_LENGTH}); export a file instead`);
+  }
+  return text;
+}
+
+/**
+ * Parse an imported request file, QR payload, signed transaction or bare signatures
+ * @returns {Object} A request payload, a signed transaction, or { signatures }
+ */
+function decodePayload(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith(QR_PREFIX)) {
+    return JSON.parse(Buffer.from(trimmed.slice(QR_PREFIX.length), 'base64url').toString('utf8'));
+  }
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+  const signatures = trimmed.split(/[\s,]+/).filter(Boolean);
+  if (signatures.length > 0 && signatures.every(signature => SIGNATURE_PATTERN.test(signature))) {
+    return { signatures };
+  }
+  throw new Error('Not a signing request, signed transaction or signature');
+}
+
+/**
+ * Weight the given keys carry in an authority, including accounts listed in
+ * account_auths whose own authority the keys satisfy (one level deep)
+ * @param {Object} authority - { weight_threshold, key_auths, account_auths }
+ * @param {Array<string>} publicKeys - Keys that signed
+ * @param {Object} accountAuthorities - account -> that account's authority
+ */
+function authorityWeight(authority, publicKeys, accountAuthorities = {}) {
+  let weight = 0;
+  for (const [key, keyWeight] of authority.key_auths || []) {
+    if (publicKeys.includes(key)) weight += keyWeight;
+  }
+  for (const [account, accountWeight] of authority.account_auths || []) {
+    const inner = accountAuthorities[account];
+    if (inner && authorityWeight(inner, publicKeys) >= inner.weight_threshold) weight += accountWeight;
+  }
+  return weight;
+}
+
+class OfflineSigning extends EventEmitter {
+  /**
+   * @param {Object} options.hiveClient - dhive Client, for authorities and broadcasting
+   * @param {string} options.chainId - Hex chain id (defaults to Hive mainnet)
+   * @param {string} options.requestsFile - Where requests and their signatures are kept
+   */
+  constructor({ hiveClient, chainId = null, requestsFile = REQUESTS_FILE }) {
+    super();
+    this.hiveClient = hiveClient;
+    this.chainId = chainId ? Buffer.from(chainId, 'hex') : undefined;
+    this.requestsFile = requestsFile;
+
+    this.requests = [];
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Start a signing request, fetching the account's authority from the chain
+   * @param {Object} prepared - { account, transaction, keyType } from prepareTransactionForSigning,
+   *   or an imported request payload
+   * @param {string} options.description - Shown to co-signers
+   */
+  async create(prepared, { description = '' } = {}) {
+    await this.load();
+    const { account, transaction, keyType } = prepared;
+    if (!account) throw new Error('A signing request needs an account');
+    if (!KEY_TYPES.includes(keyType)) throw new Error(`Key type must be one of ${KEY_TYPES.join(', ')}, got ${keyType}`);
+    if (!transaction || !Array.isArray(transaction.operations)) throw new Error('A signing request needs a transaction');
+
+    const unsigned = { ...transaction };
+    delete unsigned.signatures;
+    const id = cryptoUtils.generateTrxId(unsigned);
+    const existing = this.requests.find(request => request.id === id);
+    if (existing) return this.addSignatures(id, transaction.signatures || []);
+
+    // Signatures are only ever checked against the authority on chain; one
+    // carried in an imported file is kept for display
+    const { authority, accountAuthorities } = await this.fetchAuthority(account, keyType);
+    const request = {
+      id,
+      account,
+      keyType,
+      description,
+      authority,
+      accountAuthorities,
+      fileAuthority: prepared.authority || null,
+      transaction: unsigned,
+      signatures: [],
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      result: null,
+      error: null
+    };
+    this.requests.push(request);
+    try {
+      return await this.addSignatures(id, transaction.signatures || []);
+    } catch (error) {
+      this.requests = this.requests.filter(entry => entry !== request);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a request file, QR payload, signed transaction or signatures.
+   * Unknown requests are added, known ones gain the new signatures.
+   * @param {string} text - File contents or pasted text
+   * @param {string} options.id - Request the signatures belong to, for bare signatures
+   */
+  async import(text, { id = null } = {}) {
+    await this.load();
+    const payload = decodePayload(text);
+
+    if (payload.format === PAYLOAD_FORMAT) {
+      const request = this.requests.find(entry => entry.id === payload.id);
+      if (!request) return this.create(payload, { description: payload.description });
+      await this.refreshAuthority(request);
+      return this.addSignatures(request.id, payload.transaction.signatures || []);
+    }
+    if (payload.operations) {
+      const transactionId = cryptoUtils.generateTrxId({ ...payload, signatures: undefined });
+      const request = this.requests.find(entry => entry.id === transactionId);
+      if (!request) {
+        throw new Error(`No signing request for transaction ${transactionId}; the transaction was changed or the request was not imported`);
+      }
+      await this.refreshAuthority(request);
+      return this.addSignatures(transactionId, payload.signatures || []);
+    }
+    if (!id) throw new Error('Choose the signing request these signatures belong to');
+    await this.refreshAuthority(await this.get(id));
+    return this.addSignatures(id, payload.signatures);
+  }
+
+  /**
+   * Check imported signatures against the authority as it is on chain now
+   */
+  async refreshAuthority(request) {
+    Object.assign(request, await this.fetchAuthority(request.account, request.keyType));
+  }
+
+  /**
+   * Add signatures after checking each was made over this transaction by a key in the authority
+   */
+  async addSignatures(id, signatures) {
+    const request = await this.get(id);
+    const digest = this.digest(request);
+    const allowed = this.authorityKeys(request);
+
+    for (const signature of signatures) {
+      let publicKey;
+      try {
+        publicKey = Signature.fromString(signature).recover(digest).toString();
+      } catch (error) {
+        throw new Error(`Invalid signature ${String(signature).slice(0, 16)}...: ${error.message}`);
+      }
+      if (!allowed.includes(publicKey)) {
+        throw new Error(`Signature by ${publicKey} does not belong to @${request.account}'s ${request.keyType} authority; it may be for a different transaction`);
+      }
+      if (!request.signatures.some(entry => entry.publicKey === publicKey)) {
+        request.signatures.push({ signature, publicKey, addedAt: new Date().toISOString() });
+      }
+    }
+    await this.save();
+    return this.status(request);
+  }
+
+  /**
+   * Sign with a key held locally, e.g. one co-signer's key in the wallet
+   * @param {string} wif - Private key
+   */
+  async sign(id, wif) {
+    const request = await this.get(id);
+    const signature = PrivateKey.fromString(wif).sign(this.digest(request)).toString();
+    return this.addSignatures(request.id, [signature]);
+  }
+
+  /**
+   * Broadcast once the signatures meet the authority's threshold
+   */
+  async broadcast(id) {
+    const request = await this.get(id);
+    const status = this.status(request);
+    if (status.status === 'broadcast') throw new Error(`Transaction ${id} was already broadcast`);
+    if (status.expired) throw new Error(`Transaction ${id} expired at ${request.transaction.expiration}Z; create a new request`);
+    if (!status.ready) {
+      throw new Error(`Signatures carry weight ${status.weight} of the ${status.threshold} needed`);
+    }
+
+    const signed = { ...request.transaction, signatures: request.signatures.map(entry => entry.signature) };
+    const event = { username: request.account, keyType: request.keyType, operations: request.transaction.operations };
+    try {
+      request.result = await this.hiveClient.broadcast.send(signed);
+    } catch (error) {
+      request.error = error.message;
+      await this.save();
+      this.emit('failed', { ...event, error });
+      throw error;
+    }
+    request.status = 'broadcast';
+    request.error = null;
+    await this.save();
+    this.emit('broadcast', { ...event, result: request.result });
+    return this.status(request);
+  }
+
+  /**
+   * Requests with their signing progress, newest first
+   */
+  async list() {
+    await this.load();
+    return this.requests.map(request => this.status(request)).reverse();
+  }
+
+  async get(id) {
+    await this.load();
+    const request = this.requests.find(entry => entry.id === id || (id && id.length >= 8 && entry.id.startsWith(id)));
+    if (!request) throw new Error(`No signing request ${id}`);
+    return request;
+  }
+
+  async remove(id) {
+    const request = await this.get(id);
+    this.requests = this.requests.filter(entry => entry !== request);
+    await this.save();
+  }
+
+  /**
+   * Signing progress of a request
+   * @returns {Object} The request plus weight, threshold, ready, expired and keys
+   */
+  status(request) {
+    const signedBy = request.signatures.map(entry => entry.publicKey);
+    const weight = authorityWeight(request.authority, signedBy, request.accountAuthorities);
+    const expired = request.status !== 'broadcast' && new Date(`${request.transaction.expiration}Z`) <= new Date();
+    return {
+      ...request,
+      status: request.status === 'pending' && expired ? 'expired' : request.status,
+      weight,
+      threshold: request.authority.weight_threshold,
+      ready: weight >= request.authority.weight_threshold,
+      expired,
+      keys: [
+        ...(request.authority.key_auths || []).map(([key, keyWeight]) => ({ key, weight: keyWeight, signed: signedBy.includes(key) })),
+        ...(request.authority.account_auths || []).map(([account, accountWeight]) => {
+          const inner = request.accountAuthorities[account];
+          return { account, weight: accountWeight, signed: Boolean(inner) && authorityWeight(inner, signedBy) >= inner.weight_threshold };
+        })
+      ]
+    };
+  }
+
+  digest(request) {
+    return cryptoUtils.transactionDigest(request.transaction, this.chainId);
+  }
+
+  /**
+   * Public keys whose signatures count towards a request
+   */
+  authorityKeys(request) {
+    const keys = (request.authority.key_auths || []).map(([key]) => key);
+    for (const inner of Object.values(request.accountAuthorities)) {
+      keys.push(...(inner.key_auths || []).map(([key]) => key));
+    }
+    return keys;
+  }
+
+  /**
+   * The account's authority for a key type, with the authorities of accounts it delegates to
+   */
+  async fetchAuthority(account, keyType) {
+    if (!this.hiveClient) throw new Error('Signatures are checked against the account authority on chain, which needs a Hive node');
+    const [record] = await this.hiveClient.database.getAccounts([account]);
+    if (!record) throw new Error(`Hive account @${account} not found`);
+    const authority = record[keyType];
+    const delegated = (authority.account_auths || []).map(([name]) => name);
+    const accountAuthorities = {};
+    if (delegated.length > 0) {
+      for (const entry of await this.hiveClient.database.getAccounts(delegated)) {
+        accountAuthorities[entry.name] = entry[keyType];
+      }
+    }
+    return { authority, accountAuthorities };
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.requestsFile, 'utf8'));
+          this.requests = Array.isArray(data.requests) ? data.requests : [];
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load signing requests:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write requests; writes are serialized so concurrent imports are not lost
+   */
+  async save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.requestsFile), { recursive: true });
+      await fs.writeFile(this.requestsFile, JSON.stringify({ requests: this.requests }, null, 2));
+    });
+    return this.saving;
+  }
+}
+
+module.exports = OfflineSigning;
+module.exports.toPayload = toPayload;
+module.exports.toQrPayload = toQrPayload;
+module.exports.decodePayload = decodePayload;
+module.exports.authorityWeight = authorityWeight;
+module.exports.PAYLOAD_FORMAT = PAYLOAD_FORMAT;
@@ -0,0 +1,404 @@
+/**
+ * Token Scheduler
+ * Recurring wallet operations: claiming Hive rewards, powering up earned
+ * HIVE, LARYNX or SPK, and sweeping balances to another account. Rules have
+ * thresholds and limits, and a rule only runs once the key type it signs
+ * with has been approved for it. Changing what a rule does withdraws the
+ * approval.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const wallet = require('../spk/wallet-operations');
+const { transactionIdFrom } = require('./transaction-history');
+
+const STATE_FILE = path.join(os.homedir(), '.oratr', 'token-schedules.json');
+const TICK_INTERVAL = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LOG_LIMIT = 500;
+
+const ACTIONS = {
+  claim_rewards: { keyType: 'posting', tokens: [] },
+  power_up: { keyType: 'active', tokens: ['HIVE', 'LARYNX', 'SPK'] },
+  transfer: { keyType: 'active', tokens: ['HIVE', 'HBD', 'LARYNX', 'SPK'] }
+};
+// Changing any of these withdraws the rule's key approval
+const APPROVAL_FIELDS = ['account', 'action', 'token', 'to', 'amount', 'memo', 'keep', 'threshold', 'maxPerRun', 'maxPerDay'];
+
+/**
+ * Validate a rule as entered by the user
+ * @param {Object} rule - { id, name, enabled, account, action, token, to, amount ('all' or a number),
+ *   memo, keep, threshold, maxPerRun, maxPerDay, intervalHours }
+ */
+function normalizeRule(rule = {}) {
+  const account = toAccount(rule.account);
+  if (!account) throw new Error('A rule needs an account');
+  const action = String(rule.action || '');
+  if (!ACTIONS[action]) throw new Error(`Unknown action "${rule.action}", use ${Object.keys(ACTIONS).join(', ')}`);
+
+  const tokens = ACTIONS[action].tokens;
+  const token = tokens.length > 0 ? String(rule.token || '').toUpperCase() : null;
+  if (tokens.length > 0 && !tokens.includes(token)) {
+    throw new Error(`${action} works with ${tokens.join(', ')}, got ${rule.token || 'no token'}`);
+  }
+
+  const to = action === 'transfer' ? toAccount(rule.to) : null;
+  if (action === 'transfer' && !to) throw new Error('A transfer rule needs an account to send to');
+  if (to && to === account) throw new Error('A transfer rule cannot send to its own account');
+
+  const amount = rule.amount === undefined || rule.amount === null || rule.amount === '' || rule.amount === 'all'
+    ? 'all'
+    : toAmount(rule.amount, 'Amount', false);
+  const intervalHours = Number(rule.intervalHours ?? 24);
+  if (!Number.isFinite(intervalHours) || intervalHours < 1) {
+    throw new Error(`Interval must be at least 1 hour, got ${rule.intervalHours}`);
+  }
+
+  return {
+    id: rule.id || crypto.randomBytes(6).toString('hex'),
+    name: String(rule.name || '').trim() || describe({ action, token, to, amount }),
+    enabled: rule.enabled !== false,
+    account,
+    action,
+    token,
+    to,
+    amount,
+    memo: action === 'transfer' ? String(rule.memo || '') : '',
+    keep: toAmount(rule.keep, 'Amount kept'),
+    threshold: toAmount(rule.threshold, 'Threshold'),
+    maxPerRun: toAmount(rule.maxPerRun, 'Limit per run'),
+    maxPerDay: toAmount(rule.maxPerDay, 'Daily limit'),
+    intervalHours
+  };
+}
+
+/**
+ * Key type a rule signs with
+ */
+function keyTypeOf(rule) {
+  return ACTIONS[rule.action].keyType;
+}
+
+/**
+ * What an approval covers. A rule whose terms no longer match is not
+ * approved. This is plain data, not a signature: whoever can write the
+ * state file can write matching terms too.
+ */
+function termsOf(rule) {
+  return JSON.stringify(APPROVAL_FIELDS.map(field => rule[field]));
+}
+
+function isApproved(rule) {
+  return rule.approvedKeyType === keyTypeOf(rule) && rule.approvedTerms === termsOf(rule);
+}
+
+/**
+ * Decide what a run does with the current balances
+ * @param {Object} rule - Normalized rule
+ * @param {Object} balances - { HIVE, HBD, SPK, LARYNX, rewards: { HIVE, HBD, VESTS, HP } }
+ * @param {number} sentToday - Amount the rule moved in the last 24 hours
+ * @returns {Object} { amount, rewards } or { skip: reason }
+ */
+function planRun(rule, balances = {}, sentToday = 0) {
+  if (rule.action === 'claim_rewards') {
+    const rewards = balances.rewards || {};
+    const pending = round((rewards.HIVE || 0) + (rewards.HBD || 0) + (rewards.HP || 0));
+    if (pending <= 0 && !(rewards.VESTS > 0)) return { skip: 'No pending rewards' };
+    if (pending < rule.threshold) return { skip: `Pending rewards of ${pending} are below the threshold of ${rule.threshold}` };
+    return { amount: pending, rewards };
+  }
+
+  const balance = balances[rule.token];
+  if (typeof balance !== 'number') return { skip: `No ${rule.token} balance for @${rule.account}` };
+  const spendable = round(balance - rule.keep);
+  if (spendable <= 0) return { skip: `${balance} ${rule.token} is not above the ${rule.keep} kept` };
+  if (spendable < rule.threshold) {
+    return { skip: `${spendable} ${rule.token} available is below the threshold of ${rule.threshold}` };
+  }
+
+  let amount = rule.amount === 'all' ? spendable : rule.amount;
+  if (amount > spendable) return { skip: `Needs ${amount} ${rule.token}, ${spendable} available` };
+  if (rule.maxPerRun > 0) amount = Math.min(amount, rule.maxPerRun);
+  if (rule.maxPerDay > 0) {
+    const left = round(rule.maxPerDay - sentToday);
+    if (left <= 0) return { skip: `Daily limit of ${rule.maxPerDay} ${rule.token} reached` };
+    amount = Math.min(amount, left);
+  }
+  amount = round(amount);
+  if (amount <= 0) return { skip: `Nothing to ${rule.action === 'transfer' ? 'transfer' : 'power up'}` };
+  return { amount };
+}
+
+/**
+ * Transaction for a planned run
+ * @returns {Object} { operations, keyType }
+ */
+function buildTransaction(rule, plan, { testnet = false } = {}) {
+  return wallet.forAction({ ...rule, amount: plan.amount, rewards: plan.rewards, testnet });
+}
+
+class TokenScheduler extends EventEmitter {
+  /**
+   * @param {Function} options.getBalances - async (account, chain) => balances for planRun;
+   *   chain is 'hive' (HIVE, HBD and rewards) or 'spk' (SPK, LARYNX)
+   * @param {Function} options.broadcast - async (account, tx, keyType) => broadcast result
+   * @param {Function} options.isUnlocked - Scheduled runs wait while this returns false
+   * @param {Function} options.isTestnet - SPK operations use testnet ids while this returns true
+   * @param {string} options.stateFile - Where rules and the run log are kept
+   */
+  constructor({ getBalances, broadcast, isUnlocked = () => true, isTestnet = () => false, stateFile = STATE_FILE, tickInterval = TICK_INTERVAL }) {
+    super();
+    this.getBalances = getBalances;
+    this.broadcast = broadcast;
+    this.isUnlocked = isUnlocked;
+    this.isTestnet = isTestnet;
+    this.stateFile = stateFile;
+    this.tickInterval = tickInterval;
+
+    this.rules = [];
+    this.log = [];
+    this.timer = null;
+    this.ticking = null;
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Run due rules now and then every tickInterval
+   */
+  async start() {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.emit('error', error));
+    }, this.tickInterval);
+    return this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rules with the key type they need and whether it is approved
+   */
+  async list() {
+    await this.load();
+    return this.rules.map(rule => ({
+      ...rule,
+      keyType: keyTypeOf(rule),
+      approved: isApproved(rule)
+    }));
+  }
+
+  async get(id) {
+    await this.load();
+    const rule = this.rules.find(entry => entry.id === id);
+    if (!rule) throw new Error(`No scheduled rule ${id}`);
+    return rule;
+  }
+
+  /**
+   * Add a rule. New rules wait for approval before they run.
+   */
+  async add(input) {
+    await this.load();
+    const rule = { ...normalizeRule({ ...input, id: undefined }), approvedKeyType: null, approvedTerms: null, approvedAt: null, lastRun: null, lastStatus: null, nextRun: null };
+    this.rules.push(rule);
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Change a rule; approval is kept only if what the rule does is unchanged
+   */
+  async update(id, changes = {}) {
+    const rule = await this.get(id);
+    const updated = normalizeRule({ ...rule, ...changes, id });
+    const approvalKept = APPROVAL_FIELDS.every(field => updated[field] === rule[field]);
+    Object.assign(rule, updated, approvalKept ? {} : { approvedKeyType: null, approvedTerms: null, approvedAt: null });
+    await this.save();
+    return rule;
+  }
+
+  async remove(id) {
+    await this.load();
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Allow a rule to sign with its key type without asking each time
+   * @param {string} keyType - Must be the key type the rule needs, so approval is explicit
+   */
+  async approve(id, keyType) {
+    const rule = await this.get(id);
+    const needed = keyTypeOf(rule);
+    if (keyType !== needed) {
+      throw new Error(`"${rule.name}" signs with the ${needed} key, approve ${needed} (got ${keyType || 'nothing'})`);
+    }
+    rule.approvedKeyType = needed;
+    rule.approvedTerms = termsOf(rule);
+    rule.approvedAt = new Date().toISOString();
+    await this.save();
+    return rule;
+  }
+
+  async revoke(id) {
+    const rule = await this.get(id);
+    rule.approvedKeyType = null;
+    rule.approvedTerms = null;
+    rule.approvedAt = null;
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Run every enabled, approved rule that is due. Waits while the wallet is
+   * locked. Concurrent calls share one run.
+   * @returns {Promise<Array<Object>>} runs made
+   */
+  async tick(now = new Date()) {
+    if (!this.ticking) {
+      this.ticking = this.runDue(now).finally(() => { this.ticking = null; });
+    }
+    return this.ticking;
+  }
+
+  async runDue(now) {
+    await this.load();
+    if (!this.isUnlocked()) return [];
+    const runs = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled || !isApproved(rule)) continue;
+      if (rule.nextRun && new Date(rule.nextRun) > now) continue;
+      runs.push(await this.execute(rule, now));
+    }
+    return runs;
+  }
+
+  /**
+   * Run one rule now, whether or not it is due or enabled. It still needs approval.
+   */
+  async run(id, now = new Date()) {
+    const rule = await this.get(id);
+    if (!isApproved(rule)) {
+      throw new Error(`"${rule.name}" is not approved to sign with the ${keyTypeOf(rule)} key`);
+    }
+    return this.execute(rule, now);
+  }
+
+  async execute(rule, now) {
+    const run = { ruleId: rule.id, at: now.toISOString(), account: rule.account, action: rule.action, token: rule.token, to: rule.to };
+    try {
+      const plan = planRun(rule, await this.getBalances(rule.account, rule.token ? wallet.chainOf(rule.token) : 'hive'), this.sentSince(rule.id, now));
+      if (plan.skip) {
+        Object.assign(run, { status: 'skipped', reason: plan.skip });
+      } else {
+        const tx = buildTransaction(rule, plan, { testnet: this.isTestnet() });
+        const result = await this.broadcast(rule.account, { operations: tx.operations }, tx.keyType);
+        Object.assign(run, { status: 'broadcast', amount: plan.amount, transactionId: transactionIdFrom(result) });
+      }
+    } catch (error) {
+      Object.assign(run, { status: 'failed', reason: error.message });
+    }
+
+    rule.lastRun = run.at;
+    rule.lastStatus = run.status;
+    rule.nextRun = new Date(now.getTime() + rule.intervalHours * HOUR_MS).toISOString();
+    this.log.push(run);
+    if (this.log.length > LOG_LIMIT) this.log = this.log.slice(-LOG_LIMIT);
+    await this.save();
+    this.emit('run', run);
+    return run;
+  }
+
+  /**
+   * Runs, newest first
+   * @param {Object} filter - { ruleId, limit }
+   */
+  async getLog({ ruleId, limit } = {}) {
+    await this.load();
+    const runs = this.log.filter(run => !ruleId || run.ruleId === ruleId).reverse();
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  /**
+   * Amount a rule moved in the 24 hours before now
+   */
+  sentSince(ruleId, now) {
+    const since = now.getTime() - DAY_MS;
+    return round(this.log
+      .filter(run => run.ruleId === ruleId && run.status === 'broadcast' && new Date(run.at).getTime() > since)
+      .reduce((sum, run) => sum + (run.amount || 0), 0));
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+          this.rules = Array.isArray(data.rules) ? data.rules : [];
+          this.log = Array.isArray(data.log) ? data.log : [];
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load token schedules:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write rules and the run log; writes are serialized so concurrent changes are not lost
+   */
+  async save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(this.stateFile, JSON.stringify({ rules: this.rules, log: this.log }, null, 2));
+    });
+    return this.saving;
+  }
+}
+
+function describe({ action, token, to, amount }) {
+  const quantity = amount === 'all' ? `all ${token}` : `${amount} ${token}`;
+  switch (action) {
+  case 'claim_rewards':
+    return 'Claim Hive rewards';
+  case 'power_up':
+    return `Power up ${quantity}`;
+  default:
+    return `Send ${quantity} to @${to}`;
+  }
+}
+
+function toAccount(value) {
+  return String(value || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+function toAmount(value, label, allowZero = true) {
+  if (value === undefined || value === null || value === '') return 0;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0 || (!allowZero && amount === 0)) {
+    throw new Error(`${label} must be ${allowZero ? '0 or more' : 'more than 0'}, got ${value}`);
+  }
+  return round(amount);
+}
+
+// Token precision is 3 decimals; round down so a run never exceeds a balance
+function round(amount) {
+  return Math.floor(amount * 1000 + 1e-6) / 1000;
+}
+
+module.exports = TokenScheduler;
+module.exports.normalizeRule = normalizeRule;
+module.exports.planRun = planRun;
+module.exports.buildTransaction = buildTransaction;
+module.exports.keyTypeOf = keyTypeOf;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,409 @@
+/**
+ * Transaction History
+ * Local, queryable record of every transaction Oratr broadcasts, merged with
+ * the account's on-chain Hive history. SPK, LARYNX and BROCA operations are
+ * Hive custom_json operations (id spkcc_<action>, spkccT_<action> on the
+ * testnet), so both come from the same source. Incoming SPK/LARYNX/BROCA
+ * transfers are signed by the sender and are not in the receiver's history.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const HISTORY_FILE = path.join(os.homedir(), '.oratr', 'transaction-history.json');
+const MAX_ENTRIES = 5000;
+// Protocol precision for SPK/LARYNX/BROCA amounts is 3
+const TOKEN_SCALE = 1000;
+
+// Wallet operations on Hive; anything else in the account history is left out
+const HIVE_OPERATIONS = {
+  transfer: 'transfer',
+  transfer_to_vesting: 'power_up',
+  withdraw_vesting: 'power_down',
+  fill_vesting_withdraw: 'power_down_payment',
+  delegate_vesting_shares: 'delegate',
+  claim_reward_balance: 'claim_rewards',
+  convert: 'convert',
+  fill_convert_request: 'convert_payment',
+  transfer_to_savings: 'savings_deposit',
+  transfer_from_savings: 'savings_withdraw',
+  recurrent_transfer: 'recurring_transfer'
+};
+
+const SPK_ACTIONS = {
+  spk_send: { type: 'transfer', token: 'SPK' },
+  send: { type: 'transfer', token: 'LARYNX' },
+  power_up: { type: 'power_up', token: 'LARYNX' },
+  power_down: { type: 'power_down', token: 'LARYNX' },
+  power_grant: { type: 'delegate', token: 'LARYNX' },
+  spk_up: { type: 'power_up', token: 'SPK' },
+  spk_down: { type: 'power_down', token: 'SPK' },
+  channel_open: { type: 'contract', token: 'BROCA' },
+  extend: { type: 'extension', token: 'BROCA' },
+  store: { type: 'store', token: null },
+  remove: { type: 'remove', token: null },
+  register_service: { type: 'register_service', token: null },
+  register_authority: { type: 'register_authority', token: null },
+  validator_burn: { type: 'register_validator', token: 'LARYNX' }
+};
+
+const CSV_COLUMNS = ['at', 'chain', 'token', 'type', 'account', 'from', 'to', 'amount', 'memo', 'status', 'source', 'transactionId', 'block', 'uploadId', 'contractId'];
+
+/**
+ * Parse "1.000 HIVE" into { amount: 1, token: 'HIVE' }
+ */
+function parseAsset(asset) {
+  if (asset && typeof asset === 'object') {
+    return { amount: Number(asset.amount) / Math.pow(10, asset.precision || 3), token: assetSymbol(asset.nai) };
+  }
+  const [amount, token] = String(asset || '').trim().split(/\s+/);
+  return { amount: amount !== undefined && amount !== '' ? Number(amount) : null, token: token || null };
+}
+
+function assetSymbol(nai) {
+  return { '@@000000021': 'HIVE', '@@000000013': 'HBD', '@@000000037': 'VESTS' }[nai] || nai || null;
+}
+
+/**
+ * History fields for one Hive operation, or null if it is not a wallet operation
+ * @param {Array} operation - [name, data]
+ * @returns {Object|null} { chain, token, type, operation, from, to, amount, memo, details }
+ */
+function fromOperation([name, data = {}]) {
+  if (name === 'custom_json') return fromCustomJson(data);
+  const type = HIVE_OPERATIONS[name];
+  if (!type) return null;
+
+  const entry = { chain: 'hive', type, operation: name, from: null, to: null, amount: null, token: null, memo: data.memo || null, details: null };
+  const asset = (field) => Object.assign(entry, parseAsset(data[field]));
+  switch (name) {
+  case 'transfer':
+  case 'transfer_to_savings':
+  case 'transfer_from_savings':
+  case 'recurrent_transfer':
+    Object.assign(entry, { from: data.from, to: data.to });
+    asset('amount');
+    break;
+  case 'transfer_to_vesting':
+    Object.assign(entry, { from: data.from, to: data.to || data.from });
+    asset('amount');
+    break;
+  case 'withdraw_vesting':
+    entry.from = data.account;
+    asset('vesting_shares');
+    break;
+  case 'fill_vesting_withdraw':
+    Object.assign(entry, { from: data.from_account, to: data.to_account });
+    asset('deposited');
+    break;
+  case 'delegate_vesting_shares':
+    Object.assign(entry, { from: data.delegator, to: data.delegatee });
+    asset('vesting_shares');
+    break;
+  case 'claim_reward_balance':
+    entry.to = data.account;
+    asset('reward_hive');
+    entry.details = [data.reward_hive, data.reward_hbd, data.reward_vests].map(formatAsset).filter(Boolean).join(', ');
+    break;
+  case 'convert':
+  case 'fill_convert_request':
+    entry.from = data.owner;
+    asset(name === 'convert' ? 'amount' : 'amount_in');
+    break;
+  }
+  return entry;
+}
+
+function fromCustomJson(data) {
+  const match = /^spkccT?_(.+)$/.exec(data.id || '');
+  if (!match) return null;
+  const action = SPK_ACTIONS[match[1]] || { type: match[1], token: null };
+
+  let json = {};
+  try {
+    json = typeof data.json === 'string' ? JSON.parse(data.json) : (data.json || {});
+  } catch (_) { /* keep the raw operation */ }
+
+  const signer = (data.required_auths && data.required_auths[0]) || (data.required_posting_auths && data.required_posting_auths[0]) || null;
+  const raw = json.amount !== undefined ? json.amount : json.broca;
+  return {
+    chain: 'spk',
+    type: action.type,
+    operation: match[1],
+    token: action.token,
+    from: signer,
+    to: json.to || json.broker || null,
+    amount: raw !== undefined && Number.isFinite(Number(raw)) ? Number(raw) / TOKEN_SCALE : null,
+    memo: json.memo || null,
+    details: action.type === 'extension' || action.type === 'store' || action.type === 'remove'
+      ? [].concat(json.id || json.items || []).join(',') || null
+      : null
+  };
+}
+
+function formatAsset(asset) {
+  const { amount, token } = parseAsset(asset);
+  return amount ? `${amount} ${token}` : null;
+}
+
+/**
+ * Transaction id from a broadcast result (hive-tx, dhive or spk-js shapes)
+ */
+function transactionIdFrom(result) {
+  if (!result) return null;
+  if (typeof result === 'string') return result;
+  return (result.result && result.result.tx_id) || result.tx_id || result.transactionId ||
+    (typeof result.id === 'string' ? result.id : null);
+}
+
+/**
+ * Entries as CSV with a header row. Text that a spreadsheet would run as a
+ * formula (memos are chosen by the sender) is prefixed with '.
+ */
+function toCsv(entries) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
+
+class TransactionHistory extends EventEmitter {
+  /**
+   * @param {Object} options.hiveClient - dhive Client for on-chain history
+   * @param {string} options.historyFile - Where the history is kept
+   */
+  constructor({ hiveClient = null, historyFile = HISTORY_FILE } = {}) {
+    super();
+    this.hiveClient = hiveClient;
+    this.historyFile = historyFile;
+    this.entries = [];
+    this.loaded = null;
+    this.saving = Promise.resolve();
+    this.pending = new Set();
+  }
+
+  /**
+   * Record a transaction broadcast (or attempted) from Oratr, one entry per operation
+   * @param {Object} broadcast - { username, operations, result, error }
+   * @returns {Promise<Array<Object>>} The recorded entries
+   */
+  recordBroadcast(broadcast) {
+    return this.track(this.addBroadcast(broadcast));
+  }
+
+  async addBroadcast({ username, operations = [], result = null, error = null }) {
+    await this.load();
+    const transactionId = transactionIdFrom(result);
+    const failure = error || (result && result.error);
+    const recorded = [];
+    operations.forEach((operation, index) => {
+      const fields = fromOperation(operation);
+      if (!fields) return;
+      recorded.push(this.upsert({
+        ...fields,
+        at: new Date().toISOString(),
+        account: username,
+        transactionId,
+        opIndex: index,
+        block: null,
+        source: 'oratr',
+        status: failure ? 'failed' : 'broadcast',
+        error: failure ? (failure.message || String(failure)) : null
+      }));
+    });
+    if (recorded.length > 0) await this.save();
+    return recorded;
+  }
+
+  /**
+   * Link an upload to its contract transaction. The broadcast entry gets the
+   * upload and contract ids; an upload entry is added if Oratr did not see it.
+   * @param {Object} upload - { transactionId, uploadId, contractId, account, broca, cids }
+   */
+  linkUpload(upload) {
+    return this.track(this.addUploadLink(upload));
+  }
+
+  async addUploadLink({ transactionId, uploadId, contractId, account, broca = null, cids = [] }) {
+    await this.load();
+    const links = { uploadId: uploadId || null, contractId: contractId || null, cids: cids.length > 0 ? cids : undefined };
+    const matches = transactionId ? this.entries.filter(entry => entry.transactionId === transactionId) : [];
+    for (const entry of matches) Object.assign(entry, links);
+    if (matches.length === 0) {
+      this.upsert({
+        chain: 'spk',
+        type: 'upload',
+        operation: 'upload',
+        token: 'BROCA',
+        from: account,
+        to: null,
+        amount: broca,
+        memo: null,
+        details: null,
+        at: new Date().toISOString(),
+        account,
+        transactionId: transactionId || null,
+        opIndex: 0,
+        block: null,
+        source: 'oratr',
+        status: 'broadcast',
+        error: null,
+        ...links
+      });
+    }
+    await this.save();
+  }
+
+  /**
+   * Fetch the account's Hive history and merge it in. Broadcasts already
+   * recorded are marked confirmed with their block.
+   * @returns {Promise<Object>} { added, confirmed }
+   */
+  async sync(account, { limit = 1000 } = {}) {
+    if (!this.hiveClient) throw new Error('No Hive client to fetch history from');
+    await this.load();
+
+    const history = await this.hiveClient.database.getAccountHistory(account, -1, Math.min(limit, 1000));
+    let added = 0;
+    let confirmed = 0;
+    for (const [, item] of history) {
+      const fields = fromOperation(item.op);
+      if (!fields) continue;
+      const existing = this.find(item.trx_id, item.op_in_trx);
+      if (existing) {
+        if (existing.status !== 'confirmed') confirmed++;
+        Object.assign(existing, { status: 'confirmed', block: item.block, at: toIso(item.timestamp) });
+        continue;
+      }
+      this.upsert({
+        ...fields,
+        at: toIso(item.timestamp),
+        account,
+        transactionId: item.trx_id,
+        opIndex: item.op_in_trx,
+        block: item.block,
+        source: 'chain',
+        status: 'confirmed',
+        error: null
+      });
+      added++;
+    }
+    await this.save();
+    this.emit('synced', { account, added, confirmed });
+    return { added, confirmed };
+  }
+
+  /**
+   * Entries matching a filter, newest first
+   * @param {Object} filter - { account, chain, token, type, source, status, since, until, search, limit }
+   */
+  async query(filter = {}) {
+    await this.load();
+    const since = filter.since ? new Date(filter.since).getTime() : -Infinity;
+    const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+    const search = filter.search ? String(filter.search).toLowerCase() : null;
+    const matches = this.entries.filter(entry => {
+      const at = new Date(entry.at).getTime();
+      if (at < since || at >= until) return false;
+      for (const key of ['account', 'chain', 'token', 'type', 'source', 'status']) {
+        if (filter[key] && entry[key] !== filter[key]) return false;
+      }
+      return !search || [entry.from, entry.to, entry.memo, entry.transactionId, entry.contractId, entry.uploadId]
+        .some(value => value && String(value).toLowerCase().includes(search));
+    });
+    matches.sort((a, b) => b.at.localeCompare(a.at));
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+
+  /**
+   * Entries for an upload: its contract transaction and anything sharing its
+   * upload id, contract id or transaction id
+   */
+  async linked(reference) {
+    await this.load();
+    const direct = this.entries.filter(entry => [entry.uploadId, entry.contractId, entry.transactionId].includes(reference));
+    const transactionIds = new Set(direct.map(entry => entry.transactionId).filter(Boolean));
+    return this.entries
+      .filter(entry => direct.includes(entry) || transactionIds.has(entry.transactionId))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  /**
+   * Resolves once records in progress have been written, e.g. before exiting
+   */
+  async flush() {
+    await Promise.all([...this.pending].map(promise => promise.catch(() => {})));
+    await this.saving;
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    const untrack = () => this.pending.delete(promise);
+    promise.then(untrack, untrack);
+    return promise;
+  }
+
+  find(transactionId, opIndex) {
+    return transactionId ? this.entries.find(entry => entry.transactionId === transactionId && entry.opIndex === opIndex) : null;
+  }
+
+  /**
+   * Add an entry, or update the one with the same transaction and operation
+   */
+  upsert(fields) {
+    const existing = this.find(fields.transactionId, fields.opIndex);
+    if (existing) {
+      Object.assign(existing, fields, { source: existing.source, at: existing.at });
+      return existing;
+    }
+    const entry = { id: `${Date.now().toString(36)}-${this.entries.length}`, ...fields };
+    this.entries.push(entry);
+    this.emit('recorded', entry);
+    return entry;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+          this.entries = Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load transaction history:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the history, keeping the newest MAX_ENTRIES
+   */
+  async save() {
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.sort((a, b) => a.at.localeCompare(b.at));
+      this.entries = this.entries.slice(-MAX_ENTRIES);
+    }
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+      await fs.writeFile(this.historyFile, JSON.stringify({ entries: this.entries }, null, 2));
+    });
+    return this.saving;
+  }
+}
+
+// Hive timestamps are UTC without a zone
+function toIso(timestamp) {
+  if (!timestamp) return new Date().toISOString();
+  return new Date(/Z|[+-]\d\d:?\d\d$/.test(timestamp) ? timestamp : `${timestamp}Z`).toISOString();
+}
+
+module.exports = TransactionHistory;
+module.exports.fromOperation = fromOperation;
+module.exports.transactionIdFrom = transactionIdFrom;
+module.exports.toCsv = toCsv;
+module.exports.CSV_COLUMNS = CSV_COLUMNS;
@@ -0,0 +1,445 @@
+/**
+ * Transcode Jobs Manager
+ * Persists transcoding jobs so encoding interrupted by a crash or app restart
+ * resumes from the last complete segment instead of starting over
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Bytes read from the start, middle and end of the source for its fingerprint
+const HASH_SAMPLE_SIZE = 8 * 1024 * 1024;
+
+// Minimum time between playlist scans while a job is encoding
+const PROGRESS_INTERVAL = 5000;
+
+const RESUMABLE_STATUSES = ['pending', 'transcoding', 'interrupted', 'failed'];
+
+class TranscodeJobsManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.jobs = new Map();
+    this.storageFile = config.storageFile || path.join(os.homedir(), '.oratr', 'transcode-jobs.json');
+    this.jobsDir = config.jobsDir || path.join(os.homedir(), '.oratr', 'transcode-jobs');
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.jobsDir, { recursive: true });
+    await this.loadJobs();
+    this.initialized = true;
+
+    // Anything still marked as encoding was cut off by the last shutdown
+    let interrupted = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'transcoding') {
+        job.status = 'interrupted';
+        interrupted++;
+      }
+    }
+    if (interrupted > 0) {
+      await this.saveJobs();
+    }
+
+    await this.cleanupOldEntries();
+  }
+
+  /**
+   * Fingerprint a source video: SHA-256 over its size and three 8 MB samples.
+   * Enough to tell the same file apart from an edited one without reading
+   * multi-gigabyte sources end to end.
+   * @param {string} filePath
+   * @returns {Promise<string>} hex digest
+   */
+  static async hashSource(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const hash = crypto.createHash('sha256');
+      hash.update(String(size));
+
+      const offsets = size <= HASH_SAMPLE_SIZE * 3
+        ? [0]
+        : [0, Math.floor(size / 2) - HASH_SAMPLE_SIZE / 2, size - HASH_SAMPLE_SIZE];
+      const length = size <= HASH_SAMPLE_SIZE * 3 ? size : HASH_SAMPLE_SIZE;
+
+      for (const offset of offsets) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+
+      return hash.digest('hex');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Key for the settings that change the encoded output. A job only resumes
+   * when the new request would produce identical segments.
+   */
+  static settingsKey(settings = {}) {
+    const resolutions = (settings.resolutions || []).map(entry => (
+      typeof entry === 'string'
+        ? entry
+        : [entry.name, entry.videoBitrate, entry.width, entry.height].join(':')
+    ));
+    // Separate audio renditions change the video output too
+    const audio = (settings.audioTracks || []).length > 1
+      ? settings.audioTracks.map(stream => stream.index)
+      : undefined;
+    // Loudness gain, downmix and trim change every rendition
+    const processing = settings.audioProcessing
+      ? [settings.audioProcessing.filters, settings.audioProcessing.channels, settings.audioProcessing.trim]
+      : undefined;
+    // Cuts and joins are part of the source (an ffconcat list); crop/rotate are filters
+    const edit = settings.edit && settings.edit.videoFilters.length > 0
+      ? settings.edit.videoFilters
+      : undefined;
+    // Intro/outro clips are part of the source; the text file path changes per run
+    const overlay = settings.overlay
+      ? [settings.overlay.watermark, settings.overlay.text]
+      : undefined;
+    return JSON.stringify({
+      resolutions,
+      codec: settings.codec || 'h264',
+      segmentFormat: settings.segmentFormat || 'ts',
+      audio,
+      processing,
+      edit,
+      overlay
+    });
+  }
+
+  /**
+   * Find a resumable job for this source and settings, or create a new one
+   * @param {string} sourcePath - Video to transcode
+   * @param {Object} settings - resolutions, codec, segmentFormat, fps, hasAudio, audioTracks,
+   *   audioProcessing, edit, duration
+   * @param {Object} meta - name (display name), outputDir (defaults to a per-job directory)
+   * @returns {Promise<Object>} job, with `resumed` set when earlier progress was found
+   */
+  async prepareJob(sourcePath, settings = {}, meta = {}) {
+    await this.init();
+
+    const sourceHash = await TranscodeJobsManager.hashSource(sourcePath);
+    const settingsKey = TranscodeJobsManager.settingsKey(settings);
+    const outputDir = meta.outputDir ? path.resolve(meta.outputDir) : null;
+
+    for (const job of this.jobs.values()) {
+      if (job.sourceHash === sourceHash &&
+          job.settingsKey === settingsKey &&
+          RESUMABLE_STATUSES.includes(job.status) &&
+          (!outputDir || job.outputDir === outputDir)) {
+        job.sourcePath = sourcePath;
+        // Same encoding; picks up temporary files of this run (e.g. overlay text)
+        job.settings = settings;
+        job.resumed = true;
+        job.updatedAt = Date.now();
+        await this.refreshProgress(job.id);
+        this.emit('job-resumed', job);
+        return job;
+      }
+    }
+
+    const id = uuidv4();
+    const job = {
+      id,
+      name: meta.name || path.basename(sourcePath),
+      sourcePath,
+      sourceHash,
+      settings,
+      settingsKey,
+      outputDir: outputDir || path.join(this.jobsDir, id),
+      ownsOutput: !outputDir,
+      status: 'pending',
+      renditions: {},
+      resumed: false,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await fs.mkdir(job.outputDir, { recursive: true });
+    this.jobs.set(id, job);
+    await this.saveJobs();
+
+    this.emit('job-added', job);
+    return job;
+  }
+
+  /**
+   * Encode every rendition of a job. A resumed job keeps the segments earlier
+   * runs finished; a new one overwrites whatever is in its output directory.
+   * @param {string} jobId
+   * @param {Transcoder} transcoder
+   * @param {Object} options - Extra transcoder options (singlePass, encoding)
+   * @returns {Promise<Object>} transcodeToMultipleResolutions results
+   */
+  async runJob(jobId, transcoder, options = {}) {
+    const job = this.getJob(jobId);
+    const { resolutions, ...settings } = job.settings;
+
+    return this.track(job, transcoder, () => transcoder.transcodeToMultipleResolutions(
+      job.sourcePath,
+      job.outputDir,
+      resolutions,
+      { ...settings, ...options, resume: job.resumed }
+    ), true);
+  }
+
+  /**
+   * Encode one rendition of a job into `<outputDir>/<resolution>`. Used by
+   * callers that drive the rendition loop themselves; call completeJob after
+   * the last one.
+   */
+  async runRendition(jobId, transcoder, resolution, options = {}) {
+    const job = this.getJob(jobId);
+    const outputDir = path.join(job.outputDir, resolution);
+
+    return this.track(job, transcoder, () => transcoder.transcodeToHLS(
+      job.sourcePath,
+      outputDir,
+      resolution,
+      { ...options, resume: job.resumed }
+    ), false);
+  }
+
+  /**
+   * Mark a job as encoding, snapshot progress while it runs and record how it ended
+   */
+  async track(job, transcoder, run, completes) {
+    await this.updateJob(job.id, 'transcoding', { error: null });
+
+    let lastRefresh = 0;
+    const onProgress = () => {
+      if (Date.now() - lastRefresh < PROGRESS_INTERVAL) return;
+      lastRefresh = Date.now();
+      this.refreshProgress(job.id).catch(() => { /* next tick will retry */ });
+    };
+    transcoder.on('progress', onProgress);
+
+    try {
+      const results = await run();
+      await this.refreshProgress(job.id);
+      if (completes) {
+        await this.completeJob(job.id);
+      }
+      return results;
+    } catch (error) {
+      await this.refreshProgress(job.id).catch(() => { /* keep the error below */ });
+      const status = /cancel/i.test(error.message) ? 'interrupted' : 'failed';
+      await this.updateJob(job.id, status, { error: error.message });
+      throw error;
+    } finally {
+      transcoder.removeListener('progress', onProgress);
+    }
+  }
+
+  /**
+   * Mark a job as finished. Its output is kept until removeJob or cleanup.
+   */
+  async completeJob(jobId) {
+    return this.updateJob(jobId, 'completed', { completedAt: Date.now(), error: null });
+  }
+
+  /**
+   * Record the segments each rendition playlist lists so far
+   */
+  async refreshProgress(jobId) {
+    const job = this.getJob(jobId);
+
+    for (const entry of job.settings.resolutions || []) {
+      const resolution = typeof entry === 'string' ? entry : entry.name;
+      const playlistPath = path.join(job.outputDir, resolution, `${resolution}.m3u8`);
+      job.renditions[resolution] = await readPlaylistProgress(playlistPath);
+    }
+
+    job.updatedAt = Date.now();
+    await this.saveJobs();
+    this.emit('job-updated', job);
+    return job.renditions;
+  }
+
+  /**
+   * Remove a job and its encoded output
+   */
+  async removeJob(jobId) {
+    await this.init();
+
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    this.jobs.delete(jobId);
+    await this.saveJobs();
+    if (job.ownsOutput) {
+      await fs.rm(job.outputDir, { recursive: true, force: true });
+    }
+
+    this.emit('job-removed', { id: jobId });
+    return true;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Transcode job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Jobs that stopped before finishing and have output to continue from
+   */
+  async getResumableJobs() {
+    await this.init();
+    return Array.from(this.jobs.values()).filter(job => (
+      ['interrupted', 'failed'].includes(job.status) &&
+      Object.values(job.renditions).some(rendition => rendition.segments > 0)
+    ));
+  }
+
+  /**
+   * Get jobs for UI display, newest first
+   */
+  async getJobsForDisplay() {
+    await this.init();
+
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(job => ({
+        id: job.id,
+        name: job.name,
+        sourcePath: job.sourcePath,
+        status: job.status,
+        codec: job.settings.codec || 'h264',
+        resolutions: Object.keys(job.renditions),
+        renditions: job.renditions,
+        percent: jobPercent(job),
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      }));
+  }
+
+  /**
+   * Update job status
+   * @param {string} jobId
+   * @param {string} status - pending, transcoding, interrupted, failed, completed
+   * @param {Object} updates - Additional fields to update
+   */
+  async updateJob(jobId, status, updates = {}) {
+    const job = this.getJob(jobId);
+    job.status = status;
+    Object.assign(job, updates);
+    job.updatedAt = Date.now();
+
+    await this.saveJobs();
+    this.emit('job-updated', job);
+    return job;
+  }
+
+  /**
+   * Clean up old entries (completed jobs older than 1 day, unfinished older than 14 days)
+   */
+  async cleanupOldEntries() {
+    await this.init();
+
+    const now = Date.now();
+    const oneDay = 24 * 60 * 60 * 1000;
+    const fourteenDays = 14 * oneDay;
+
+    const stale = Array.from(this.jobs.values()).filter(job => (
+      (job.status === 'completed' && now - job.updatedAt > oneDay) ||
+      (job.status !== 'completed' && now - job.updatedAt > fourteenDays)
+    ));
+
+    for (const job of stale) {
+      await this.removeJob(job.id);
+    }
+
+    if (stale.length > 0) {
+      this.emit('cleanup', { removed: stale.length });
+    }
+  }
+
+  /**
+   * Load jobs from disk
+   */
+  async loadJobs() {
+    try {
+      const data = await fs.readFile(this.storageFile, 'utf8');
+      const jobs = JSON.parse(data);
+
+      this.jobs.clear();
+      for (const job of jobs) {
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+      this.jobs.clear();
+    }
+  }
+
+  /**
+   * Save jobs to disk
+   */
+  async saveJobs() {
+    try {
+      const jobs = Array.from(this.jobs.values());
+      await fs.writeFile(this.storageFile, JSON.stringify(jobs, null, 2));
+    } catch (error) {
+      console.error('Failed to save transcode jobs:', error);
+    }
+  }
+}
+
+/**
+ * Count the segments a rendition playlist lists. Unlike
+ * Transcoder.readRenditionState this never touches files, so it is safe
+ * while FFmpeg is still writing.
+ */
+async function readPlaylistProgress(playlistPath) {
+  let content;
+  try {
+    content = await fs.readFile(playlistPath, 'utf8');
+  } catch (_) {
+    return { segments: 0, duration: 0, complete: false };
+  }
+
+  let segments = 0;
+  let duration = 0;
+  for (const line of content.split('\n')) {
+    if (line.startsWith('#EXTINF:')) {
+      segments++;
+      duration += parseFloat(line.substring('#EXTINF:'.length)) || 0;
+    }
+  }
+
+  return {
+    segments,
+    duration: Math.round(duration * 1000) / 1000,
+    complete: content.includes('#EXT-X-ENDLIST')
+  };
+}
+
+function jobPercent(job) {
+  if (job.status === 'completed') return 100;
+
+  const renditions = Object.values(job.renditions);
+  const total = Number(job.settings.duration) || 0;
+  if (renditions.length === 0 || total <= 0) return 0;
+
+  const done = renditions.reduce((sum, rendition) => (
+    sum + (rendition.complete ? 1 : Math.min(rendition.duration / total, 1))
+  ), 0);
+  return Math.round((done / renditions.length) * 100);
+}
+
+module.exports = TranscodeJobsManager;
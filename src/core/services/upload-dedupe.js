@@ -0,0 +1,199 @@
+/**
+ * Upload Dedupe
+ * Hashes files before any contract is created and finds the ones already
+ * stored, either in the uploader's own contracts or elsewhere on the network,
+ * so uploads can reference the existing CIDs instead of paying BROCA again.
+ */
+
+const path = require('path');
+const { createReadStream } = require('fs');
+
+// 'ask' lets interactive callers offer the choice; without a prompt it references
+const DEDUPE_MODES = ['ask', 'reference', 'upload'];
+
+// Direct uploads run for the network's default 30 days
+const DEFAULT_DURATION = 30 * 24 * 60 * 60;
+const BLOCK_SECONDS = 3;
+// Always part of its own upload, so the video keeps its visible entry
+const MASTER_PLAYLIST = 'master.m3u8';
+
+/**
+ * Resolve the dedupe mode for an upload from an explicit option or the uploadDedupe setting
+ * @returns {'reference'|'upload'}
+ */
+function resolveMode(option, setting) {
+  const mode = option || setting || 'ask';
+  if (!DEDUPE_MODES.includes(mode)) {
+    throw new Error(`Unknown dedupe mode "${mode}", use ${DEDUPE_MODES.join(', ')}`);
+  }
+  return mode === 'upload' ? 'upload' : 'reference';
+}
+
+/**
+ * Whether an upload may reference a stored file instead of paying for it.
+ * Only files in the uploader's contracts that outlive the new contract
+ * qualify; a network match can be unpinned at any time.
+ * @param {string} name - File name; the master playlist is never referenced
+ * @param {Object|null} existing - findExisting() entry
+ * @param {number} duration - New contract duration in seconds
+ */
+function canReference(name, existing, duration = DEFAULT_DURATION) {
+  if (path.basename(name || '') === MASTER_PLAYLIST) return false;
+  return Boolean(existing) && existing.source === 'contract' && existing.expiresIn > duration;
+}
+
+class UploadDedupe {
+  /**
+   * @param {Object} options.ipfsManager - Provides hashOnly()
+   * @param {string|Function} options.spkApiUrl - SPK API used to list the uploader's contracts, or a getter for it
+   * @param {Function} options.checkNetwork - Optional (cids) => result of checkExistingFiles
+   */
+  constructor({ ipfsManager, spkApiUrl = null, checkNetwork = null }) {
+    this.ipfsManager = ipfsManager;
+    this.spkApiUrl = spkApiUrl;
+    this.checkNetwork = checkNetwork;
+  }
+
+  /**
+   * CID a file would get when added, without adding it. Streams that can only
+   * be read once (request bodies) cannot be hashed ahead and return null.
+   * @param {Object} file - { buffer | content | path | arrayBuffer() | stream }
+   */
+  async hashFile(file) {
+    if (file.buffer || file.content) {
+      return this.ipfsManager.hashOnly(file.buffer || file.content);
+    }
+    if (file.path) {
+      return this.ipfsManager.hashOnly(createReadStream(file.path));
+    }
+    if (file.arrayBuffer) {
+      return this.ipfsManager.hashOnly(Buffer.from(await file.arrayBuffer()));
+    }
+    return null;
+  }
+
+  /**
+   * Find which CIDs are already stored. Lookups are best effort: a failed
+   * lookup only means fewer duplicates are found.
+   * @param {Array<string>} cids
+   * @param {string|null} username - Uploader whose contracts are checked first
+   * @returns {Promise<Map<string, Object>>} cid -> { source: 'contract', contractId, expires, expiresIn } | { source: 'network' },
+   *   expiresIn being the seconds the contract has left (null when unknown)
+   */
+  async findExisting(cids, username = null) {
+    const wanted = new Set(cids.filter(Boolean));
+    const existing = new Map();
+    if (wanted.size === 0) return existing;
+
+    const apiUrl = typeof this.spkApiUrl === 'function' ? this.spkApiUrl() : this.spkApiUrl;
+    if (username && apiUrl) {
+      try {
+        const response = await fetch(`${apiUrl}/@${username}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        for (const [contractId, contract] of Object.entries(data.file_contracts || {})) {
+          for (const cid of Object.keys(contract.df || {})) {
+            if (wanted.has(cid) && !existing.has(cid)) {
+              existing.set(cid, {
+                source: 'contract',
+                contractId,
+                expires: contract.e || null,
+                expiresIn: secondsLeft(contract.e, data.head_block)
+              });
+            }
+          }
+        }
+      } catch (error) {
+        console.warn(`Could not check @${username}'s contracts for duplicates:`, error.message);
+      }
+    }
+
+    const remaining = Array.from(wanted).filter(cid => !existing.has(cid));
+    if (remaining.length > 0 && this.checkNetwork) {
+      try {
+        for (const cid of toCidSet(await this.checkNetwork(remaining))) {
+          if (wanted.has(cid) && !existing.has(cid)) existing.set(cid, { source: 'network' });
+        }
+      } catch (error) {
+        console.warn('Could not check the network for duplicates:', error.message);
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Hash files and report which are already stored, and which of those can
+   * be referenced (see canReference)
+   * @param {Array<Object>} files
+   * @param {string|null} username
+   * @param {number} duration - New contract duration in seconds
+   * @returns {Promise<Object>} { files: [{ name, size, cid, existing, reference }], duplicates, duplicateBytes }
+   */
+  async check(files, username = null, duration = DEFAULT_DURATION) {
+    const entries = [];
+    for (const file of files) {
+      entries.push({
+        name: file.name,
+        size: fileSize(file),
+        cid: await this.hashFile(file)
+      });
+    }
+
+    const existing = await this.findExisting(entries.map(entry => entry.cid), username);
+    for (const entry of entries) {
+      entry.existing = (entry.cid && existing.get(entry.cid)) || null;
+      entry.reference = canReference(entry.name, entry.existing, duration);
+    }
+    const duplicates = entries.filter(entry => entry.reference);
+    return {
+      files: entries,
+      duplicates,
+      duplicateBytes: duplicates.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+  }
+}
+
+/**
+ * Normalize checkExistingFiles results: a list of CIDs, a list of
+ * { cid, exists } entries, or an object keyed by CID
+ */
+function toCidSet(result) {
+  const cids = new Set();
+  if (!result) return cids;
+
+  const list = Array.isArray(result) ? result : (result.existing || result.files || null);
+  if (Array.isArray(list)) {
+    for (const item of list) {
+      if (typeof item === 'string') cids.add(item);
+      else if (item && item.cid && item.exists !== false) cids.add(item.cid);
+    }
+    return cids;
+  }
+
+  for (const [cid, value] of Object.entries(result)) {
+    if (value) cids.add(cid);
+  }
+  return cids;
+}
+
+/**
+ * Seconds until a contract's expiry ("<block>:<id>") from the API head block
+ */
+function secondsLeft(expires, headBlock) {
+  const block = parseInt(String(expires || '').split(':')[0], 10);
+  if (!Number.isFinite(block) || !Number.isFinite(headBlock)) return null;
+  return (block - headBlock) * BLOCK_SECONDS;
+}
+
+function fileSize(file) {
+  if (Number.isFinite(file.size)) return file.size;
+  const content = file.buffer || file.content;
+  return content ? Buffer.byteLength(content) : null;
+}
+
+module.exports = UploadDedupe;
+module.exports.resolveMode = resolveMode;
+module.exports.DEDUPE_MODES = DEDUPE_MODES;
+module.exports.DEFAULT_DURATION = DEFAULT_DURATION;
+module.exports.canReference = canReference;
@@ -0,0 +1,448 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+// Queued uploads survive restarts; finished items stay until clearFinished()
+const QUEUE_FILE = path.join(os.homedir(), '.oratr', 'upload-queue.json');
+
+// Queue item statuses: queued -> transcoding -> transcoded -> uploading -> completed,
+// or failed; paused items return to the status they were paused in
+const ACTIVE_STATUSES = ['transcoding', 'uploading'];
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/**
+ * Upload Queue
+ * Persistent, prioritized queue on top of VideoUploadService. Each item runs
+ * prepareVideo (transcode phase) and later publishVideo (upload phase), with
+ * a separate concurrency limit per phase.
+ */
+class UploadQueue extends EventEmitter {
+  /**
+   * @param {Object} options.videoUploadService - Runs the two phases
+   * @param {Object} options.concurrency - { transcode, upload }: how many
+   *   items may be in each phase at once (default 1 each)
+   * @param {Function} options.canUpload - Whether the upload phase may start
+   *   now (e.g. the wallet is unlocked); call processQueue() when that changes
+   * @param {string} options.queueFile - Where the queue is persisted
+   */
+  constructor({ videoUploadService, concurrency = {}, canUpload = () => true, queueFile = QUEUE_FILE }) {
+    super();
+    this.videoUploadService = videoUploadService;
+    this.canUpload = canUpload;
+    this.queueFile = queueFile;
+
+    this.items = [];
+    this.loaded = null;
+    this.saving = null;
+    this.paused = false;
+    this.concurrency = { transcode: 1, upload: 1, ...concurrency };
+    this.running = { transcode: new Set(), upload: new Set() };
+    this.scheduleTimer = null;
+  }
+
+  /**
+   * Load the persisted queue once. Items cut off by the last exit go back a
+   * phase: transcodes start again (resuming their transcode job), uploads are
+   * retried from the transcoded files.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.readQueue();
+    }
+    return this.loaded;
+  }
+
+  async readQueue() {
+    let data = {};
+    try {
+      data = JSON.parse(await fs.readFile(this.queueFile, 'utf8'));
+    } catch (_) {
+      // No queue yet, or unreadable; start empty
+    }
+    if (data && data.concurrency) {
+      this.concurrency = { ...this.concurrency, ...data.concurrency };
+    }
+
+    const items = (data && data.items) || [];
+    for (const item of items) {
+      if (item.status === 'transcoding') {
+        item.status = 'queued';
+      } else if (item.status === 'uploading') {
+        item.status = 'transcoded';
+      }
+      const waitingStatus = item.status === 'paused' ? item.pausedStatus : item.status;
+      if (waitingStatus === 'transcoded' && !(await this.preparedExists(item))) {
+        item.prepared = null;
+        if (item.status === 'paused') item.pausedStatus = 'queued';
+        else item.status = 'queued';
+      }
+    }
+
+    this.items = items;
+  }
+
+  save() {
+    // Writes are chained so phases finishing together cannot interleave them
+    this.saving = (this.saving || Promise.resolve()).then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.queueFile), { recursive: true });
+        await fs.writeFile(this.queueFile, JSON.stringify({ concurrency: this.concurrency, items: this.items }, null, 2));
+      } catch (error) {
+        console.error('Failed to save upload queue:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Add a video to the queue
+   * @param {Object} options - uploadVideo options
+   * @param {Object} queueOptions - priority (higher runs first, default 0),
+   *   scheduledAt (do not start before; Date, ISO string or ms) and uploadAt
+   *   (transcode now but upload from this time, e.g. overnight)
+   * @returns {Promise<string>} queue item id
+   */
+  async queueUpload(videoPath, options = {}, queueOptions = {}) {
+    await this.load();
+
+    const item = {
+      id: uuidv4(),
+      videoPath,
+      options,
+      status: 'queued',
+      priority: Number(queueOptions.priority) || 0,
+      scheduledAt: toTime(queueOptions.scheduledAt),
+      uploadAt: toTime(queueOptions.uploadAt),
+      addedAt: Date.now(),
+      prepared: null
+    };
+
+    this.items.push(item);
+    this.items = this.orderedItems();
+    await this.save();
+    this.emit('queued', { ...item });
+
+    await this.processQueue();
+
+    return item.id;
+  }
+
+  /**
+   * Start items up to the transcode and upload concurrency limits. Returns
+   * once work is started; each phase calls this again when it ends.
+   */
+  async processQueue() {
+    await this.load();
+    if (this.paused) return;
+
+    const now = Date.now();
+    for (const item of this.orderedItems()) {
+      if (item.status === 'queued' && this.running.transcode.size < this.concurrency.transcode &&
+          !(item.scheduledAt > now)) {
+        this.runPhase(item, 'transcode').catch(error => this.phaseFailed(item, 'transcode', error));
+      } else if (item.status === 'transcoded' && this.running.upload.size < this.concurrency.upload &&
+          !(item.uploadAt > now) && this.canUpload()) {
+        this.runPhase(item, 'upload').catch(error => this.phaseFailed(item, 'upload', error));
+      }
+    }
+
+    this.scheduleWakeUp(now);
+  }
+
+  /**
+   * Run one phase of an item: transcode (VideoUploadService.prepareVideo) or
+   * upload (VideoUploadService.publishVideo)
+   */
+  async runPhase(item, phase) {
+    const running = this.running[phase];
+    running.add(item.id);
+    item.status = phase === 'transcode' ? 'transcoding' : 'uploading';
+    item.error = null;
+    await this.updateItem(item);
+
+    try {
+      if (phase === 'transcode') {
+        item.prepared = await this.videoUploadService.prepareVideo(item.id, item.videoPath, item.options);
+        item.status = 'transcoded';
+        item.transcodedAt = Date.now();
+      } else {
+        item.result = await this.videoUploadService.publishVideo(item.id, item.videoPath, item.prepared);
+        item.prepared = null;
+        item.status = 'completed';
+        item.completedAt = Date.now();
+      }
+    } catch (error) {
+      // A failed upload keeps its transcoded files so a retry skips the transcode
+      item.status = 'failed';
+      item.failedPhase = phase;
+      item.error = error.message;
+    } finally {
+      running.delete(item.id);
+    }
+
+    if (item.pauseRequested) {
+      delete item.pauseRequested;
+      if (item.status === 'transcoded') {
+        item.pausedStatus = item.status;
+        item.status = 'paused';
+      }
+    }
+    await this.updateItem(item);
+
+    if (item.status === 'completed') this.emit('completed', { ...item });
+    if (item.status === 'failed') this.emit('failed', { ...item });
+
+    await this.processQueue();
+  }
+
+  /**
+   * Errors outside the phase itself (a listener, starting the next item)
+   * still leave the item failed instead of stuck in its phase
+   */
+  async phaseFailed(item, phase, error) {
+    console.error(`Upload queue ${phase} error:`, error);
+    this.running[phase].delete(item.id);
+    if (ACTIVE_STATUSES.includes(item.status)) {
+      item.status = 'failed';
+      item.failedPhase = phase;
+      item.error = error.message;
+      await this.save();
+      this.emit('failed', { ...item });
+    }
+  }
+
+  /**
+   * Items in processing order: priority first, then position
+   */
+  async getQueue() {
+    await this.load();
+    return this.orderedItems().map(item => ({ ...item }));
+  }
+
+  /**
+   * Change an item's priority; higher priorities are processed first
+   */
+  async setPriority(id, priority) {
+    const item = await this.getItem(id);
+    item.priority = Number(priority) || 0;
+    this.items = this.orderedItems();
+    await this.updateItem(item);
+    await this.processQueue();
+    return { ...item };
+  }
+
+  /**
+   * Move an item to a position in the processing order. The item takes the
+   * priority of the items around its new position.
+   */
+  async moveItem(id, index) {
+    const item = await this.getItem(id);
+    const rest = this.orderedItems().filter(entry => entry !== item);
+    const target = Math.max(0, Math.min(Number(index) || 0, rest.length));
+    const neighbour = rest[target] || rest[target - 1];
+    if (neighbour) item.priority = neighbour.priority;
+
+    rest.splice(target, 0, item);
+    this.items = rest;
+    await this.updateItem(item);
+    await this.processQueue();
+    return this.getQueue();
+  }
+
+  /**
+   * Set or clear an item's start (scheduledAt) and upload (uploadAt) times
+   */
+  async scheduleItem(id, { scheduledAt, uploadAt } = {}) {
+    const item = await this.getItem(id);
+    if (scheduledAt !== undefined) item.scheduledAt = toTime(scheduledAt);
+    if (uploadAt !== undefined) item.uploadAt = toTime(uploadAt);
+    await this.updateItem(item);
+    await this.processQueue();
+    return { ...item };
+  }
+
+  /**
+   * Hold an item. A waiting item stops where it is; a transcoding item
+   * finishes its transcode and then waits.
+   */
+  async pauseItem(id) {
+    const item = await this.getItem(id);
+    if (item.status === 'queued' || item.status === 'transcoded') {
+      item.pausedStatus = item.status;
+      item.status = 'paused';
+    } else if (item.status === 'transcoding') {
+      item.pauseRequested = true;
+    } else {
+      throw new Error(`Cannot pause an item that is ${item.status}`);
+    }
+    await this.updateItem(item);
+    return { ...item };
+  }
+
+  async resumeItem(id) {
+    const item = await this.getItem(id);
+    if (item.status === 'paused') {
+      item.status = item.pausedStatus || 'queued';
+      delete item.pausedStatus;
+    }
+    delete item.pauseRequested;
+    await this.updateItem(item);
+    await this.processQueue();
+    return { ...item };
+  }
+
+  /**
+   * Queue a failed item again; failed uploads go straight back to uploading
+   */
+  async retryItem(id) {
+    const item = await this.getItem(id);
+    if (item.status !== 'failed') {
+      throw new Error(`Only failed items can be retried, this one is ${item.status}`);
+    }
+    item.status = await this.preparedExists(item) ? 'transcoded' : 'queued';
+    item.error = null;
+    item.retryCount = (item.retryCount || 0) + 1;
+    await this.updateItem(item);
+    await this.processQueue();
+    return { ...item };
+  }
+
+  /**
+   * Remove an item that is not being processed, with its transcoded files
+   */
+  async removeItem(id) {
+    const item = await this.getItem(id);
+    if (ACTIVE_STATUSES.includes(item.status)) {
+      throw new Error(`Cannot remove an item that is ${item.status}`);
+    }
+    await this.discardPrepared(item);
+    this.items = this.items.filter(entry => entry !== item);
+    await this.save();
+    this.emit('queue-updated', { removed: item.id });
+    return true;
+  }
+
+  /**
+   * Drop completed and failed items
+   */
+  async clearFinished() {
+    await this.load();
+    const finished = this.items.filter(item => FINISHED_STATUSES.includes(item.status));
+    for (const item of finished) {
+      await this.discardPrepared(item);
+    }
+    this.items = this.items.filter(item => !FINISHED_STATUSES.includes(item.status));
+    await this.save();
+    this.emit('queue-updated', { cleared: finished.length });
+    return finished.length;
+  }
+
+  /**
+   * Stop (or resume) starting queue items; running phases finish
+   */
+  async pauseQueue() {
+    this.paused = true;
+    clearTimeout(this.scheduleTimer);
+    this.emit('queue-updated', { paused: true });
+  }
+
+  async resumeQueue() {
+    this.paused = false;
+    this.emit('queue-updated', { paused: false });
+    await this.processQueue();
+  }
+
+  /**
+   * Change how many items may transcode and upload at once
+   */
+  async setConcurrency({ transcode, upload } = {}) {
+    await this.load();
+    if (transcode !== undefined) this.concurrency.transcode = Math.max(1, parseInt(transcode, 10) || 1);
+    if (upload !== undefined) this.concurrency.upload = Math.max(1, parseInt(upload, 10) || 1);
+    await this.save();
+    await this.processQueue();
+    return { ...this.concurrency };
+  }
+
+  getStatus() {
+    return {
+      queueLength: this.items.filter(item => !FINISHED_STATUSES.includes(item.status)).length,
+      paused: this.paused,
+      transcoding: this.running.transcode.size,
+      uploading: this.running.upload.size,
+      concurrency: { ...this.concurrency }
+    };
+  }
+
+  /**
+   * Whether an item is transcoding or uploading (its id is the uploadId in progress events)
+   */
+  isRunning(id) {
+    return this.running.transcode.has(id) || this.running.upload.has(id);
+  }
+
+  async getItem(id) {
+    await this.load();
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) throw new Error(`Queue item not found: ${id}`);
+    return item;
+  }
+
+  async updateItem(item) {
+    await this.save();
+    this.emit('queue-updated', { ...item });
+  }
+
+  orderedItems() {
+    // Array.prototype.sort is stable, so equal priorities keep their positions
+    return [...this.items].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  // Wake up for the next scheduled start or upload time
+  scheduleWakeUp(now) {
+    clearTimeout(this.scheduleTimer);
+    const times = this.items
+      .map(item => (item.status === 'queued' ? item.scheduledAt : item.status === 'transcoded' ? item.uploadAt : null))
+      .filter(time => time > now);
+    if (times.length === 0) return;
+
+    const delay = Math.min(Math.min(...times) - now, 0x7fffffff);
+    this.scheduleTimer = setTimeout(() => {
+      this.processQueue().catch(error => console.error('Upload queue error:', error));
+    }, delay);
+    if (this.scheduleTimer.unref) this.scheduleTimer.unref();
+  }
+
+  async preparedExists(item) {
+    if (!item.prepared || !item.prepared.outputDir) return false;
+    try {
+      await fs.access(item.prepared.outputDir);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async discardPrepared(item) {
+    if (item.prepared) {
+      await this.videoUploadService.discardPrepared(item.prepared);
+    }
+    item.prepared = null;
+  }
+}
+
+/**
+ * Timestamp in ms from a Date, ISO string or number; null when empty
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid schedule time: ${value}`);
+  }
+  return time;
+}
+
+module.exports = UploadQueue;
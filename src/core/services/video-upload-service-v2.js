@@ -4,14 +4,19 @@ const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const SPK = require('@disregardfiat/spk-js');
 const SPKKeychainAdapter = require('../spk/keychain-adapter');
+const UploadDedupe = require('./upload-dedupe');
 
 /**
  * Video Upload Service V2
  * Uses spk-js library for uploads instead of custom implementation
  */
 class VideoUploadServiceV2 extends EventEmitter {
-  constructor({ transcoder, playlistProcessor, ipfsManager, accountManager, integratedStorage }) {
+  /**
+   * @param {Object} options.uploadDedupe - Optional UploadDedupe; files already stored are referenced, not re-paid
+   */
+  constructor({ transcoder, playlistProcessor, ipfsManager, accountManager, integratedStorage, uploadDedupe = null }) {
     super();
+    this.uploadDedupe = uploadDedupe;
     this.transcoder = transcoder;
     this.playlistProcessor = playlistProcessor;
     this.ipfsManager = ipfsManager;
@@ -304,8 +309,19 @@ class VideoUploadServiceV2 extends EventEmitter {
         message: 'Uploading to SPK Network...' 
       });
       
+      // CIDs are known before the contract, so files already stored are referenced instead of paid again
+      let entries = Array.from(fileMap);
+      let referenced = [];
+      if (this.uploadDedupe && UploadDedupe.resolveMode(uploadOptions.dedupe) === 'reference') {
+        const existing = await this.uploadDedupe.findExisting(entries.map(([, data]) => data.cid), this.accountManager.getCurrentAccount());
+        const duration = uploadOptions.contract.duration * 24 * 60 * 60; // days
+        const reference = ([filename, data]) => UploadDedupe.canReference(filename, existing.get(data.cid), duration);
+        referenced = entries.filter(reference).map(([, data]) => data.cid);
+        entries = entries.filter(entry => !reference(entry));
+      }
+      
       // Prepare files array for batch upload
-      const filesToUpload = Array.from(fileMap.values()).map(data => data.file);
+      const filesToUpload = entries.map(([, data]) => data.file);
       
       // Prepare metadata for each file
       const videoName = path.basename(videoPath, path.extname(videoPath));
@@ -313,7 +329,7 @@ class VideoUploadServiceV2 extends EventEmitter {
       let fileIndex = 0;
       
       // Create metadata for each file with proper flags and folders
-      for (const [filename, data] of fileMap) {
+      for (const [filename, data] of entries) {
         const metadata = {
           FileIndex: fileIndex++,
           path: 'Videos', // All video files go to Videos folder (folder 4)
@@ -348,7 +364,7 @@ class VideoUploadServiceV2 extends EventEmitter {
       }
       
       // Use spk-js batch nodeUpload with progress tracking
-      const uploadResult = await this.spk.fileUpload.nodeUpload(filesToUpload, {
+      const uploadResult = filesToUpload.length === 0 ? { contract: null } : await this.spk.fileUpload.nodeUpload(filesToUpload, {
         duration: uploadOptions.contract.duration,
         autoRenew: uploadOptions.contract.autoRenew,
         metaData: metaData, // Use metaData (capital D) as per spk-js interface
@@ -380,6 +396,7 @@ class VideoUploadServiceV2 extends EventEmitter {
         uploadId,
         success: true,
         contract: uploadResult.contract,
+        referencedCids: referenced,
         master: {
           cid: cidMapping['master.m3u8'],
           url: `https://ipfs.dlux.io/ipfs/${cidMapping['master.m3u8']}`
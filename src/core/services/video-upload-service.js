@@ -2,15 +2,21 @@ const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const { createThumbnailTrack, TRACK_FILENAME } = require('../ffmpeg/thumbnail-track');
+const { hasEdits, captionWindow } = require('../ffmpeg/preprocessing');
+const overlays = require('../ffmpeg/overlays');
+const UploadDedupe = require('./upload-dedupe');
 
 /**
  * Video Upload Service
  * Orchestrates the complete video upload workflow
  */
 class VideoUploadService extends EventEmitter {
-  constructor({ transcoder, playlistProcessor, ipfsManager, spkClient, integratedStorage, directUploadService }) {
+  constructor({ transcoder, playlistProcessor, ipfsManager, spkClient, integratedStorage, directUploadService, transcodeJobs = null, uploadDedupe = null }) {
     super();
     this.transcoder = transcoder;
+    this.transcodeJobs = transcodeJobs; // Optional TranscodeJobsManager for resumable transcodes
+    this.uploadDedupe = uploadDedupe; // Optional UploadDedupe to skip paying for files already stored
     this.playlistProcessor = playlistProcessor;
     this.ipfsManager = ipfsManager;
     this.spkClient = spkClient;
@@ -19,18 +25,62 @@ class VideoUploadService extends EventEmitter {
     
     this.uploadQueue = [];
     this.activeUpload = null;
+    this.cancelled = new Set(); // Upload ids that stop at the next file
     this.tempFiles = new Set();
     this.isPaused = false;
     this.savedState = null;
+    this.processingQueue = false;
   }
 
   /**
    * Upload video with complete workflow
+   * @param {Array<Object>} options.subtitles - Caption files (.srt/.vtt): { path, language, name, default, forced }
+   * @param {boolean} options.extractSubtitles - Also convert embedded text subtitle streams (default true)
+   * @param {boolean} options.audioTracks - One audio rendition per source audio stream when there
+   *   are several (default true); false keeps only the first stream, muxed into each variant
+   * @param {number} options.thumbnailTimestamp - Poster frame time; by default the best
+   *   scoring of `thumbnailCandidates` (6) scene/sample frames is used
+   * @param {boolean|Object} options.thumbnailTrack - Seek preview sprite sheets plus a WebVTT
+   *   thumbnails track; an object sets interval, width, columns and rows
+   * @param {Object} options.audioProcessing - loudnorm (two-pass EBU R128), targetLoudness,
+   *   truePeak, loudnessRange, downmix ('stereo'/'mono') and trimSilence
+   * @param {Object} options.edit - in/out points (seconds or `MM:SS`), append (further clips:
+   *   paths or { path, in, out }), crop (`16:9` or { width, height, x, y }), rotate (90/180/270)
+   * @param {Object} options.overlay - Overlay preset (see the overlayPresets setting): image
+   *   watermark and text drawn on every rendition, intro and outro clips joined around the video
+   * @param {Array<string>} options.tags - Tags stored with the master playlist's file metadata
    */
   async uploadVideo(videoPath, options = {}) {
     const uploadId = uuidv4();
     this.activeUpload = uploadId;
     
+    try {
+      const prepared = await this.prepareVideo(uploadId, videoPath, options);
+      try {
+        return await this.publishVideo(uploadId, videoPath, prepared);
+      } catch (error) {
+        // The transcode job stays, so a retry resumes instead of re-encoding
+        await this.cleanup(prepared.tempDirs);
+        throw error;
+      }
+    } catch (error) {
+      this.emit('error', { uploadId, error });
+      throw error;
+    } finally {
+      if (this.activeUpload === uploadId) {
+        this.activeUpload = null;
+      }
+    }
+  }
+
+  /**
+   * Transcode phase of uploadVideo: analysis, edits, thumbnail, renditions,
+   * subtitles and seek previews. Returns plain data that publishVideo takes,
+   * so an upload queue can save it and publish later; on failure the temp
+   * directories created here are removed again.
+   * @param {Object} options - As for uploadVideo
+   */
+  async prepareVideo(uploadId, videoPath, options = {}) {
     const defaultOptions = {
       resolutions: ['1080p', '720p', '480p'],
       generateThumbnail: true,
@@ -42,6 +92,16 @@ class VideoUploadService extends EventEmitter {
     };
     
     const uploadOptions = { ...defaultOptions, ...options };
+    const tempDirs = [];
+    let transcodeJob = null;
+    const onProgress = (progress) => {
+      this.emit('progress', {
+        uploadId,
+        stage: 'transcoding',
+        progress: progress.percent,
+        message: `Transcoding: ${progress.percent.toFixed(1)}%`
+      });
+    };
     
     try {
       // Stage 1: Analyze video
@@ -52,13 +112,40 @@ class VideoUploadService extends EventEmitter {
         message: 'Analyzing video...' 
       });
       
-      const metadata = await this.transcoder.analyzeVideo(videoPath);
+      // Branding: intro/outro become clips of the edit, watermark and text are drawn in the encode
+      let overlayPlan = null;
+      if (uploadOptions.overlay) {
+        const workDir = await this.createTempDirectory(tempDirs);
+        overlayPlan = await this.transcoder.prepareOverlay(uploadOptions.overlay, workDir);
+      }
+      const edit = overlays.withClips(uploadOptions.edit, overlayPlan);
+      
+      // In/out points, joined clips, crop and rotation; sourcePath is what gets encoded
+      let editPlan = null;
+      if (hasEdits(edit)) {
+        const workDir = await this.createTempDirectory(tempDirs);
+        editPlan = await this.transcoder.prepareEdit(videoPath, edit, workDir);
+      }
+      const sourcePath = editPlan ? editPlan.source : videoPath;
+      const metadata = editPlan ? editPlan.metadata : await this.transcoder.analyzeVideo(videoPath);
       
       // Determine optimal resolutions
-      const availableResolutions = this.transcoder.determineOutputResolutions(metadata);
-      uploadOptions.resolutions = uploadOptions.resolutions.filter(res => 
-        availableResolutions.includes(res)
-      );
+      if (uploadOptions.ladder === 'adaptive') {
+        // Per-title ladder: rungs and bitrates come from source analysis
+        this.emit('progress', { 
+          uploadId, 
+          stage: 'analyzing', 
+          progress: 50, 
+          message: 'Probing video complexity...' 
+        });
+        const ladder = await this.transcoder.buildAdaptiveLadder(sourcePath, { metadata, edit: editPlan });
+        uploadOptions.resolutions = ladder.rungs;
+      } else {
+        const availableResolutions = this.transcoder.determineOutputResolutions(metadata);
+        uploadOptions.resolutions = uploadOptions.resolutions.filter(res => 
+          availableResolutions.includes(res)
+        );
+      }
       
       this.emit('progress', { 
         uploadId, 
@@ -77,10 +164,28 @@ class VideoUploadService extends EventEmitter {
           message: 'Generating thumbnail...' 
         });
         
-        thumbnail = await this.transcoder.generateThumbnail(videoPath);
+        // Score scene changes and samples instead of grabbing a (often black) first second
+        let timestamp = uploadOptions.thumbnailTimestamp;
+        let candidates = [];
+        if (timestamp === undefined || timestamp === null) {
+          try {
+            candidates = await this.transcoder.findThumbnailCandidates(sourcePath, {
+              metadata,
+              edit: editPlan,
+              count: uploadOptions.thumbnailCandidates || 6
+            });
+          } catch (error) {
+            console.warn('[VideoUpload] Thumbnail candidate analysis failed:', error.message);
+          }
+          timestamp = candidates.length > 0 ? candidates[0].timestamp : 1;
+        }
+        
+        thumbnail = await this.transcoder.generateThumbnail(sourcePath, timestamp, { edit: editPlan });
         const thumbnailHash = await this.ipfsManager.hashOnly(thumbnail.buffer);
         
         thumbnail.cid = thumbnailHash;
+        thumbnail.timestamp = timestamp;
+        thumbnail.candidates = candidates;
         
         this.emit('progress', { 
           uploadId, 
@@ -98,24 +203,159 @@ class VideoUploadService extends EventEmitter {
         message: 'Transcoding video...' 
       });
       
-      const tempDir = await this.transcoder.createTempDirectory();
-      this.tempFiles.add(tempDir);
-      
       // Setup transcoding progress handler
-      this.transcoder.on('progress', (progress) => {
+      this.transcoder.on('progress', onProgress);
+      
+      // Loudness measurement and silence detection run once, before any rendition
+      let audioPlan = null;
+      if (uploadOptions.audioProcessing) {
         this.emit('progress', {
           uploadId,
           stage: 'transcoding',
-          progress: progress.percent,
-          message: `Transcoding: ${progress.percent.toFixed(1)}%`
+          progress: 0,
+          message: 'Analyzing audio loudness...'
         });
-      });
+        audioPlan = await this.transcoder.prepareAudioProcessing(sourcePath, uploadOptions.audioProcessing, { metadata });
+      }
       
-      const transcodingResults = await this.transcoder.transcodeToMultipleResolutions(
-        videoPath,
-        tempDir,
-        uploadOptions.resolutions
-      );
+      const transcodeSettings = {
+        codec: uploadOptions.codec,
+        segmentFormat: uploadOptions.segmentFormat,
+        fps: metadata.fps,
+        hasAudio: metadata.hasAudio,
+        audioTracks: uploadOptions.audioTracks === false ? [] : (metadata.audioStreams || []),
+        ...(audioPlan ? { audioProcessing: audioPlan } : {}),
+        ...(editPlan ? { edit: editPlan } : {}),
+        ...(overlays.hasLayers(overlayPlan) ? { overlay: overlayPlan } : {})
+      };
+      const outputDuration = audioPlan?.trim ? audioPlan.trim.end - audioPlan.trim.start : metadata.duration;
+      
+      let transcodingResults;
+      let outputDir;
+      if (this.transcodeJobs) {
+        // Persistent job: kept on failure so a retry resumes instead of re-encoding
+        transcodeJob = await this.transcodeJobs.prepareJob(sourcePath, {
+          ...transcodeSettings,
+          resolutions: uploadOptions.resolutions,
+          duration: outputDuration
+        });
+        if (transcodeJob.resumed) {
+          this.emit('progress', {
+            uploadId,
+            stage: 'transcoding',
+            progress: 0,
+            message: 'Resuming interrupted transcode...'
+          });
+        }
+        transcodingResults = await this.transcodeJobs.runJob(transcodeJob.id, this.transcoder, {
+          singlePass: uploadOptions.singlePass
+        });
+        outputDir = transcodeJob.outputDir;
+      } else {
+        const tempDir = await this.createTempDirectory(tempDirs);
+        outputDir = tempDir;
+        
+        transcodingResults = await this.transcoder.transcodeToMultipleResolutions(
+          sourcePath,
+          tempDir,
+          uploadOptions.resolutions,
+          { ...transcodeSettings, singlePass: uploadOptions.singlePass }
+        );
+      }
+      
+      // Caption files plus embedded text subtitle streams, as WebVTT renditions.
+      // Both follow the main video's timeline, so they are cut to the edit.
+      const subtitleFiles = uploadOptions.subtitles || [];
+      const subtitleStreams = uploadOptions.extractSubtitles === false
+        ? []
+        : (metadata.subtitleStreams || []).filter(stream => stream.textBased);
+      let subtitleTracks = [];
+      if (subtitleFiles.length > 0 || subtitleStreams.length > 0) {
+        this.emit('progress', {
+          uploadId,
+          stage: 'transcoding',
+          progress: 100,
+          message: 'Preparing subtitles...'
+        });
+        subtitleTracks = await this.transcoder.createSubtitleTracks(videoPath, path.join(outputDir, 'subtitles'), {
+          files: subtitleFiles,
+          streams: subtitleStreams,
+          duration: outputDuration,
+          segmentFormat: Object.values(transcodingResults)[0]?.segmentFormat,
+          trim: captionWindow(editPlan, audioPlan?.trim)
+        });
+      }
+      
+      // Seek preview sprite sheets
+      let previews = null;
+      if (uploadOptions.thumbnailTrack) {
+        this.emit('progress', {
+          uploadId,
+          stage: 'thumbnail',
+          progress: 0,
+          message: 'Generating seek previews...'
+        });
+        previews = await this.transcoder.generateThumbnailTrack(sourcePath, path.join(outputDir, 'thumbnails'), {
+          ...(typeof uploadOptions.thumbnailTrack === 'object' ? uploadOptions.thumbnailTrack : {}),
+          metadata,
+          trim: audioPlan?.trim,
+          edit: editPlan
+        });
+      }
+      
+      // Kept as a file so the prepared upload can wait for publishVideo across restarts
+      let thumbnailFile = null;
+      if (thumbnail) {
+        thumbnailFile = path.join(outputDir, 'thumbnail.jpg');
+        await fs.writeFile(thumbnailFile, thumbnail.buffer);
+      }
+      
+      return {
+        uploadOptions,
+        outputDir,
+        tempDirs,
+        transcodeJobId: transcodeJob ? transcodeJob.id : null,
+        renditions: transcodingResults,
+        subtitleTracks,
+        previews,
+        thumbnail: thumbnail ? {
+          path: thumbnailFile,
+          cid: thumbnail.cid,
+          mimeType: thumbnail.mimeType,
+          timestamp: thumbnail.timestamp,
+          candidates: thumbnail.candidates
+        } : null,
+        audioProcessing: audioPlan ? {
+          loudness: audioPlan.loudness,
+          targetLoudness: audioPlan.settings.loudnorm ? audioPlan.settings.targetLoudness : null,
+          channels: audioPlan.channels,
+          trim: audioPlan.trim
+        } : null,
+        overlay: overlayPlan ? { id: overlayPlan.id, name: overlayPlan.name } : null
+      };
+    } catch (error) {
+      await this.cleanup(tempDirs);
+      throw error;
+    } finally {
+      this.transcoder.removeListener('progress', onProgress);
+    }
+  }
+
+  /**
+   * Upload phase of uploadVideo: hash the prepared files, build the CID
+   * playlists and master playlist, add everything to IPFS and create the
+   * storage contract. Temp directories and the transcode job are removed
+   * once it succeeds.
+   * @param {Object} prepared - From prepareVideo
+   */
+  async publishVideo(uploadId, videoPath, prepared) {
+    const { uploadOptions, renditions: transcodingResults, subtitleTracks, previews } = prepared;
+    
+    try {
+      const thumbnail = prepared.thumbnail ? {
+        ...prepared.thumbnail,
+        buffer: await fs.readFile(prepared.thumbnail.path)
+      } : null;
       
       // Stage 4: Hash all files
       this.emit('progress', { 
@@ -127,6 +367,7 @@ class VideoUploadService extends EventEmitter {
       
       const allHashes = {};
       const resolutionData = {};
+      const audioData = {};
       
       // Hash segments for each resolution
       for (const [resolution, data] of Object.entries(transcodingResults)) {
@@ -163,15 +404,96 @@ class VideoUploadService extends EventEmitter {
           path: data.playlistPath
         };
         
+        if (data.type === 'audio') {
+          audioData[resolution] = {
+            playlistCID: playlistHash,
+            segments: Object.entries(segmentHashes).map(([filename, hash]) => ({
+              filename,
+              cid: hash
+            })),
+            name: data.name,
+            language: data.language,
+            default: data.default,
+            channels: data.channels,
+            bandwidth: data.bandwidth
+          };
+          continue;
+        }
+        
         resolutionData[resolution] = {
           playlistCID: playlistHash,
           segments: Object.entries(segmentHashes).map(([filename, hash]) => ({
             filename,
             cid: hash
           })),
-          bandwidth: this.calculateBandwidth(resolution),
-          width: this.getResolutionWidth(resolution),
-          height: this.getResolutionHeight(resolution)
+          bandwidth: data.bandwidth || this.calculateBandwidth(resolution),
+          width: data.width || this.getResolutionWidth(resolution),
+          height: data.height || this.getResolutionHeight(resolution),
+          codecs: data.codecs,
+          segmentFormat: data.segmentFormat
+        };
+      }
+      
+      // Hash subtitle segments and playlists; they ride along as hidden files
+      const subtitleData = [];
+      for (const track of subtitleTracks) {
+        const segmentHashes = {};
+        for (const segment of track.segments) {
+          const content = await fs.readFile(segment.path);
+          const hash = await this.ipfsManager.hashOnly(content);
+          segmentHashes[segment.filename] = hash;
+          allHashes[segment.filename] = { hash, content, path: segment.path };
+        }
+        
+        const playlistContent = await fs.readFile(track.playlistPath, 'utf-8');
+        const rewrittenPlaylist = Buffer.from(
+          this.playlistProcessor.rewritePlaylistWithIPFS(playlistContent, segmentHashes)
+        );
+        const playlistHash = await this.ipfsManager.hashOnly(rewrittenPlaylist);
+        allHashes[`${track.id}.m3u8`] = {
+          hash: playlistHash,
+          content: rewrittenPlaylist,
+          path: track.playlistPath
+        };
+        
+        subtitleData.push({
+          id: track.id,
+          name: track.name,
+          language: track.language,
+          default: track.default,
+          forced: track.forced,
+          playlistCID: playlistHash,
+          segments: Object.entries(segmentHashes).map(([filename, hash]) => ({
+            filename,
+            cid: hash
+          }))
+        });
+      }
+      
+      // Hash sprite sheets, then point the thumbnails track at their IPFS URLs
+      let thumbnailTrackData = null;
+      if (previews) {
+        const sheetHashes = {};
+        for (const sheet of previews.sheets) {
+          const content = await fs.readFile(sheet.path);
+          const hash = await this.ipfsManager.hashOnly(content);
+          sheetHashes[sheet.filename] = hash;
+          allHashes[sheet.filename] = { hash, content, path: sheet.path };
+        }
+        
+        const track = Buffer.from(createThumbnailTrack(previews.plan, filename =>
+          this.playlistProcessor.createIPFSUrl(sheetHashes[filename], filename)
+        ));
+        const trackHash = await this.ipfsManager.hashOnly(track);
+        allHashes[TRACK_FILENAME] = { hash: trackHash, content: track, path: previews.trackPath };
+        
+        thumbnailTrackData = {
+          cid: trackHash,
+          interval: previews.plan.interval,
+          sheets: Object.entries(sheetHashes).map(([filename, hash]) => ({
+            filename,
+            cid: hash
+          }))
         };
       }
       
@@ -183,8 +505,22 @@ class VideoUploadService extends EventEmitter {
           hash: data.playlistCID,
           bandwidth: data.bandwidth,
           width: data.width,
-          height: data.height
-        }))
+          height: data.height,
+          codecs: data.codecs,
+          segmentFormat: data.segmentFormat
+        })),
+        {
+          audio: Object.entries(audioData).map(([id, track]) => ({
+            ...track,
+            filename: `${id}.m3u8`,
+            hash: track.playlistCID
+          })),
+          subtitles: subtitleData.map(track => ({
+            ...track,
+            filename: `${track.id}.m3u8`,
+            hash: track.playlistCID
+          }))
+        }
       );
       
       const masterHash = await this.ipfsManager.hashOnly(Buffer.from(masterPlaylist));
@@ -240,7 +576,7 @@ class VideoUploadService extends EventEmitter {
           throw new Error('Upload paused');
         }
         
-        if (this.activeUpload !== uploadId) {
+        if (this.cancelled.has(uploadId)) {
           throw new Error('Upload cancelled');
         }
       }
@@ -315,10 +651,12 @@ class VideoUploadService extends EventEmitter {
       }));
       
       // Create metadata for the upload - minimal, no custom fields
-      const uploadMetadata = options.metadata || {};
+      const uploadMetadata = uploadOptions.metadata || {};
       
       // Determine upload method
       let uploadResult;
+      let contract;
+      let referencedCids = [];
       
       console.log('🔄 [VideoUpload] Upload method determination:');
       console.log('📋 uploadOptions.uploadMethod:', uploadOptions.uploadMethod);
@@ -339,21 +677,25 @@ class VideoUploadService extends EventEmitter {
         // Prepare direct upload options with CIDs and sizes
         const cids = [];
         const sizes = [];
+        const names = [];
         
         // Add all segment and playlist files
         for (const [filename, fileData] of Object.entries(allHashes)) {
           cids.push(fileData.hash);
           sizes.push(fileData.content.length);
+          names.push(filename);
         }
         
         // Add master playlist
         cids.push(masterHash);
         sizes.push(masterPlaylist.length);
+        names.push('master.m3u8');
         
         // Add thumbnail if available
         if (thumbnail) {
           cids.push(thumbnail.cid);
           sizes.push(thumbnail.buffer.length);
+          names.push('thumbnail.jpg');
         }
         
         // Create metadata array for direct upload
@@ -392,7 +734,8 @@ class VideoUploadService extends EventEmitter {
           thumbnail: thumbnail ? '' : '', // Will be set after we know the thumbnail CID
           flag: 1, // visible
           license: uploadOptions.license || '',
-          labels: uploadOptions.labels || ''
+          labels: uploadOptions.labels || '',
+          ...(uploadOptions.tags && uploadOptions.tags.length > 0 ? { tags: uploadOptions.tags } : {})
         });
         fileIndex++;
         
@@ -410,6 +753,28 @@ class VideoUploadService extends EventEmitter {
           metadataArray[masterPlaylistIndex].thumbnail = thumbnail.cid;
         }
         
+        // Segments shared with an earlier upload (same renditions) are referenced, not paid again
+        if (this.uploadDedupe && UploadDedupe.resolveMode(uploadOptions.dedupe) === 'reference') {
+          const existing = await this.uploadDedupe.findExisting(cids, this.uploaderName(uploadOptions));
+          for (let i = cids.length - 1; i >= 0; i--) {
+            if (UploadDedupe.canReference(names[i], existing.get(cids[i]), uploadOptions.contract.duration)) {
+              referencedCids.unshift(cids[i]);
+              cids.splice(i, 1);
+              sizes.splice(i, 1);
+              metadataArray.splice(i, 1);
+              if (i < masterPlaylistIndex) masterPlaylistIndex--;
+            }
+          }
+          if (referencedCids.length > 0) {
+            this.emit('progress', {
+              uploadId,
+              stage: 'finalizing',
+              progress: 62,
+              message: `${referencedCids.length} files already stored, referencing existing CIDs`
+            });
+          }
+        }
+        
         const directUploadOptions = {
           cids,
           sizes,
@@ -431,7 +796,9 @@ class VideoUploadService extends EventEmitter {
         console.log('📞 directUploadFiles type:', typeof this.spkClient.directUploadFiles);
         
         try {
-          uploadResult = await this.spkClient.directUploadFiles(directUploadOptions);
+          uploadResult = cids.length === 0
+            ? { success: true, id: null, transactionId: null, totalSize: 0 } // everything already stored
+            : await this.spkClient.directUploadFiles(directUploadOptions);
           console.log('✅ [VideoUpload] Direct upload completed:', uploadResult);
         } catch (directUploadError) {
           console.error('❌ [VideoUpload] Direct upload error:', directUploadError);
@@ -474,21 +841,29 @@ class VideoUploadService extends EventEmitter {
       });
       
       // Cleanup temp files
-      await this.cleanup();
+      await this.discardPrepared(prepared);
       
       return {
         masterPlaylistCID: masterHash,
         thumbnail: thumbnail ? {
           cid: thumbnail.cid,
-          mimeType: thumbnail.mimeType
+          mimeType: thumbnail.mimeType,
+          timestamp: thumbnail.timestamp,
+          candidates: thumbnail.candidates
         } : null,
         resolutions: resolutionData,
+        audio: audioData,
+        subtitles: subtitleData,
+        thumbnailTrack: thumbnailTrackData,
+        audioProcessing: prepared.audioProcessing,
+        overlay: prepared.overlay,
         contract: {
           id: contract.contractId,
           transactionId: contract.transactionId,
           status: 'complete',
           cost: contract.brocaCost,
-          totalSize: contract.totalSize
+          totalSize: contract.totalSize,
+          referencedCids
         },
         uploadStats: {
           totalSize,
@@ -496,22 +871,46 @@ class VideoUploadService extends EventEmitter {
           duration: Date.now() - parseInt(uploadId.split('-')[0], 16)
         }
       };
-      
-    } catch (error) {
-      this.emit('error', { uploadId, error });
-      await this.cleanup();
-      throw error;
     } finally {
-      if (this.activeUpload === uploadId) {
-        this.activeUpload = null;
-      }
+      this.cancelled.delete(uploadId);
+    }
+  }
+
+  /**
+   * Remove what prepareVideo left behind: temp directories and the transcode job
+   */
+  async discardPrepared(prepared) {
+    await this.cleanup(prepared.tempDirs || []);
+    if (prepared.transcodeJobId && this.transcodeJobs) {
+      await this.transcodeJobs.removeJob(prepared.transcodeJobId);
     }
   }
 
+  /**
+   * Account whose contracts are checked for duplicates; the desktop wrapper
+   * keeps it as currentUser
+   */
+  uploaderName(options = {}) {
+    return options.username || this.spkClient?.username || this.spkClient?.currentUser || null;
+  }
+
+  /**
+   * Temp directory owned by one upload; listed in tempDirs for its cleanup
+   */
+  async createTempDirectory(tempDirs) {
+    const dir = await this.transcoder.createTempDirectory();
+    this.tempFiles.add(dir);
+    tempDirs.push(dir);
+    return dir;
+  }
+
   /**
    * Cancel active upload
    */
   cancel() {
+    if (this.activeUpload) {
+      this.cancelled.add(this.activeUpload);
+    }
     this.activeUpload = null;
     this.transcoder.cancelAll();
   }
@@ -538,6 +937,61 @@ class VideoUploadService extends EventEmitter {
     return this.uploadVideo(state.videoPath, state.uploadOptions);
   }
 
+  /**
+   * Add upload to queue. Returns once queued; progress is reported through
+   * the 'queued', 'completed' and 'failed' events.
+   */
+  async queueUpload(videoPath, options = {}) {
+    const queueItem = {
+      id: uuidv4(),
+      videoPath,
+      options,
+      status: 'queued',
+      addedAt: Date.now()
+    };
+
+    this.uploadQueue.push(queueItem);
+    this.emit('queued', queueItem);
+
+    // Process queue if not busy
+    if (!this.processingQueue) {
+      this.processQueue().catch(error => console.error('Upload queue error:', error));
+    }
+
+    return queueItem.id;
+  }
+
+  /**
+   * Process upload queue, one video at a time
+   */
+  async processQueue() {
+    this.processingQueue = true;
+    try {
+      while (this.uploadQueue.length > 0) {
+        // Direct uploadVideo calls take priority over queued items
+        while (this.activeUpload) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        const nextItem = this.uploadQueue.shift();
+        nextItem.status = 'processing';
+
+        try {
+          const result = await this.uploadVideo(nextItem.videoPath, nextItem.options);
+          nextItem.status = 'completed';
+          nextItem.result = result;
+          this.emit('completed', nextItem);
+        } catch (error) {
+          nextItem.status = 'failed';
+          nextItem.error = error;
+          this.emit('failed', nextItem);
+        }
+      }
+    } finally {
+      this.processingQueue = false;
+    }
+  }
+
   /**
    * Save upload state
    */
@@ -576,17 +1030,17 @@ class VideoUploadService extends EventEmitter {
   }
 
   /**
-   * Cleanup temporary files
+   * Cleanup temporary files; all of them unless given the paths of one upload
    */
-  async cleanup() {
-    for (const tempPath of this.tempFiles) {
+  async cleanup(paths = [...this.tempFiles]) {
+    for (const tempPath of paths) {
       try {
         await fs.rm(tempPath, { recursive: true, force: true });
       } catch (error) {
         // Ignore cleanup errors
       }
+      this.tempFiles.delete(tempPath);
     }
-    this.tempFiles.clear();
   }
 
   /**
@@ -595,6 +1049,7 @@ class VideoUploadService extends EventEmitter {
   calculateBandwidth(resolution) {
     const bandwidths = {
       '2160p': 15000000,
+      '1440p': 9000000,
       '1080p': 5000000,
       '720p': 2500000,
       '480p': 1000000,
@@ -609,6 +1064,7 @@ class VideoUploadService extends EventEmitter {
   getResolutionWidth(resolution) {
     const widths = {
       '2160p': 3840,
+      '1440p': 2560,
       '1080p': 1920,
       '720p': 1280,
       '480p': 854,
@@ -623,6 +1079,7 @@ class VideoUploadService extends EventEmitter {
   getResolutionHeight(resolution) {
     const heights = {
       '2160p': 2160,
+      '1440p': 1440,
       '1080p': 1080,
       '720p': 720,
       '480p': 480,
@@ -640,6 +1097,8 @@ class VideoUploadService extends EventEmitter {
       '.mp4': 'video/mp4',
       '.m3u8': 'application/x-mpegURL',
       '.ts': 'video/MP2T',
+      '.m4s': 'video/iso.segment',
+      '.vtt': 'text/vtt',
       '.jpg': 'image/jpeg',
       '.jpeg': 'image/jpeg',
       '.png': 'image/png',
@@ -0,0 +1,279 @@
+/**
+ * Watch Folder Service
+ * Watches recording folders and queues new videos for upload with the
+ * folder's defaults (resolutions, contract duration, SPK Drive folder, tags,
+ * license). Files are picked up once they stop growing, so recordings still
+ * being written are not ingested half-way. Uploaded files are remembered by
+ * path, size and modification time, so restarting the watchers (app start,
+ * settings changes) does not pay for the same recording again.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const chokidar = require('chokidar');
+
+const INGESTED_FILE = path.join(os.homedir(), '.oratr', 'watch-folders-ingested.json');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.avi', '.webm', '.m4v', '.flv', '.wmv'];
+
+const FOLDER_DEFAULTS = {
+  enabled: true,
+  recursive: false,
+  ingestExisting: false, // also queue videos already in the folder when watching starts
+  resolutions: [], // empty keeps the upload service's ladder
+  contractDays: 30,
+  folderPath: 'Videos',
+  tags: [],
+  license: ''
+};
+
+// A file counts as finished once its size has not changed for this long
+const STABILITY_THRESHOLD = 5000;
+
+/**
+ * Validate a watch folder entry (the watchFolders setting) and fill in defaults
+ */
+function normalizeFolder(folder = {}) {
+  if (!folder.path || typeof folder.path !== 'string') {
+    throw new Error('Watch folder path is required');
+  }
+  const normalized = { ...FOLDER_DEFAULTS, ...folder, path: path.resolve(folder.path) };
+
+  normalized.id = folder.id || normalized.path;
+  normalized.resolutions = toList(normalized.resolutions);
+  normalized.tags = toList(normalized.tags);
+  normalized.contractDays = Number(normalized.contractDays);
+  if (!Number.isInteger(normalized.contractDays) || normalized.contractDays < 1) {
+    throw new Error(`Contract duration must be a whole number of days, got ${folder.contractDays}`);
+  }
+  normalized.folderPath = String(normalized.folderPath || FOLDER_DEFAULTS.folderPath).replace(/^\/+|\/+$/g, '');
+  return normalized;
+}
+
+class WatchFolderService extends EventEmitter {
+  /**
+   * @param {Object} options.uploadDefaults - Returns options shared by every
+   *   queued upload (upload method, audio processing, overlay...)
+   * @param {string} options.ingestedFile - Where uploaded files are remembered
+   */
+  constructor({ videoUploadService, pendingUploadsManager, uploadDefaults = () => ({}), ingestedFile = INGESTED_FILE }) {
+    super();
+    this.videoUploadService = videoUploadService;
+    this.pendingUploadsManager = pendingUploadsManager;
+    this.uploadDefaults = uploadDefaults;
+    this.ingestedFile = ingestedFile;
+
+    this.watchers = new Map(); // folder id -> { folder, watcher }
+    this.ingesting = new Map(); // video path -> { folder, queueId, size, mtimeMs }
+    this.ingested = {}; // video path -> { size, mtimeMs, uploadedAt, masterPlaylistCID }
+    this.loaded = null;
+    this.saving = Promise.resolve();
+
+    this.onUploadFinished = this.onUploadFinished.bind(this);
+    this.videoUploadService.on('completed', this.onUploadFinished);
+    this.videoUploadService.on('failed', this.onUploadFinished);
+  }
+
+  /**
+   * Start watching the enabled folders, replacing any current watchers
+   * @param {Array<Object>} folders - Entries of the watchFolders setting
+   */
+  async start(folders = []) {
+    await this.stop();
+
+    for (const entry of folders) {
+      let folder;
+      try {
+        folder = normalizeFolder(entry);
+      } catch (error) {
+        this.emit('folderError', { folder: entry, error });
+        continue;
+      }
+      if (!folder.enabled) continue;
+
+      const watcher = chokidar.watch(folder.path, {
+        ignored: /(^|[/\\])\../, // dotfiles and partial downloads
+        ignoreInitial: !folder.ingestExisting,
+        depth: folder.recursive ? undefined : 0,
+        awaitWriteFinish: { stabilityThreshold: STABILITY_THRESHOLD, pollInterval: 1000 }
+      });
+      watcher.on('add', filePath => {
+        this.handleFile(folder, filePath).catch(error => this.emit('fileFailed', { folder, path: filePath, error }));
+      });
+      watcher.on('error', error => this.emit('folderError', { folder, error }));
+      this.watchers.set(folder.id, { folder, watcher });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stop all watchers. Uploads already queued keep going.
+   */
+  async stop() {
+    const watchers = Array.from(this.watchers.values());
+    this.watchers.clear();
+    await Promise.all(watchers.map(({ watcher }) => watcher.close()));
+  }
+
+  /**
+   * Queue a new file from a watched folder unless it is already being
+   * ingested, waiting for network confirmation, or was uploaded before
+   * unchanged
+   * @returns {Promise<string|null>} queue id, or null when skipped
+   */
+  async handleFile(folder, filePath) {
+    if (!VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return null;
+    }
+
+    const videoPath = path.resolve(filePath);
+    if (this.ingesting.has(videoPath)) {
+      this.emit('fileSkipped', { folder, path: videoPath, reason: 'queued' });
+      return null;
+    }
+    // Claim the path before awaiting so a second event for it is skipped
+    this.ingesting.set(videoPath, { folder, queueId: null });
+
+    try {
+      await this.load();
+      const { size, mtimeMs } = await fs.stat(videoPath);
+      const uploaded = this.ingested[videoPath];
+      if (uploaded && uploaded.size === size && uploaded.mtimeMs === mtimeMs) {
+        this.ingesting.delete(videoPath);
+        this.emit('fileSkipped', { folder, path: videoPath, reason: 'uploaded', masterPlaylistCID: uploaded.masterPlaylistCID });
+        return null;
+      }
+
+      const pending = await this.pendingUploadsManager.hasPendingVideoUpload(videoPath);
+      if (pending) {
+        this.ingesting.delete(videoPath);
+        this.emit('fileSkipped', { folder, path: videoPath, reason: 'pending', uploadId: pending.id });
+        return null;
+      }
+
+      const queueId = await this.videoUploadService.queueUpload(videoPath, this.uploadOptions(folder, videoPath));
+      this.ingesting.set(videoPath, { folder, queueId, size, mtimeMs });
+      this.emit('fileQueued', { folder, path: videoPath, queueId });
+      return queueId;
+    } catch (error) {
+      this.ingesting.delete(videoPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload options for a video from a folder's defaults
+   */
+  uploadOptions(folder, videoPath) {
+    return {
+      uploadMethod: 'direct',
+      ...this.uploadDefaults(),
+      ...(folder.resolutions.length > 0 ? { resolutions: folder.resolutions } : {}),
+      title: path.basename(videoPath, path.extname(videoPath)),
+      folderPath: folder.folderPath,
+      tags: folder.tags,
+      license: folder.license,
+      contract: {
+        duration: folder.contractDays * 24 * 60 * 60,
+        autoRenew: false,
+        redundancy: 3
+      }
+    };
+  }
+
+  /**
+   * Record finished uploads as pending so the same recording is not
+   * uploaded twice while its contract confirms, and as ingested so it is
+   * not uploaded again once confirmed
+   */
+  async onUploadFinished(queueItem) {
+    const entry = this.ingesting.get(queueItem.videoPath);
+    if (!entry || entry.queueId !== queueItem.id) return;
+    this.ingesting.delete(queueItem.videoPath);
+
+    if (queueItem.status === 'failed') {
+      this.emit('fileFailed', { folder: entry.folder, path: queueItem.videoPath, error: queueItem.error });
+      return;
+    }
+
+    const { result } = queueItem;
+    try {
+      await this.pendingUploadsManager.addPendingUpload({
+        uploadId: result.contract.id || queueItem.id,
+        contractId: result.contract.id,
+        transactionId: result.contract.transactionId,
+        totalSize: result.contract.totalSize,
+        brocaCost: result.contract.cost,
+        type: 'video',
+        masterPlaylistCID: result.masterPlaylistCID,
+        thumbnail: result.thumbnail,
+        originalVideoPath: queueItem.videoPath,
+        metadata: { watchFolder: entry.folder.id }
+      });
+    } catch (error) {
+      console.error('Failed to record watch folder upload:', error);
+    }
+
+    this.ingested[queueItem.videoPath] = {
+      size: entry.size,
+      mtimeMs: entry.mtimeMs,
+      uploadedAt: new Date().toISOString(),
+      masterPlaylistCID: result.masterPlaylistCID || null
+    };
+    try {
+      await this.save();
+    } catch (error) {
+      console.error('Failed to remember watch folder upload:', error);
+    }
+    this.emit('fileUploaded', { folder: entry.folder, path: queueItem.videoPath, result });
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.ingestedFile, 'utf8'));
+          this.ingested = data && data.files && typeof data.files === 'object' ? data.files : {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Failed to load ingested watch folder files:', error);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  async save() {
+    // A failed write (e.g. a full disk) is reported to its caller and does not block later ones
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.ingestedFile), { recursive: true });
+      await fs.writeFile(this.ingestedFile, JSON.stringify({ files: this.ingested }, null, 2));
+    });
+    return this.saving;
+  }
+
+  /**
+   * Watched folders and the files being ingested
+   */
+  getStatus() {
+    return {
+      folders: Array.from(this.watchers.values()).map(({ folder }) => folder),
+      ingesting: Array.from(this.ingesting.entries()).map(([videoPath, { folder, queueId }]) => ({
+        path: videoPath,
+        folder: folder.id,
+        queueId
+      }))
+    };
+  }
+}
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+module.exports = WatchFolderService;
+module.exports.normalizeFolder = normalizeFolder;
+module.exports.VIDEO_EXTENSIONS = VIDEO_EXTENSIONS;
@@ -37,7 +37,38 @@ class SettingsManager extends EventEmitter {
       defaultUploadMethod: 'direct', // 'direct' or 'standard'
       autoSelectDirect: true,
       videoQuality: 'auto', // 'auto', 'high', 'medium', 'low'
-      transcodeParallel: true,
+      transcodeParallel: true, // Single-pass multi-rendition encoding
+      ladderMode: 'fixed', // 'fixed' or 'adaptive' (per-title bitrate ladder)
+      videoCodec: 'h264', // 'h264', 'hevc', 'av1', 'vp9'
+      hlsSegmentFormat: 'ts', // 'ts' or 'fmp4' (HEVC/AV1/VP9 always use fmp4)
+      encoderPresets: {}, // Codec profile -> preset, recommended by the encoder benchmark
+      transcodeConcurrency: 2, // Parallel jobs for Transcoder.batchTranscode
+      encoderBenchmark: null, // Last encoder capability probe and benchmark results
+      seekPreviews: false, // Sprite sheets + WebVTT thumbnails track for scrub previews
+      seekPreviewInterval: 5, // Seconds between seek preview frames
+      loudnessNormalization: false, // Two-pass EBU R128 loudness normalization
+      targetLoudness: -16, // Integrated loudness target in LUFS
+      audioDownmix: 'none', // 'none', 'stereo' or 'mono'
+      trimSilence: false, // Cut leading and trailing silence
+      overlayPresets: [], // Branding presets: { id, name, watermark, text, intro, outro }
+      overlayPreset: '', // Id of the preset applied to uploads by default
+      watchFolders: [], // Auto-ingest folders: { id, path, enabled, recursive, resolutions, contractDays, folderPath, tags, license }
+      uploadDedupe: 'ask', // Files already stored: 'ask', 'reference' (reuse existing CIDs) or 'upload' (pay again)
+      
+      // Bandwidth Settings (uploads, IPFS pinning and replication)
+      uploadRateLimitKBps: 0, // 0 = unlimited
+      downloadRateLimitKBps: 0, // 0 = unlimited
+      transferWindows: [], // Allowed times: { days: [0-6], start: 'HH:MM', end: 'HH:MM' }; empty = any time
+      
+      // Contract Renewal Settings
+      autoRenewContracts: false, // Extend the account's own contracts before they expire
+      renewalBudgetBroca: 0, // BROCA per calendar month for renewals, 0 = unlimited
+      renewalWithinDays: 7, // Renew contracts expiring within this many days
+      renewalExtensionDays: 30, // Days added per renewal
+      renewalDefaultPolicy: 'always', // 'always', 'never' or 'accessed'
+      renewalPolicies: [], // Per-folder/file rules: { folder | cid | contract, policy }
+      renewalAccessDays: 30, // 'accessed' renews files opened within this many days
+      brocaForecastDays: 90, // How far ahead renewal spend is forecast and checked before uploads
       
       // UI Settings
       theme: 'auto', // 'light', 'dark', 'auto'
@@ -66,6 +97,17 @@ class SettingsManager extends EventEmitter {
       webdavUsername: '',
       webdavPassword: '',
 
+      // Local HTTP API Settings (token is generated when first enabled)
+      apiEnabled: false,
+      apiPort: 4820,
+      apiToken: '',
+
+      // Prometheus Metrics Settings (use 0.0.0.0 to allow remote scrapes)
+      metricsEnabled: false,
+      metricsPort: 9464,
+      metricsHost: '127.0.0.1',
+      metricsToken: '',
+
       // Wallet lock/session settings
       walletLock: {
         // Duration in milliseconds (default 15 minutes)
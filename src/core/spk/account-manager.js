@@ -13,18 +13,22 @@ class AccountManager extends EventEmitter {
     super();
     
     // Initialize secure storage
-    // Use a different store name to avoid conflicts with old encrypted data
+    // Use a different store name to avoid conflicts with old encrypted data.
+    // storeCwd lets non-Electron callers (the CLI) point at the app's userData dir.
+    const storeOptions = config.storeCwd ? { cwd: config.storeCwd } : {};
     try {
       this.store = new Store({
         name: 'spk-accounts-v2',
-        clearInvalidConfig: true
+        clearInvalidConfig: true,
+        ...storeOptions
       });
     } catch (error) {
       console.error('Error initializing store:', error);
       // If store is corrupted, create a new one
       this.store = new Store({
         name: 'spk-accounts-v2-' + Date.now(),
-        clearInvalidConfig: true
+        clearInvalidConfig: true,
+        ...storeOptions
       });
     }
 
@@ -130,6 +134,20 @@ class AccountManager extends EventEmitter {
     return !!this.sessionPin;
   }
 
+  /**
+   * Check a PIN without changing the session, to confirm a sensitive action
+   */
+  async verifyPin(pin) {
+    const encrypted = this.store.get('encryptedAccounts');
+    if (!encrypted || !pin) return false;
+    try {
+      const decrypted = await this.decrypt(encrypted, pin);
+      return typeof decrypted === 'object' && decrypted !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Lock accounts (clear session)
    */
@@ -405,9 +423,15 @@ class AccountManager extends EventEmitter {
 
   /**
    * Sign a transaction and broadcast it
+   * @param {boolean} options.approved - Skip the signing prompt for operations the
+   *   user approved ahead of time, e.g. scheduled token rules
    * @returns {Object} The broadcast result with transaction ID
    */
-  async signAndBroadcast(username, tx, keyType = 'posting') {
+  async signAndBroadcast(username, tx, keyType = 'posting', options = {}) {
+    if (options.approved) {
+      return this._performSignAndBroadcast(username, tx, keyType);
+    }
+
     // Check if we're in the main process (Electron)
     if (typeof window === 'undefined' && typeof require !== 'undefined') {
       try {
@@ -486,9 +510,16 @@ class AccountManager extends EventEmitter {
     txObj.sign(key);
     
     // Now broadcast
-    const broadcastResult = await txObj.broadcast();
+    const operations = txObj.transaction.operations;
+    let broadcastResult;
+    try {
+      broadcastResult = await txObj.broadcast();
+    } catch (error) {
+      this.emit('transaction-failed', { username, keyType, operations, error });
+      throw error;
+    }
     
-    this.emit('transaction-broadcast', { username, result: broadcastResult });
+    this.emit('transaction-broadcast', { username, keyType, operations, result: broadcastResult });
     
     return broadcastResult;
   }
@@ -10,13 +10,15 @@ const { ipcMain } = require('electron');
 const { EventEmitter } = require('events');
 const logger = require('../../utils/logger');
 const AccountManager = require('./account-manager');
+const { prepareTransaction } = require('./wallet-operations');
 
 class SPKClientWrapper extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.accountManager = new AccountManager();
+    this.accountManager = new AccountManager(options.accountManager || {});
     this.spkInstances = new Map(); // Map of username -> SPK instance
     this.currentUser = null;
+    this.bandwidthManager = options.bandwidthManager || null; // Holds public node uploads to transfer windows
     
     // Add default config to prevent undefined errors
     this.config = {
@@ -243,6 +245,32 @@ class SPKClientWrapper extends EventEmitter {
     return spk.checkExistingFiles(cids);
   }
 
+  /**
+   * Contracts expiring within `days` using spk-js
+   */
+  async getExpiringContracts(days = 7) {
+    if (!this.currentUser) {
+      throw new Error('No current user set');
+    }
+
+    const spk = await this.getSpkInstance(this.currentUser);
+    return spk.getExpiringContracts(days);
+  }
+
+  /**
+   * Extend a storage contract by paying more BROCA using spk-js
+   */
+  async extendContract(contractId, fileOwner, brocaAmount, power = 0) {
+    if (!this.currentUser) {
+      throw new Error('No current user set');
+    }
+
+    const spk = await this.getSpkInstance(this.currentUser);
+    const result = await spk.extendContract(contractId, fileOwner, brocaAmount, power);
+    this.emit('contract-extended', { contractId, brocaAmount });
+    return result;
+  }
+
   /**
    * Calculate direct upload cost
    */
@@ -482,6 +510,23 @@ class SPKClientWrapper extends EventEmitter {
     return mimeTypes[ext] || 'application/octet-stream';
   }
 
+  /**
+   * Prepare an unsigned transaction for signing elsewhere (offline or multisig),
+   * in the same shape as SPKClient.prepareTransactionForSigning
+   * @param {Object} options - { account (defaults to the current user), expiresIn (ms, at most 1 hour) }
+   */
+  async prepareTransactionForSigning(operations, keyType = 'posting', options = {}) {
+    const account = options.account || this.currentUser;
+    if (!account) {
+      throw new Error('No current user set');
+    }
+
+    const dhive = require('@hiveio/dhive');
+    const client = new dhive.Client(['https://api.hive.blog']);
+    const transaction = await prepareTransaction(client, operations, { expiresIn: options.expiresIn });
+    return { account, transaction, operations, keyType };
+  }
+
   signMessage(message, privateKey) {
     // Implement message signing with private key
     const hiveTx = require('hive-tx');
@@ -734,6 +779,11 @@ class SPKClientWrapper extends EventEmitter {
     try {
       const spk = await this.getSpkInstance(this.currentUser);
       
+      // spk-js sends the files itself, so only the transfer windows apply here
+      if (this.bandwidthManager) {
+        await this.bandwidthManager.waitForWindow(`public node upload to ${contract.i}`);
+      }
+      
       // Upload the files
       const results = [];
       for (const file of files) {
@@ -1,5 +1,6 @@
 const { EventEmitter } = require('events');
 const AccountManager = require('./account-manager');
+const { prepareTransaction } = require('./wallet-operations');
 
 // Import from the installed spk-js package
 const SPK = require('@disregardfiat/spk-js');
@@ -27,6 +28,9 @@ class SPKClient extends EventEmitter {
     this.activeAccount = null;
     this.spkInstance = null;
 
+    // Optional BandwidthManager limiting public node uploads
+    this.bandwidthManager = config.bandwidthManager || null;
+
     // Forward account manager events
     this.accountManager.on('unlocked', (accounts) => {
       this.emit('accounts-unlocked', accounts);
@@ -893,30 +897,18 @@ class SPKClient extends EventEmitter {
    * Returns transaction data ready for signing
    * @param {Array} operations - Array of operations [[op_type, op_data], ...]
    * @param {string} keyType - Key type needed (posting, active, owner)
+   * @param {Object} options - { account (defaults to the active account), expiresIn (ms, at most 1 hour) }
    * @returns {Object} Transaction data for external signing
    */
-  async prepareTransactionForSigning(operations, keyType = 'posting') {
-    this.ensureActiveAccount();
+  async prepareTransactionForSigning(operations, keyType = 'posting', options = {}) {
+    if (!options.account) this.ensureActiveAccount();
     
     const dhive = require('@hiveio/dhive');
     const client = new dhive.Client(['https://api.hive.blog']);
-    const props = await client.database.getDynamicGlobalProperties();
-    
-    const refBlockNum = props.head_block_number & 0xFFFF;
-    const refBlockPrefix = Buffer.from(props.head_block_id, 'hex').readUInt32LE(4);
-    
-    const expireTime = new Date(Date.now() + 600000); // 10 minutes
-    
-    const transaction = {
-      ref_block_num: refBlockNum,
-      ref_block_prefix: refBlockPrefix,
-      expiration: expireTime.toISOString().slice(0, -5),
-      operations: operations,
-      extensions: []
-    };
+    const transaction = await prepareTransaction(client, operations, { expiresIn: options.expiresIn });
     
     return {
-      account: this.activeAccount,
+      account: options.account || this.activeAccount,
       transaction: transaction,
       operations: operations,
       keyType: keyType
@@ -1120,6 +1112,11 @@ class SPKClient extends EventEmitter {
       throw new Error('Invalid contract object');
     }
 
+    // Sign only once transfers are allowed so the authorization is fresh
+    if (this.bandwidthManager) {
+      await this.bandwidthManager.waitForWindow(`public node upload to ${contract.i}`);
+    }
+
     // Calculate CIDs for all files
     const fileData = await this.prepareFilesForUpload(files, options);
     
@@ -1158,6 +1155,11 @@ class SPKClient extends EventEmitter {
       throw new Error('Invalid contract object');
     }
 
+    // Sign only once transfers are allowed so the authorization is fresh
+    if (this.bandwidthManager) {
+      await this.bandwidthManager.waitForWindow(`public node upload to ${contract.i}`);
+    }
+
     // Convert data arrays back to proper format for upload
     const ipfsOnlyHash = await import('ipfs-only-hash');
     const fileData = [];
@@ -1216,15 +1218,16 @@ class SPKClient extends EventEmitter {
     const cids = [];
 
     for (const file of files) {
-      const buffer = await file.arrayBuffer();
-      const uint8Array = new Uint8Array(buffer);
+      // Files on disk are hashed and later sent as streams; others are already in memory
+      const uint8Array = file.path ? null : new Uint8Array(await file.arrayBuffer());
       
       // Calculate IPFS CID
-      const cid = await ipfsOnlyHash.of(uint8Array);
+      const cid = await ipfsOnlyHash.of(file.path ? require('fs').createReadStream(file.path) : uint8Array);
       
       fileData.push({
         file,
         cid,
+        path: file.path || null,
         buffer: uint8Array,
         metadata: {
           name: file.name.substring(0, 32).replace(/,/g, '-'),
@@ -1378,22 +1381,15 @@ class SPKClient extends EventEmitter {
     try {
       // Use the appropriate fetch based on environment
       const fetchToUse = typeof fetch !== 'undefined' ? fetch : require('node-fetch');
-      const FormData = require('form-data');
-      
-      const form = new FormData();
-      
-      // Add the file buffer
-      form.append('chunk', fileData.buffer, {
-        filename: fileData.name,
-        contentType: fileData.metadata.type || 'application/octet-stream'
+      const upload = this.uploadBody(fileData.buffer, {
+        name: fileData.name,
+        type: fileData.metadata.type,
+        size: fileData.buffer.length
       });
-
-      // Get form headers first to preserve boundary
-      const formHeaders = form.getHeaders();
       
       // Build headers - DO NOT override Content-Type!
       const headers = {
-        'Content-Type': formHeaders['content-type'], // Keep the boundary!
+        ...upload.headers, // Keeps the multipart boundary
         'Content-Range': `bytes=0-${fileData.buffer.length - 1}/${fileData.buffer.length}`,
         'X-Cid': fileData.cid,
         'X-Contract': contract.i,
@@ -1416,18 +1412,8 @@ class SPKClient extends EventEmitter {
         contentType: headers['Content-Type']
       });
 
-      // Get the form buffer and length for proper streaming
-      const formBuffer = form.getBuffer();
-      const formLength = form.getLengthSync();
-      
-      // Add Content-Length header
-      headers['Content-Length'] = formLength;
-
-      const uploadResponse = await fetchToUse(`${contract.api}/upload`, {
-        method: 'POST',
-        headers: headers,
-        body: formBuffer
-      });
+      // duplex is required by fetch for streamed bodies
+      const uploadResponse = await fetchToUse(`${contract.api}/upload`, { method: 'POST', headers, body: upload.body, duplex: 'half' });
 
       const responseText = await uploadResponse.text();
       
@@ -1451,19 +1437,24 @@ class SPKClient extends EventEmitter {
   }
 
   /**
-   * Upload a single file with chunking
+   * Upload a single file, streamed from disk when it has a path
    */
   async uploadSingleFile(fileData, options) {
     const { contract, signature, metaString, cids } = options;
-    
-    // Upload the file
-    const formData = new FormData();
-    formData.append('chunk', fileData.file);
+    const fs = require('fs');
+    const size = fileData.path ? (await fs.promises.stat(fileData.path)).size : fileData.buffer.length;
+    const upload = this.uploadBody(fileData.path ? fs.createReadStream(fileData.path) : Buffer.from(fileData.buffer), {
+      name: fileData.file.name,
+      type: fileData.metadata.type,
+      size
+    });
 
-    const uploadResponse = await fetch(`${contract.api}/upload`, {
+    const fetchToUse = typeof fetch !== 'undefined' ? fetch : require('node-fetch');
+    const uploadResponse = await fetchToUse(`${contract.api}/upload`, {
       method: 'POST',
       headers: {
-        'Content-Range': `bytes=0-${fileData.file.size - 1}/${fileData.file.size}`,
+        ...upload.headers,
+        'Content-Range': `bytes=0-${size - 1}/${size}`,
         'X-Cid': fileData.cid,
         'X-Contract': contract.i,
         'X-Sig': signature,
@@ -1471,7 +1462,8 @@ class SPKClient extends EventEmitter {
         'X-Files': `,${cids.join(',')}`,
         'X-Meta': metaString
       },
-      body: formData
+      body: upload.body,
+      duplex: 'half'
     });
 
     if (!uploadResponse.ok) {
@@ -1487,6 +1479,35 @@ class SPKClient extends EventEmitter {
     };
   }
 
+  /**
+   * Multipart body for the upload endpoint, streamed from the source without
+   * collecting it in memory, through the upload rate limit when one is set
+   * @param {Stream|Buffer} source - File contents
+   * @param {Object} file - { name, type, size }
+   * @returns {Object} { body, headers } for fetch
+   */
+  uploadBody(source, { name, type, size }) {
+    const FormData = require('form-data');
+    const { PassThrough, Readable } = require('stream');
+
+    const form = new FormData();
+    form.append('chunk', source, {
+      filename: name,
+      contentType: type || 'application/octet-stream',
+      knownLength: size
+    });
+    const headers = {
+      'Content-Type': form.getHeaders()['content-type'],
+      'Content-Length': form.getLengthSync()
+    };
+
+    const stream = form.pipe(new PassThrough());
+    const body = this.bandwidthManager
+      ? Readable.from(this.bandwidthManager.throttle(stream, 'upload', name))
+      : stream;
+    return { body, headers };
+  }
+
   /**
    * Setup direct upload functionality
    */
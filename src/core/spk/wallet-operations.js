@@ -0,0 +1,208 @@
+/**
+ * Wallet Operations
+ * Builders for the Hive and SPK wallet operations Oratr broadcasts. Each
+ * returns the transaction with the key type it must be signed with, ready
+ * for AccountManager.signAndBroadcast(username, { operations }, keyType).
+ */
+
+// Protocol precision for SPK/LARYNX balances is 3
+const SPK_SCALE = 1000;
+
+const SPK_TOKENS = ['SPK', 'LARYNX'];
+const HIVE_TOKENS = ['HIVE', 'HBD'];
+const SPK_TRANSFER_ACTIONS = { SPK: 'spk_send', LARYNX: 'send' };
+const SPK_POWER_UP_ACTIONS = { SPK: 'spk_up', LARYNX: 'power_up' };
+// Hive rejects transactions that expire more than an hour after the head block
+const MAX_EXPIRATION_MS = 60 * 60 * 1000;
+
+function formatAssetAmount(amount, symbol, precision = 3) {
+  const n = Number(amount || 0);
+  return `${n.toFixed(precision)} ${symbol}`;
+}
+
+/**
+ * Number part of a Hive asset string such as "1.000 HIVE"
+ */
+function parseAsset(value) {
+  const amount = parseFloat(String(value || '0').split(' ')[0]);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Which chain holds a token's balance
+ * @returns {string} 'spk' or 'hive'
+ */
+function chainOf(token) {
+  return SPK_TOKENS.includes(String(token).toUpperCase()) ? 'spk' : 'hive';
+}
+
+function hiveTransfer({ from, to, amount, asset = 'HIVE', memo = '' }) {
+  return {
+    operations: [['transfer', { from, to, amount: formatAssetAmount(amount, asset), memo }]],
+    keyType: 'active'
+  };
+}
+
+function hivePowerUp({ from, to = null, amount }) {
+  return {
+    operations: [['transfer_to_vesting', { from, to: to || from, amount: formatAssetAmount(amount, 'HIVE') }]],
+    keyType: 'active'
+  };
+}
+
+/**
+ * Claim pending author and curation rewards
+ * @param {Object} rewards - { HIVE, HBD, VESTS } pending amounts
+ */
+function claimRewards({ account, rewards = {} }) {
+  return {
+    operations: [['claim_reward_balance', {
+      account,
+      reward_hive: formatAssetAmount(rewards.HIVE, 'HIVE'),
+      reward_hbd: formatAssetAmount(rewards.HBD, 'HBD'),
+      reward_vests: formatAssetAmount(rewards.VESTS, 'VESTS', 6)
+    }]],
+    keyType: 'posting'
+  };
+}
+
+function spkTransfer({ from, to, amount, token = 'SPK', memo = '', testnet = false }) {
+  const action = SPK_TRANSFER_ACTIONS[String(token).toUpperCase()];
+  if (!action) throw new Error(`Cannot transfer ${token} on SPK, use ${SPK_TOKENS.join(' or ')}`);
+  const json = { to, amount: toSpkUnits(amount) };
+  if (memo) json.memo = memo;
+  return { operations: [spkOperation(from, action, json, testnet)], keyType: 'active' };
+}
+
+function spkPowerUp({ from, amount, token = 'LARYNX', testnet = false }) {
+  const action = SPK_POWER_UP_ACTIONS[String(token).toUpperCase()];
+  if (!action) throw new Error(`Cannot power up ${token} on SPK, use ${SPK_TOKENS.join(' or ')}`);
+  return { operations: [spkOperation(from, action, { amount: toSpkUnits(amount) }, testnet)], keyType: 'active' };
+}
+
+function spkPowerDown({ from, amount, testnet = false }) {
+  return { operations: [spkOperation(from, 'power_down', { amount: toSpkUnits(amount) }, testnet)], keyType: 'active' };
+}
+
+function spkOperation(from, action, json, testnet) {
+  return ['custom_json', {
+    required_auths: [from],
+    required_posting_auths: [],
+    id: `${testnet ? 'spkccT' : 'spkcc'}_${action}`,
+    json: JSON.stringify(json)
+  }];
+}
+
+/**
+ * Transaction for a wallet action on either chain
+ * @param {Object} options - { action: claim_rewards|transfer|power_up|power_down, account, token, to,
+ *   amount, memo, rewards, testnet }
+ * @returns {Object} { operations, keyType }
+ */
+function forAction({ action, account, token, to, amount, memo = '', rewards, testnet = false }) {
+  const chain = token ? chainOf(token) : 'hive';
+  switch (action) {
+  case 'claim_rewards':
+    return claimRewards({ account, rewards });
+  case 'transfer':
+    return chain === 'hive'
+      ? hiveTransfer({ from: account, to, amount, asset: token, memo })
+      : spkTransfer({ from: account, to, amount, token, memo, testnet });
+  case 'power_up':
+    if (token === 'HIVE') return hivePowerUp({ from: account, amount });
+    return spkPowerUp({ from: account, amount, token, testnet });
+  case 'power_down':
+    if (token !== 'LARYNX') throw new Error(`Only LARYNX can be powered down here, got ${token}`);
+    return spkPowerDown({ from: account, amount, testnet });
+  default:
+    throw new Error(`Unknown wallet action "${action}"`);
+  }
+}
+
+/**
+ * Operations entered as JSON, e.g. [["transfer", { ... }]]
+ */
+function parseOperations(value) {
+  const operations = typeof value === 'string' ? JSON.parse(value) : value;
+  const valid = Array.isArray(operations) && operations.length > 0 && operations.every(op => (
+    Array.isArray(op) && op.length === 2 && typeof op[0] === 'string' && op[1] && typeof op[1] === 'object'
+  ));
+  if (!valid) throw new Error('Operations must be a list of [name, { ... }] pairs');
+  return operations;
+}
+
+/**
+ * Unsigned transaction for operations, referencing the current head block
+ * @param {Object} hiveClient - dhive Client
+ * @param {number} options.expiresIn - Milliseconds until it expires (default 10 minutes, at most 1 hour)
+ */
+async function prepareTransaction(hiveClient, operations, { expiresIn = 10 * 60 * 1000 } = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) throw new Error('A transaction needs at least one operation');
+  if (!(expiresIn > 0) || expiresIn > MAX_EXPIRATION_MS) {
+    throw new Error(`Expiration must be between 1 second and 60 minutes, got ${Math.round(expiresIn / 1000)} seconds`);
+  }
+  const props = await hiveClient.database.getDynamicGlobalProperties();
+  // Counted from the head block time so a skewed local clock cannot push it past the limit
+  const headTime = props.time ? new Date(`${props.time}Z`).getTime() : Date.now();
+  return {
+    ref_block_num: props.head_block_number & 0xFFFF,
+    ref_block_prefix: Buffer.from(props.head_block_id, 'hex').readUInt32LE(4),
+    expiration: new Date(headTime + expiresIn).toISOString().slice(0, -5),
+    operations,
+    extensions: []
+  };
+}
+
+function toSpkUnits(amount) {
+  const units = Math.round(Number(amount) * SPK_SCALE);
+  if (!Number.isFinite(units) || units <= 0) throw new Error(`Amount must be more than 0, got ${amount}`);
+  return units;
+}
+
+/**
+ * Liquid HIVE/HBD and pending rewards from a Hive account record (condenser getAccounts)
+ * @returns {Object} { HIVE, HBD, rewards: { HIVE, HBD, VESTS, HP } }
+ */
+function hiveBalances(account = {}) {
+  return {
+    HIVE: parseAsset(account.balance),
+    HBD: parseAsset(account.hbd_balance),
+    rewards: {
+      HIVE: parseAsset(account.reward_hive_balance),
+      HBD: parseAsset(account.reward_hbd_balance),
+      VESTS: parseAsset(account.reward_vesting_balance),
+      HP: parseAsset(account.reward_vesting_hive)
+    }
+  };
+}
+
+/**
+ * Liquid SPK and LARYNX, in display units, from spk-js getBalances()
+ * ({ SPK: { balance }, LARYNX: { balance, staked, ... } } in milli-units)
+ * @returns {Object} { SPK, LARYNX }
+ */
+function spkBalances(balances = {}) {
+  return {
+    SPK: Number(balances.SPK?.balance ?? balances.spk ?? 0) / SPK_SCALE,
+    LARYNX: Number(balances.LARYNX?.balance ?? balances.larynx ?? balances.balance ?? 0) / SPK_SCALE
+  };
+}
+
+module.exports = {
+  SPK_TOKENS,
+  HIVE_TOKENS,
+  formatAssetAmount,
+  parseAsset,
+  chainOf,
+  hiveTransfer,
+  hivePowerUp,
+  claimRewards,
+  spkTransfer,
+  spkPowerUp,
+  spkPowerDown,
+  forAction,
+  parseOperations,
+  prepareTransaction,
+  hiveBalances,
+  spkBalances
+};
@@ -32,6 +32,7 @@ class FileSyncService extends EventEmitter {
       ipfsManager: config.ipfsManager,
       storageNode: config.storageNode,
       maxConcurrentPins: config.maxConcurrentPins || 50, // Limit concurrent pin requests
+      bandwidthManager: config.bandwidthManager || null, // Optional download limit and transfer windows for pins
       ...config
     };
     
@@ -196,8 +197,10 @@ class FileSyncService extends EventEmitter {
     const result = {
       pinned: 0,
       unpinned: 0,
+      deferred: 0,
       errors: 0
     };
+    const bandwidth = this.config.bandwidthManager;
     
     try {
       // Get currently pinned files
@@ -255,7 +258,9 @@ class FileSyncService extends EventEmitter {
       }
       
       // Use a rolling window approach with max concurrent pins
-      const maxConcurrent = this.config.maxConcurrentPins;
+      const maxConcurrent = bandwidth
+        ? bandwidth.fetchConcurrency(this.config.maxConcurrentPins)
+        : this.config.maxConcurrentPins;
       const activePromises = new Set();
       
       const pinWithLimit = async (cid) => {
@@ -283,13 +288,23 @@ class FileSyncService extends EventEmitter {
       };
       
       // Process CIDs with rolling window
-      for (const cid of scatteredCids) {
+      for (const [index, cid] of scatteredCids.entries()) {
         // Wait if we've hit the concurrent limit
         while (activePromises.size >= maxConcurrent) {
           // Wait for at least one to complete
           await Promise.race(activePromises);
         }
         
+        if (bandwidth) {
+          // Outside a transfer window the rest waits for a later sync
+          if (!bandwidth.isAllowed()) {
+            result.deferred = scatteredCids.length - index;
+            this.emit('pins-deferred', { count: result.deferred, nextWindow: bandwidth.getStatus().nextWindow });
+            break;
+          }
+          await bandwidth.waitForDownloadCapacity(this.config.ipfsManager, cid);
+        }
+        
         // Start new pin without waiting for it
         pinWithLimit(cid);
       }
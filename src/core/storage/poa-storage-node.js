@@ -46,8 +46,14 @@ class POAStorageNode extends EventEmitter {
       spaceAvailable: this.config.maxStorage,
       validations: 0,
       earnings: 0,
-      lastValidation: null
+      lastValidation: null,
+      lastProofLatencyMs: null,
+      starts: 0,
+      restarts: 0,
+      unexpectedExits: 0
     };
+    this.stopping = false;
+    this.pendingValidationAt = null;
   }
 
   /**
@@ -675,6 +681,9 @@ class POAStorageNode extends EventEmitter {
 
       const binaryPath = this.getBinaryPath();
       this.process = spawn(binaryPath, args, spawnOptions);
+      this.stopping = false;
+      if (this.stats.starts > 0) this.stats.restarts++;
+      this.stats.starts++;
       
       // Store the PID for monitoring
       this.pid = this.process.pid;
@@ -834,6 +843,7 @@ class POAStorageNode extends EventEmitter {
 
       this.process.on('exit', (code, signal) => {
         clearTimeout(startupTimeout);
+        if (!this.stopping) this.stats.unexpectedExits++;
         this.process = null;
         this.running = false;
         this.stopLogRotationTimer();
@@ -901,6 +911,8 @@ class POAStorageNode extends EventEmitter {
    * Stop POA node
    */
   async stop() {
+    this.stopping = true;
+
     // Stop log rotation timer
     this.stopLogRotationTimer();
 
@@ -979,7 +991,18 @@ class POAStorageNode extends EventEmitter {
         output.includes('ValidationResult')) {
       this.stats.validations++;
       this.stats.lastValidation = new Date();
-      this.emit('validation', { output });
+
+      // Proof latency: time from the request line to the proof/result line
+      let latencyMs = null;
+      if (output.includes('Handling validation request')) {
+        this.pendingValidationAt = Date.now();
+      } else if (this.pendingValidationAt) {
+        latencyMs = Date.now() - this.pendingValidationAt;
+        this.stats.lastProofLatencyMs = latencyMs;
+        this.pendingValidationAt = null;
+      }
+
+      this.emit('validation', { output, latencyMs });
       
       // Extract CID if available
       const cidMatch = output.match(/CID[:\s]+([A-Za-z0-9]+)/);
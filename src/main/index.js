@@ -4,19 +4,37 @@ const path = require('path');
 // Core modules
 const Transcoder = require('../core/ffmpeg/transcoder');
 const PlaylistProcessor = require('../core/ffmpeg/playlist-processor');
+const audioProcessing = require('../core/ffmpeg/audio-processing');
+const overlays = require('../core/ffmpeg/overlays');
 const IPFSManager = require('../core/ipfs/ipfs-manager');
 const POAStorageNode = require('../core/storage/poa-storage-node');
 const StorageNodeManager = require('../core/storage/storage-node-manager');
 const ContractMonitor = require('../core/storage/contract-monitor');
 const VideoUploadService = require('../core/services/video-upload-service');
+const UploadQueue = require('../core/services/upload-queue');
 const DirectUploadService = require('../core/services/direct-upload-service');
 const IntegratedStorageService = require('../core/services/integrated-storage-service');
 const SettingsManager = require('../core/settings/settings-manager');
 const PendingUploadsManager = require('../core/services/pending-uploads-manager');
+const TranscodeJobsManager = require('../core/services/transcode-jobs-manager');
+const MetricsService = require('../core/services/metrics-service');
+const WatchFolderService = require('../core/services/watch-folder-service');
+const BandwidthManager = require('../core/services/bandwidth-manager');
+const UploadDedupe = require('../core/services/upload-dedupe');
+const ContractRenewalService = require('../core/services/contract-renewal-service');
+const BrocaLedger = require('../core/services/broca-ledger');
+const TransactionHistory = require('../core/services/transaction-history');
+const TokenScheduler = require('../core/services/token-scheduler');
+const OfflineSigning = require('../core/services/offline-signing');
 
 // SPK modules
 const SPKClientWrapper = require('../core/spk/spk-client-wrapper');
+const walletOperations = require('../core/spk/wallet-operations');
 const WebDavService = require('./services/webdav-service');
+const ApiService = require('./services/api-service');
+
+// Record IPC handlers as they register so the local HTTP API can mirror them
+ApiService.trackIpcHandlers(ipcMain);
 
 let mainWindow;
 let tray;
@@ -50,6 +68,131 @@ async function resolveStorageAccountUsername() {
   return null;
 }
 
+/**
+ * Start, restart or stop the local HTTP API to match current settings.
+ * A token is generated and persisted the first time the API is enabled.
+ */
+async function applyApiSettings() {
+  const saved = services.settingsManager.getSettings();
+  await services.api.stop();
+  if (!saved.apiEnabled) return;
+
+  let token = saved.apiToken;
+  if (!token) {
+    token = ApiService.generateToken();
+    await services.settingsManager.set('apiToken', token);
+  }
+  await services.api.start({ port: saved.apiPort || 4820, token });
+}
+
+/**
+ * Start, restart or stop the Prometheus metrics endpoint to match current settings
+ */
+async function applyMetricsSettings() {
+  const saved = services.settingsManager.getSettings();
+  await services.metrics.stop();
+  if (!saved.metricsEnabled) return;
+
+  await services.metrics.start({
+    port: saved.metricsPort || 9464,
+    host: saved.metricsHost || '127.0.0.1',
+    token: saved.metricsToken || ''
+  });
+}
+
+/**
+ * Restart the folder watchers to match the watchFolders setting
+ */
+async function applyWatchFolderSettings() {
+  const saved = services.settingsManager.getSettings();
+  await services.watchFolders.start(saved.watchFolders || []);
+}
+
+/**
+ * Apply the rate limit and transfer window settings to the shared bandwidth manager
+ */
+function applyBandwidthSettings() {
+  return services.bandwidth.configure(BandwidthManager.fromSettings(services.settingsManager.getSettings()));
+}
+
+/**
+ * Apply the renewal settings and run renewals for the active account while the wallet is unlocked
+ */
+async function applyRenewalSettings() {
+  const config = services.contractRenewal.configure(ContractRenewalService.fromSettings(services.settingsManager.getSettings()));
+  const username = services.spkClient.currentUser;
+  if (config.enabled && username && services.spkClient.accountManager.isUnlocked()) {
+    await services.contractRenewal.start(username);
+  } else {
+    services.contractRenewal.stop();
+  }
+}
+
+/**
+ * Renewal forecast, balance and regeneration for the active account
+ */
+function brocaOutlook(days) {
+  services.contractRenewal.username = services.contractRenewal.username || services.spkClient.currentUser;
+  return services.brocaLedger.outlook({
+    renewal: services.contractRenewal,
+    spkClient: services.spkClient,
+    days: days || services.settingsManager.get('brocaForecastDays')
+  });
+}
+
+/**
+ * Options for uploadVideo: direct upload by default; audio processing, overlay
+ * and dedupe follow settings
+ */
+function videoUploadOptions(options = {}) {
+  const settings = services.settingsManager.getSettings();
+  return {
+    uploadMethod: 'direct',
+    audioProcessing: audioProcessing.fromSettings(settings),
+    ...options,
+    overlay: overlays.fromSettings(settings, options.overlay),
+    dedupe: UploadDedupe.resolveMode(options.dedupe, settings.uploadDedupe)
+  };
+}
+
+/**
+ * Throw unless the wallet PIN is given and correct. Guards actions that let
+ * a key sign without asking each time.
+ */
+async function requirePin(pin) {
+  if (!(await services.spkClient.accountManager.verifyPin(pin))) {
+    throw new Error(pin ? 'Invalid PIN' : 'Enter your wallet PIN to approve');
+  }
+}
+
+/**
+ * Record BROCA spent by a V1 video upload and link it to its contract transaction
+ */
+function recordVideoUpload(result) {
+  const contract = result && result.contract;
+  if (!contract) return;
+  if (contract.transactionId) {
+    services.transactionHistory.linkUpload({
+      transactionId: contract.transactionId,
+      uploadId: result.masterPlaylistCID,
+      contractId: contract.id,
+      account: services.spkClient.currentUser,
+      broca: contract.cost || null,
+      cids: [result.masterPlaylistCID]
+    }).catch(error => console.error('Failed to link upload to its transaction:', error));
+  }
+  if (!contract.cost) return;
+  services.brocaLedger.record({
+    type: 'upload',
+    broca: contract.cost,
+    account: services.spkClient.currentUser,
+    contractId: contract.id,
+    transactionId: contract.transactionId,
+    bytes: contract.totalSize,
+    note: result.masterPlaylistCID ? `video ${result.masterPlaylistCID}` : null
+  }).catch(error => console.error('Failed to record BROCA spend:', error));
+}
+
 /**
  * Create the main application window
  */
@@ -274,8 +417,16 @@ async function initializeServices() {
   services.settingsManager = new SettingsManager();
   await services.settingsManager.init();
 
+  // Rate limits and transfer windows shared by uploads, pinning and replication
+  services.bandwidth = new BandwidthManager();
+  try {
+    applyBandwidthSettings();
+  } catch (e) {
+    console.error('Failed to apply bandwidth settings:', e);
+  }
+
   // Initialize SPK client wrapper with settings
-  services.spkClient = new SPKClientWrapper();
+  services.spkClient = new SPKClientWrapper({ bandwidthManager: services.bandwidth });
   services.spkClient.mainWindow = mainWindow; // Set reference for IPC
   
   // Configure SPK client with settings
@@ -316,11 +467,21 @@ async function initializeServices() {
     console.error('Failed to start WebDAV service:', e);
   }
 
+  // Initialize local HTTP/JSON control API (opt-in)
+  services.api = new ApiService(services);
+  try { services.api.registerIPC(); } catch (_) { /* already registered */ }
+  try {
+    await applyApiSettings();
+  } catch (e) {
+    console.error('Failed to start local API:', e);
+  }
+
   // Initialize core services
   services.transcoder = new Transcoder();
   services.playlistProcessor = new PlaylistProcessor();
   // Initialize IPFS with persisted settings
   const saved = services.settingsManager.getSettings();
+  services.transcoder.applyCapabilitySettings(saved);
   services.ipfsManager = new IPFSManager({
     host: saved.ipfsHost || '127.0.0.1',
     port: saved.ipfsPort || 5001,
@@ -343,11 +504,24 @@ async function initializeServices() {
   services.pendingUploadsManager = new PendingUploadsManager();
   await services.pendingUploadsManager.init();
   
+  // Initialize transcode jobs manager (marks jobs cut off by the last exit as interrupted)
+  services.transcodeJobs = new TranscodeJobsManager();
+  await services.transcodeJobs.init();
+  
+  // Hash uploads before paying so files already in the uploader's contracts are referenced
+  services.uploadDedupe = new UploadDedupe({
+    ipfsManager: services.ipfsManager,
+    spkApiUrl: () => services.spkClient.config?.spkNode || networkSettings.spkNode,
+    checkNetwork: (cids) => services.spkClient.checkExistingFiles(cids)
+  });
+  
   // Initialize direct upload service
   services.directUploadService = new DirectUploadService({
     ipfsManager: services.ipfsManager,
     spkClient: services.spkClient,
-    pendingUploadsManager: services.pendingUploadsManager
+    pendingUploadsManager: services.pendingUploadsManager,
+    bandwidthManager: services.bandwidth,
+    uploadDedupe: services.uploadDedupe
   });
   
   // Initialize integrated storage service
@@ -355,7 +529,8 @@ async function initializeServices() {
     ipfsManager: services.ipfsManager,
     poaStorageNode: services.storageNode,
     spkClient: services.spkClient,
-    videoUploadService: null // Will be set later
+    videoUploadService: null, // Will be set later
+    bandwidthManager: services.bandwidth
   });
   
   // Initialize upload service with all dependencies
@@ -365,12 +540,85 @@ async function initializeServices() {
     ipfsManager: services.ipfsManager,
     spkClient: services.spkClient,
     integratedStorage: services.integratedStorage,
-    directUploadService: services.directUploadService
+    directUploadService: services.directUploadService,
+    transcodeJobs: services.transcodeJobs,
+    uploadDedupe: services.uploadDedupe
   });
   
   // Set circular reference
   services.integratedStorage.videoUploadService = services.videoUploadService;
 
+  // Persistent upload queue; uploads wait for an unlocked wallet, transcodes do not
+  services.uploadQueue = new UploadQueue({
+    videoUploadService: services.videoUploadService,
+    canUpload: () => services.spkClient.accountManager.isUnlocked()
+  });
+
+  // Watch folders queue new recordings with the same audio/overlay settings as manual uploads
+  services.watchFolders = new WatchFolderService({
+    videoUploadService: services.videoUploadService,
+    pendingUploadsManager: services.pendingUploadsManager,
+    uploadDefaults: () => {
+      const settings = services.settingsManager.getSettings();
+      return {
+        audioProcessing: audioProcessing.fromSettings(settings),
+        overlay: overlays.fromSettings(settings)
+      };
+    }
+  });
+  try {
+    await applyWatchFolderSettings();
+  } catch (e) {
+    console.error('Failed to start watch folders:', e);
+  }
+
+  // Renew the account's own contracts before they expire, within the monthly BROCA budget
+  services.contractRenewal = new ContractRenewalService({
+    contractSource: services.spkClient,
+    estimateCost: async (bytes, days) => (await services.spkClient.calculateBrocaCost(bytes, days)).broca
+  });
+  try {
+    await applyRenewalSettings();
+  } catch (e) {
+    console.error('Failed to start contract renewals:', e);
+  }
+
+  // Ledger of BROCA spent on uploads, renewals and extensions
+  services.brocaLedger = new BrocaLedger();
+
+  // Every transaction broadcast from Oratr, merged with on-chain account history
+  const dhive = require('@hiveio/dhive');
+  const hiveClient = new dhive.Client(['https://api.hive.blog']);
+  services.transactionHistory = new TransactionHistory({ hiveClient });
+
+  // Recurring wallet operations; rules sign without a prompt once their key type is approved
+  services.tokenScheduler = new TokenScheduler({
+    getBalances: async (account, chain) => {
+      if (chain === 'spk') {
+        const spk = await services.spkClient.getSpkInstance(account);
+        return walletOperations.spkBalances(await spk.getBalances(true));
+      }
+      const [record] = await hiveClient.database.getAccounts([account]);
+      if (!record) throw new Error(`Hive account @${account} not found`);
+      return walletOperations.hiveBalances(record);
+    },
+    broadcast: (account, tx, keyType) => services.spkClient.accountManager.signAndBroadcast(account, tx, keyType, { approved: true }),
+    isUnlocked: () => services.spkClient.accountManager.isUnlocked(),
+    isTestnet: () => services.settingsManager.getNetworkSettings().isTestnet
+  });
+  services.tokenScheduler.start().catch(e => console.error('Failed to start token schedules:', e));
+
+  // Transactions signed outside this wallet (offline keys, multi-authority accounts)
+  services.offlineSigning = new OfflineSigning({ hiveClient });
+
+  // Prometheus metrics endpoint (opt-in)
+  services.metrics = new MetricsService(services);
+  try {
+    await applyMetricsSettings();
+  } catch (e) {
+    console.error('Failed to start metrics endpoint:', e);
+  }
+
   // Setup service event handlers
   setupServiceHandlers();
   
@@ -378,6 +626,9 @@ async function initializeServices() {
   setTimeout(async () => {
     await checkPendingUploadsOnStartup();
   }, 5000);
+
+  // Continue queued uploads, including those cut off by the last exit
+  services.uploadQueue.processQueue().catch(e => console.error('Failed to start upload queue:', e));
 }
 
 /**
@@ -574,6 +825,7 @@ function setupIPCHandlers() {
     try {
       const account = await services.spkClient.setActiveAccount(username);
       try { services.spkClient.accountManager.updateLastActivity(); } catch (_) {}
+      applyRenewalSettings().catch(e => console.error('Failed to restart contract renewals:', e));
       return { success: true, account };
     } catch (error) {
       return { success: false, error: error.message };
@@ -649,28 +901,36 @@ function setupIPCHandlers() {
     }
   });
 
-  // Token operations
-  ipcMain.handle('token:transfer', async (event, to, amount, token, memo, options) => {
+  // Token operations (SPK and LARYNX custom_json, signed with the active key)
+  async function broadcastSpkOperation(build) {
+    const active = await services.spkClient.getActiveAccount();
+    if (!active || !active.username) throw new Error('No active account');
+    const tx = build(active.username, services.settingsManager.getNetworkSettings().isTestnet);
+    return services.spkClient.accountManager.signAndBroadcast(active.username, { operations: tx.operations }, tx.keyType);
+  }
+
+  ipcMain.handle('token:transfer', async (event, to, amount, token = 'SPK', memo = '') => {
     try {
-      const result = await services.spkClient.transfer(to, amount, token, memo, options);
+      const result = await broadcastSpkOperation((from, testnet) => walletOperations.spkTransfer({ from, to, amount, token, memo, testnet }));
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('token:powerUp', async (event, amount, options) => {
+  ipcMain.handle('token:powerUp', async (event, amount, options = {}) => {
     try {
-      const result = await services.spkClient.powerUp(amount, options);
+      const token = options.token || 'LARYNX';
+      const result = await broadcastSpkOperation((from, testnet) => walletOperations.spkPowerUp({ from, amount, token, testnet }));
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('token:powerDown', async (event, amount, options) => {
+  ipcMain.handle('token:powerDown', async (event, amount) => {
     try {
-      const result = await services.spkClient.powerDown(amount, options);
+      const result = await broadcastSpkOperation((from, testnet) => walletOperations.spkPowerDown({ from, amount, testnet }));
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
@@ -681,10 +941,7 @@ function setupIPCHandlers() {
   const dhive = require('@hiveio/dhive');
   const hiveClient = new dhive.Client(['https://api.hive.blog']);
 
-  function formatAssetAmount(amount, symbol, precision = 3) {
-    const n = Number(amount || 0);
-    return `${n.toFixed(precision)} ${symbol}`;
-  }
+  const { formatAssetAmount } = walletOperations;
 
   async function hpToVests(hpAmount) {
     const props = await hiveClient.database.getDynamicGlobalProperties();
@@ -700,9 +957,8 @@ function setupIPCHandlers() {
       const active = await services.spkClient.getActiveAccount();
       if (!active || !active.username) throw new Error('No active account');
       const from = active.username;
-      const op = ['transfer', { from, to, amount: formatAssetAmount(amount, asset || 'HIVE'), memo }];
-      const tx = { operations: [op] };
-      const result = await services.spkClient.accountManager.signAndBroadcast(from, tx, 'active');
+      const { operations, keyType } = walletOperations.hiveTransfer({ from, to, amount, asset: asset || 'HIVE', memo });
+      const result = await services.spkClient.accountManager.signAndBroadcast(from, { operations }, keyType);
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
@@ -714,9 +970,8 @@ function setupIPCHandlers() {
       const active = await services.spkClient.getActiveAccount();
       if (!active || !active.username) throw new Error('No active account');
       const from = active.username;
-      const op = ['transfer_to_vesting', { from, to: to || from, amount: formatAssetAmount(amount, 'HIVE') }];
-      const tx = { operations: [op] };
-      const result = await services.spkClient.accountManager.signAndBroadcast(from, tx, 'active');
+      const { operations, keyType } = walletOperations.hivePowerUp({ from, to, amount });
+      const result = await services.spkClient.accountManager.signAndBroadcast(from, { operations }, keyType);
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
@@ -760,13 +1015,9 @@ function setupIPCHandlers() {
       const account = active.username;
       // Fetch current pending rewards
       const accounts = await hiveClient.database.getAccounts([account]);
-      const a = accounts[0];
-      const reward_hive = a.reward_hive_balance || '0.000 HIVE';
-      const reward_hbd = a.reward_hbd_balance || '0.000 HBD';
-      const reward_vests = a.reward_vesting_balance || '0.000000 VESTS';
-      const op = ['claim_reward_balance', { account, reward_hive, reward_hbd, reward_vests }];
-      const tx = { operations: [op] };
-      const result = await services.spkClient.accountManager.signAndBroadcast(account, tx, 'posting');
+      const { rewards } = walletOperations.hiveBalances(accounts[0]);
+      const { operations, keyType } = walletOperations.claimRewards({ account, rewards });
+      const result = await services.spkClient.accountManager.signAndBroadcast(account, { operations }, keyType);
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
@@ -810,16 +1061,13 @@ function setupIPCHandlers() {
 
   ipcMain.handle('video:upload', async (event, videoPath, options = {}) => {
     try {
-      // Ensure direct upload is used by default
-      const uploadOptions = {
-        uploadMethod: 'direct',
-        ...options
-      };
+      const uploadOptions = videoUploadOptions(options);
       
       console.log(`🎬 [VideoUpload] Starting video upload: ${videoPath}`);
       console.log(`⚙️ [VideoUpload] Options:`, uploadOptions);
       
       const result = await services.videoUploadService.uploadVideo(videoPath, uploadOptions);
+      recordVideoUpload(result);
       return { success: true, result };
     } catch (error) {
       console.error(`❌ [VideoUpload] Upload failed:`, error);
@@ -832,6 +1080,57 @@ function setupIPCHandlers() {
     return { success: true };
   });
 
+  // Upload queue: items are listed in processing order
+  async function uploadQueueState(extra = {}) {
+    return {
+      success: true,
+      items: (await services.uploadQueue.getQueue()).map(({ prepared, ...item }) => ({ ...item, transcoded: !!prepared })),
+      status: services.uploadQueue.getStatus(),
+      ...extra
+    };
+  }
+
+  ipcMain.handle('upload-queue:list', async () => {
+    try {
+      return await uploadQueueState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('upload-queue:add', async (event, videoPath, options = {}, queueOptions = {}) => {
+    try {
+      const id = await services.uploadQueue.queueUpload(videoPath, videoUploadOptions(options), queueOptions);
+      return await uploadQueueState({ id });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  const queueActions = {
+    'upload-queue:move': (id, index) => services.uploadQueue.moveItem(id, index),
+    'upload-queue:set-priority': (id, priority) => services.uploadQueue.setPriority(id, priority),
+    'upload-queue:schedule': (id, times) => services.uploadQueue.scheduleItem(id, times),
+    'upload-queue:pause': (id) => services.uploadQueue.pauseItem(id),
+    'upload-queue:resume': (id) => services.uploadQueue.resumeItem(id),
+    'upload-queue:retry': (id) => services.uploadQueue.retryItem(id),
+    'upload-queue:remove': (id) => services.uploadQueue.removeItem(id),
+    'upload-queue:clear-finished': () => services.uploadQueue.clearFinished(),
+    'upload-queue:pause-all': () => services.uploadQueue.pauseQueue(),
+    'upload-queue:resume-all': () => services.uploadQueue.resumeQueue(),
+    'upload-queue:set-concurrency': (limits) => services.uploadQueue.setConcurrency(limits)
+  };
+  for (const [channel, action] of Object.entries(queueActions)) {
+    ipcMain.handle(channel, async (event, ...args) => {
+      try {
+        await action(...args);
+        return await uploadQueueState();
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
   // Native FFmpeg operations
   ipcMain.handle('ffmpeg:getVersion', async () => {
     try {
@@ -851,14 +1150,14 @@ function setupIPCHandlers() {
     }
   });
 
-  ipcMain.handle('ffmpeg:saveVideoFile', async (event, videoFile, tempDir) => {
+  ipcMain.handle('ffmpeg:saveVideoFile', async (event, videoFile, tempDir, name = 'input') => {
     try {
       const fs = require('fs').promises;
       const path = require('path');
       
       // Get file extension
       const ext = path.extname(videoFile.name) || '.mp4';
-      const inputPath = path.join(tempDir, `input${ext}`);
+      const inputPath = path.join(tempDir, `${path.basename(name)}${ext}`);
       
       // Write file data to temporary location
       await fs.writeFile(inputPath, Buffer.from(videoFile.data));
@@ -869,12 +1168,12 @@ function setupIPCHandlers() {
     }
   });
 
-  ipcMain.handle('ffmpeg:generateThumbnail', async (event, inputPath, tempDir) => {
+  ipcMain.handle('ffmpeg:generateThumbnail', async (event, inputPath, tempDir, options = {}) => {
     try {
       const path = require('path');
       const thumbnailPath = path.join(tempDir, 'thumbnail.jpg');
       
-      const result = await services.transcoder.generateThumbnail(inputPath);
+      const result = await services.transcoder.generateThumbnail(inputPath, undefined, { edit: options.edit });
       
       // Write thumbnail to temp directory
       const fs = require('fs').promises;
@@ -886,6 +1185,71 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('ffmpeg:findThumbnailCandidates', async (event, inputPath, tempDir, options = {}) => {
+    try {
+      const path = require('path');
+      const fs = require('fs').promises;
+      const candidates = await services.transcoder.findThumbnailCandidates(inputPath, options);
+
+      // Render each candidate at full thumbnail size for the selector
+      for (const [i, candidate] of candidates.entries()) {
+        const result = await services.transcoder.generateThumbnail(inputPath, candidate.timestamp, { edit: options.edit });
+        candidate.thumbnailPath = path.join(tempDir, `thumbnail_candidate_${i}.jpg`);
+        await fs.writeFile(candidate.thumbnailPath, result.buffer);
+      }
+
+      return { success: true, candidates };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ffmpeg:generateThumbnailTrack', async (event, inputPath, tempDir, options = {}) => {
+    try {
+      const path = require('path');
+      const result = await services.transcoder.generateThumbnailTrack(inputPath, path.join(tempDir, 'thumbnails'), options);
+      return { success: true, ...result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Loudness measurement and silence detection; the plan goes into the job and transcode options
+  ipcMain.handle('ffmpeg:prepareAudioProcessing', async (event, inputPath, options = {}, context = {}) => {
+    try {
+      const plan = await services.transcoder.prepareAudioProcessing(inputPath, options, context);
+      return { success: true, plan };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Overlay preset (id, name or 'none'; the default preset when omitted). Intro and
+  // outro are returned for ffmpeg:prepareEdit, the plan goes in as options.overlay.
+  ipcMain.handle('ffmpeg:prepareOverlay', async (event, preset, tempDir) => {
+    try {
+      const path = require('path');
+      const selected = overlays.fromSettings(services.settingsManager.getSettings(), preset);
+      const plan = selected
+        ? await services.transcoder.prepareOverlay(selected, path.join(tempDir, 'overlay'))
+        : null;
+      return { success: true, plan };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Cuts, joins, crop and rotation; transcode from plan.source with the plan as options.edit
+  ipcMain.handle('ffmpeg:prepareEdit', async (event, inputPath, edit, tempDir) => {
+    try {
+      const path = require('path');
+      const plan = await services.transcoder.prepareEdit(inputPath, edit, path.join(tempDir, 'edit'));
+      return { success: true, plan };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('ffmpeg:generateThumbnailFromSegment', async (event, segmentPath, tempDir, name) => {
     try {
       const path = require('path');
@@ -904,10 +1268,64 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('ffmpeg:getCodecProfiles', async () => {
+    try {
+      const profiles = await services.transcoder.getCodecProfiles();
+      return { success: true, profiles };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('ffmpeg:probeCapabilities', async () => {
+    try {
+      const capabilities = await services.transcoder.probeCapabilities();
+      return { success: true, capabilities };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Benchmark encoders and store the recommended presets and concurrency
+  ipcMain.handle('ffmpeg:runBenchmark', async (event, options = {}) => {
+    const progressHandler = (progress) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('ffmpeg:benchmark-progress', progress);
+      }
+    };
+
+    services.transcoder.on('benchmark-progress', progressHandler);
+    try {
+      const benchmark = await services.transcoder.runBenchmark(options);
+      await services.settingsManager.updateSettings({
+        encoderPresets: benchmark.recommended.presets,
+        transcodeConcurrency: benchmark.recommended.concurrency,
+        encoderBenchmark: benchmark
+      });
+      services.transcoder.applyCapabilitySettings(services.settingsManager.getSettings());
+      return { success: true, benchmark };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      services.transcoder.off('benchmark-progress', progressHandler);
+    }
+  });
+
+  ipcMain.handle('ffmpeg:buildLadder', async (event, inputPath, options = {}) => {
+    try {
+      const ladder = await services.transcoder.buildAdaptiveLadder(inputPath, options);
+      return { success: true, ...ladder };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('ffmpeg:transcodeToHLS', async (event, inputPath, tempDir, resolution, options = {}) => {
     try {
       const path = require('path');
-      const outputDir = path.join(tempDir, `${resolution}p`);
+      // Accept both '720' and '720p'
+      const name = String(resolution).replace(/p$/i, '');
+      const outputDir = path.join(tempDir, `${name}p`);
       
       // Set up progress callback
       const progressHandler = (progress) => {
@@ -919,7 +1337,19 @@ function setupIPCHandlers() {
       services.transcoder.on('progress', progressHandler);
       
       try {
-        const result = await services.transcoder.transcodeToHLS(inputPath, outputDir, `${resolution}p`);
+        const renditionOptions = {
+          encoding: options.encoding,
+          codec: options.codec,
+          segmentFormat: options.segmentFormat,
+          fps: options.fps,
+          audioProcessing: options.audioProcessing,
+          edit: options.edit,
+          overlay: options.overlay
+        };
+        // Jobs encode into their persistent directory and resume earlier progress
+        const result = options.jobId
+          ? await services.transcodeJobs.runRendition(options.jobId, services.transcoder, `${name}p`, renditionOptions)
+          : await services.transcoder.transcodeToHLS(inputPath, outputDir, `${name}p`, renditionOptions);
         
         // Return segment paths
         const segments = result.segments.map(seg => seg.path);
@@ -927,7 +1357,12 @@ function setupIPCHandlers() {
         return { 
           success: true, 
           playlistPath: result.playlistPath,
-          segments 
+          segments,
+          bandwidth: result.bandwidth,
+          width: result.width,
+          height: result.height,
+          codecs: result.codecs,
+          segmentFormat: result.segmentFormat
         };
       } finally {
         services.transcoder.off('progress', progressHandler);
@@ -937,6 +1372,56 @@ function setupIPCHandlers() {
     }
   });
 
+  // Single pass: decode once, encode every rendition in one FFmpeg process
+  ipcMain.handle('ffmpeg:transcodeSinglePass', async (event, inputPath, tempDir, renditions, options = {}) => {
+    try {
+      // Accept '720', '720p' or ladder rungs
+      const entries = renditions.map(entry => (typeof entry === 'object'
+        ? entry
+        : `${String(entry).replace(/p$/i, '')}p`));
+
+      const progressHandler = (progress) => {
+        if (mainWindow) {
+          mainWindow.webContents.send('ffmpeg:progress', progress);
+        }
+      };
+
+      services.transcoder.on('progress', progressHandler);
+
+      try {
+        const results = options.jobId
+          ? await services.transcodeJobs.runJob(options.jobId, services.transcoder, { singlePass: true })
+          : await services.transcoder.transcodeToHLSSinglePass(inputPath, tempDir, entries, {
+            codec: options.codec,
+            segmentFormat: options.segmentFormat,
+            fps: options.fps,
+            audioProcessing: options.audioProcessing,
+            edit: options.edit,
+            overlay: options.overlay
+          });
+
+        const renditionResults = {};
+        for (const [resolution, result] of Object.entries(results)) {
+          renditionResults[resolution] = {
+            playlistPath: result.playlistPath,
+            segments: result.segments.map(seg => seg.path),
+            bandwidth: result.bandwidth,
+            width: result.width,
+            height: result.height,
+            codecs: result.codecs,
+            segmentFormat: result.segmentFormat
+          };
+        }
+
+        return { success: true, results: renditionResults };
+      } finally {
+        services.transcoder.off('progress', progressHandler);
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('ffmpeg:readFile', async (event, filePath) => {
     try {
       const fs = require('fs').promises;
@@ -1347,9 +1832,17 @@ function setupIPCHandlers() {
     }
   });
 
-  ipcMain.handle('contract:renew', async (event, contractId, options) => {
+  ipcMain.handle('contract:renew', async (event, contractId, options = {}) => {
     try {
-      const result = await services.spkClient.renewContract(contractId, options);
+      const fileOwner = options.fileOwner || services.spkClient.currentUser;
+      const result = await services.spkClient.extendContract(contractId, fileOwner, options.brocaAmount, options.power || 0);
+      await services.brocaLedger.record({
+        type: 'extension',
+        broca: options.brocaAmount,
+        account: services.spkClient.currentUser,
+        contractId,
+        transactionId: result && (result.id || result.transactionId)
+      });
       return { success: true, result };
     } catch (error) {
       return { success: false, error: error.message };
@@ -1847,7 +2340,9 @@ function setupIPCHandlers() {
       console.log('[DirectUpload] Starting direct upload via DirectUploadService...');
       const uploadResult = await services.directUploadService.directUpload(fileObjects, {
         ...options, // Pass all options through
-        duration: options.duration || 30
+        duration: options.duration || 30,
+        username: currentAccount,
+        dedupe: UploadDedupe.resolveMode(options.dedupe, services.settingsManager.get('uploadDedupe'))
       });
       
       console.log('[DirectUpload] Upload result:', uploadResult);
@@ -1871,6 +2366,21 @@ function setupIPCHandlers() {
       return { success: false, error: error.message };
     }
   });
+
+  // Hash files before uploading so the UI can offer to reference ones already stored
+  ipcMain.handle('upload:check-duplicates', async (event, { files }) => {
+    try {
+      const fileObjects = files.map(f => (f.path && !f.buffer ? f : {
+        name: f.name,
+        size: f.size,
+        buffer: Buffer.from(f.buffer)
+      }));
+      const result = await services.uploadDedupe.check(fileObjects, services.spkClient.getActiveAccount());
+      return { success: true, ...result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 }
 
 /**
@@ -1879,12 +2389,14 @@ function setupIPCHandlers() {
 function setupServiceHandlers() {
   // Forward SPK client events
   services.spkClient.on('accounts-unlocked', (accounts) => {
+    applyRenewalSettings().catch(e => console.error('Failed to start contract renewals:', e));
     if (mainWindow) {
       mainWindow.webContents.send('spk:accounts-unlocked', accounts);
     }
   });
 
   services.spkClient.on('accounts-locked', () => {
+    services.contractRenewal.stop();
     if (mainWindow) {
       mainWindow.webContents.send('spk:accounts-locked');
     }
@@ -1901,19 +2413,138 @@ function setupServiceHandlers() {
       mainWindow.webContents.send('spk:active-account-changed', username);
     }
   });
-  // Forward upload progress to renderer
+  // Forward upload progress to renderer; queued items report to the queue view
   services.videoUploadService.on('progress', (progress) => {
     if (mainWindow) {
-      mainWindow.webContents.send('upload:progress', progress);
+      const channel = services.uploadQueue.isRunning(progress.uploadId) ? 'upload-queue:progress' : 'upload:progress';
+      mainWindow.webContents.send(channel, progress);
     }
   });
 
+  for (const type of ['queued', 'queue-updated', 'completed', 'failed']) {
+    services.uploadQueue.on(type, (item) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('upload-queue:updated', { type, id: item.id, status: item.status, error: item.error });
+      }
+    });
+  }
+  services.uploadQueue.on('completed', (item) => recordVideoUpload(item.result));
+
   services.videoUploadService.on('error', (error) => {
     if (mainWindow) {
       mainWindow.webContents.send('upload:error', error);
     }
   });
 
+  // Forward watch folder activity
+  for (const type of ['fileQueued', 'fileSkipped', 'fileUploaded', 'fileFailed', 'folderError']) {
+    services.watchFolders.on(type, ({ folder, error, result, ...data }) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('watchFolders:event', {
+          type,
+          ...data,
+          folder: folder && (folder.id || folder.path),
+          error: error ? error.message : undefined,
+          masterPlaylistCID: result ? result.masterPlaylistCID : undefined
+        });
+      }
+    });
+  }
+
+  // Forward contract renewal decisions
+  services.contractRenewal.on('decision', (decision) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('renewals:decision', decision);
+    }
+  });
+  services.contractRenewal.on('error', (error) => {
+    console.error('Contract renewal check failed:', error);
+  });
+
+  // Keep the BROCA ledger for uploads and renewals made in the background
+  services.directUploadService.on('completed', (upload) => {
+    if (upload.transactionId) {
+      services.transactionHistory.linkUpload({
+        transactionId: upload.transactionId,
+        uploadId: upload.uploadId,
+        contractId: upload.directUploadId,
+        account: services.spkClient.currentUser,
+        broca: upload.brocaCost,
+        cids: upload.files.map(file => file.cid)
+      }).catch(error => console.error('Failed to link upload to its transaction:', error));
+    }
+    if (!upload.brocaCost) return;
+    services.brocaLedger.record({
+      type: 'upload',
+      broca: upload.brocaCost,
+      account: services.spkClient.currentUser,
+      contractId: upload.directUploadId,
+      transactionId: upload.transactionId,
+      bytes: upload.totalSize
+    }).catch(error => console.error('Failed to record BROCA spend:', error));
+  });
+  services.videoUploadService.on('completed', (item) => recordVideoUpload(item.result));
+  services.contractRenewal.on('decision', (decision) => {
+    if (decision.decision !== 'renewed') return;
+    services.brocaLedger.record({
+      type: 'renewal',
+      broca: decision.broca,
+      account: decision.owner,
+      contractId: decision.contractId,
+      days: decision.extensionDays
+    }).catch(error => console.error('Failed to record BROCA spend:', error));
+  });
+  services.brocaLedger.on('recorded', (entry) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('broca:recorded', entry);
+    }
+  });
+
+  // Record every broadcast, including failed ones, in the transaction history
+  services.spkClient.accountManager.on('transaction-broadcast', ({ username, operations, result }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, result })
+      .catch(error => console.error('Failed to record transaction:', error));
+  });
+  services.spkClient.accountManager.on('transaction-failed', ({ username, operations, error }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, error })
+      .catch(e => console.error('Failed to record transaction:', e));
+  });
+  services.transactionHistory.on('recorded', (entry) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('history:recorded', entry);
+    }
+  });
+
+  services.offlineSigning.on('broadcast', ({ username, operations, result }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, result })
+      .catch(error => console.error('Failed to record transaction:', error));
+  });
+  services.offlineSigning.on('failed', ({ username, operations, error }) => {
+    services.transactionHistory.recordBroadcast({ username, operations, error })
+      .catch(e => console.error('Failed to record transaction:', e));
+  });
+
+  // Run due token rules as soon as the wallet is unlocked
+  services.spkClient.accountManager.on('unlocked', () => {
+    services.tokenScheduler.tick().catch(error => console.error('Scheduled token operations failed:', error));
+    services.uploadQueue.processQueue().catch(error => console.error('Upload queue error:', error));
+  });
+  services.tokenScheduler.on('run', (run) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('schedules:run', run);
+    }
+  });
+  services.tokenScheduler.on('error', (error) => {
+    console.error('Scheduled token operations failed:', error);
+  });
+
+  // Forward transfers held by rate limits or transfer windows
+  services.bandwidth.on('waiting', (info) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('bandwidth:waiting', info);
+    }
+  });
+
   // Forward IPFS events
   services.ipfsManager.on('peer:connect', (peer) => {
     if (mainWindow) {
@@ -1987,6 +2618,10 @@ function setupServiceHandlers() {
   });
 
   // Settings management
+  ipcMain.handle('metrics:status', async () => {
+    return services.metrics ? services.metrics.getStatus() : { running: false };
+  });
+
   ipcMain.handle('settings:get-all', async () => {
     return services.settingsManager.getAll();
   });
@@ -2024,12 +2659,50 @@ function setupServiceHandlers() {
         isTestnet: networkSettings.isTestnet
       };
     }
+    if (key === 'watchFolders') {
+      try {
+        await applyWatchFolderSettings();
+      } catch (e) {
+        console.error('Failed to apply watch folder change:', e);
+      }
+    }
+    if (key === 'uploadRateLimitKBps' || key === 'downloadRateLimitKBps' || key === 'transferWindows') {
+      try {
+        applyBandwidthSettings();
+      } catch (e) {
+        console.error('Failed to apply bandwidth change:', e);
+      }
+    }
+    if (key.startsWith('renewal') || key === 'autoRenewContracts') {
+      try {
+        await applyRenewalSettings();
+      } catch (e) {
+        console.error('Failed to apply contract renewal change:', e);
+      }
+    }
+    if (key === 'encoderPresets' || key === 'transcodeConcurrency') {
+      services.transcoder.applyCapabilitySettings(services.settingsManager.getSettings());
+    }
     if (key === 'maxStorageGB') {
       try {
         const bytes = Math.floor((Number(value) || 0) * 1024 * 1024 * 1024);
         services.ipfsManager.updateStorageLimit(bytes);
       } catch (_) {}
     }
+    if (key.startsWith('metrics')) {
+      try {
+        await applyMetricsSettings();
+      } catch (e) {
+        console.error('Failed to apply metrics setting change:', e);
+      }
+    }
+    if (key.startsWith('api')) {
+      try {
+        await applyApiSettings();
+      } catch (e) {
+        console.error('Failed to apply local API setting change:', e);
+      }
+    }
     if (key.startsWith('webdav')) {
       try {
         const s = services.settingsManager.getSettings();
@@ -2055,6 +2728,423 @@ function setupServiceHandlers() {
     return { success: true };
   });
 
+  // Overlay presets are validated before they are stored, so uploads only see usable ones
+  ipcMain.handle('overlays:add', async (event, preset) => {
+    try {
+      const presets = services.settingsManager.get('overlayPresets') || [];
+      const normalized = overlays.normalizePreset({ ...preset, id: overlays.presetId(preset.name, presets) });
+      if (!overlays.isEnabled(normalized)) {
+        throw new Error('A preset needs a watermark, text, intro or outro');
+      }
+      await services.settingsManager.update({ overlayPresets: [...presets, normalized] });
+      return { success: true, preset: normalized, presets: [...presets, normalized] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('overlays:remove', async (event, id) => {
+    try {
+      const settings = services.settingsManager.getSettings();
+      const presets = (settings.overlayPresets || []).filter(preset => preset.id !== id);
+      const overlayPreset = settings.overlayPreset === id ? '' : settings.overlayPreset;
+      await services.settingsManager.update({ overlayPresets: presets, overlayPreset });
+      return { success: true, presets, overlayPreset };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Watch folders are validated before they are stored; watchers restart on every change
+  ipcMain.handle('watchFolders:list', async () => {
+    try {
+      return {
+        success: true,
+        folders: services.settingsManager.get('watchFolders') || [],
+        status: services.watchFolders.getStatus()
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('watchFolders:add', async (event, folder) => {
+    try {
+      const folders = services.settingsManager.get('watchFolders') || [];
+      const normalized = WatchFolderService.normalizeFolder(folder);
+      if (folders.some(entry => entry.id === normalized.id)) {
+        throw new Error(`Already watching ${normalized.path}`);
+      }
+      await services.settingsManager.update({ watchFolders: [...folders, normalized] });
+      await applyWatchFolderSettings();
+      return { success: true, folder: normalized, folders: [...folders, normalized] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('watchFolders:update', async (event, id, changes = {}) => {
+    try {
+      const folders = (services.settingsManager.get('watchFolders') || []).map(entry => (
+        entry.id === id ? WatchFolderService.normalizeFolder({ ...entry, ...changes, id }) : entry
+      ));
+      await services.settingsManager.update({ watchFolders: folders });
+      await applyWatchFolderSettings();
+      return { success: true, folders };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('watchFolders:remove', async (event, id) => {
+    try {
+      const folders = (services.settingsManager.get('watchFolders') || []).filter(entry => entry.id !== id);
+      await services.settingsManager.update({ watchFolders: folders });
+      await applyWatchFolderSettings();
+      return { success: true, folders };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Transfer windows are entered as text ("mon-fri 22:00-06:00; sat,sun 00:00-24:00")
+  ipcMain.handle('bandwidth:status', async () => {
+    try {
+      const status = services.bandwidth.getStatus();
+      return { success: true, status, text: status.windows.map(BandwidthManager.formatWindow).join('; ') };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('bandwidth:set-windows', async (event, text) => {
+    try {
+      const transferWindows = BandwidthManager.parseWindows(text);
+      await services.settingsManager.update({ transferWindows });
+      const status = applyBandwidthSettings();
+      return { success: true, status, text: transferWindows.map(BandwidthManager.formatWindow).join('; ') };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Renewal policies are entered as text ("Videos/Archive: never; Videos/Live: accessed")
+  ipcMain.handle('renewals:status', async () => {
+    try {
+      const status = await services.contractRenewal.getStatus();
+      return { success: true, status, text: status.policies.map(ContractRenewalService.formatRule).join('; ') };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('renewals:set-policies', async (event, text) => {
+    try {
+      const renewalPolicies = ContractRenewalService.parseRules(text);
+      await services.settingsManager.update({ renewalPolicies });
+      await applyRenewalSettings();
+      return { success: true, text: renewalPolicies.map(ContractRenewalService.formatRule).join('; ') };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('renewals:check', async (event, { dryRun = false } = {}) => {
+    try {
+      if (!services.contractRenewal.username) {
+        services.contractRenewal.username = services.spkClient.currentUser;
+      }
+      const decisions = await services.contractRenewal.check({ dryRun });
+      return { success: true, decisions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('renewals:log', async (event, limit) => {
+    try {
+      return { success: true, decisions: await services.contractRenewal.getLog(limit) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('renewals:record-access', async (event, cids) => {
+    try {
+      await services.contractRenewal.recordAccess(cids);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // BROCA spend ledger and renewal forecast
+  ipcMain.handle('broca:ledger', async (event, filter = {}) => {
+    try {
+      const entries = await services.brocaLedger.getEntries(filter);
+      return { success: true, entries, summary: await services.brocaLedger.summary(filter) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('broca:forecast', async (event, { days } = {}) => {
+    try {
+      return { success: true, outlook: await brocaOutlook(days) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Warn when an upload would leave too little BROCA to renew existing contracts
+  ipcMain.handle('broca:check-upload', async (event, { cost, days } = {}) => {
+    try {
+      const outlook = await brocaOutlook(days);
+      const check = services.brocaLedger.checkUpload({ cost, ...outlook, renewals: outlook.forecast.renewals });
+      return { success: true, check, forecast: outlook.forecast };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Transaction history: broadcasts from Oratr plus fetched on-chain history
+  ipcMain.handle('history:query', async (event, filter = {}) => {
+    try {
+      return { success: true, entries: await services.transactionHistory.query(filter) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('history:sync', async (event, { account } = {}) => {
+    try {
+      const username = account || services.spkClient.currentUser;
+      if (!username) throw new Error('No active account');
+      return { success: true, ...(await services.transactionHistory.sync(username)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('history:linked', async (event, reference) => {
+    try {
+      return { success: true, entries: await services.transactionHistory.linked(reference) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('history:export-csv', async (event, filter = {}) => {
+    try {
+      const { dialog } = require('electron');
+      const { filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Transaction History',
+        defaultPath: 'oratr-transactions.csv',
+        filters: [
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      if (!filePath) return { success: false, error: 'No file selected' };
+
+      const entries = await services.transactionHistory.query(filter);
+      await require('fs').promises.writeFile(filePath, TransactionHistory.toCsv(entries));
+      return { success: true, filePath, count: entries.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Scheduled token rules; every change returns the full list so the settings view can redraw
+  async function scheduleState() {
+    return {
+      success: true,
+      rules: await services.tokenScheduler.list(),
+      log: await services.tokenScheduler.getLog({ limit: 50 })
+    };
+  }
+
+  ipcMain.handle('schedules:list', async () => {
+    try {
+      return await scheduleState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:add', async (event, rule) => {
+    try {
+      const added = await services.tokenScheduler.add(rule);
+      return { ...(await scheduleState()), rule: added };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:update', async (event, id, changes = {}) => {
+    try {
+      await services.tokenScheduler.update(id, changes);
+      return await scheduleState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:remove', async (event, id) => {
+    try {
+      await services.tokenScheduler.remove(id);
+      return await scheduleState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:approve', async (event, id, keyType, pin) => {
+    try {
+      await requirePin(pin);
+      await services.tokenScheduler.approve(id, keyType);
+      return await scheduleState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:revoke', async (event, id) => {
+    try {
+      await services.tokenScheduler.revoke(id);
+      return await scheduleState();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('schedules:run', async (event, id) => {
+    try {
+      const run = await services.tokenScheduler.run(id);
+      return { ...(await scheduleState()), run };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Offline and multi-signature signing requests
+  ipcMain.handle('offline:list', async () => {
+    try {
+      return { success: true, requests: await services.offlineSigning.list() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:create', async (event, { account, action, token, to, amount, memo, operations, keyType, description, expiresInMinutes = 60 }) => {
+    try {
+      const built = action === 'raw'
+        ? { operations: walletOperations.parseOperations(operations), keyType: keyType || 'active' }
+        : walletOperations.forAction({
+          action,
+          account,
+          token: String(token || '').toUpperCase(),
+          to,
+          amount,
+          memo,
+          testnet: services.settingsManager.getNetworkSettings().isTestnet
+        });
+      const prepared = await services.spkClient.prepareTransactionForSigning(built.operations, built.keyType, {
+        account,
+        expiresIn: Number(expiresInMinutes) * 60 * 1000
+      });
+      return { success: true, request: await services.offlineSigning.create(prepared, { description }) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:export-file', async (event, id) => {
+    try {
+      const request = await services.offlineSigning.get(id);
+      const { dialog } = require('electron');
+      const { filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Signing Request',
+        defaultPath: `oratr-${request.account}-${request.id.slice(0, 8)}.json`,
+        filters: [
+          { name: 'JSON Files', extensions: ['json'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      if (!filePath) return { success: false, error: 'No file selected' };
+
+      await require('fs').promises.writeFile(filePath, JSON.stringify(OfflineSigning.toPayload(request), null, 2));
+      return { success: true, filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:qr', async (event, id) => {
+    try {
+      return { success: true, payload: OfflineSigning.toQrPayload(await services.offlineSigning.get(id)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:import', async (event, text, id = null) => {
+    try {
+      return { success: true, request: await services.offlineSigning.import(text, { id }) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:import-file', async (event, id = null) => {
+    try {
+      const { dialog } = require('electron');
+      const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Signatures',
+        properties: ['openFile'],
+        filters: [
+          { name: 'Signing Requests', extensions: ['json', 'txt'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      if (!filePaths || filePaths.length === 0) return { success: false, error: 'No file selected' };
+
+      const text = await require('fs').promises.readFile(filePaths[0], 'utf8');
+      return { success: true, request: await services.offlineSigning.import(text, { id }) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Adds a signature from a key in this wallet, e.g. one co-signer of a multi-authority account
+  ipcMain.handle('offline:sign-local', async (event, id, username = null, pin = null) => {
+    try {
+      await requirePin(pin);
+      const request = await services.offlineSigning.get(id);
+      const wif = await services.spkClient.accountManager.getPrivateKey(username || request.account, request.keyType);
+      return { success: true, request: await services.offlineSigning.sign(id, wif) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:broadcast', async (event, id) => {
+    try {
+      return { success: true, request: await services.offlineSigning.broadcast(id) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('offline:remove', async (event, id) => {
+    try {
+      await services.offlineSigning.remove(id);
+      return { success: true, requests: await services.offlineSigning.list() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('settings:reset', async () => {
     await services.settingsManager.reset();
     return { success: true };
@@ -2171,6 +3261,50 @@ function setupServiceHandlers() {
       return { success: false, error: error.message };
     }
   });
+
+  // Resumable transcode jobs
+  ipcMain.handle('transcode-jobs:prepare', async (event, inputPath, settings, meta = {}) => {
+    try {
+      // Duration lets the job list show how far an interrupted transcode got
+      const duration = settings.duration ||
+        (await services.transcoder.analyzeVideo(inputPath).catch(() => null))?.duration;
+      const job = await services.transcodeJobs.prepareJob(inputPath, { ...settings, duration }, { name: meta.name });
+      return {
+        success: true,
+        jobId: job.id,
+        outputDir: job.outputDir,
+        resumed: job.resumed,
+        renditions: job.renditions
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('transcode-jobs:get-all', async () => {
+    try {
+      return { success: true, jobs: await services.transcodeJobs.getJobsForDisplay() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('transcode-jobs:complete', async (event, jobId) => {
+    try {
+      await services.transcodeJobs.completeJob(jobId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('transcode-jobs:remove', async (event, jobId) => {
+    try {
+      return { success: await services.transcodeJobs.removeJob(jobId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 }
 
 /**
@@ -2402,6 +3536,11 @@ app.on('before-quit', async () => {
   try { services.spkClient.lock(); } catch (_) {}
   
   // Cleanup services (best-effort)
+  try { await services.api?.stop?.(); } catch (_) { /* best effort */ }
+  try { await services.metrics?.stop?.(); } catch (_) { /* best effort */ }
+  try { await services.watchFolders?.stop?.(); } catch (_) { /* best effort */ }
+  try { services.contractRenewal?.stop(); } catch (_) { /* best effort */ }
+  try { services.tokenScheduler?.stop(); } catch (_) { /* best effort */ }
   try { await services.ipfsManager?.stop?.(); } catch (_) {}
   try { await services.storageNode?.stop?.(); } catch (_) {}
   try { await services.transcoder?.cleanup?.(); } catch (_) {}
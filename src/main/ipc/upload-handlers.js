@@ -393,8 +393,13 @@ function setupUploadHandlers() {
       directUploadService.on('progress', progressHandler);
 
       try {
-        // Normalize incoming files: convert Array<number> buffers to Node Buffers
-        const normalized = (files || []).map((f) => ({
+        // Normalize incoming files: convert Array<number> buffers to Node Buffers.
+        // Files sent as a path without a buffer are streamed from disk.
+        const normalized = (files || []).map((f) => (f.path && !f.buffer ? {
+          name: f.name,
+          type: f.type || 'application/octet-stream',
+          path: f.path
+        } : {
           name: f.name,
           size: Number(f.size) || (Array.isArray(f.buffer) ? f.buffer.length : (f.buffer?.length || 0)),
           type: f.type || 'application/octet-stream',
@@ -0,0 +1,430 @@
+const { ipcMain } = require('electron');
+const http = require('http');
+const crypto = require('crypto');
+
+// channel -> handler for every ipcMain.handle registration (see trackIpcHandlers)
+const handlerRegistry = new Map();
+
+// The only channels reachable over HTTP: reads, and controls that neither
+// take local paths, open windows or dialogs, nor sign without the prompt.
+// Channels added later stay local until they are listed here.
+const ALLOWED_CHANNELS = new Set([
+  'app:getVersion',
+  'account:list',
+  'account:getActive',
+  'auth:hasPinSetup',
+  'balance:get',
+  'bandwidth:status',
+  'broca:calculateStorageCost',
+  'broca:check-upload',
+  'broca:forecast',
+  'broca:ledger',
+  'contract:list',
+  'contracts:getContracts',
+  'contracts:getPinnedCIDs',
+  'contracts:getStatus',
+  'contracts:checkNow',
+  'contracts:start',
+  'contracts:stop',
+  'ffmpeg:getVersion',
+  'ffmpeg:getCodecProfiles',
+  'ffmpeg:probeCapabilities',
+  'file:list',
+  'history:query',
+  'history:linked',
+  'ipfs:status',
+  'ipfs:getNodeInfo',
+  'ipfs:getPeers',
+  'ipfs:getRepoStats',
+  'ipfs:getBandwidth',
+  'ipfs:getConfig',
+  'ipfs:checkPubSub',
+  'ipfs:testConnection',
+  'ipfs:start',
+  'ipfs:stop',
+  'metrics:status',
+  'offline:list',
+  'offline:qr',
+  'pending-uploads:get-all',
+  'pending-uploads:get-stats',
+  'poa:get-status',
+  'poa:get-config',
+  'poa:get-logs',
+  'poa:check-binary',
+  'poa:check-ipfs',
+  'poa:start',
+  'poa:stop',
+  'poa:restart',
+  'renewals:status',
+  'renewals:log',
+  'schedules:list',
+  'settings:get',
+  'settings:get-all',
+  'spk:getNetworkStats',
+  'spk:get-network-stats',
+  'spk:getStorageProviders',
+  'spk:get-storage-providers',
+  'spk:getProviderStats',
+  'spk:getStoredContracts',
+  'spk:getAvailableContracts',
+  'spk:getExistingContract',
+  'spk:calculateBrocaCost',
+  'spk:calculate-broca',
+  'spk:checkRegistration',
+  'storage:status',
+  'storage:getStatus',
+  'storage:get-status',
+  'storage:check-status',
+  'storage:getComprehensiveStatus',
+  'storage:getStats',
+  'storage:get-stats',
+  'storage:getEarnings',
+  'storage:get-earnings',
+  'storage:getRecentLogs',
+  'storage:get-node-stats',
+  'storage:get-recent-files',
+  'storage:get-reward-history',
+  'storage:get-bandwidth',
+  'storage:get-stored-contracts',
+  'storage:get-available-contracts',
+  'storage:get-expiring-contracts',
+  'storage:get-files-by-tags',
+  'storage:search-files',
+  'storage:calculate-roi',
+  'storage:find-opportunities',
+  'storage:checkBinary',
+  'storage:validateRegistration',
+  'storage:start',
+  'storage:stop',
+  'transcode-jobs:get-all',
+  // Video uploads read one video file; the contract still goes through the signing prompt
+  'upload:video',
+  'upload:status',
+  'upload:cancel',
+  'upload:pause',
+  'upload:resume',
+  'upload:calculate-cost',
+  'upload:calculate-direct-cost',
+  'upload:check-direct-availability',
+  'upload-queue:list',
+  'upload-queue:pause',
+  'upload-queue:resume',
+  'upload-queue:retry',
+  'upload-queue:pause-all',
+  'upload-queue:resume-all',
+  'video:cancelUpload',
+  'watchFolders:list',
+  'webdav:status'
+]);
+
+// Settings that are credentials: hidden from HTTP responses
+const SECRET_SETTINGS = ['apiToken', 'webdavPassword', 'metricsToken'];
+
+// Method names that are safe to call with GET (no side effects)
+const READ_ONLY_METHOD = /^(get|list|status|check|calculate|is|has)/i;
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Local HTTP/JSON control API
+ * Maps IPC channels to routes: POST /api/v1/<namespace>/<method> invokes the
+ * `<namespace>:<method>` handler with the JSON body as arguments.
+ */
+class ApiService {
+  constructor(services) {
+    this.services = services;
+    this.httpServer = null;
+    this.port = 4820;
+    this.token = '';
+    this.eventClients = new Set();
+  }
+
+  /**
+   * Record handlers as they are registered so they can be invoked over HTTP.
+   * Must run before any ipcMain.handle call.
+   */
+  static trackIpcHandlers(target = ipcMain) {
+    if (!target || target._oratrApiTracked) return;
+    target._oratrApiTracked = true;
+
+    const originalHandle = target.handle.bind(target);
+    const originalRemove = target.removeHandler.bind(target);
+
+    target.handle = (channel, handler) => {
+      const result = originalHandle(channel, handler);
+      handlerRegistry.set(channel, handler);
+      return result;
+    };
+    target.removeHandler = (channel) => {
+      handlerRegistry.delete(channel);
+      return originalRemove(channel);
+    };
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  async start(config = {}) {
+    if (this.httpServer) return { running: true, port: this.port };
+
+    if (config.port !== undefined) this.port = Number(config.port);
+    this.token = String(config.token || this.token || '').trim();
+    if (!this.token) {
+      throw new Error('API token is required');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        sendJson(res, 500, { success: false, error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.httpServer.address().port;
+
+    this.registerIPC();
+    return { running: true, port: this.port };
+  }
+
+  async stop() {
+    for (const res of this.eventClients) {
+      try { res.end(); } catch (_) { /* client already gone */ }
+    }
+    this.eventClients.clear();
+
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+    return { running: false };
+  }
+
+  /**
+   * Push an event to connected /api/v1/events listeners (Server-Sent Events)
+   */
+  broadcast(channel, data) {
+    if (this.eventClients.size === 0) return;
+    const payload = `event: ${channel}\ndata: ${JSON.stringify(data === undefined ? null : data)}\n\n`;
+    for (const res of this.eventClients) {
+      try { res.write(payload); } catch (_) { /* client already gone */ }
+    }
+  }
+
+  async handleRequest(req, res) {
+    if (!this.isLocalHost(req.headers.host)) {
+      return sendJson(res, 403, { success: false, error: 'Forbidden host' });
+    }
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="Oratr"');
+      return sendJson(res, 401, { success: false, error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, `http://127.0.0.1:${this.port}`);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (parts[0] !== 'api' || parts[1] !== 'v1') {
+      return sendJson(res, 404, { success: false, error: 'Not found' });
+    }
+
+    // GET /api/v1 -> list of callable channels
+    if (parts.length === 2) {
+      const channels = Array.from(handlerRegistry.keys()).filter(isChannelAllowed).sort();
+      return sendJson(res, 200, { success: true, channels });
+    }
+
+    // GET /api/v1/events -> progress/event stream
+    if (parts.length === 3 && parts[2] === 'events' && req.method === 'GET') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      this.eventClients.add(res);
+      req.on('close', () => this.eventClients.delete(res));
+      return undefined;
+    }
+
+    if (parts.length !== 4) {
+      return sendJson(res, 404, { success: false, error: 'Not found' });
+    }
+
+    const [, , namespace, method] = parts;
+    const channel = `${namespace}:${method}`;
+    const handler = handlerRegistry.get(channel);
+
+    if (!handler) {
+      return sendJson(res, 404, { success: false, error: `Unknown channel ${channel}` });
+    }
+    if (!isChannelAllowed(channel)) {
+      return sendJson(res, 403, { success: false, error: `Channel ${channel} is not available over HTTP` });
+    }
+
+    if (req.method === 'GET' && !READ_ONLY_METHOD.test(method)) {
+      res.setHeader('Allow', 'POST');
+      return sendJson(res, 405, { success: false, error: `Use POST for ${channel}` });
+    }
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return sendJson(res, 405, { success: false, error: 'Method not allowed' });
+    }
+
+    let args;
+    try {
+      args = req.method === 'GET'
+        ? parseQueryArgs(url.searchParams)
+        : toArgs(await readJsonBody(req));
+    } catch (error) {
+      return sendJson(res, 400, { success: false, error: error.message });
+    }
+
+    try {
+      const result = redactSettings(channel, args, await handler(this.createEvent(), ...args));
+      return sendJson(res, 200, result === undefined ? { success: true } : result);
+    } catch (error) {
+      return sendJson(res, 500, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Stand-in for the IpcMainInvokeEvent; events a handler sends back to its
+   * caller are forwarded to /api/v1/events listeners
+   */
+  createEvent() {
+    return {
+      sender: {
+        id: -1,
+        send: (channel, data) => this.broadcast(channel, data),
+        isDestroyed: () => false
+      },
+      senderFrame: null
+    };
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = String(header).match(/^Bearer\s+(.+)$/i);
+    const provided = match ? match[1].trim() : String(req.headers['x-oratr-token'] || '');
+    if (!provided || !this.token) return false;
+
+    const a = Buffer.from(provided);
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Reject DNS-rebinding attempts: only loopback Host headers are served
+  isLocalHost(hostHeader) {
+    if (!hostHeader) return false;
+    const host = String(hostHeader).replace(/:\d+$/, '').toLowerCase();
+    return host === '127.0.0.1' || host === 'localhost' || host === '[::1]';
+  }
+
+  registerIPC() {
+    if (this._ipcRegistered) return;
+    this._ipcRegistered = true;
+    ipcMain.handle('api:status', async () => ({
+      running: !!this.httpServer,
+      port: this.port,
+      hasToken: !!this.token
+    }));
+    ipcMain.handle('api:regenerate-token', async () => {
+      const token = ApiService.generateToken();
+      await this.services.settingsManager.set('apiToken', token);
+      this.token = token;
+      return { success: true, token };
+    });
+  }
+}
+
+function isChannelAllowed(channel) {
+  return ALLOWED_CHANNELS.has(channel);
+}
+
+/**
+ * Blank out credentials in settings read over HTTP
+ */
+function redactSettings(channel, args, result) {
+  if (channel === 'settings:get' && SECRET_SETTINGS.includes(String(args[0] || '').split('.')[0])) {
+    return '';
+  }
+  if (channel === 'settings:get-all' && result && typeof result === 'object') {
+    const redacted = { ...result };
+    for (const key of SECRET_SETTINGS) {
+      if (redacted[key]) redacted[key] = '';
+    }
+    return redacted;
+  }
+  return result;
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) {
+    try { res.end(); } catch (_) { /* client already gone */ }
+    return;
+  }
+  const json = JSON.stringify(body, (_key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json, 'utf8'),
+    'Cache-Control': 'no-store'
+  });
+  res.end(json);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (_) {
+        reject(new Error('Request body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Body -> handler arguments: an array is spread, `{ args: [...] }` is spread,
+ * any other value is passed as the single argument
+ */
+function toArgs(body) {
+  if (body === undefined) return [];
+  if (Array.isArray(body)) return body;
+  if (body && typeof body === 'object' && Array.isArray(body.args)) return body.args;
+  return [body];
+}
+
+/**
+ * GET arguments: ?args=<json array>, otherwise the query object as the single argument
+ */
+function parseQueryArgs(searchParams) {
+  if (searchParams.has('args')) {
+    const parsed = JSON.parse(searchParams.get('args'));
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+  const query = Object.fromEntries(searchParams.entries());
+  return Object.keys(query).length > 0 ? [query] : [];
+}
+
+module.exports = ApiService;
+module.exports.toArgs = toArgs;
+module.exports.isChannelAllowed = isChannelAllowed;
+module.exports.redactSettings = redactSettings;
@@ -144,14 +144,6 @@ class WebDavService {
               ctx.setCode(webdav.HTTPCodes.BadRequest);
               return ctx.response.end('Bad path');
             }
-            // Read request body into buffer
-            const chunks = [];
-            await new Promise((resolve, reject) => {
-              ctx.request.on('data', (d) => chunks.push(Buffer.from(d)));
-              ctx.request.on('end', resolve);
-              ctx.request.on('error', reject);
-            });
-            const buffer = Buffer.concat(chunks);
             const filename = decodeURIComponent(subPath.split('/').pop() || 'upload');
 
             // Ensure active account
@@ -179,8 +171,15 @@ class WebDavService {
               uploadSvc.spkClient = spk;
             }
 
+            // Stream the request body straight into IPFS so large files are never held in memory
+            const contentLength = Number(ctx.request.headers['content-length']);
             const result = await uploadSvc.directUpload([
-              { name: filename, size: buffer.length, type: 'application/octet-stream', buffer }
+              {
+                name: filename,
+                size: Number.isFinite(contentLength) ? contentLength : undefined,
+                type: 'application/octet-stream',
+                stream: ctx.request
+              }
             ], { metadata: { folder: subPath.split('/').slice(0, -1).join('/') } });
 
             const first = Array.isArray(result?.files) ? result.files[0] : result;
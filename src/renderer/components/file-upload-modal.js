@@ -247,6 +247,11 @@ class FileUploadModal {
           });
         }
 
+        const dedupe = await this.chooseDedupe(fileData, addLog);
+        if (!(await this.confirmRenewalFunds(fileData, addLog))) {
+          throw new Error('Upload cancelled');
+        }
+
         // Listen for progress events
         window.api.on('upload:direct-progress', (data) => {
           progressBar.style.width = `${data.progress}%`;
@@ -259,6 +264,7 @@ class FileUploadModal {
           files: fileData,
           options: {
             uploadMethod: 'direct',
+            dedupe,
             metadata: {
               source: 'file-browser'
             }
@@ -295,6 +301,45 @@ class FileUploadModal {
     }
   }
 
+  /**
+   * With the 'ask' setting, hash the files first and let the user choose
+   * between referencing files already stored and paying for them again
+   */
+  async chooseDedupe(fileData, addLog) {
+    const mode = (await window.api.invoke('settings:get', 'uploadDedupe')) || 'ask';
+    if (mode !== 'ask') return mode;
+
+    addLog('Checking for files already stored...');
+    const check = await window.api.invoke('upload:check-duplicates', { files: fileData });
+    if (!check.success || check.duplicates.length === 0) return 'reference';
+
+    const sizeMB = (check.duplicateBytes / (1024 * 1024)).toFixed(1);
+    const reference = confirm(
+      `${check.duplicates.length} of ${fileData.length} files (${sizeMB} MB) are already stored on SPK Network.\n\n` +
+      'OK: reference the existing copies (no BROCA for those files)\nCancel: upload and pay for them again'
+    );
+    addLog(reference ? `Referencing ${check.duplicates.length} files already stored` : 'Uploading duplicate files again');
+    return reference ? 'reference' : 'upload';
+  }
+
+  /**
+   * Warn when paying for this upload would leave too little BROCA to renew
+   * the account's existing contracts; resolves false if the user cancels
+   */
+  async confirmRenewalFunds(fileData, addLog) {
+    let result;
+    try {
+      const estimate = await window.api.invoke('upload:calculate-direct-cost', { files: fileData.map(f => ({ size: f.size })) });
+      result = estimate.success && await window.api.invoke('broca:check-upload', { cost: estimate.data.cost });
+    } catch (error) {
+      console.warn('Could not check BROCA for renewals:', error);
+    }
+    if (!result || !result.success || result.check.ok) return true;
+
+    result.check.warnings.forEach(warning => addLog(warning, 'warning'));
+    return confirm(`${result.check.warnings.join('\n\n')}\n\nUpload anyway?`);
+  }
+
   getFileIcon(mimeType) {
     if (mimeType.startsWith('image/')) return '🖼️';
     if (mimeType.startsWith('video/')) return '🎬';
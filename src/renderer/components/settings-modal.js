@@ -137,11 +137,201 @@ class SettingsModal {
                   </select>
                 </div>
                 
+                <div class="setting-group">
+                  <label>Bitrate Ladder:</label>
+                  <select id="ladder-mode">
+                    <option value="fixed">Fixed (standard resolutions and bitrates)</option>
+                    <option value="adaptive">Per-title adaptive (analyze each video)</option>
+                  </select>
+                  <small>Adaptive probes complexity, adds 1440p/2160p for high resolution sources and handles portrait video</small>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Video Codec:</label>
+                  <select id="video-codec-default">
+                    <option value="h264">H.264 (widest support)</option>
+                    <option value="hevc">HEVC / H.265 (~40% smaller)</option>
+                    <option value="av1">AV1 (~50% smaller, slow to encode)</option>
+                    <option value="vp9">VP9 (~35% smaller)</option>
+                  </select>
+                </div>
+                
+                <div class="setting-group">
+                  <label>HLS Segments:</label>
+                  <select id="hls-segment-format">
+                    <option value="ts">MPEG-TS (.ts)</option>
+                    <option value="fmp4">fMP4 / CMAF (.m4s)</option>
+                  </select>
+                  <small>Only applies to H.264; HEVC, AV1 and VP9 always use fMP4</small>
+                </div>
+                
                 <div class="setting-group">
                   <label class="setting-label">
                     <input type="checkbox" id="transcode-parallel"> Enable parallel transcoding
-                    <small>Process multiple resolutions simultaneously (uses more CPU)</small>
+                    <small>Encode all resolutions in one FFmpeg pass that decodes the source once (uses more CPU and memory)</small>
+                  </label>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Parallel Transcode Jobs:</label>
+                  <input type="number" id="transcode-concurrency" min="1" max="8">
+                  <small>Videos transcoded at the same time in batch jobs</small>
+                </div>
+                
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="seek-previews"> Generate seek preview thumbnails
+                    <small>Sprite sheets and a WebVTT thumbnails track so players can show previews while scrubbing</small>
+                  </label>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Seek Preview Interval (seconds):</label>
+                  <input type="number" id="seek-preview-interval" min="1" max="60">
+                </div>
+                
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="loudness-normalization"> Normalize loudness
+                    <small>Measure each video and bring it to the same perceived volume (EBU R128, two passes)</small>
+                  </label>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Target Loudness (LUFS):</label>
+                  <input type="number" id="target-loudness" min="-70" max="-5">
+                  <small>-16 suits online playback; broadcast uses -23</small>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Audio Channels:</label>
+                  <select id="audio-downmix">
+                    <option value="none">Keep source channels</option>
+                    <option value="stereo">Downmix to stereo</option>
+                    <option value="mono">Downmix to mono</option>
+                  </select>
+                </div>
+                
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="trim-silence"> Trim silence
+                    <small>Cut silent stretches at the start and end of the video</small>
+                  </label>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Overlay Preset:</label>
+                  <select id="overlay-preset"></select>
+                  <small>Watermark, text and intro/outro clips applied to uploads by default; can be changed per upload</small>
+                  <div id="overlay-preset-list"></div>
+                </div>
+                
+                <div class="setting-group">
+                  <label>New Overlay Preset:</label>
+                  <input type="text" id="overlay-new-name" placeholder="Name">
+                  <input type="text" id="overlay-new-watermark" placeholder="Watermark image path (PNG)">
+                  <select id="overlay-new-position">
+                      <option value="bottom-right">Bottom right</option>
+                      <option value="bottom-left">Bottom left</option>
+                      <option value="top-right">Top right</option>
+                      <option value="top-left">Top left</option>
+                      <option value="center">Center</option>
+                  </select>
+                  <input type="number" id="overlay-new-opacity" min="0.1" max="1" step="0.1" value="0.8" title="Watermark opacity">
+                  <input type="text" id="overlay-new-text" placeholder="Text overlay">
+                  <select id="overlay-new-text-position">
+                      <option value="bottom-right">Bottom right</option>
+                      <option value="bottom-left" selected>Bottom left</option>
+                      <option value="top-right">Top right</option>
+                      <option value="top-left">Top left</option>
+                      <option value="center">Center</option>
+                  </select>
+                  <input type="text" id="overlay-new-intro" placeholder="Intro clip path">
+                  <input type="text" id="overlay-new-outro" placeholder="Outro clip path">
+                  <button id="add-overlay-preset">Add Preset</button>
+                  <small id="overlay-preset-status"></small>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Watch Folders:</label>
+                  <small>New videos in these folders are transcoded and queued for upload once they finish writing</small>
+                  <div id="watch-folder-list"></div>
+                  <input type="text" id="watch-folder-path" placeholder="Folder path">
+                  <button id="choose-watch-folder">Browse...</button>
+                  <label class="setting-label">
+                    <input type="checkbox" id="watch-folder-recursive"> Include subfolders
+                  </label>
+                  <input type="text" id="watch-folder-resolutions" placeholder="Resolutions (e.g. 1080p,720p; blank for default)">
+                  <input type="number" id="watch-folder-days" min="1" value="30" title="Contract duration (days)">
+                  <input type="text" id="watch-folder-drive-path" placeholder="SPK Drive folder" value="Videos">
+                  <input type="text" id="watch-folder-tags" placeholder="Tags (comma separated)">
+                  <input type="text" id="watch-folder-license" placeholder="License">
+                  <button id="add-watch-folder">Add Watch Folder</button>
+                  <small id="watch-folder-status"></small>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Files Already Stored:</label>
+                  <select id="upload-dedupe">
+                    <option value="ask">Ask before uploading</option>
+                    <option value="reference">Reference existing copies</option>
+                    <option value="upload">Upload and pay again</option>
+                  </select>
+                  <small>Uploads are hashed first; files already in your contracts, and stored for longer than the new upload, can reuse their CIDs instead of costing BROCA again</small>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Bandwidth Limits (KiB/s, 0 = unlimited):</label>
+                  <small>Upload limit covers public node uploads only. Direct uploads (the default) are served by IPFS at full speed; transfer windows only delay when they broadcast. Download limit covers pinning and replication.</small>
+                  <input type="number" id="upload-rate-limit" min="0" step="1" title="Upload limit (KiB/s)">
+                  <input type="number" id="download-rate-limit" min="0" step="1" title="Download limit (KiB/s)">
+                  <label>Transfer Windows:</label>
+                  <input type="text" id="transfer-windows" placeholder="e.g. mon-fri 22:00-06:00; sat,sun 00:00-24:00 (blank = any time)">
+                  <button id="save-transfer-windows">Save Windows</button>
+                  <small id="transfer-windows-status"></small>
+                </div>
+                
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="auto-renew-contracts"> Renew my contracts automatically
+                    <small>Extends your own storage contracts before they expire, while the wallet is unlocked</small>
                   </label>
+                  <label>Monthly Renewal Budget (BROCA, 0 = unlimited):</label>
+                  <input type="number" id="renewal-budget" min="0" step="1">
+                  <label>Renew contracts expiring within (days):</label>
+                  <input type="number" id="renewal-within-days" min="1" step="1">
+                  <label>Extend by (days):</label>
+                  <input type="number" id="renewal-extension-days" min="1" step="1">
+                  <label>Default Policy:</label>
+                  <select id="renewal-default-policy">
+                    <option value="always">Always renew</option>
+                    <option value="accessed">Only if accessed recently</option>
+                    <option value="never">Never renew</option>
+                  </select>
+                  <label>Renew if accessed within (days):</label>
+                  <input type="number" id="renewal-access-days" min="1" step="1">
+                  <label>Folder and File Policies:</label>
+                  <input type="text" id="renewal-policies" placeholder="e.g. Videos/Archive: never; Videos/Live: accessed; Qm...: always">
+                  <button id="save-renewal-policies">Save Policies</button>
+                  <button id="preview-renewals">Preview Renewals</button>
+                  <small id="renewal-status"></small>
+                  <div id="renewal-log"></div>
+                </div>
+                
+                <div class="setting-group">
+                  <label>BROCA Forecast (days ahead):</label>
+                  <input type="number" id="broca-forecast-days" min="1" step="1">
+                  <small>Uploads warn when they would leave too little BROCA, with regeneration, to renew your contracts within this time</small>
+                  <button id="show-broca-forecast">Show Spend and Forecast</button>
+                  <small id="broca-forecast-status"></small>
+                  <div id="broca-forecast"></div>
+                </div>
+                
+                <div class="setting-group">
+                  <label>Encoder Benchmark:</label>
+                  <button id="run-encoder-benchmark">Run Benchmark</button>
+                  <small id="encoder-benchmark-status">Checks which encoders FFmpeg supports on this machine and how fast they are, then picks presets and parallel jobs</small>
+                  <div id="encoder-benchmark-results"></div>
                 </div>
               </div>
               
@@ -209,6 +399,59 @@ class SettingsModal {
                   </div>
                   <small>Use this URL in your OS WebDAV client (replace <username> if blank).</small>
                 </div>
+
+                <h3>🔌 Local API</h3>
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="api-enabled"> Enable local HTTP/JSON API
+                  </label>
+                  <small>Lets scripts and dashboards on this machine call Oratr. Requests must send the token below.</small>
+                </div>
+                <div class="setting-group">
+                  <label>Port:</label>
+                  <input type="number" id="api-port" min="1" max="65535" placeholder="4820">
+                </div>
+                <div class="setting-group">
+                  <label>Token:</label>
+                  <div class="path-input">
+                    <input type="password" id="api-token" readonly>
+                    <button id="copy-api-token">Copy</button>
+                    <button id="regenerate-api-token">Regenerate</button>
+                  </div>
+                  <small>Send as <code>Authorization: Bearer &lt;token&gt;</code>.</small>
+                </div>
+                <div class="setting-group">
+                  <label>Status:</label>
+                  <div class="info-grid">
+                    <div><strong>Running:</strong> <span id="api-running">No</span></div>
+                    <div><strong>Listening on:</strong> <span id="api-listen">-</span></div>
+                  </div>
+                </div>
+
+                <h3>📈 Metrics</h3>
+                <div class="setting-group">
+                  <label class="setting-label">
+                    <input type="checkbox" id="metrics-enabled"> Enable Prometheus /metrics endpoint
+                  </label>
+                </div>
+                <div class="setting-group">
+                  <label>Port:</label>
+                  <input type="number" id="metrics-port" min="1" max="65535" placeholder="9464">
+                  <label>Bind address:</label>
+                  <input type="text" id="metrics-host" placeholder="127.0.0.1">
+                  <small>Use 0.0.0.0 to let a remote Prometheus scrape this node.</small>
+                </div>
+                <div class="setting-group">
+                  <label>Bearer token (optional):</label>
+                  <input type="password" id="metrics-token" placeholder="">
+                </div>
+                <div class="setting-group">
+                  <label>Status:</label>
+                  <div class="info-grid">
+                    <div><strong>Running:</strong> <span id="metrics-running">No</span></div>
+                    <div><strong>Listening on:</strong> <span id="metrics-listen">-</span></div>
+                  </div>
+                </div>
               </div>
               
               <!-- The UI and Advanced panels are still supported; they will render if switchTab is invoked via code -->
@@ -515,6 +758,17 @@ class SettingsModal {
           border-radius: 6px;
         }
       }
+      .benchmark-table {
+        width: 100%;
+        margin: 6px 0;
+        font-size: 0.85em;
+        border-collapse: collapse;
+      }
+      .benchmark-table th,
+      .benchmark-table td {
+        text-align: left;
+        padding: 2px 6px;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -582,6 +836,73 @@ class SettingsModal {
     // Copy WebDAV mount URL
     this.modal.addEventListener('click', async (e) => {
       const target = e.target;
+      if (target && target.id === 'regenerate-api-token') {
+        if (!confirm('Regenerate the API token? Scripts using the old token will stop working.')) return;
+        try {
+          const result = await window.api.invoke('api:regenerate-token');
+          if (result?.success) document.getElementById('api-token').value = result.token;
+        } catch (error) {
+          console.error('Failed to regenerate API token:', error);
+        }
+        return;
+      }
+      if (target && target.id === 'run-encoder-benchmark') {
+        await this.runEncoderBenchmark();
+        return;
+      }
+      if (target && target.id === 'add-overlay-preset') {
+        await this.addOverlayPreset();
+        return;
+      }
+      if (target && target.dataset && target.dataset.removeOverlay) {
+        await this.removeOverlayPreset(target.dataset.removeOverlay);
+        return;
+      }
+      if (target && target.id === 'choose-watch-folder') {
+        const result = await window.api.invoke('dialog:choose-directory');
+        if (result?.success) document.getElementById('watch-folder-path').value = result.path;
+        return;
+      }
+      if (target && target.id === 'add-watch-folder') {
+        await this.addWatchFolder();
+        return;
+      }
+      if (target && target.dataset && target.dataset.removeWatchFolder) {
+        await this.updateWatchFolders('watchFolders:remove', target.dataset.removeWatchFolder);
+        return;
+      }
+      if (target && target.dataset && target.dataset.toggleWatchFolder) {
+        await this.updateWatchFolders('watchFolders:update', target.dataset.toggleWatchFolder, { enabled: target.checked });
+        return;
+      }
+      if (target && target.id === 'save-transfer-windows') {
+        await this.saveTransferWindows();
+        return;
+      }
+      if (target && target.id === 'save-renewal-policies') {
+        await this.saveRenewalPolicies();
+        return;
+      }
+      if (target && target.id === 'preview-renewals') {
+        await this.previewRenewals();
+        return;
+      }
+      if (target && target.id === 'show-broca-forecast') {
+        await this.showBrocaForecast();
+        return;
+      }
+      if (target && target.id === 'copy-api-token') {
+        const input = document.getElementById('api-token');
+        if (input && input.value && navigator.clipboard && navigator.clipboard.writeText) {
+          try {
+            await navigator.clipboard.writeText(input.value);
+            const original = target.textContent;
+            target.textContent = 'Copied!';
+            setTimeout(() => { target.textContent = original; }, 1200);
+          } catch (_) { /* clipboard unavailable */ }
+        }
+        return;
+      }
       if (target && target.id === 'copy-webdav-url') {
         const input = document.getElementById('webdav-mount-url');
         if (!input || !input.value) return;
@@ -672,6 +993,31 @@ class SettingsModal {
     document.getElementById('auto-select-direct').checked = settings.autoSelectDirect;
     document.getElementById('video-quality').value = settings.videoQuality;
     document.getElementById('transcode-parallel').checked = settings.transcodeParallel;
+    document.getElementById('ladder-mode').value = settings.ladderMode || 'fixed';
+    document.getElementById('video-codec-default').value = settings.videoCodec || 'h264';
+    document.getElementById('hls-segment-format').value = settings.hlsSegmentFormat || 'ts';
+    document.getElementById('transcode-concurrency').value = settings.transcodeConcurrency || 2;
+    document.getElementById('seek-previews').checked = settings.seekPreviews === true;
+    document.getElementById('seek-preview-interval').value = settings.seekPreviewInterval || 5;
+    document.getElementById('loudness-normalization').checked = settings.loudnessNormalization === true;
+    document.getElementById('target-loudness').value = settings.targetLoudness || -16;
+    document.getElementById('audio-downmix').value = settings.audioDownmix || 'none';
+    document.getElementById('trim-silence').checked = settings.trimSilence === true;
+    this.renderOverlayPresets(settings.overlayPresets || [], settings.overlayPreset || '');
+    this.renderWatchFolders(settings.watchFolders || []);
+    document.getElementById('upload-dedupe').value = settings.uploadDedupe || 'ask';
+    document.getElementById('upload-rate-limit').value = settings.uploadRateLimitKBps || 0;
+    document.getElementById('download-rate-limit').value = settings.downloadRateLimitKBps || 0;
+    this.refreshBandwidthStatus();
+    document.getElementById('auto-renew-contracts').checked = settings.autoRenewContracts === true;
+    document.getElementById('renewal-budget').value = settings.renewalBudgetBroca || 0;
+    document.getElementById('renewal-within-days').value = settings.renewalWithinDays || 7;
+    document.getElementById('renewal-extension-days').value = settings.renewalExtensionDays || 30;
+    document.getElementById('renewal-default-policy').value = settings.renewalDefaultPolicy || 'always';
+    document.getElementById('renewal-access-days').value = settings.renewalAccessDays || 30;
+    document.getElementById('broca-forecast-days').value = settings.brocaForecastDays || 90;
+    this.refreshRenewalStatus();
+    this.renderEncoderBenchmark(settings.encoderBenchmark);
 
     // Storage settings
     document.getElementById('enable-storage-node').checked = settings.enableStorageNode;
@@ -695,6 +1041,19 @@ class SettingsModal {
     this.refreshWebDavStatus();
     this.refreshWebDavMountUrl();
 
+    // Local API settings
+    document.getElementById('api-enabled').checked = !!settings.apiEnabled;
+    document.getElementById('api-port').value = settings.apiPort || 4820;
+    document.getElementById('api-token').value = settings.apiToken || '';
+    this.refreshApiStatus();
+
+    // Metrics settings
+    document.getElementById('metrics-enabled').checked = !!settings.metricsEnabled;
+    document.getElementById('metrics-port').value = settings.metricsPort || 9464;
+    document.getElementById('metrics-host').value = settings.metricsHost || '127.0.0.1';
+    document.getElementById('metrics-token').value = settings.metricsToken || '';
+    this.refreshMetricsStatus();
+
     // UI settings
     document.getElementById('theme').value = settings.theme;
     document.getElementById('refresh-interval').value = settings.autoRefreshInterval;
@@ -723,6 +1082,27 @@ class SettingsModal {
       'auto-select-direct': 'autoSelectDirect',
       'video-quality': 'videoQuality',
       'transcode-parallel': 'transcodeParallel',
+      'ladder-mode': 'ladderMode',
+      'video-codec-default': 'videoCodec',
+      'hls-segment-format': 'hlsSegmentFormat',
+      'transcode-concurrency': 'transcodeConcurrency',
+      'seek-previews': 'seekPreviews',
+      'seek-preview-interval': 'seekPreviewInterval',
+      'loudness-normalization': 'loudnessNormalization',
+      'target-loudness': 'targetLoudness',
+      'audio-downmix': 'audioDownmix',
+      'trim-silence': 'trimSilence',
+      'overlay-preset': 'overlayPreset',
+      'upload-dedupe': 'uploadDedupe',
+      'upload-rate-limit': 'uploadRateLimitKBps',
+      'download-rate-limit': 'downloadRateLimitKBps',
+      'auto-renew-contracts': 'autoRenewContracts',
+      'renewal-budget': 'renewalBudgetBroca',
+      'renewal-within-days': 'renewalWithinDays',
+      'renewal-extension-days': 'renewalExtensionDays',
+      'renewal-default-policy': 'renewalDefaultPolicy',
+      'renewal-access-days': 'renewalAccessDays',
+      'broca-forecast-days': 'brocaForecastDays',
       'enable-storage-node': 'enableStorageNode',
       'auto-start-storage': 'autoStartStorage',
       'theme': 'theme',
@@ -738,6 +1118,14 @@ class SettingsModal {
       'webdav-require-auth': 'webdavRequireAuth',
       'webdav-username': 'webdavUsername',
       'webdav-password': 'webdavPassword',
+      // Local API
+      'api-enabled': 'apiEnabled',
+      'api-port': 'apiPort',
+      // Metrics
+      'metrics-enabled': 'metricsEnabled',
+      'metrics-port': 'metricsPort',
+      'metrics-host': 'metricsHost',
+      'metrics-token': 'metricsToken',
       // Storage extras
       'node-max-storage': 'maxStorageGB'
     };
@@ -783,6 +1171,15 @@ class SettingsModal {
         this.refreshWebDavStatus();
         this.refreshWebDavMountUrl();
       }
+      if (key.startsWith('metrics')) {
+        this.refreshMetricsStatus();
+      }
+      if (key.startsWith('api')) {
+        // Main process restarts the API on change; a token is created on first enable
+        const latest = await window.api.invoke('settings:get-all');
+        document.getElementById('api-token').value = latest?.apiToken || '';
+        this.refreshApiStatus();
+      }
     } catch (error) {
       console.error('Failed to save setting:', error);
     }
@@ -822,6 +1219,327 @@ class SettingsModal {
     } catch (_) {}
   }
 
+  async runEncoderBenchmark() {
+    const button = document.getElementById('run-encoder-benchmark');
+    const status = document.getElementById('encoder-benchmark-status');
+    const onProgress = (progress) => {
+      const preset = progress.preset ? ` (${progress.preset})` : '';
+      status.textContent = `Benchmarking ${progress.encoder}${preset}: ${progress.completed}/${progress.total}`;
+    };
+
+    button.disabled = true;
+    status.textContent = 'Probing encoders...';
+    window.api.on('ffmpeg:benchmark-progress', onProgress);
+    try {
+      const result = await window.api.invoke('ffmpeg:runBenchmark');
+      if (!result.success) throw new Error(result.error);
+
+      const { recommended } = result.benchmark;
+      this.currentSettings.encoderPresets = recommended.presets;
+      this.currentSettings.transcodeConcurrency = recommended.concurrency;
+      this.currentSettings.encoderBenchmark = result.benchmark;
+      document.getElementById('transcode-concurrency').value = recommended.concurrency;
+      this.renderEncoderBenchmark(result.benchmark);
+      status.textContent = 'Recommended presets and parallel jobs saved';
+    } catch (error) {
+      status.textContent = `Benchmark failed: ${error.message}`;
+    } finally {
+      window.api.off('ffmpeg:benchmark-progress', onProgress);
+      button.disabled = false;
+    }
+  }
+
+  renderEncoderBenchmark(benchmark) {
+    const container = document.getElementById('encoder-benchmark-results');
+    if (!container) return;
+    if (!benchmark) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { presets, concurrency } = benchmark.recommended;
+    const rows = benchmark.benchmarks.map(run => `
+      <tr>
+        <td>${run.encoder}</td>
+        <td>${run.preset || '-'}</td>
+        <td>${run.ok ? `${run.fps} fps (${run.speed}x)` : 'Unavailable'}</td>
+      </tr>`).join('');
+    const presetText = Object.entries(presets).map(([codec, preset]) => `${codec}: ${preset}`).join(', ') || 'none';
+
+    container.innerHTML = `
+      <table class="benchmark-table">
+        <thead><tr><th>Encoder</th><th>Preset</th><th>720p speed</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <small>Presets ${presetText} • Parallel jobs: ${concurrency}<br>
+        Last run ${new Date(benchmark.benchmarkedAt).toLocaleString()} on ${benchmark.system.cpus} CPUs</small>
+    `;
+  }
+
+  async addOverlayPreset() {
+    const status = document.getElementById('overlay-preset-status');
+    const value = id => document.getElementById(id).value.trim();
+    const preset = {
+      name: value('overlay-new-name'),
+      watermark: value('overlay-new-watermark') ? {
+        path: value('overlay-new-watermark'),
+        position: value('overlay-new-position'),
+        opacity: parseFloat(value('overlay-new-opacity')) || undefined
+      } : null,
+      text: value('overlay-new-text') ? {
+        text: value('overlay-new-text'),
+        position: value('overlay-new-text-position')
+      } : null,
+      intro: value('overlay-new-intro') || null,
+      outro: value('overlay-new-outro') || null
+    };
+    if (!preset.name) {
+      status.textContent = 'Give the preset a name';
+      return;
+    }
+
+    try {
+      const result = await window.api.invoke('overlays:add', preset);
+      if (!result.success) throw new Error(result.error);
+      this.currentSettings.overlayPresets = result.presets;
+      this.renderOverlayPresets(result.presets, this.currentSettings.overlayPreset || '');
+      ['overlay-new-name', 'overlay-new-watermark', 'overlay-new-text', 'overlay-new-intro', 'overlay-new-outro']
+        .forEach(id => { document.getElementById(id).value = ''; });
+      status.textContent = `Added ${result.preset.name}`;
+    } catch (error) {
+      status.textContent = `Could not add preset: ${error.message}`;
+    }
+  }
+
+  async removeOverlayPreset(id) {
+    try {
+      const result = await window.api.invoke('overlays:remove', id);
+      if (!result.success) throw new Error(result.error);
+      this.currentSettings.overlayPresets = result.presets;
+      this.currentSettings.overlayPreset = result.overlayPreset;
+      this.renderOverlayPresets(result.presets, result.overlayPreset);
+    } catch (error) {
+      document.getElementById('overlay-preset-status').textContent = `Could not remove preset: ${error.message}`;
+    }
+  }
+
+  renderOverlayPresets(presets, selected) {
+    const select = document.getElementById('overlay-preset');
+    const list = document.getElementById('overlay-preset-list');
+    if (!select || !list) return;
+
+    select.innerHTML = '';
+    select.add(new Option('None', ''));
+    presets.forEach(preset => select.add(new Option(preset.name, preset.id)));
+    select.value = presets.some(preset => preset.id === selected) ? selected : '';
+
+    // Built with DOM nodes: names and paths are user input
+    list.innerHTML = '';
+    for (const preset of presets) {
+      const parts = [];
+      if (preset.watermark) parts.push(`watermark (${preset.watermark.position})`);
+      if (preset.text) parts.push(`text "${preset.text.text}"`);
+      if (preset.intro) parts.push('intro');
+      if (preset.outro) parts.push('outro');
+
+      const row = document.createElement('div');
+      row.className = 'overlay-preset-row';
+      const label = document.createElement('small');
+      label.textContent = `${preset.name}: ${parts.join(', ')}`;
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.dataset.removeOverlay = preset.id;
+      row.append(label, remove);
+      list.appendChild(row);
+    }
+  }
+
+  async addWatchFolder() {
+    const status = document.getElementById('watch-folder-status');
+    const value = id => document.getElementById(id).value.trim();
+    const folder = {
+      path: value('watch-folder-path'),
+      recursive: document.getElementById('watch-folder-recursive').checked,
+      resolutions: value('watch-folder-resolutions'),
+      contractDays: parseInt(value('watch-folder-days'), 10) || 30,
+      folderPath: value('watch-folder-drive-path') || 'Videos',
+      tags: value('watch-folder-tags'),
+      license: value('watch-folder-license')
+    };
+    if (!folder.path) {
+      status.textContent = 'Choose a folder to watch';
+      return;
+    }
+
+    try {
+      const result = await window.api.invoke('watchFolders:add', folder);
+      if (!result.success) throw new Error(result.error);
+      this.currentSettings.watchFolders = result.folders;
+      this.renderWatchFolders(result.folders);
+      ['watch-folder-path', 'watch-folder-resolutions', 'watch-folder-tags', 'watch-folder-license']
+        .forEach(id => { document.getElementById(id).value = ''; });
+      status.textContent = `Watching ${result.folder.path}`;
+    } catch (error) {
+      status.textContent = `Could not add folder: ${error.message}`;
+    }
+  }
+
+  async updateWatchFolders(channel, ...args) {
+    try {
+      const result = await window.api.invoke(channel, ...args);
+      if (!result.success) throw new Error(result.error);
+      this.currentSettings.watchFolders = result.folders;
+      this.renderWatchFolders(result.folders);
+    } catch (error) {
+      document.getElementById('watch-folder-status').textContent = `Could not update watch folders: ${error.message}`;
+    }
+  }
+
+  async saveTransferWindows() {
+    const status = document.getElementById('transfer-windows-status');
+    try {
+      const result = await window.api.invoke('bandwidth:set-windows', document.getElementById('transfer-windows').value);
+      if (!result.success) throw new Error(result.error);
+      this.currentSettings.transferWindows = result.status.windows;
+      this.showBandwidthStatus(result.text, result.status);
+    } catch (error) {
+      status.textContent = `Could not save windows: ${error.message}`;
+    }
+  }
+
+  async refreshBandwidthStatus() {
+    try {
+      const result = await window.api.invoke('bandwidth:status');
+      if (result?.success) this.showBandwidthStatus(result.text, result.status);
+    } catch (_) { /* status is informational */ }
+  }
+
+  showBandwidthStatus(text, status) {
+    document.getElementById('transfer-windows').value = text;
+    document.getElementById('transfer-windows-status').textContent = status.allowedNow
+      ? 'Transfers allowed now'
+      : `Transfers paused until ${status.nextWindow ? new Date(status.nextWindow).toLocaleString() : 'a window is set'}`;
+  }
+
+  async saveRenewalPolicies() {
+    const status = document.getElementById('renewal-status');
+    try {
+      const result = await window.api.invoke('renewals:set-policies', document.getElementById('renewal-policies').value);
+      if (!result.success) throw new Error(result.error);
+      document.getElementById('renewal-policies').value = result.text;
+      status.textContent = 'Policies saved';
+    } catch (error) {
+      status.textContent = `Could not save policies: ${error.message}`;
+    }
+  }
+
+  async refreshRenewalStatus() {
+    try {
+      const result = await window.api.invoke('renewals:status');
+      if (!result?.success) return;
+      const { status } = result;
+      document.getElementById('renewal-policies').value = result.text;
+      document.getElementById('renewal-status').textContent = status.remainingBudget === null
+        ? `${status.spentThisMonth} BROCA spent on renewals this month`
+        : `${status.spentThisMonth} BROCA spent on renewals this month, ${status.remainingBudget} left`;
+      const log = await window.api.invoke('renewals:log', 10);
+      if (log?.success) this.renderRenewalDecisions(log.decisions);
+    } catch (_) { /* status is informational */ }
+  }
+
+  async previewRenewals() {
+    const status = document.getElementById('renewal-status');
+    status.textContent = 'Checking expiring contracts...';
+    try {
+      const result = await window.api.invoke('renewals:check', { dryRun: true });
+      if (!result.success) throw new Error(result.error);
+      status.textContent = result.decisions.length > 0
+        ? `${result.decisions.filter(d => d.decision === 'renew').length} of ${result.decisions.length} expiring contracts would be renewed`
+        : 'No contracts of yours expire soon';
+      this.renderRenewalDecisions(result.decisions);
+    } catch (error) {
+      status.textContent = `Could not check renewals: ${error.message}`;
+    }
+  }
+
+  renderRenewalDecisions(decisions) {
+    const list = document.getElementById('renewal-log');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const entry of decisions) {
+      const row = document.createElement('div');
+      row.className = 'renewal-decision';
+      const what = entry.decision === 'renew' ? 'would renew' : entry.decision;
+      row.textContent = `${new Date(entry.at).toLocaleString()} ${entry.contractId}: ${what}` +
+        (entry.broca ? ` (${entry.broca} BROCA)` : '') + (entry.reason ? `, ${entry.reason}` : '');
+      list.appendChild(row);
+    }
+  }
+
+  async showBrocaForecast() {
+    const status = document.getElementById('broca-forecast-status');
+    const list = document.getElementById('broca-forecast');
+    status.textContent = 'Forecasting renewals...';
+    list.innerHTML = '';
+    try {
+      const [ledger, forecast] = await Promise.all([
+        window.api.invoke('broca:ledger'),
+        window.api.invoke('broca:forecast')
+      ]);
+      if (!ledger.success) throw new Error(ledger.error);
+      if (!forecast.success) throw new Error(forecast.error);
+      const { outlook } = forecast;
+      status.textContent = `${Math.floor(outlook.available)} BROCA available, regenerating ${Math.floor(outlook.perDay)} per day up to ${Math.floor(outlook.capacity)}. ` +
+        `Renewals in the next ${outlook.days} days: ${outlook.forecast.total} BROCA`;
+
+      const rows = [
+        ...Object.entries(ledger.summary.months).map(([month, spent]) =>
+          `${month} spent: ${spent.total} BROCA (uploads ${spent.upload}, renewals ${spent.renewal}, extensions ${spent.extension})`),
+        ...Object.entries(outlook.forecast.months).map(([month, broca]) => `${month} forecast renewals: ${broca} BROCA`)
+      ];
+      for (const text of rows) {
+        const row = document.createElement('div');
+        row.className = 'broca-forecast-row';
+        row.textContent = text;
+        list.appendChild(row);
+      }
+    } catch (error) {
+      status.textContent = `Could not forecast BROCA: ${error.message}`;
+    }
+  }
+
+  renderWatchFolders(folders) {
+    const list = document.getElementById('watch-folder-list');
+    if (!list) return;
+
+    // Built with DOM nodes: paths and tags are user input
+    list.innerHTML = '';
+    for (const folder of folders) {
+      const details = [
+        folder.resolutions.length > 0 ? folder.resolutions.join('/') : 'default resolutions',
+        `${folder.contractDays} days`,
+        `to ${folder.folderPath}`,
+        ...(folder.tags.length > 0 ? [`tags ${folder.tags.join(', ')}`] : []),
+        ...(folder.license ? [folder.license] : [])
+      ];
+
+      const row = document.createElement('div');
+      row.className = 'watch-folder-row';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = folder.enabled !== false;
+      toggle.title = 'Enabled';
+      toggle.dataset.toggleWatchFolder = folder.id;
+      const label = document.createElement('small');
+      label.textContent = `${folder.path}${folder.recursive ? ' (with subfolders)' : ''}: ${details.join(', ')}`;
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.dataset.removeWatchFolder = folder.id;
+      row.append(toggle, label, remove);
+      list.appendChild(row);
+    }
+  }
+
   async refreshWebDavStatus() {
     try {
       const status = await window.api.invoke('webdav:status');
@@ -830,6 +1548,22 @@ class SettingsModal {
     } catch (_) {}
   }
 
+  async refreshApiStatus() {
+    try {
+      const status = await window.api.invoke('api:status');
+      document.getElementById('api-running').textContent = status.running ? 'Yes' : 'No';
+      document.getElementById('api-listen').textContent = status.running ? `http://127.0.0.1:${status.port}/api/v1` : '-';
+    } catch (_) { /* status is informational */ }
+  }
+
+  async refreshMetricsStatus() {
+    try {
+      const status = await window.api.invoke('metrics:status');
+      document.getElementById('metrics-running').textContent = status.running ? 'Yes' : 'No';
+      document.getElementById('metrics-listen').textContent = status.running ? `http://${status.host}:${status.port}/metrics` : '-';
+    } catch (_) { /* status is informational */ }
+  }
+
   async refreshWebDavMountUrl() {
     try {
       const status = await window.api.invoke('webdav:status');
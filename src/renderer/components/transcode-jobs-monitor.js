@@ -0,0 +1,149 @@
+/**
+ * Transcode Jobs Monitor Component
+ * Lists transcodes that stopped before finishing so they can be resumed or discarded
+ */
+
+class TranscodeJobsMonitor {
+  constructor() {
+    this.jobs = [];
+    this.container = null;
+    this.refreshInterval = null;
+  }
+
+  async init() {
+    this.container = document.getElementById('transcode-jobs-container');
+    if (!this.container) return;
+
+    this.addStyles();
+    await this.loadJobs();
+    this.startAutoRefresh();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      #transcode-jobs-container {
+        margin: 1rem 0;
+      }
+
+      .transcode-job-item {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 0.75rem;
+        margin-top: 0.5rem;
+        border: 1px solid #dee2e6;
+        border-radius: 6px;
+      }
+
+      .transcode-job-progress {
+        height: 4px;
+        margin-top: 0.5rem;
+        background: #dee2e6;
+        border-radius: 2px;
+        overflow: hidden;
+      }
+
+      .transcode-job-progress div {
+        height: 100%;
+        background: #17a2b8;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  async loadJobs() {
+    try {
+      const result = await window.api.invoke('transcode-jobs:get-all');
+      if (result.success) {
+        this.jobs = result.jobs.filter(job => job.status !== 'completed');
+        this.updateUI();
+      }
+    } catch (error) {
+      console.error('Failed to load transcode jobs:', error);
+    }
+  }
+
+  updateUI() {
+    const listContainer = document.getElementById('transcode-jobs-list');
+    if (!listContainer) return;
+
+    this.container.style.display = this.jobs.length > 0 ? 'block' : 'none';
+    listContainer.innerHTML = this.jobs.map(job => this.createJobItem(job)).join('');
+  }
+
+  createJobItem(job) {
+    const renditions = Object.entries(job.renditions)
+      .map(([resolution, rendition]) => `${resolution}: ${rendition.complete ? 'done' : `${rendition.segments} segments`}`)
+      .join(' • ');
+
+    return `
+      <div class="transcode-job-item" data-job-id="${job.id}">
+        <div class="upload-info">
+          <div class="upload-title">🎬 ${this.escape(job.name)} (${job.codec.toUpperCase()})</div>
+          <div class="upload-details">
+            ${job.status} • ${job.percent}% • ${this.formatTime(job.updatedAt)}
+            ${renditions ? `<br>${renditions}` : ''}
+            ${job.error ? `<br>${this.escape(job.error)}` : ''}
+          </div>
+          <div class="transcode-job-progress"><div style="width: ${job.percent}%"></div></div>
+        </div>
+        <div class="upload-actions">
+          ${job.status !== 'transcoding' ? `<button class="btn btn-secondary" onclick="transcodeJobsMonitor.removeJob('${job.id}')">Discard</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  formatTime(timestamp) {
+    const diff = Date.now() - timestamp;
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) return `${days}d ago`;
+    if (hours > 0) return `${hours}h ago`;
+    if (minutes > 0) return `${minutes}m ago`;
+    return 'Just now';
+  }
+
+  async removeJob(jobId) {
+    if (!confirm('Discard this transcode and delete its encoded segments?')) return;
+
+    try {
+      const result = await window.api.invoke('transcode-jobs:remove', jobId);
+      if (result.success) {
+        await this.loadJobs();
+      }
+    } catch (error) {
+      console.error('Failed to remove transcode job:', error);
+    }
+  }
+
+  startAutoRefresh() {
+    // Refresh every 30 seconds
+    this.refreshInterval = setInterval(() => {
+      this.loadJobs();
+    }, 30000);
+  }
+
+  destroy() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+  }
+}
+
+// Auto-initialize
+document.addEventListener('DOMContentLoaded', () => {
+  window.transcodeJobsMonitor = new TranscodeJobsMonitor();
+  window.transcodeJobsMonitor.init();
+});
+
+window.TranscodeJobsMonitor = TranscodeJobsMonitor;
@@ -0,0 +1,205 @@
+/**
+ * Upload Queue Monitor Component
+ * Lists queued uploads in processing order with priority, schedule, pause,
+ * retry and remove controls
+ */
+
+class UploadQueueMonitor {
+  constructor() {
+    this.items = [];
+    this.status = null;
+    this.progress = {};
+    this.container = null;
+  }
+
+  async init() {
+    this.container = document.getElementById('upload-queue-container');
+    if (!this.container) return;
+
+    this.addStyles();
+    await this.loadQueue();
+    window.api.on('upload-queue:updated', () => this.loadQueue());
+    window.api.on('upload-queue:progress', (progress) => {
+      this.progress[progress.uploadId] = progress;
+      // Do not redraw under a schedule being edited
+      if (document.activeElement && document.activeElement.closest('#upload-queue-list')) return;
+      this.updateUI();
+    });
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      #upload-queue-container {
+        margin: 1rem 0;
+      }
+
+      .upload-queue-item {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 0.75rem;
+        margin-top: 0.5rem;
+        border: 1px solid #dee2e6;
+        border-radius: 6px;
+      }
+
+      .upload-queue-item .upload-actions button {
+        margin-left: 0.25rem;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  async loadQueue() {
+    try {
+      const result = await window.api.invoke('upload-queue:list');
+      if (result.success) {
+        this.items = result.items;
+        this.status = result.status;
+        this.updateUI();
+      }
+    } catch (error) {
+      console.error('Failed to load upload queue:', error);
+    }
+  }
+
+  updateUI() {
+    const listContainer = document.getElementById('upload-queue-list');
+    if (!listContainer) return;
+
+    this.container.style.display = this.items.length > 0 ? 'block' : 'none';
+    const summary = document.getElementById('upload-queue-summary');
+    if (summary && this.status) {
+      summary.textContent = `${this.status.queueLength} waiting • ${this.status.transcoding} transcoding • ` +
+        `${this.status.uploading} uploading${this.status.paused ? ' • paused' : ''}`;
+    }
+    const toggle = document.getElementById('upload-queue-toggle');
+    if (toggle && this.status) {
+      toggle.textContent = this.status.paused ? 'Resume Queue' : 'Pause Queue';
+    }
+    listContainer.innerHTML = this.items.map((item, index) => this.createItem(item, index)).join('');
+  }
+
+  createItem(item, index) {
+    const name = item.videoPath.split(/[\\/]/).pop();
+    const progress = this.progress[item.id];
+    const details = [
+      `priority ${item.priority}`,
+      item.status === 'paused' ? `paused (${item.pausedStatus})` : item.status,
+      progress && ['transcoding', 'uploading'].includes(item.status) ? `${progress.stage} ${Math.round(progress.progress || 0)}%` : null,
+      item.scheduledAt ? `starts ${new Date(item.scheduledAt).toLocaleString()}` : null,
+      item.uploadAt ? `uploads ${new Date(item.uploadAt).toLocaleString()}` : null
+    ].filter(Boolean).join(' • ');
+    const action = (label, method, ...args) => {
+      const values = [item.id, ...args].map(value => `'${value}'`).join(', ');
+      return `<button class="btn btn-small btn-secondary" onclick="uploadQueueMonitor.${method}(${values})">${label}</button>`;
+    };
+
+    const actions = [];
+    if (index > 0) actions.push(action('↑', 'move', index - 1));
+    if (index < this.items.length - 1) actions.push(action('↓', 'move', index + 1));
+    if (['queued', 'transcoded', 'transcoding'].includes(item.status)) actions.push(action('Pause', 'pause'));
+    if (item.status === 'paused') actions.push(action('Resume', 'resume'));
+    if (item.status === 'failed') actions.push(action('Retry', 'retry'));
+    if (!['transcoding', 'uploading'].includes(item.status)) actions.push(action('Remove', 'remove'));
+
+    // Start and upload times, edited in place while the item is waiting
+    const schedulable = !['transcoding', 'uploading', 'completed', 'failed'].includes(item.status);
+    const schedule = schedulable ? `
+          <div class="upload-queue-schedule">
+            <label>Start <input type="datetime-local" id="queue-start-${item.id}" value="${this.toInput(item.scheduledAt)}"></label>
+            <label>Upload <input type="datetime-local" id="queue-upload-${item.id}" value="${this.toInput(item.uploadAt)}"></label>
+            ${action('Set', 'schedule')}
+          </div>` : '';
+
+    return `
+      <div class="upload-queue-item" data-item-id="${item.id}">
+        <div class="upload-info">
+          <div class="upload-title">🎬 ${this.escape(name)}</div>
+          <div class="upload-details">
+            ${details}
+            ${item.error ? `<br>${this.escape(item.error)}` : ''}
+          </div>${schedule}
+        </div>
+        <div class="upload-actions">${actions.join('')}</div>
+      </div>
+    `;
+  }
+
+  // datetime-local value in local time
+  toInput(time) {
+    if (!time) return '';
+    const date = new Date(time);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  async run(channel, ...args) {
+    try {
+      const result = await window.api.invoke(channel, ...args);
+      if (!result.success) {
+        window.showNotification(result.error, 'error');
+        return;
+      }
+      this.items = result.items;
+      this.status = result.status;
+      this.updateUI();
+    } catch (error) {
+      console.error('Upload queue action failed:', error);
+    }
+  }
+
+  move(id, index) {
+    return this.run('upload-queue:move', id, Number(index));
+  }
+
+  pause(id) {
+    return this.run('upload-queue:pause', id);
+  }
+
+  resume(id) {
+    return this.run('upload-queue:resume', id);
+  }
+
+  retry(id) {
+    return this.run('upload-queue:retry', id);
+  }
+
+  remove(id) {
+    if (!confirm('Remove this video from the queue and delete its transcoded files?')) return;
+    return this.run('upload-queue:remove', id);
+  }
+
+  schedule(id) {
+    const time = (prefix) => {
+      const value = document.getElementById(`${prefix}-${id}`).value;
+      return value ? new Date(value).toISOString() : null;
+    };
+    return this.run('upload-queue:schedule', id, {
+      scheduledAt: time('queue-start'),
+      uploadAt: time('queue-upload')
+    });
+  }
+
+  toggleQueue() {
+    return this.run(this.status && this.status.paused ? 'upload-queue:resume-all' : 'upload-queue:pause-all');
+  }
+
+  clearFinished() {
+    return this.run('upload-queue:clear-finished');
+  }
+}
+
+// Auto-initialize
+document.addEventListener('DOMContentLoaded', () => {
+  window.uploadQueueMonitor = new UploadQueueMonitor();
+  window.uploadQueueMonitor.init();
+});
+
+window.UploadQueueMonitor = UploadQueueMonitor;
@@ -763,7 +763,10 @@ window.api = {
         getStoredContracts: () => ipcRenderer.invoke('spk:getStoredContracts')
     },
     broca: {
-        calculateStorageCost: (size, days) => ipcRenderer.invoke('broca:calculateStorageCost', size, days)
+        calculateStorageCost: (size, days) => ipcRenderer.invoke('broca:calculateStorageCost', size, days),
+        ledger: (filter) => ipcRenderer.invoke('broca:ledger', filter),
+        forecast: (days) => ipcRenderer.invoke('broca:forecast', { days }),
+        checkUpload: (cost) => ipcRenderer.invoke('broca:check-upload', { cost })
     },
     contracts: {
         start: () => ipcRenderer.invoke('contracts:start'),
@@ -1880,8 +1883,451 @@ async function claimHiveRewards() {
     }
 }
 
-function showTransactionHistory() {
-    showNotification('Transaction History functionality coming soon', 'info');
+async function showTransactionHistory() {
+    document.getElementById('history-modal').style.display = 'flex';
+    await loadTransactionHistory();
+}
+
+function closeTransactionHistory() {
+    document.getElementById('history-modal').style.display = 'none';
+}
+
+function transactionHistoryFilter() {
+    return {
+        account: currentAccount || undefined,
+        token: document.getElementById('history-token').value || undefined,
+        source: document.getElementById('history-source').value || undefined,
+        search: document.getElementById('history-search').value.trim() || undefined
+    };
+}
+
+async function loadTransactionHistory(entries = null) {
+    const status = document.getElementById('history-status');
+    if (!entries) {
+        const result = await window.api.invoke('history:query', { ...transactionHistoryFilter(), limit: 200 });
+        if (!result.success) {
+            status.textContent = result.error;
+            return;
+        }
+        entries = result.entries;
+        status.textContent = entries.length > 0 ? '' : 'No transactions yet. Fetch from Chain loads your on-chain history.';
+    }
+
+    // Built with DOM nodes: memos and accounts come from the chain
+    const body = document.getElementById('history-entries');
+    body.innerHTML = '';
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        const parties = entry.to && entry.to !== entry.from ? `${entry.from || ''} → ${entry.to}` : (entry.from || entry.to || '');
+        const cells = [
+            new Date(entry.at).toLocaleString(),
+            entry.type.replace(/_/g, ' ') + (entry.memo ? ` (${entry.memo})` : ''),
+            entry.amount !== null && entry.amount !== undefined ? `${entry.amount} ${entry.token || ''}` : (entry.details || ''),
+            parties,
+            entry.status + (entry.error ? `: ${entry.error}` : ''),
+            entry.transactionId ? entry.transactionId.slice(0, 10) : ''
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        const reference = entry.uploadId || entry.contractId;
+        if (reference) {
+            const link = document.createElement('button');
+            link.className = 'btn btn-small';
+            link.textContent = 'Upload';
+            link.title = `Show the upload and contract transaction for ${reference}`;
+            link.addEventListener('click', () => showLinkedTransactions(reference));
+            row.lastChild.appendChild(link);
+        }
+        body.appendChild(row);
+    }
+}
+
+async function showLinkedTransactions(reference) {
+    const result = await window.api.invoke('history:linked', reference);
+    if (!result.success) {
+        showNotification(result.error, 'error');
+        return;
+    }
+    document.getElementById('history-status').textContent = `Transactions for ${reference}`;
+    await loadTransactionHistory(result.entries);
+}
+
+async function syncTransactionHistory() {
+    const status = document.getElementById('history-status');
+    status.textContent = 'Fetching account history...';
+    const result = await window.api.invoke('history:sync', { account: currentAccount });
+    if (!result.success) {
+        status.textContent = `Could not fetch history: ${result.error}`;
+        return;
+    }
+    await loadTransactionHistory();
+    status.textContent = `${result.added} transactions added, ${result.confirmed} confirmed`;
+}
+
+async function exportTransactionHistory() {
+    const result = await window.api.invoke('history:export-csv', transactionHistoryFilter());
+    if (result.success) {
+        showNotification(`Exported ${result.count} transactions to ${result.filePath}`, 'success');
+    } else if (result.error !== 'No file selected') {
+        showNotification(`Export failed: ${result.error}`, 'error');
+    }
+}
+
+async function showScheduledOperations() {
+    document.getElementById('schedules-modal').style.display = 'flex';
+    updateScheduleForm();
+    await loadSchedules();
+}
+
+function closeScheduledOperations() {
+    document.getElementById('schedules-modal').style.display = 'none';
+}
+
+function updateScheduleForm() {
+    const action = document.getElementById('schedule-action').value;
+    const token = document.getElementById('schedule-token');
+    token.style.display = action === 'claim_rewards' ? 'none' : '';
+    // HBD cannot be powered up
+    token.querySelector('option[value="HBD"]').disabled = action === 'power_up';
+    if (action === 'power_up' && token.value === 'HBD') token.value = 'HIVE';
+    for (const id of ['schedule-to', 'schedule-memo']) {
+        document.getElementById(id).style.display = action === 'transfer' ? '' : 'none';
+    }
+    for (const id of ['schedule-amount', 'schedule-keep', 'schedule-max-run', 'schedule-max-day']) {
+        document.getElementById(id).style.display = action === 'claim_rewards' ? 'none' : '';
+    }
+}
+
+async function loadSchedules(state = null) {
+    if (!state) {
+        state = await window.api.invoke('schedules:list');
+        if (!state.success) {
+            document.getElementById('schedules-status').textContent = state.error;
+            return;
+        }
+    }
+    renderSchedules(state.rules, state.log);
+}
+
+function renderSchedules(rules, log) {
+    // Built with DOM nodes: names, accounts and memos are user input
+    const body = document.getElementById('schedule-rules');
+    body.innerHTML = '';
+    for (const rule of rules) {
+        const row = document.createElement('tr');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = 'Enabled';
+        toggle.addEventListener('change', () => scheduleAction('schedules:update', rule.id, { enabled: toggle.checked }));
+        const enabled = document.createElement('td');
+        enabled.appendChild(toggle);
+        row.appendChild(enabled);
+
+        const limits = rule.action === 'claim_rewards'
+            ? [rule.threshold ? `over ${rule.threshold} pending` : 'any amount']
+            : [
+                rule.keep ? `keep ${rule.keep}` : null,
+                rule.threshold ? `over ${rule.threshold}` : null,
+                rule.maxPerRun ? `max ${rule.maxPerRun}/run` : null,
+                rule.maxPerDay ? `max ${rule.maxPerDay}/day` : null
+            ].filter(Boolean);
+        const cells = [
+            `${rule.name} (@${rule.account})`,
+            limits.join(', ') || 'none',
+            `every ${rule.intervalHours}h` + (rule.nextRun ? `, next ${new Date(rule.nextRun).toLocaleString()}` : ''),
+            `${rule.keyType}${rule.approved ? ' (approved)' : ' (not approved)'}`,
+            rule.lastRun ? `${new Date(rule.lastRun).toLocaleString()} ${rule.lastStatus}` : 'never'
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        const actions = document.createElement('td');
+        const button = (label, onClick) => {
+            const element = document.createElement('button');
+            element.className = 'btn btn-small';
+            element.textContent = label;
+            element.addEventListener('click', onClick);
+            actions.appendChild(element);
+        };
+        if (rule.approved) {
+            button('Revoke', () => scheduleAction('schedules:revoke', rule.id));
+            button('Run Now', () => scheduleAction('schedules:run', rule.id));
+        } else {
+            button(`Approve ${rule.keyType} key`, () => approveScheduledRule(rule));
+        }
+        button('Remove', () => scheduleAction('schedules:remove', rule.id));
+        row.appendChild(actions);
+        body.appendChild(row);
+    }
+
+    const runs = document.getElementById('schedule-runs');
+    runs.innerHTML = '';
+    const names = Object.fromEntries(rules.map(rule => [rule.id, rule.name]));
+    for (const run of log) {
+        const line = document.createElement('div');
+        const amount = run.amount ? ` ${run.amount}${run.token ? ` ${run.token}` : ''}` : '';
+        line.textContent = `${new Date(run.at).toLocaleString()}  ${names[run.ruleId] || run.ruleId}: ${run.status}${amount}` +
+            (run.reason ? ` (${run.reason})` : '') + (run.transactionId ? ` ${run.transactionId.slice(0, 10)}` : '');
+        runs.appendChild(line);
+    }
+    if (log.length === 0) runs.textContent = 'No runs yet';
+}
+
+async function approveScheduledRule(rule) {
+    const what = rule.action === 'transfer' ? `send ${rule.token} to @${rule.to}` : rule.name.toLowerCase();
+    const pin = await requestPinConfirmation({
+        title: `Approve "${rule.name}"`,
+        account: rule.account,
+        keyType: rule.keyType,
+        details: `This rule will sign with the ${rule.keyType} key every ${rule.intervalHours} hours without asking. It can ${what} within its limits.`
+    });
+    if (!pin) return;
+    await scheduleAction('schedules:approve', rule.id, rule.keyType, pin);
+}
+
+async function addScheduledRule() {
+    const value = id => document.getElementById(id).value.trim();
+    const action = value('schedule-action');
+    const rule = {
+        name: value('schedule-name'),
+        account: currentAccount,
+        action,
+        token: action === 'claim_rewards' ? undefined : value('schedule-token'),
+        to: value('schedule-to'),
+        amount: value('schedule-amount') || 'all',
+        memo: value('schedule-memo'),
+        keep: value('schedule-keep'),
+        threshold: value('schedule-threshold'),
+        maxPerRun: value('schedule-max-run'),
+        maxPerDay: value('schedule-max-day'),
+        intervalHours: value('schedule-interval')
+    };
+    if (await scheduleAction('schedules:add', rule)) {
+        ['schedule-name', 'schedule-to', 'schedule-amount', 'schedule-memo', 'schedule-keep', 'schedule-threshold', 'schedule-max-run', 'schedule-max-day']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('schedules-status').textContent = 'Rule added. Approve its key for it to run.';
+    }
+}
+
+async function scheduleAction(channel, ...args) {
+    const status = document.getElementById('schedules-status');
+    const result = await window.api.invoke(channel, ...args);
+    if (!result.success) {
+        status.textContent = result.error;
+        return false;
+    }
+    status.textContent = result.run ? `Run ${result.run.status}${result.run.reason ? `: ${result.run.reason}` : ''}` : '';
+    await loadSchedules(result);
+    return true;
+}
+
+window.api.on('schedules:run', (run) => {
+    if (run.status === 'failed') {
+        showNotification(`Scheduled operation failed: ${run.reason}`, 'error');
+    }
+    if (document.getElementById('schedules-modal').style.display === 'flex') {
+        loadSchedules();
+    }
+});
+
+async function showOfflineSigning() {
+    document.getElementById('offline-signing-modal').style.display = 'flex';
+    const account = document.getElementById('offline-account');
+    if (!account.value) account.value = currentAccount || '';
+    updateOfflineForm();
+    await loadSigningRequests();
+}
+
+function closeOfflineSigning() {
+    document.getElementById('offline-signing-modal').style.display = 'none';
+    document.getElementById('offline-qr').style.display = 'none';
+}
+
+function updateOfflineForm() {
+    const action = document.getElementById('offline-action').value;
+    const token = document.getElementById('offline-token');
+    token.style.display = action === 'raw' || action === 'power_down' ? 'none' : '';
+    token.querySelector('option[value="HBD"]').disabled = action === 'power_up';
+    if (action === 'power_up' && token.value === 'HBD') token.value = 'HIVE';
+    for (const id of ['offline-to', 'offline-memo']) {
+        document.getElementById(id).style.display = action === 'transfer' ? '' : 'none';
+    }
+    document.getElementById('offline-amount').style.display = action === 'raw' ? 'none' : '';
+    // Wallet actions know their key type; raw operations need it chosen
+    document.getElementById('offline-operations').style.display = action === 'raw' ? '' : 'none';
+    document.getElementById('offline-key-type').style.display = action === 'raw' ? '' : 'none';
+}
+
+async function loadSigningRequests(requests = null) {
+    if (!requests) {
+        const result = await window.api.invoke('offline:list');
+        if (!result.success) {
+            document.getElementById('offline-status').textContent = result.error;
+            return;
+        }
+        requests = result.requests;
+    }
+    renderSigningRequests(requests);
+}
+
+function renderSigningRequests(requests) {
+    // Built with DOM nodes: descriptions and operations come from imported files
+    const body = document.getElementById('offline-requests');
+    body.innerHTML = '';
+    for (const request of requests) {
+        const row = document.createElement('tr');
+        const operations = request.transaction.operations.map(([name]) => name).join(', ');
+        const signers = request.keys.map(entry => `${entry.signed ? '✓' : '○'} ${entry.account ? `@${entry.account}` : `${entry.key.slice(0, 10)}…`} (${entry.weight})`);
+        const cells = [
+            new Date(request.createdAt).toLocaleString(),
+            `@${request.account} (${request.keyType})`,
+            `${request.description ? `${request.description}: ` : ''}${operations}`,
+            // Signers come from the chain; a file that listed others is only flagged
+            `${request.weight}/${request.threshold} ${signers.join(', ')}` +
+                (request.fileAuthority && JSON.stringify(request.fileAuthority) !== JSON.stringify(request.authority)
+                    ? ' (the imported file listed other signers)' : ''),
+            request.status === 'pending'
+                ? `pending until ${new Date(`${request.transaction.expiration}Z`).toLocaleTimeString()}`
+                : request.status + (request.error ? ` (${request.error})` : '')
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        const actions = document.createElement('td');
+        const button = (label, onClick) => {
+            const element = document.createElement('button');
+            element.className = 'btn btn-small';
+            element.textContent = label;
+            element.addEventListener('click', onClick);
+            actions.appendChild(element);
+        };
+        if (request.status === 'pending') {
+            button('Export File', () => exportSigningRequest(request.id));
+            button('QR Payload', () => showQrPayload(request.id));
+            button('Sign Here', () => signSigningRequest(request));
+            if (request.ready) button('Broadcast', () => broadcastSigningRequest(request));
+        }
+        button('Remove', () => signingAction('offline:remove', request.id));
+        row.appendChild(actions);
+        body.appendChild(row);
+    }
+
+    const target = document.getElementById('offline-import-target');
+    const selected = target.value;
+    target.innerHTML = '';
+    for (const request of requests.filter(entry => entry.status === 'pending')) {
+        const option = document.createElement('option');
+        option.value = request.id;
+        option.textContent = `@${request.account} ${request.id.slice(0, 8)}${request.description ? ` ${request.description}` : ''}`;
+        target.appendChild(option);
+    }
+    if (selected) target.value = selected;
+}
+
+async function createSigningRequest() {
+    const value = id => document.getElementById(id).value.trim();
+    const action = value('offline-action');
+    const request = {
+        account: value('offline-account').replace(/^@/, ''),
+        action,
+        token: action === 'power_down' ? 'LARYNX' : value('offline-token'),
+        to: value('offline-to'),
+        amount: value('offline-amount'),
+        memo: value('offline-memo'),
+        operations: value('offline-operations'),
+        keyType: value('offline-key-type'),
+        description: value('offline-description'),
+        expiresInMinutes: value('offline-expires') || 60
+    };
+    if (await signingAction('offline:create', request)) {
+        ['offline-to', 'offline-amount', 'offline-memo', 'offline-operations', 'offline-description']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('offline-status').textContent = 'Request created. Export it to the co-signers before it expires.';
+    }
+}
+
+async function exportSigningRequest(id) {
+    const result = await window.api.invoke('offline:export-file', id);
+    if (result.success) {
+        document.getElementById('offline-status').textContent = `Saved to ${result.filePath}`;
+    } else if (result.error !== 'No file selected') {
+        document.getElementById('offline-status').textContent = result.error;
+    }
+}
+
+async function showQrPayload(id) {
+    const result = await window.api.invoke('offline:qr', id);
+    if (!result.success) {
+        document.getElementById('offline-status').textContent = result.error;
+        return;
+    }
+    document.getElementById('offline-qr-payload').value = result.payload;
+    document.getElementById('offline-qr').style.display = 'block';
+}
+
+async function copyQrPayload() {
+    await navigator.clipboard.writeText(document.getElementById('offline-qr-payload').value);
+    showNotification('QR payload copied', 'success');
+}
+
+async function importSignatures() {
+    const text = document.getElementById('offline-import-text').value;
+    if (!text.trim()) return;
+    if (await signingAction('offline:import', text, document.getElementById('offline-import-target').value || null)) {
+        document.getElementById('offline-import-text').value = '';
+    }
+}
+
+async function importSignatureFile() {
+    const result = await window.api.invoke('offline:import-file', document.getElementById('offline-import-target').value || null);
+    if (!result.success) {
+        if (result.error !== 'No file selected') document.getElementById('offline-status').textContent = result.error;
+        return;
+    }
+    document.getElementById('offline-status').textContent = `Signatures carry weight ${result.request.weight} of ${result.request.threshold}`;
+    await loadSigningRequests();
+}
+
+async function signSigningRequest(request) {
+    const operations = request.transaction.operations.map(([name]) => name).join(', ');
+    const pin = await requestPinConfirmation({
+        title: 'Sign Request',
+        account: request.account,
+        keyType: request.keyType,
+        details: `Adds this wallet's signature to ${operations}${request.description ? ` (${request.description})` : ''}.`
+    });
+    if (!pin) return;
+    await signingAction('offline:sign-local', request.id, null, pin);
+}
+
+async function broadcastSigningRequest(request) {
+    const operations = request.transaction.operations.map(([name]) => name).join(', ');
+    if (!confirm(`Broadcast ${operations} for @${request.account}?`)) return;
+    if (await signingAction('offline:broadcast', request.id)) {
+        showNotification('Transaction broadcast', 'success');
+    }
+}
+
+async function signingAction(channel, ...args) {
+    const status = document.getElementById('offline-status');
+    const result = await window.api.invoke(channel, ...args);
+    if (!result.success) {
+        status.textContent = result.error;
+        return false;
+    }
+    status.textContent = result.request ? `Signatures carry weight ${result.request.weight} of ${result.request.threshold}` : '';
+    await loadSigningRequests(result.requests);
+    return true;
 }
 
 // Helper functions
@@ -2022,6 +2468,13 @@ async function startUpload() {
             showNotification(`Insufficient BROCA balance. Required: ${requiredBroca.toLocaleString()}, Available: ${balance.toFixed(0)}`, 'error');
             return;
         }
+
+        // Leave enough BROCA (with regeneration) to renew existing contracts
+        const renewalCheck = await window.api.broca.checkUpload(requiredBroca).catch(() => null);
+        if (renewalCheck?.success && !renewalCheck.check.ok &&
+            !confirm(`${renewalCheck.check.warnings.join('\n\n')}\n\nUpload anyway?`)) {
+            return;
+        }
     }
     
     const options = {
@@ -2040,12 +2493,44 @@ async function startUpload() {
             return;
         }
         
+        if (document.getElementById('adaptive-ladder')?.checked) {
+            options.ladder = 'adaptive';
+        }
+        options.codec = document.getElementById('video-codec')?.value || 'h264';
+        options.segmentFormat = (await window.api.invoke('settings:get', 'hlsSegmentFormat')) || 'ts';
+        options.singlePass = (await window.api.invoke('settings:get', 'transcodeParallel')) !== false;
+        if ((await window.api.invoke('settings:get', 'seekPreviews')) === true) {
+            options.thumbnailTrack = {
+                interval: (await window.api.invoke('settings:get', 'seekPreviewInterval')) || 5
+            };
+        }
+        const audioProcessing = {
+            loudnorm: document.getElementById('normalize-loudness')?.checked === true,
+            targetLoudness: (await window.api.invoke('settings:get', 'targetLoudness')) || -16,
+            downmix: (await window.api.invoke('settings:get', 'audioDownmix')) || 'none',
+            trimSilence: (await window.api.invoke('settings:get', 'trimSilence')) === true
+        };
+        if (audioProcessing.loudnorm || audioProcessing.downmix !== 'none' || audioProcessing.trimSilence) {
+            options.audioProcessing = audioProcessing;
+        }
+        const edit = {
+            in: document.getElementById('edit-in')?.value.trim() || null,
+            out: document.getElementById('edit-out')?.value.trim() || null,
+            crop: document.getElementById('edit-crop')?.value || 'none',
+            rotate: parseInt(document.getElementById('edit-rotate')?.value || '0', 10),
+            append: Array.from(document.getElementById('append-clips')?.files || [])
+        };
+        if (edit.in || edit.out || edit.crop !== 'none' || edit.rotate || edit.append.length > 0) {
+            options.edit = edit;
+        }
+        options.overlay = document.getElementById('overlay-preset-choice')?.value || 'none';
+        
         const resOptions = document.querySelectorAll('input[name="resolution"]:checked');
         resOptions.forEach(input => {
             options.resolutions.push(input.value);
         });
         
-        if (options.resolutions.length === 0) {
+        if (options.resolutions.length === 0 && options.ladder !== 'adaptive') {
             showNotification('Please select at least one resolution for transcoding', 'error');
             return;
         }
@@ -2067,6 +2552,47 @@ async function startUpload() {
     }
 }
 
+// Queued videos are transcoded and uploaded by the main process, in priority order
+async function queueSelectedVideo() {
+    if (!selectedVideo || !selectedVideo.path) {
+        showNotification('Select a video file from disk to queue it', 'error');
+        return;
+    }
+    
+    const options = {
+        codec: document.getElementById('video-codec')?.value || 'h264',
+        segmentFormat: (await window.api.invoke('settings:get', 'hlsSegmentFormat')) || 'ts',
+        singlePass: (await window.api.invoke('settings:get', 'transcodeParallel')) !== false,
+        generateThumbnail: document.getElementById('gen-thumbnail')?.checked !== false,
+        overlay: document.getElementById('overlay-preset-choice')?.value || 'none'
+    };
+    if (document.getElementById('adaptive-ladder')?.checked) {
+        options.ladder = 'adaptive';
+    } else {
+        options.resolutions = Array.from(document.querySelectorAll('input[name="resolution"]:checked')).map(input => input.value);
+        if (options.resolutions.length === 0) {
+            showNotification('Please select at least one resolution for transcoding', 'error');
+            return;
+        }
+    }
+    const time = id => {
+        const value = document.getElementById(id)?.value;
+        return value ? new Date(value).toISOString() : null;
+    };
+    
+    const result = await window.api.invoke('upload-queue:add', selectedVideo.path, options, {
+        scheduledAt: time('queue-start-at'),
+        uploadAt: time('queue-upload-at')
+    });
+    if (!result.success) {
+        showNotification(`Could not queue the video: ${result.error}`, 'error');
+        return;
+    }
+    showNotification(`Queued ${selectedVideo.name}`, 'success');
+    cancelVideoSelection();
+    if (window.uploadQueueMonitor) await window.uploadQueueMonitor.loadQueue();
+}
+
 async function cancelUpload() {
     await window.api.video.cancelUpload();
     resetUpload();
@@ -4420,8 +4946,11 @@ async function updateVideoUploadOptions(videoInfo, brocaCost) {
     ];
     
     // Filter resolutions - check if either width OR height meets the standard (to support widescreen videos)
+    // Long/short sides are compared so portrait sources are not upscaled
+    const longSide = Math.max(width, height);
+    const shortSide = Math.min(width, height);
     const availableResolutions = resolutions.filter(res => 
-        res.width <= width || res.height <= height
+        res.width <= longSide || res.height <= shortSide
     );
     
     // If source is already low res, add at least one option
@@ -4437,6 +4966,51 @@ async function updateVideoUploadOptions(videoInfo, brocaCost) {
         </label>
     `).join('');
     
+    // Default ladder mode from settings ('fixed' or 'adaptive')
+    let ladderMode = 'fixed';
+    try {
+        ladderMode = (await window.api.invoke('settings:get', 'ladderMode')) || 'fixed';
+    } catch (error) {
+        console.warn('Failed to load ladder mode setting:', error);
+    }
+    
+    // Codec profiles supported by the local FFmpeg build
+    let videoCodec = 'h264';
+    let codecProfiles = [{ id: 'h264', label: 'H.264 (AVC)', available: true }];
+    try {
+        videoCodec = (await window.api.invoke('settings:get', 'videoCodec')) || 'h264';
+        const profilesResult = await window.api.invoke('ffmpeg:getCodecProfiles');
+        if (profilesResult.success) {
+            codecProfiles = profilesResult.profiles;
+        }
+    } catch (error) {
+        console.warn('Failed to load codec profiles:', error);
+    }
+    // Loudness normalization default from settings; can be switched per upload
+    let loudnessNormalization = false;
+    try {
+        loudnessNormalization = (await window.api.invoke('settings:get', 'loudnessNormalization')) === true;
+    } catch (error) {
+        console.warn('Failed to load loudness setting:', error);
+    }
+    // Overlay presets; the default one is preselected
+    let overlayOptions = '<option value="none">None</option>';
+    try {
+        const presets = (await window.api.invoke('settings:get', 'overlayPresets')) || [];
+        const defaultPreset = await window.api.invoke('settings:get', 'overlayPreset');
+        overlayOptions += presets.map(preset =>
+            `<option value="${escapeHtml(preset.id)}" ${preset.id === defaultPreset ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`
+        ).join('');
+    } catch (error) {
+        console.warn('Failed to load overlay presets:', error);
+    }
+    
+    const codecOptions = codecProfiles.map(profile => `
+        <option value="${profile.id}" ${profile.id === videoCodec ? 'selected' : ''} ${profile.available ? '' : 'disabled'}>
+            ${profile.label}${profile.available ? '' : ' (encoder not available)'}
+        </option>
+    `).join('');
+    
     // Check direct upload availability
     const directUploadCheck = await checkDirectUploadAvailability();
     const directUploadSection = directUploadCheck.available ? `
@@ -4496,9 +5070,65 @@ async function updateVideoUploadOptions(videoInfo, brocaCost) {
                 <p>Source Resolution: ${videoInfo.width || 'Unknown'}x${videoInfo.height || 'Unknown'}</p>
                 <p>Select output resolutions (will not upscale):</p>
             </div>
-            <div class="resolution-options">
+            <div class="resolution-options" id="resolution-options">
                 ${resolutionCheckboxes}
             </div>
+            <label class="adaptive-ladder-option">
+                <input type="checkbox" id="adaptive-ladder" ${ladderMode === 'adaptive' ? 'checked' : ''}>
+                <strong>Per-title adaptive ladder</strong>
+                <small>Analyze this video and choose resolutions and bitrates automatically</small>
+            </label>
+            <div class="codec-option">
+                <label for="video-codec">Codec:</label>
+                <select id="video-codec">
+                    ${codecOptions}
+                </select>
+                <small>HEVC, AV1 and VP9 produce smaller files (fMP4 segments) but are not supported by every player</small>
+            </div>
+            <label class="loudness-option">
+                <input type="checkbox" id="normalize-loudness" ${loudnessNormalization ? 'checked' : ''}>
+                <strong>Normalize loudness</strong>
+                <small>Measure the audio and bring it to a consistent volume (EBU R128)</small>
+            </label>
+            <div class="overlay-option">
+                <label for="overlay-preset-choice">Overlay:</label>
+                <select id="overlay-preset-choice">
+                    ${overlayOptions}
+                </select>
+                <small>Watermark, text and intro/outro from Settings → Upload</small>
+            </div>
+            <div class="edit-options">
+                <h5>Edit</h5>
+                <div class="edit-range">
+                    <label for="edit-in">Start:</label>
+                    <input type="text" id="edit-in" placeholder="0:00">
+                    <label for="edit-out">End:</label>
+                    <input type="text" id="edit-out" placeholder="${videoInfo.duration ? formatDuration(videoInfo.duration) : 'end'}">
+                    <small>Seconds or [HH:]MM:SS</small>
+                </div>
+                <div class="edit-frame">
+                    <label for="edit-crop">Crop:</label>
+                    <select id="edit-crop">
+                        <option value="none">None</option>
+                        <option value="16:9">16:9</option>
+                        <option value="4:3">4:3</option>
+                        <option value="1:1">1:1</option>
+                        <option value="9:16">9:16 (vertical)</option>
+                    </select>
+                    <label for="edit-rotate">Rotate:</label>
+                    <select id="edit-rotate">
+                        <option value="0">None</option>
+                        <option value="90">90° clockwise</option>
+                        <option value="180">180°</option>
+                        <option value="270">90° counter-clockwise</option>
+                    </select>
+                </div>
+                <div class="edit-append">
+                    <label for="append-clips">Append clips:</label>
+                    <input type="file" id="append-clips" accept="video/*" multiple>
+                    <small>Joined after this video in the order selected</small>
+                </div>
+            </div>
         </div>
         
         ${directUploadSection}
@@ -4509,8 +5139,15 @@ async function updateVideoUploadOptions(videoInfo, brocaCost) {
             </label>
         </div>
         
+        <div class="queue-options">
+            <label>Queue start: <input type="datetime-local" id="queue-start-at"></label>
+            <label>Queue upload: <input type="datetime-local" id="queue-upload-at"></label>
+            <small>For Add to Queue. An upload time transcodes now and uploads later, e.g. overnight.</small>
+        </div>
+        
         <div class="upload-actions">
             <button onclick="startUpload()" class="btn btn-primary" id="start-upload-btn">Transcode</button>
+            <button onclick="queueSelectedVideo()" class="btn btn-secondary">Add to Queue</button>
             <button onclick="cancelVideoSelection()" class="btn btn-secondary">Cancel</button>
         </div>
     `;
@@ -4531,6 +5168,16 @@ async function updateVideoUploadOptions(videoInfo, brocaCost) {
         });
     });
     
+    // Adaptive ladder picks its own resolutions
+    const adaptiveLadder = document.getElementById('adaptive-ladder');
+    const toggleResolutionOptions = () => {
+        document.querySelectorAll('input[name="resolution"]').forEach(input => {
+            input.disabled = adaptiveLadder.checked;
+        });
+    };
+    adaptiveLadder.addEventListener('change', toggleResolutionOptions);
+    toggleResolutionOptions();
+    
     // Auto-check direct upload if storage node is running
     if (directUploadCheck.available) {
         const directUploadCheckbox = document.getElementById('direct-upload');
@@ -5632,14 +6279,21 @@ function closeFileDetailsModal() {
 
 function viewFile(cid) {
     // Open file in IPFS gateway
+    recordFileAccess(cid);
     window.open(`https://ipfs.io/ipfs/${cid}`, '_blank');
 }
 
 function downloadFile(cid) {
     // Download from IPFS gateway
+    recordFileAccess(cid);
     window.open(`https://ipfs.io/ipfs/${cid}?download=true`, '_blank');
 }
 
+// Opened files count as accessed for the 'accessed' contract renewal policy
+function recordFileAccess(cid) {
+    window.api.invoke('renewals:record-access', [cid]).catch(() => {});
+}
+
 async function renewContract(cid) {
     showNotification('Contract renewal coming soon', 'info');
 }
@@ -5879,6 +6533,57 @@ window.rejectMessageSigning = async function(requestId) {
     await window.api.invoke('signing:respond', requestId, false);
 };
 
+// Ask for the wallet PIN before an action that lets keys sign without asking.
+// Resolves to the PIN, or null if cancelled; main checks it.
+function requestPinConfirmation({ title, account, keyType, details }) {
+    return new Promise((resolve) => {
+        const modalHtml = `
+            <div class="modal" id="pinConfirmModal" style="display: flex;">
+                <div class="modal-content" style="max-width: 600px;">
+                    <h3>🔐 ${escapeHtml(title)}</h3>
+                    <div class="form-group">
+                        <label>Account:</label>
+                        <div style="padding: 0.5rem 0;"><strong style="color: #4CAF50;">@${escapeHtml(account)}</strong></div>
+                    </div>
+                    <div class="form-group">
+                        <label>Key Type:</label>
+                        <div style="padding: 0.5rem 0;">${escapeHtml(keyType)}</div>
+                    </div>
+                    <div style="background: #ff980030; border: 1px solid #ff9800; padding: 1rem; border-radius: 4px; margin-bottom: 1.5rem;">
+                        <small style="color: #ff9800;">${escapeHtml(details)}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="pin-confirm-input">Wallet PIN:</label>
+                        <input type="password" id="pin-confirm-input" autocomplete="off">
+                    </div>
+                    <div class="modal-actions" style="display: flex; gap: 1rem; justify-content: flex-end;">
+                        <button class="secondary-btn" id="pin-confirm-cancel">Cancel</button>
+                        <button id="pin-confirm-ok">Approve</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const existingModal = document.getElementById('pinConfirmModal');
+        if (existingModal) existingModal.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('pinConfirmModal');
+        const input = document.getElementById('pin-confirm-input');
+        const close = (pin) => {
+            modal.remove();
+            resolve(pin);
+        };
+        document.getElementById('pin-confirm-cancel').addEventListener('click', () => close(null));
+        document.getElementById('pin-confirm-ok').addEventListener('click', () => close(input.value || null));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') close(input.value || null);
+            if (e.key === 'Escape') close(null);
+        });
+        input.focus();
+    });
+}
+
 // Initialize signing modal on startup
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
@@ -138,40 +138,147 @@ async function transcodeToHLS(videoFile, options) {
         if (!inputPathResult.success) {
             throw new Error(inputPathResult.error);
         }
-        const inputPath = inputPathResult.inputPath;
+        let inputPath = inputPathResult.inputPath;
         
         addLog(`Video saved to: ${inputPath}`, 'info');
         
-        // Determine resolutions to transcode
-        const resolutions = options.resolutions || ['720'];
-        addLog(`Transcoding to resolutions: ${resolutions.join('p, ')}p`, 'info');
+        // Overlay preset: watermark and text are drawn in the encode, intro and
+        // outro are joined as clips of the edit
+        let overlayPlan = null;
+        if (options.overlay !== 'none') {
+            const overlayResult = await window.api.invoke('ffmpeg:prepareOverlay', options.overlay, tempDir);
+            if (!overlayResult.success) {
+                throw new Error(overlayResult.error);
+            }
+            overlayPlan = overlayResult.plan;
+            if (overlayPlan) {
+                addLog(`Applying overlay preset ${overlayPlan.name}`, 'info');
+            }
+        }
+        const drawOverlay = overlayPlan && (overlayPlan.watermark || overlayPlan.text) ? overlayPlan : null;
         
-        const hlsFiles = [];
-        const segmentFiles = [];
+        // Cuts, joined clips, crop and rotation: transcode from the plan's
+        // source with its filters applied
+        let editPlan = null;
+        if (options.edit || overlayPlan?.intro || overlayPlan?.outro) {
+            addLog('Preparing edit...', 'info');
+            updateUploadProgress(2, 'Preparing edit...', 'Transcoding');
+            const append = [];
+            for (const [i, clip] of (options.edit?.append || []).entries()) {
+                const clipResult = await window.api.invoke('ffmpeg:saveVideoFile', {
+                    name: clip.name,
+                    data: await clip.arrayBuffer()
+                }, tempDir, `append_${i + 1}`);
+                if (!clipResult.success) {
+                    throw new Error(clipResult.error);
+                }
+                append.push(clipResult.inputPath);
+            }
+            const edit = {
+                ...options.edit,
+                prepend: overlayPlan?.intro ? [overlayPlan.intro] : [],
+                append: [...append, ...(overlayPlan?.outro ? [overlayPlan.outro] : [])]
+            };
+            const editResult = await window.api.invoke('ffmpeg:prepareEdit', inputPath, edit, tempDir);
+            if (!editResult.success) {
+                throw new Error(editResult.error);
+            }
+            editPlan = editResult.plan;
+            inputPath = editPlan.source;
+            addLog(`Edited video: ${editPlan.clips.length} clip(s), ${editPlan.metadata.duration.toFixed(1)}s, ${editPlan.metadata.width}x${editPlan.metadata.height}`, 'info');
+        }
+        
+        // Determine resolutions to transcode ('720' and '720p' are both accepted)
+        let resolutions = (options.resolutions || ['720']).map(res => String(res).replace(/p$/i, ''));
         
-        // Generate thumbnail first
-        addLog('Generating thumbnail...', 'info');
-        updateUploadProgress(5, 'Generating thumbnail...', 'Transcoding');
+        // Per-title ladder: the main process picks rungs and bitrates for this video
+        let ladder = null;
+        if (options.ladder === 'adaptive') {
+            addLog('Analyzing video complexity for adaptive ladder...', 'info');
+            updateUploadProgress(3, 'Analyzing video complexity...', 'Transcoding');
+            const ladderResult = await window.api.invoke('ffmpeg:buildLadder', inputPath,
+                editPlan ? { metadata: editPlan.metadata, edit: editPlan } : {});
+            if (!ladderResult.success) {
+                throw new Error(ladderResult.error);
+            }
+            ladder = ladderResult.rungs;
+            options.fps = ladderResult.metadata?.fps;
+            resolutions = ladder.map(rung => rung.name.replace(/p$/i, ''));
+            addLog(`Complexity ${ladderResult.complexity.complexity.toFixed(2)}: ${ladder.map(rung => `${rung.width}x${rung.height}@${rung.videoBitrate}`).join(', ')}`, 'info');
+        }
+        addLog(`Transcoding to resolutions: ${resolutions.join('p, ')}p`, 'info');
         
-        const thumbnailResult = await window.api.invoke('ffmpeg:generateThumbnail', inputPath, tempDir);
-        if (!thumbnailResult.success) {
-            throw new Error(thumbnailResult.error);
+        // Loudness measurement and silence detection, applied to every rendition
+        let audioPlan = null;
+        if (options.audioProcessing) {
+            addLog('Analyzing audio loudness...', 'info');
+            updateUploadProgress(4, 'Analyzing audio...', 'Transcoding');
+            const audioResult = await window.api.invoke('ffmpeg:prepareAudioProcessing', inputPath, options.audioProcessing,
+                editPlan ? { metadata: editPlan.metadata } : {});
+            if (!audioResult.success) {
+                throw new Error(audioResult.error);
+            }
+            audioPlan = audioResult.plan;
+            if (audioPlan?.loudness) {
+                addLog(`Loudness ${audioPlan.loudness.inputI} LUFS, normalizing to ${audioPlan.settings.targetLoudness} LUFS`, 'info');
+            }
+            if (audioPlan?.trim) {
+                addLog(`Trimming silence: keeping ${audioPlan.trim.start}s to ${audioPlan.trim.end}s`, 'info');
+            }
         }
-        const thumbnailPath = thumbnailResult.thumbnailPath;
         
-        const thumbnailDataResult = await window.api.invoke('ffmpeg:readFile', thumbnailPath);
-        if (!thumbnailDataResult.success) {
-            throw new Error(thumbnailDataResult.error);
+        // Persistent job: segments survive an app restart, and selecting the same
+        // video with the same settings again continues after the last finished segment
+        const jobResult = await window.api.invoke('transcode-jobs:prepare', inputPath, {
+            resolutions: ladder || resolutions.map(res => `${res}p`),
+            codec: options.codec,
+            segmentFormat: options.segmentFormat,
+            fps: options.fps,
+            ...(audioPlan ? { audioProcessing: audioPlan } : {}),
+            ...(editPlan ? { edit: editPlan } : {}),
+            ...(drawOverlay ? { overlay: drawOverlay } : {})
+        }, { name: videoFile.name });
+        const jobId = jobResult.success ? jobResult.jobId : null;
+        if (!jobResult.success) {
+            addLog(`Could not create a resumable job, transcoding from scratch: ${jobResult.error}`, 'warn');
+        } else if (jobResult.resumed) {
+            const done = Object.entries(jobResult.renditions)
+                .map(([name, rendition]) => `${name}: ${rendition.complete ? 'complete' : `${rendition.segments} segments`}`)
+                .join(', ');
+            addLog(`Resuming earlier transcode (${done})`, 'info');
+            showNotification('Resuming an interrupted transcode of this video', 'info');
         }
-        const thumbnailData = new Uint8Array(thumbnailDataResult.data);
+        
+        const hlsFiles = [];
+        const segmentFiles = [];
+        
+        // Generate thumbnail first: best scoring scene/sample frames, falling
+        // back to a single frame near the start
+        addLog('Finding thumbnail candidates...', 'info');
+        updateUploadProgress(5, 'Finding thumbnail candidates...', 'Transcoding');
         
         const baseName = videoFile.name.replace(/\.[^/.]+$/, '');
-        const thumbnailFile = new File([thumbnailData], `${baseName}_poster.jpg`, { 
-            type: 'image/jpeg',
-            lastModified: Date.now()
-        });
-        generatedFiles.set('thumbnail.jpg', thumbnailFile);
-        transcodedFilePaths.set('thumbnail.jpg', thumbnailPath);
+        const smartThumbnails = await loadThumbnailCandidates(inputPath, tempDir, baseName, editPlan);
+        if (!smartThumbnails) {
+            const thumbnailResult = await window.api.invoke('ffmpeg:generateThumbnail', inputPath, tempDir, { edit: editPlan });
+            if (!thumbnailResult.success) {
+                throw new Error(thumbnailResult.error);
+            }
+            const thumbnailPath = thumbnailResult.thumbnailPath;
+            
+            const thumbnailDataResult = await window.api.invoke('ffmpeg:readFile', thumbnailPath);
+            if (!thumbnailDataResult.success) {
+                throw new Error(thumbnailDataResult.error);
+            }
+            const thumbnailData = new Uint8Array(thumbnailDataResult.data);
+            
+            const thumbnailFile = new File([thumbnailData], `${baseName}_poster.jpg`, { 
+                type: 'image/jpeg',
+                lastModified: Date.now()
+            });
+            generatedFiles.set('thumbnail.jpg', thumbnailFile);
+            transcodedFilePaths.set('thumbnail.jpg', thumbnailPath);
+        }
         addLog('Thumbnail generated successfully', 'info');
         
         // Set up FFmpeg progress handler
@@ -191,9 +298,31 @@ async function transcodeToHLS(videoFile, options) {
         window.api.on('ffmpeg:progress', progressHandler);
         
         try {
+            // Single pass: one FFmpeg process encodes every resolution, and its
+            // progress covers the whole transcode
+            let singlePassResults = null;
+            if (options.singlePass && resolutions.length > 1) {
+                addLog(`Transcoding ${resolutions.length} resolutions in a single pass...`, 'info');
+                updateUploadProgress(10, 'Transcoding all resolutions...', 'Transcoding');
+                const singlePassResult = await window.api.invoke('ffmpeg:transcodeSinglePass', inputPath, tempDir,
+                    ladder || resolutions, {
+                        codec: options.codec,
+                        segmentFormat: options.segmentFormat,
+                        fps: options.fps,
+                        audioProcessing: audioPlan,
+                        edit: editPlan,
+                        overlay: drawOverlay,
+                        jobId
+                    });
+                if (!singlePassResult.success) {
+                    throw new Error(singlePassResult.error);
+                }
+                singlePassResults = singlePassResult.results;
+            }
+            
             // Transcode each resolution  
-            let progressBase = 10;
-            const progressPerResolution = 80 / resolutions.length;
+            let progressBase = singlePassResults ? 90 : 10;
+            const progressPerResolution = singlePassResults ? 0 : 80 / resolutions.length;
             
             for (let i = 0; i < resolutions.length; i++) {
                 const resolution = resolutions[i];
@@ -207,10 +336,20 @@ async function transcodeToHLS(videoFile, options) {
                 currentProgressBase = progressBase;
                 currentProgressScale = progressPerResolution;
                 
-                // Start transcoding
-                const transcodeResult = await window.api.invoke('ffmpeg:transcodeToHLS', inputPath, tempDir, resolution, {
-                    onProgress: true
-                });
+                // Start transcoding (already done in single-pass mode)
+                const transcodeResult = singlePassResults
+                    ? { success: true, ...singlePassResults[`${resolution}p`] }
+                    : await window.api.invoke('ffmpeg:transcodeToHLS', inputPath, tempDir, resolution, {
+                        onProgress: true,
+                        encoding: ladder ? ladder[i] : undefined,
+                        codec: options.codec,
+                        segmentFormat: options.segmentFormat,
+                        fps: options.fps,
+                        audioProcessing: audioPlan,
+                        edit: editPlan,
+                        overlay: drawOverlay,
+                        jobId
+                    });
                 
                 if (!transcodeResult.success) {
                     throw new Error(transcodeResult.error);
@@ -251,8 +390,9 @@ async function transcodeToHLS(videoFile, options) {
                     }
                     const segmentData = new Uint8Array(segmentDataResult.data);
                     
-                    // Create file object
-                    const segmentFile = new File([segmentData], segmentName, { type: 'video/mp2t' });
+                    // Create file object (fMP4 init/media segments or MPEG-TS)
+                    const segmentType = segmentName.endsWith('.ts') ? 'video/mp2t' : 'video/mp4';
+                    const segmentFile = new File([segmentData], segmentName, { type: segmentType });
                     originalFiles.set(segmentName, segmentFile);
                     // IMPORTANT: Also add to ipfsReadyFiles so it gets uploaded!
                     ipfsReadyFiles.set(segmentName, segmentFile);
@@ -274,7 +414,8 @@ async function transcodeToHLS(videoFile, options) {
                     addLog(`Processed segment: ${segmentName} -> ${segmentCID}`, 'debug');
                     
                     // Generate thumbnail from first frame of first few segments
-                    if (i < 5) { // Get thumbnails from first 5 segments
+                    // (fMP4 segments cannot be decoded without their init segment)
+                    if (!smartThumbnails && i < 5 && segmentName.endsWith('.ts')) { // Get thumbnails from first 5 segments
                         try {
                             const thumbnailResult = await window.api.invoke('ffmpeg:generateThumbnailFromSegment', 
                                 segmentPath, tempDir, `thumb_${resolution}_${i}`);
@@ -320,15 +461,24 @@ async function transcodeToHLS(videoFile, options) {
                     name: playlistName, 
                     content: playlistContent, 
                     resolution: resolution + 'p',
-                    height: parseInt(resolution)
+                    height: transcodeResult.height || parseInt(resolution),
+                    width: transcodeResult.width,
+                    bandwidth: transcodeResult.bandwidth,
+                    codecs: transcodeResult.codecs,
+                    segmentFormat: transcodeResult.segmentFormat
                 });
                 
                 addLog(`Generated ${segments.length} segments for ${resolution}p`, 'info');
                 progressBase += progressPerResolution;
             }
+            
+            if (jobId) {
+                await window.api.invoke('transcode-jobs:complete', jobId);
+            }
         } finally {
             // Remove progress handler
             window.api.off('ffmpeg:progress', progressHandler);
+            window.transcodeJobsMonitor?.loadJobs();
         }
         
         // Create master playlists (both original and IPFS versions)
@@ -368,13 +518,70 @@ async function transcodeToHLS(videoFile, options) {
             transcodedFilePaths.set('master.m3u8', masterPath);
         }
         
+        // Seek preview sprite sheets and their WebVTT thumbnails track
+        if (options.thumbnailTrack) {
+            addLog('Generating seek previews...', 'info');
+            updateUploadProgress(96, 'Generating seek previews...', 'Transcoding');
+            
+            const previewResult = await window.api.invoke('ffmpeg:generateThumbnailTrack', inputPath, tempDir, {
+                ...options.thumbnailTrack,
+                trim: audioPlan?.trim,
+                edit: editPlan,
+                ...(editPlan ? { metadata: editPlan.metadata } : {})
+            });
+            if (!previewResult.success) {
+                throw new Error(previewResult.error);
+            }
+            
+            const trackDataResult = await window.api.invoke('ffmpeg:readFile', previewResult.trackPath);
+            if (!trackDataResult.success) {
+                throw new Error(trackDataResult.error);
+            }
+            const trackData = new Uint8Array(trackDataResult.data);
+            let ipfsTrackContent = new TextDecoder().decode(trackData);
+            
+            for (const sheet of previewResult.sheets) {
+                const sheetDataResult = await window.api.invoke('ffmpeg:readFile', sheet.path);
+                if (!sheetDataResult.success) {
+                    throw new Error(sheetDataResult.error);
+                }
+                const sheetFile = new File([new Uint8Array(sheetDataResult.data)], sheet.filename, { type: 'image/jpeg' });
+                originalFiles.set(sheet.filename, sheetFile);
+                ipfsReadyFiles.set(sheet.filename, sheetFile);
+                transcodedFilePaths.set(sheet.filename, sheet.path);
+                totalTranscodedSize += sheetFile.size;
+                
+                // Cues reference tiles as `sprite_000.jpg#xywh=...`
+                const sheetCID = await hashFile(sheetFile);
+                ipfsTrackContent = ipfsTrackContent.split(`${sheet.filename}#`)
+                    .join(`https://ipfs.dlux.io/ipfs/${sheetCID}?filename=${sheet.filename}#`);
+            }
+            
+            originalFiles.set('thumbnails.vtt', new File([trackData], 'thumbnails.vtt', { type: 'text/vtt' }));
+            const ipfsTrackData = new TextEncoder().encode(ipfsTrackContent);
+            const ipfsTrackFile = new File([ipfsTrackData], 'thumbnails.vtt', { type: 'text/vtt' });
+            ipfsReadyFiles.set('thumbnails.vtt', ipfsTrackFile);
+            totalTranscodedSize += ipfsTrackFile.size;
+            
+            const ipfsTrackPath = `${tempDir}/thumbnails_ipfs.vtt`;
+            const saveTrackResult = await window.api.invoke('ffmpeg:saveFile', {
+                path: ipfsTrackPath,
+                data: Array.from(ipfsTrackData)
+            });
+            if (saveTrackResult.success) {
+                transcodedFilePaths.set('thumbnails.vtt', ipfsTrackPath);
+            }
+            
+            addLog(`Generated ${previewResult.sheets.length} seek preview sprite sheets`, 'info');
+        }
+        
         // Copy all original files to generatedFiles for compatibility
         for (const [name, file] of originalFiles) {
             generatedFiles.set(name, file);
         }
         
-        // Add default thumbnail from video start
-        if (thumbnailFrames.length === 0 || options.generateThumbnail) {
+        // Add default thumbnail from video start (candidates already include it)
+        if (!smartThumbnails && (thumbnailFrames.length === 0 || options.generateThumbnail)) {
             // Use the thumbnail we generated at the beginning
             const defaultThumb = generatedFiles.get('thumbnail.jpg');
             if (defaultThumb) {
@@ -427,6 +634,43 @@ async function transcodeToHLS(videoFile, options) {
     }
 }
 
+// Load scored thumbnail candidates into thumbnailFrames, best first, and use
+// the best one as thumbnail.jpg. Returns false when analysis failed.
+async function loadThumbnailCandidates(inputPath, tempDir, baseName, editPlan = null) {
+    const result = await window.api.invoke('ffmpeg:findThumbnailCandidates', inputPath, tempDir, {
+        count: 6,
+        ...(editPlan ? { edit: editPlan, metadata: editPlan.metadata } : {})
+    });
+    if (!result.success || result.candidates.length === 0) {
+        addLog(`Thumbnail analysis unavailable: ${result.error || 'no candidates'}`, 'warn');
+        return false;
+    }
+    
+    for (const [i, candidate] of result.candidates.entries()) {
+        const dataResult = await window.api.invoke('ffmpeg:readFile', candidate.thumbnailPath);
+        if (!dataResult.success) continue;
+        
+        const file = new File([new Uint8Array(dataResult.data)], `${baseName}_poster_${i}.jpg`, {
+            type: 'image/jpeg',
+            lastModified: Date.now()
+        });
+        thumbnailFrames.push({
+            file: file,
+            resolution: 'original',
+            segment: null,
+            time: Math.round(candidate.timestamp),
+            score: candidate.score
+        });
+        if (!generatedFiles.has('thumbnail.jpg')) {
+            generatedFiles.set('thumbnail.jpg', file);
+            transcodedFilePaths.set('thumbnail.jpg', candidate.thumbnailPath);
+        }
+        addLog(`Thumbnail candidate at ${candidate.timestamp}s (score ${candidate.score})`, 'debug');
+    }
+    
+    return thumbnailFrames.length > 0;
+}
+
 // Hash file to get IPFS CID
 async function hashFile(file) {
     try {
@@ -453,17 +697,22 @@ async function hashFile(file) {
 
 // Create master HLS playlist
 function createMasterPlaylist(hlsFiles) {
-    let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+    // fMP4 segments need protocol version 7
+    const version = hlsFiles.some(hlsFile => hlsFile.segmentFormat === 'fmp4') ? 7 : 3;
+    let playlist = `#EXTM3U\n#EXT-X-VERSION:${version}\n\n`;
     
     // Sort by resolution height
     hlsFiles.sort((a, b) => a.height - b.height);
     
     for (const hlsFile of hlsFiles) {
+        // Adaptive ladder renditions report their own size and bandwidth
         const height = hlsFile.height;
-        const width = getResolutionWidth(height);
-        const bandwidth = estimateBandwidth(height);
+        const width = hlsFile.width || getResolutionWidth(height);
+        const bandwidth = hlsFile.bandwidth || estimateBandwidth(height);
+        
+        const codecs = hlsFile.codecs ? `,CODECS="${hlsFile.codecs}"` : '';
         
-        playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height}\n`;
+        playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height}${codecs}\n`;
         playlist += `${hlsFile.name}\n\n`;
     }
     
@@ -0,0 +1,89 @@
+/**
+ * Stand-ins for fluent-ffmpeg and the FFmpeg binary locator, for transcoder tests.
+ * Commands are recorded instead of run and finish straight away:
+ *
+ *   const mockCommands = [];
+ *   jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({ commands: mockCommands }));
+ *   jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+ *
+ * Each recorded command has:
+ *   inputs       - the constructor input and every .input()
+ *   calls        - [method, value] for the option setters, in order
+ *   options      - every .outputOptions() value, flattened
+ *   outputs      - { target, options } per .output()
+ *   filterGraph  - the .complexFilter() graph
+ *   seek, encoder, filters - the last .seekInput(), .videoCodec() and .videoFilters()
+ *   saved        - the path given to .save()
+ */
+
+const { EventEmitter } = require('events');
+
+const RECORDED_METHODS = ['videoCodec', 'audioCodec', 'size', 'seekInput', 'videoFilters', 'inputOptions', 'inputFormat'];
+
+/**
+ * @param {Object} options
+ * @param {Array} options.commands - Receives every command built
+ * @param {Function} options.probe - input => ffprobe data
+ * @param {Function} options.save - (command, target) => void, instead of emitting 'end'
+ * @param {Function} options.run - command => void, instead of emitting 'end'
+ * @param {Function} options.pipe - command => readable stream
+ * @param {Object} options.encoders - For getAvailableEncoders
+ * @param {Object} options.filters - For getAvailableFilters
+ */
+function fluentFfmpeg({ commands = [], probe = null, save = null, run = null, pipe = null, encoders = {}, filters = {} } = {}) {
+  const factory = jest.fn((input) => {
+    const command = new EventEmitter();
+    command.inputs = input ? [input] : [];
+    command.calls = [];
+    command.options = [];
+    command.outputs = [];
+
+    command.input = jest.fn((file) => { command.inputs.push(file); return command; });
+    for (const method of RECORDED_METHODS) {
+      command[method] = jest.fn((value) => { command.calls.push([method, value]); return command; });
+    }
+    command.seekInput.mockImplementation((offset) => { command.calls.push(['seekInput', offset]); command.seek = offset; return command; });
+    command.videoCodec.mockImplementation((codec) => { command.calls.push(['videoCodec', codec]); command.encoder = codec; return command; });
+    command.videoFilters.mockImplementation((value) => { command.calls.push(['videoFilters', value]); command.filters = value; return command; });
+    command.complexFilter = jest.fn((graph) => { command.filterGraph = graph; return command; });
+    command.output = jest.fn((target) => { command.outputs.push({ target, options: [] }); return command; });
+    command.outputOptions = jest.fn((values) => {
+      command.options.push(...values);
+      if (command.outputs.length > 0) command.outputs[command.outputs.length - 1].options.push(...values);
+      return command;
+    });
+
+    command.save = jest.fn((target) => {
+      command.saved = target;
+      if (save) save(command, target);
+      else command.emit('end');
+    });
+    command.run = jest.fn(() => {
+      if (run) run(command);
+      else command.emit('end');
+    });
+    command.pipe = jest.fn(() => pipe(command));
+
+    commands.push(command);
+    return command;
+  });
+
+  factory.setFfmpegPath = jest.fn();
+  factory.setFfprobePath = jest.fn();
+  factory.ffprobe = jest.fn((input, callback) => callback(null, probe ? probe(input) : { format: {}, streams: [] }));
+  factory.getAvailableEncoders = (callback) => callback(null, encoders);
+  factory.getAvailableFilters = (callback) => callback(null, filters);
+  return factory;
+}
+
+function ffmpegBinary() {
+  return jest.fn().mockImplementation(() => ({
+    getFFmpegPath: () => '/usr/bin/ffmpeg',
+    getFFprobePath: () => '/usr/bin/ffprobe'
+  }));
+}
+
+module.exports = {
+  fluentFfmpeg,
+  ffmpegBinary
+};
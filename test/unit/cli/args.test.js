@@ -0,0 +1,49 @@
+const { parseArgs, parseList, toCamelCase } = require('../../../src/cli/args');
+
+describe('CLI argument parsing', () => {
+  test('should separate positionals from flags', () => {
+    const { positionals, flags } = parseArgs(['upload', 'video.mp4', '--title', 'My Video', '--json'], {
+      boolean: ['json']
+    });
+
+    expect(positionals).toEqual(['upload', 'video.mp4']);
+    expect(flags).toEqual({ title: 'My Video', json: true });
+  });
+
+  test('should support --key=value and camelCase keys', () => {
+    const { flags } = parseArgs(['--spk-node=https://spktest.dlux.io', '--max-storage', '50']);
+
+    expect(flags.spkNode).toBe('https://spktest.dlux.io');
+    expect(flags.maxStorage).toBe('50');
+  });
+
+  test('should treat --no-x as false', () => {
+    const { flags } = parseArgs(['node', 'start', '--no-sync']);
+
+    expect(flags.sync).toBe(false);
+  });
+
+  test('should not let boolean flags consume the next positional', () => {
+    const { positionals, flags } = parseArgs(['--json', 'status'], { boolean: ['json'] });
+
+    expect(positionals).toEqual(['status']);
+    expect(flags.json).toBe(true);
+  });
+
+  test('should stop parsing flags after --', () => {
+    const { positionals, flags } = parseArgs(['upload', '--', '--weird-name.mp4']);
+
+    expect(positionals).toEqual(['upload', '--weird-name.mp4']);
+    expect(flags).toEqual({});
+  });
+
+  test('should split comma separated lists', () => {
+    expect(parseList('1080p, 720p,,480p')).toEqual(['1080p', '720p', '480p']);
+    expect(parseList(undefined)).toEqual([]);
+    expect(parseList(true)).toEqual([]);
+  });
+
+  test('should convert kebab-case to camelCase', () => {
+    expect(toCamelCase('dry-run')).toBe('dryRun');
+  });
+});
@@ -0,0 +1,88 @@
+const audioProcessing = require('../../../../src/core/ffmpeg/audio-processing');
+
+// Tail of `loudnorm=...:print_format=json` stderr output
+const LOUDNORM_OUTPUT = [
+  '[Parsed_loudnorm_1 @ 0x5581c2a0] ',
+  '{',
+  '\t"input_i" : "-27.61",',
+  '\t"input_tp" : "-4.47",',
+  '\t"input_lra" : "18.06",',
+  '\t"input_thresh" : "-39.20",',
+  '\t"output_i" : "-16.58",',
+  '\t"output_tp" : "-1.50",',
+  '\t"output_lra" : "14.78",',
+  '\t"output_thresh" : "-27.71",',
+  '\t"normalization_type" : "dynamic",',
+  '\t"target_offset" : "0.58"',
+  '}'
+];
+
+describe('Audio processing', () => {
+  test('should resolve defaults and reject targets loudnorm cannot reach', () => {
+    expect(audioProcessing.resolveSettings({ loudnorm: true, downmix: 'none' })).toEqual({
+      loudnorm: true,
+      targetLoudness: -16,
+      truePeak: -1.5,
+      loudnessRange: 11,
+      downmix: null,
+      trimSilence: false,
+      silenceThreshold: -50,
+      minSilence: 1
+    });
+    expect(audioProcessing.isEnabled(audioProcessing.resolveSettings({ downmix: 'mono' }))).toBe(true);
+    expect(audioProcessing.isEnabled(audioProcessing.resolveSettings({}))).toBe(false);
+    expect(() => audioProcessing.resolveSettings({ loudnorm: true, targetLoudness: 0 })).toThrow('between -70 and -5 LUFS');
+  });
+
+  test('should parse the loudnorm measurement and build the second pass', () => {
+    const settings = audioProcessing.resolveSettings({ loudnorm: true, trimSilence: true });
+    expect(audioProcessing.analysisFilters(settings)).toEqual([
+      'silencedetect=noise=-50dB:d=1',
+      'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json'
+    ]);
+
+    const loudness = audioProcessing.parseLoudnorm(LOUDNORM_OUTPUT);
+    expect(loudness).toEqual({ inputI: -27.61, inputTp: -4.47, inputLra: 18.06, inputThresh: -39.2, targetOffset: 0.58 });
+    expect(audioProcessing.buildFilters(settings, loudness)).toEqual([
+      'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-27.61:measured_TP=-4.47:measured_LRA=18.06' +
+        ':measured_thresh=-39.2:offset=0.58:linear=true',
+      'aresample=48000'
+    ]);
+  });
+
+  test('should treat a silent track as unmeasured', () => {
+    const silent = LOUDNORM_OUTPUT.map(line => line.replace('-27.61', '-inf'));
+
+    expect(audioProcessing.parseLoudnorm(silent)).toBeNull();
+    expect(audioProcessing.parseLoudnorm(['size=N/A time=00:00:10.00'])).toBeNull();
+    expect(audioProcessing.buildFilters(audioProcessing.resolveSettings({ loudnorm: true }), null))
+      .toEqual(['loudnorm=I=-16:TP=-1.5:LRA=11', 'aresample=48000']);
+  });
+
+  test('should keep the audible part between leading and trailing silence', () => {
+    const silences = audioProcessing.parseSilences([
+      '[silencedetect @ 0x1] silence_start: 0',
+      '[silencedetect @ 0x1] silence_end: 3.5 | silence_duration: 3.5',
+      '[silencedetect @ 0x1] silence_start: 20.1',
+      '[silencedetect @ 0x1] silence_end: 22.4 | silence_duration: 2.3',
+      '[silencedetect @ 0x1] silence_start: 55.75'
+    ]);
+
+    expect(silences).toEqual([{ start: 0, end: 3.5 }, { start: 20.1, end: 22.4 }, { start: 55.75, end: null }]);
+    expect(audioProcessing.trimRange(silences, 60)).toEqual({ start: 3.25, end: 56 });
+    // Only the pause in the middle: nothing to cut
+    expect(audioProcessing.trimRange([{ start: 20.1, end: 22.4 }], 60)).toBeNull();
+    // Silent throughout: kept whole
+    expect(audioProcessing.trimRange([{ start: 0, end: null }], 60)).toBeNull();
+  });
+
+  test('should combine settings and analysis into a plan', () => {
+    const settings = audioProcessing.resolveSettings({ downmix: 'stereo', trimSilence: true });
+    const plan = audioProcessing.createPlan(settings, { silences: [{ start: 0, end: 2 }] }, 30);
+
+    expect(plan).toMatchObject({ loudness: null, filters: [], channels: 2, trim: { start: 1.75, end: 30 } });
+    expect(audioProcessing.trimmedDuration(plan, 30)).toBe(28.25);
+    expect(audioProcessing.fromSettings({ loudnessNormalization: true, targetLoudness: -23, audioDownmix: 'none' }))
+      .toEqual({ loudnorm: true, targetLoudness: -23, downmix: 'none', trimSilence: false });
+  });
+});
@@ -0,0 +1,28 @@
+const { describeAudioTracks, createMediaTag } = require('../../../../src/core/ffmpeg/audio-tracks');
+
+describe('Audio tracks', () => {
+  test('should give tracks unique ids and name same-language tracks by title', () => {
+    const tracks = describeAudioTracks([
+      { index: 1, language: 'eng', title: 'Main' },
+      { index: 2, language: 'eng', title: 'Commentary' },
+      { index: 3, language: 'fre', title: null, default: true },
+      { index: 4, language: null, title: 'Music only' }
+    ]);
+
+    expect(tracks).toEqual([
+      { id: 'audio_en', index: 1, name: 'English (Main)', language: 'en', default: false },
+      { id: 'audio_en_2', index: 2, name: 'English (Commentary)', language: 'en', default: false },
+      { id: 'audio_fr', index: 3, name: 'French', language: 'fr', default: true },
+      { id: 'audio_und', index: 4, name: 'Music only', language: null, default: false }
+    ]);
+  });
+
+  test('should default to the first track when the source marks none', () => {
+    const tracks = describeAudioTracks([{ index: 1, language: 'en' }, { index: 2, language: 'de' }]);
+
+    expect(tracks.map(track => track.default)).toEqual([true, false]);
+    expect(createMediaTag({ ...tracks[1], channels: 2 }, 'audio_de.m3u8')).toBe(
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="German",LANGUAGE="de",DEFAULT=NO,AUTOSELECT=YES,CHANNELS="2",URI="audio_de.m3u8"'
+    );
+  });
+});
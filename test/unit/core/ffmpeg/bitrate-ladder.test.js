@@ -0,0 +1,79 @@
+const {
+  buildLadder,
+  complexityFromBitsPerPixel,
+  frameRateFactor,
+  REFERENCE_BPP
+} = require('../../../../src/core/ffmpeg/bitrate-ladder');
+
+describe('bitrate ladder', () => {
+  describe('complexityFromBitsPerPixel', () => {
+    test('should treat the reference as average complexity', () => {
+      expect(complexityFromBitsPerPixel(REFERENCE_BPP)).toBe(1);
+    });
+
+    test('should clamp very simple and very complex content', () => {
+      expect(complexityFromBitsPerPixel(0.001)).toBe(0.3);
+      expect(complexityFromBitsPerPixel(10)).toBe(1.6);
+    });
+
+    test('should fall back to average for invalid probes', () => {
+      expect(complexityFromBitsPerPixel(NaN)).toBe(1);
+      expect(complexityFromBitsPerPixel(0)).toBe(1);
+    });
+  });
+
+  describe('buildLadder', () => {
+    test('should include 2160p and 1440p for 4K sources', () => {
+      const rungs = buildLadder({ width: 3840, height: 2160, fps: 30 });
+      expect(rungs.map(r => r.name)).toEqual(['2160p', '1440p', '1080p', '720p']);
+      expect(rungs[0]).toMatchObject({ width: 3840, height: 2160, videoBitrate: '16000k' });
+    });
+
+    test('should not upscale', () => {
+      const rungs = buildLadder({ width: 1280, height: 720, fps: 30 }, { maxRungs: 10 });
+      expect(rungs.map(r => r.name)).toEqual(['720p', '480p', '360p', '240p']);
+    });
+
+    test('should keep portrait orientation and aspect ratio', () => {
+      const rungs = buildLadder({ width: 1080, height: 1920, fps: 30 });
+      expect(rungs[0]).toMatchObject({ name: '1080p', width: 1080, height: 1920, portrait: true });
+      expect(rungs[1]).toMatchObject({ name: '720p', width: 720, height: 1280 });
+    });
+
+    test('should produce even dimensions', () => {
+      const rungs = buildLadder({ width: 1280, height: 544, fps: 24 });
+      for (const rung of rungs) {
+        expect(rung.width % 2).toBe(0);
+        expect(rung.height % 2).toBe(0);
+      }
+    });
+
+    test('should scale bitrate with complexity', () => {
+      const simple = buildLadder({ width: 1920, height: 1080, fps: 30 }, { complexity: 0.5 });
+      const complex = buildLadder({ width: 1920, height: 1080, fps: 30 }, { complexity: 1.5 });
+      expect(simple[0].videoBitrate).toBe('2500k');
+      expect(complex[0].videoBitrate).toBe('7500k');
+    });
+
+    test('should never exceed the source bitrate', () => {
+      const rungs = buildLadder({ width: 1920, height: 1080, fps: 30, bitrate: 2000000, hasAudio: false });
+      expect(parseInt(rungs[0].videoBitrate)).toBeLessThanOrEqual(2000);
+    });
+
+    test('should give tiny sources a single rendition at source size', () => {
+      const rungs = buildLadder({ width: 320, height: 180, fps: 30 });
+      expect(rungs).toHaveLength(1);
+      expect(rungs[0]).toMatchObject({ name: '180p', width: 320, height: 180 });
+    });
+
+    test('should require dimensions', () => {
+      expect(() => buildLadder({})).toThrow('Source dimensions');
+    });
+  });
+
+  test('frameRateFactor should add up to 50% for high frame rates', () => {
+    expect(frameRateFactor(30)).toBe(1);
+    expect(frameRateFactor(60)).toBe(1.5);
+    expect(frameRateFactor(120)).toBe(1.5);
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  getProfile,
+  resolveSegmentFormat,
+  levelFor,
+  codecsFor,
+  encoderOptions,
+  scaleBitrate
+} = require('../../../../src/core/ffmpeg/codec-profiles');
+
+describe('codec profiles', () => {
+  test('should resolve profiles and aliases', () => {
+    expect(getProfile('h264').encoder).toBe('libx264');
+    expect(getProfile('H265').encoder).toBe('libx265');
+    expect(getProfile('av1').encoder).toBe('libsvtav1');
+    expect(getProfile('vp9').encoder).toBe('libvpx-vp9');
+    expect(getProfile().id).toBe('h264');
+    expect(() => getProfile('mpeg2')).toThrow('Unknown codec profile');
+  });
+
+  test('should force fMP4 for codecs that cannot use MPEG-TS', () => {
+    expect(resolveSegmentFormat(getProfile('h264'), 'ts')).toBe('mpegts');
+    expect(resolveSegmentFormat(getProfile('h264'), 'fmp4')).toBe('fmp4');
+    expect(resolveSegmentFormat(getProfile('hevc'), 'ts')).toBe('fmp4');
+    expect(resolveSegmentFormat(getProfile('av1'))).toBe('fmp4');
+  });
+
+  test('should pick levels from frame size and rate', () => {
+    expect(levelFor(1280, 720, 30)).toBe(3.1);
+    expect(levelFor(1920, 1080, 30)).toBe(4.0);
+    expect(levelFor(1920, 1080, 60)).toBe(4.1);
+    expect(levelFor(3840, 2160, 30)).toBe(5.1);
+  });
+
+  test('should build RFC 6381 CODECS strings', () => {
+    expect(codecsFor('h264', { width: 1920, height: 1080 })).toBe('avc1.640028,mp4a.40.2');
+    expect(codecsFor('h264', { width: 1920, height: 1080, fps: 60 })).toBe('avc1.64002a,mp4a.40.2');
+    expect(codecsFor('hevc', { width: 1920, height: 1080 })).toBe('hvc1.1.6.L120.B0,mp4a.40.2');
+    expect(codecsFor('av1', { width: 3840, height: 2160 })).toBe('av01.0.13M.08,mp4a.40.2');
+    expect(codecsFor('vp9', { width: 1280, height: 720, hasAudio: false })).toBe('vp09.00.31.08');
+  });
+
+  test('should encode 1080p60 H.264 at the level its CODECS string advertises', () => {
+    const rendition = { width: 1920, height: 1080, fps: 60 };
+    expect(encoderOptions('h264', rendition)).toEqual(['-profile:v high', '-level:v 4.2']);
+    expect(codecsFor('h264', { ...rendition, hasAudio: false })).toBe('avc1.64002a');
+  });
+
+  test('should scale bitrates by codec efficiency', () => {
+    expect(scaleBitrate('5000k', 0.5)).toBe('2500k');
+    expect(scaleBitrate('5000k', 1)).toBe('5000k');
+    expect(scaleBitrate('150k', 0.5)).toBe('100k');
+  });
+});
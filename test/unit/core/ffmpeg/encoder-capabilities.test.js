@@ -0,0 +1,57 @@
+const { recommendSettings, TARGET_SPEED } = require('../../../../src/core/ffmpeg/encoder-capabilities');
+
+const GB = 1024 * 1024 * 1024;
+
+function run(codec, encoder, preset, speed, ok = true) {
+  return { codec, encoder, preset, speed, ok };
+}
+
+describe('Encoder capabilities', () => {
+  describe('recommendSettings', () => {
+    test('should pick the slowest preset that reaches the target speed', () => {
+      const { presets } = recommendSettings([
+        run('h264', 'libx264', 'veryfast', 9),
+        run('h264', 'libx264', 'faster', 6),
+        run('h264', 'libx264', 'fast', TARGET_SPEED),
+        run('h264', 'libx264', 'medium', 1.4),
+        run('av1', 'libsvtav1', '12', 3),
+        run('av1', 'libsvtav1', '10', 1.1)
+      ], { cpus: 8, totalMemory: 16 * GB });
+
+      expect(presets).toEqual({ h264: 'fast', av1: '12' });
+    });
+
+    test('should fall back to the fastest preset on slow machines', () => {
+      const { presets, concurrency } = recommendSettings([
+        run('hevc', 'libx265', 'veryfast', 0.8),
+        run('hevc', 'libx265', 'fast', 0.3),
+        run('h264', 'libx264', 'veryfast', 0.9),
+        run('h264', 'libx264', 'medium', 0.2)
+      ], { cpus: 16, totalMemory: 32 * GB });
+
+      expect(presets).toEqual({ hevc: 'veryfast', h264: 'veryfast' });
+      // H.264 below realtime: no parallel jobs
+      expect(concurrency).toBe(1);
+    });
+
+    test('should size concurrency by CPU cores and memory', () => {
+      const benchmarks = [run('h264', 'libx264', 'fast', 5)];
+
+      expect(recommendSettings(benchmarks, { cpus: 16, totalMemory: 64 * GB }).concurrency).toBe(4);
+      expect(recommendSettings(benchmarks, { cpus: 16, totalMemory: 4 * GB }).concurrency).toBe(2);
+      expect(recommendSettings(benchmarks, { cpus: 32, totalMemory: 128 * GB }).concurrency).toBe(4);
+      expect(recommendSettings(benchmarks, { cpus: 2, totalMemory: 8 * GB }).concurrency).toBe(1);
+    });
+
+    test('should recommend only what renditions are encoded with', () => {
+      const recommended = recommendSettings([
+        run('h264', 'h264_nvenc', 'p1', 14),
+        run('h264', 'libx264', 'medium', 0.5, false),
+        run('vp9', 'libvpx-vp9', null, 1.5)
+      ], { cpus: 4, totalMemory: 8 * GB });
+
+      // Renditions use the software encoders; VP9 speed comes from its profile, with no preset to recommend
+      expect(recommended).toEqual({ presets: {}, concurrency: 1 });
+    });
+  });
+});
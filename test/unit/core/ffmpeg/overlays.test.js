@@ -0,0 +1,80 @@
+const path = require('path');
+const overlays = require('../../../../src/core/ffmpeg/overlays');
+
+describe('Overlays', () => {
+  test('should fill in preset defaults and reject invalid layers', () => {
+    const preset = overlays.normalizePreset({
+      id: 'brand',
+      name: 'Brand',
+      watermark: { path: '/brand/logo.png', position: 'top-right', opacity: '0.5', scale: '' },
+      text: { text: '  ' },
+      outro: '/brand/outro.mp4'
+    });
+
+    expect(preset).toEqual({
+      id: 'brand',
+      name: 'Brand',
+      watermark: { path: path.resolve('/brand/logo.png'), position: 'top-right', opacity: 0.5, scale: 0.15, margin: 0.03 },
+      text: null,
+      intro: null,
+      outro: path.resolve('/brand/outro.mp4')
+    });
+    expect(overlays.hasLayers(preset)).toBe(true);
+    expect(overlays.hasLayers({ intro: '/brand/intro.mp4' })).toBe(false);
+
+    expect(() => overlays.normalizePreset({ watermark: { path: '/logo.png', position: 'middle' } })).toThrow('position must be one of');
+    expect(() => overlays.normalizePreset({ watermark: { path: '/logo.png', opacity: 2 } })).toThrow('opacity must be between 0 and 1');
+    expect(() => overlays.normalizePreset({ text: { text: 'Hi', color: 'red; rm' } })).toThrow('Invalid text color');
+  });
+
+  test('should pick presets from settings by id or name', () => {
+    const settings = {
+      overlayPresets: [{ id: 'brand', name: 'Brand' }, { id: 'podcast', name: 'Podcast Intro' }],
+      overlayPreset: 'brand'
+    };
+
+    expect(overlays.fromSettings(settings).id).toBe('brand');
+    expect(overlays.fromSettings(settings, 'podcast intro').id).toBe('podcast');
+    expect(overlays.fromSettings(settings, 'none')).toBeNull();
+    expect(overlays.fromSettings({ ...settings, overlayPreset: '' })).toBeNull();
+    expect(() => overlays.fromSettings(settings, 'missing')).toThrow('Overlay preset not found: missing');
+    expect(overlays.presetId('Brand!', settings.overlayPresets)).toBe('brand-2');
+  });
+
+  test('should place the watermark with scale2ref and draw text from a file', () => {
+    const plan = {
+      ...overlays.normalizePreset({
+        watermark: { path: '/logo.png' },
+        text: { text: 'oratr.io', position: 'top-left', color: '#ffcc00' }
+      }),
+      textFile: 'C:\\work\\overlay.txt'
+    };
+
+    expect(overlays.buildGraph(plan, { filters: ['crop=606:1080:657:0', 'scale=w=406:h=720'] })).toEqual([
+      '[1:v]format=rgba,colorchannelmixer=aa=0.8[wmsrc]',
+      '[0:v]crop=606:1080:657:0,scale=w=406:h=720[base]',
+      '[wmsrc][base]scale2ref=w=main_w*0.15:h=ow/a[wm][ref]',
+      '[ref][wm]overlay=W-w-W*0.03:H-h-H*0.03,' +
+        'drawtext=textfile=\'C\\:/work/overlay.txt\':expansion=none:fontsize=h*0.045:fontcolor=#ffcc00@0.9' +
+        ':box=1:boxcolor=black@0.4:boxborderw=8:x=W*0.03:y=H*0.03[vout]'
+    ]);
+
+    const textOnly = { ...plan, watermark: null, text: { ...plan.text, position: 'center', box: false } };
+    expect(overlays.buildGraph(textOnly, { output: 'main' })).toEqual([
+      '[0:v]drawtext=textfile=\'C\\:/work/overlay.txt\':expansion=none:fontsize=h*0.045:fontcolor=#ffcc00@0.9' +
+        ':x=(W-tw)/2:y=(H-th)/2[main]'
+    ]);
+  });
+
+  test('should add intro and outro around the edit clips', () => {
+    const plan = { intro: '/brand/intro.mp4', outro: '/brand/outro.mp4' };
+
+    expect(overlays.withClips(null, plan)).toEqual({ prepend: ['/brand/intro.mp4'], append: ['/brand/outro.mp4'] });
+    expect(overlays.withClips({ in: 5, append: ['/b.mp4'] }, plan)).toEqual({
+      in: 5,
+      prepend: ['/brand/intro.mp4'],
+      append: ['/b.mp4', '/brand/outro.mp4']
+    });
+    expect(overlays.withClips({ in: 5 }, { watermark: {} })).toEqual({ in: 5 });
+  });
+});
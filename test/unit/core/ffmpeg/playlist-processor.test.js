@@ -100,6 +100,26 @@ segment_001.ts
       expect(rewritten).toBe('https://ipfs.dlux.io/ipfs/QmHash1?filename=my_video_segment_000.ts');
     });
 
+    test('should rewrite the fMP4 init segment in EXT-X-MAP', () => {
+      const m3u8Content = `#EXTM3U
+#EXT-X-VERSION:7
+#EXT-X-TARGETDURATION:10
+#EXT-X-MAP:URI="720p_init.mp4"
+#EXTINF:10.0,
+720p_segment_000.m4s
+#EXT-X-ENDLIST`;
+
+      const segmentHashes = {
+        '720p_init.mp4': 'QmInit',
+        '720p_segment_000.m4s': 'QmSeg0'
+      };
+
+      const rewritten = processor.rewritePlaylistWithIPFS(m3u8Content, segmentHashes);
+
+      expect(rewritten).toContain('#EXT-X-MAP:URI="https://ipfs.dlux.io/ipfs/QmInit?filename=720p_init.mp4"');
+      expect(rewritten).toContain('https://ipfs.dlux.io/ipfs/QmSeg0?filename=720p_segment_000.m4s');
+    });
+
     test('should handle absolute URLs in playlists', () => {
       const m3u8Content = `#EXTM3U
 #EXTINF:10.0,
@@ -183,6 +203,70 @@ segment_001.ts`;
       expect(master).toContain('https://ipfs.dlux.io/ipfs/QmHash1080p?filename=1080p.m3u8');
     });
 
+    test('should add CODECS and version 7 for fMP4 renditions', () => {
+      const master = processor.createMasterPlaylist([
+        {
+          resolution: '1080p',
+          width: 1920,
+          height: 1080,
+          bandwidth: 3000000,
+          codecs: 'hvc1.1.6.L120.B0,mp4a.40.2',
+          segmentFormat: 'fmp4',
+          filename: '1080p.m3u8'
+        }
+      ]);
+
+      expect(master).toContain('#EXT-X-VERSION:7');
+      expect(master).toContain('BANDWIDTH=3000000,RESOLUTION=1920x1080,CODECS="hvc1.1.6.L120.B0,mp4a.40.2"');
+    });
+
+    test('should add a subtitles group and round-trip it through the parser', () => {
+      const master = processor.createMasterPlaylist([
+        { resolution: '720p', width: 1280, height: 720, bandwidth: 2500000, filename: '720p.m3u8', hash: 'QmHash720' }
+      ], {
+        subtitles: [
+          { name: 'English', language: 'en', default: true, filename: 'subs_en.m3u8', hash: 'QmSubsEn' }
+        ]
+      });
+
+      expect(master).toContain(
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,' +
+        'URI="https://ipfs.dlux.io/ipfs/QmSubsEn?filename=subs_en.m3u8"'
+      );
+
+      const parsed = processor.parseMasterPlaylist(master);
+      expect(parsed.variants[0].subtitles).toBe('subs');
+      expect(parsed.media).toEqual([expect.objectContaining({
+        type: 'SUBTITLES',
+        groupId: 'subs',
+        language: 'en',
+        default: true,
+        uri: 'https://ipfs.dlux.io/ipfs/QmSubsEn?filename=subs_en.m3u8'
+      })]);
+    });
+
+    test('should add an audio group and count it in variant bandwidth', () => {
+      const master = processor.createMasterPlaylist([
+        { resolution: '720p', width: 1280, height: 720, bandwidth: 2500000, filename: '720p.m3u8', hash: 'QmHash720' }
+      ], {
+        audio: [
+          { name: 'English', language: 'en', default: true, channels: 2, bandwidth: 128000, filename: 'audio_en.m3u8', hash: 'QmAudioEn' },
+          { name: 'Spanish', language: 'es', channels: 2, bandwidth: 96000, filename: 'audio_es.m3u8' }
+        ]
+      });
+
+      expect(master).toContain('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",' +
+        'URI="https://ipfs.dlux.io/ipfs/QmAudioEn?filename=audio_en.m3u8"');
+      expect(master).toContain('#EXT-X-STREAM-INF:BANDWIDTH=2628000,RESOLUTION=1280x720,AUDIO="audio"');
+
+      const parsed = processor.parseMasterPlaylist(master);
+      expect(parsed.variants[0].audio).toBe('audio');
+      expect(parsed.media.map(media => [media.type, media.language, media.channels])).toEqual([
+        ['AUDIO', 'en', '2'],
+        ['AUDIO', 'es', '2']
+      ]);
+    });
+
     test('should sort resolutions by bandwidth in master playlist', () => {
       const resolutions = [
         { resolution: '480p', bandwidth: 1000000, width: 854, height: 480, filename: '480p.m3u8', hash: 'QmHash480' },
@@ -0,0 +1,120 @@
+const path = require('path');
+const preprocessing = require('../../../../src/core/ffmpeg/preprocessing');
+
+describe('Preprocessing', () => {
+  test('should parse times as seconds or clock values', () => {
+    expect(preprocessing.parseTime('90')).toBe(90);
+    expect(preprocessing.parseTime('12.5')).toBe(12.5);
+    expect(preprocessing.parseTime('1:30')).toBe(90);
+    expect(preprocessing.parseTime('01:02:03.5')).toBe(3723.5);
+    expect(preprocessing.parseTime('')).toBeNull();
+    expect(() => preprocessing.parseTime('1m30s')).toThrow('Invalid time');
+  });
+
+  test('should normalize edits into clips and reject odd rotations', () => {
+    const edit = preprocessing.normalizeEdit('/videos/main.mp4', {
+      in: '0:05',
+      out: 60,
+      append: ['/videos/outro.mp4', { path: '/videos/extra.mp4', out: '10' }],
+      crop: '1280x720+320+0',
+      rotate: -90
+    });
+
+    expect(edit.clips).toEqual([
+      { path: path.resolve('/videos/main.mp4'), in: 5, out: 60 },
+      { path: path.resolve('/videos/outro.mp4'), in: null, out: null },
+      { path: path.resolve('/videos/extra.mp4'), in: null, out: 10 }
+    ]);
+    expect(edit.crop).toEqual({ width: 1280, height: 720, x: 320, y: 0 });
+    expect(edit.rotate).toBe(270);
+    expect(() => preprocessing.normalizeEdit('/videos/main.mp4', { rotate: 45 })).toThrow('multiple of 90');
+    expect(() => preprocessing.parseCrop('wide')).toThrow('Invalid crop');
+
+    expect(preprocessing.hasEdits({ crop: 'none', rotate: '0', append: [] })).toBe(false);
+    expect(preprocessing.hasEdits({ rotate: '180' })).toBe(true);
+  });
+
+  test('should resolve clip ranges against their durations', () => {
+    const clips = preprocessing.resolveClips(
+      [{ path: '/a.mp4', in: 5, out: null }, { path: '/b.mp4', in: null, out: 90 }],
+      [{ duration: 60 }, { duration: 30 }]
+    );
+
+    expect(clips).toEqual([
+      { path: '/a.mp4', in: 5, out: 60, duration: 55 },
+      { path: '/b.mp4', in: 0, out: 30, duration: 30 }
+    ]);
+    expect(() => preprocessing.resolveClips([{ path: '/a.mp4', in: 70, out: null }], [{ duration: 60 }]))
+      .toThrow('a.mp4: out point (60s) must be after the in point (70s)');
+  });
+
+  test('should only join clips with matching formats without re-encoding', () => {
+    const base = { codec: 'h264', width: 1920, height: 1080, fps: 29.97, hasAudio: true, audioCodec: 'aac', audioStreams: [{ channels: 2 }] };
+
+    expect(preprocessing.clipsCompatible([base, { ...base, fps: 29.9700003 }])).toBe(true);
+    expect(preprocessing.clipsCompatible([base, { ...base, width: 1280, height: 720 }])).toBe(false);
+    expect(preprocessing.clipsCompatible([base, { ...base, audioStreams: [{ channels: 6 }] }])).toBe(false);
+  });
+
+  test('should centre aspect ratio crops and rotate after cropping', () => {
+    expect(preprocessing.cropRect({ aspect: '1:1' }, 1920, 1080)).toEqual({ width: 1080, height: 1080, x: 420, y: 0 });
+    expect(preprocessing.cropRect({ aspect: '16:9' }, 1080, 1920)).toEqual({ width: 1080, height: 606, x: 0, y: 657 });
+    expect(() => preprocessing.cropRect({ width: 1280, height: 720, x: 800, y: 0 }, 1920, 1080)).toThrow('does not fit');
+
+    const rect = preprocessing.cropRect({ aspect: '9:16' }, 1920, 1080);
+    expect(preprocessing.videoFilters(rect, 90)).toEqual(['crop=606:1080:657:0', 'transpose=1']);
+    expect(preprocessing.videoFilters(null, 180)).toEqual(['hflip', 'vflip']);
+    expect(preprocessing.outputDimensions(rect, 270)).toEqual({ width: 1080, height: 606 });
+  });
+
+  test('should write ffconcat lists and letterboxing concat graphs', () => {
+    expect(preprocessing.createConcatList([
+      { file: 'clip_000.mp4', in: 5, out: 60, duration: 55, origin: '/videos/a.mp4 1000 1700000000000' },
+      { file: 'clip_001.mp4', in: 0, out: 30, duration: 30 }
+    ])).toBe([
+      'ffconcat version 1.0',
+      '# /videos/a.mp4 1000 1700000000000',
+      'file clip_000.mp4',
+      'inpoint 5',
+      'outpoint 60',
+      'duration 55',
+      'file clip_001.mp4',
+      'outpoint 30',
+      'duration 30',
+      ''
+    ].join('\n'));
+
+    const graph = preprocessing.concatFilterGraph(
+      [{ duration: 10, hasAudio: true }, { duration: 4, hasAudio: false }],
+      { width: 1280, height: 720, fps: 30 }
+    );
+    expect(graph.filters).toEqual([
+      '[0:v:0]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v0]',
+      '[0:a:0]aresample=48000,aformat=channel_layouts=stereo[a0]',
+      '[1:v:0]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v1]',
+      'aevalsrc=0:c=stereo:s=48000:d=4[a1]',
+      '[v0][a0][v1][a1]concat=n=2:v=1:a=1[outv][outa]'
+    ]);
+    expect(graph).toMatchObject({ video: 'outv', audio: 'outa' });
+  });
+
+  test('should map a silence trim onto the first clip for captions', () => {
+    const plan = { clips: [{ in: 5, out: 60 }, { in: 0, out: 30 }] };
+
+    expect(preprocessing.captionWindow(null, null)).toBeNull();
+    expect(preprocessing.captionWindow(plan, null)).toEqual({ start: 5, end: 60 });
+    expect(preprocessing.captionWindow(plan, { start: 2, end: 80 })).toEqual({ start: 7, end: 60 });
+  });
+
+  test('should offset captions past clips joined before the main video', () => {
+    const edit = preprocessing.normalizeEdit('/videos/main.mp4', { in: 5, prepend: ['/videos/intro.mp4'] });
+    expect(edit.main).toBe(1);
+    expect(edit.clips.map(clip => clip.path)).toEqual([path.resolve('/videos/intro.mp4'), path.resolve('/videos/main.mp4')]);
+    expect(preprocessing.hasEdits({ prepend: ['/videos/intro.mp4'] })).toBe(true);
+
+    const plan = { main: 1, clips: [{ in: 0, out: 10, duration: 10 }, { in: 5, out: 60, duration: 55 }] };
+    expect(preprocessing.captionWindow(plan, null)).toEqual({ start: 5, end: 60, offset: 10 });
+    expect(preprocessing.captionWindow(plan, { start: 2, end: 50 })).toEqual({ start: 5, end: 45, offset: 8 });
+    expect(preprocessing.captionWindow(plan, { start: 15, end: 50 })).toEqual({ start: 10, end: 45 });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  parseCues,
+  segmentCues,
+  createSubtitlePlaylist,
+  formatTimestamp,
+  normalizeLanguage,
+  languageFromFilename,
+  createMediaTag
+} = require('../../../../src/core/ffmpeg/subtitles');
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,500
+Hello there
+
+2
+00:00:08,250 --> 00:00:12,000
+Spanning
+two segments
+
+3
+00:00:21,000 --> 00:00:22,000
+Last line
+`;
+
+describe('Subtitles', () => {
+  describe('parseCues', () => {
+    test('should parse SRT cues with multi-line text', () => {
+      const cues = parseCues(SRT);
+
+      expect(cues).toHaveLength(3);
+      expect(cues[1]).toEqual({ start: 8.25, end: 12, text: 'Spanning\ntwo segments' });
+    });
+
+    test('should parse WebVTT with identifiers, cue settings, notes and CRLF', () => {
+      const vtt = '\uFEFFWEBVTT\r\n\r\nNOTE translated by hand\r\n\r\nintro\r\n00:05.000 --> 00:07.000 align:start line:0\r\nBonjour\r\n';
+
+      expect(parseCues(vtt)).toEqual([{ start: 5, end: 7, text: 'Bonjour' }]);
+    });
+  });
+
+  describe('segmentCues', () => {
+    test('should cover the whole video and repeat cues that span a boundary', () => {
+      const segments = segmentCues(parseCues(SRT), { duration: 25, segmentFormat: 'ts' });
+
+      expect(segments.map(seg => seg.duration)).toEqual([10, 10, 5]);
+      expect(segments[0].content).toContain('X-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000');
+      expect(segments[0].content).toContain('00:00:08.250 --> 00:00:12.000\nSpanning');
+      expect(segments[1].content).toContain('00:00:08.250 --> 00:00:12.000\nSpanning');
+      expect(segments[1].content).not.toContain('Hello there');
+      expect(segments[2].content).toContain('Last line');
+    });
+
+    test('should map fMP4 timelines from zero', () => {
+      const [segment] = segmentCues([], { duration: 4, segmentFormat: 'fmp4' });
+
+      expect(segment.content).toBe('WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n');
+    });
+  });
+
+  test('should write a VOD playlist for the segments', () => {
+    const playlist = createSubtitlePlaylist([
+      { filename: 'subs_en_segment_000.vtt', duration: 10 },
+      { filename: 'subs_en_segment_001.vtt', duration: 2.5 }
+    ]);
+
+    expect(playlist).toContain('#EXT-X-TARGETDURATION:10');
+    expect(playlist).toContain('#EXTINF:2.500,\nsubs_en_segment_001.vtt');
+    expect(playlist.trim().endsWith('#EXT-X-ENDLIST')).toBe(true);
+  });
+
+  test('should normalize languages and build EXT-X-MEDIA tags', () => {
+    expect(formatTimestamp(3723.5)).toBe('01:02:03.500');
+    expect(normalizeLanguage('eng')).toBe('en');
+    expect(normalizeLanguage('und')).toBeNull();
+    expect(languageFromFilename('/videos/movie.pt-BR.srt')).toBe('pt-BR');
+    expect(languageFromFilename('/videos/movie.srt')).toBeNull();
+
+    expect(createMediaTag({ language: 'fr', forced: true }, 'subs_fr.m3u8')).toBe(
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="French",LANGUAGE="fr",DEFAULT=NO,AUTOSELECT=YES,FORCED=YES,URI="subs_fr.m3u8"'
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  parseSceneTimes,
+  candidateTimestamps,
+  scoreFrame,
+  selectCandidates
+} = require('../../../../src/core/ffmpeg/thumbnail-candidates');
+
+// width x height grayscale frame from a pixel function
+function frame(width, height, pixel) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = pixel(x, y);
+    }
+  }
+  return pixels;
+}
+
+describe('Thumbnail candidates', () => {
+  test('should read scene change times from showinfo output', () => {
+    expect(parseSceneTimes([
+      '[Parsed_showinfo_2 @ 0x55] n:   0 pts:  12012 pts_time:12.012  duration:1001',
+      'frame=  120 fps=0.0 q=-0.0 size=N/A time=00:00:05.00',
+      '[Parsed_showinfo_2 @ 0x55] n:   1 pts:  45045 pts_time:45.045  duration:1001'
+    ])).toEqual([12.012, 45.045]);
+  });
+
+  test('should merge scene changes with samples inside the lead-in and lead-out', () => {
+    const candidates = candidateTimestamps(100, [0.2, 30, 30.4, 97], { samples: 4 });
+
+    // 0.2 s and 97 s fall in the skipped fade-in and credits
+    expect(candidates).toEqual([
+      { timestamp: 13.625, scene: false },
+      { timestamp: 30.5, scene: true },
+      { timestamp: 36.875, scene: false },
+      { timestamp: 60.125, scene: false },
+      { timestamp: 83.375, scene: false }
+    ]);
+    expect(candidateTimestamps(0)).toEqual([{ timestamp: 0, scene: false }]);
+  });
+
+  test('should rank detailed, well exposed frames above black, flat and blurry ones', () => {
+    const black = scoreFrame(frame(32, 18, () => 4), 32, 18);
+    const flat = scoreFrame(frame(32, 18, () => 128), 32, 18);
+    const blurry = scoreFrame(frame(32, 18, x => 60 + x * 4), 32, 18);
+    const detailed = scoreFrame(frame(32, 18, (x, y) => ((x + y) % 2 ? 200 : 60)), 32, 18);
+
+    expect(black.brightness).toBe(4);
+    expect(blurry.sharpness).toBe(0);
+    expect(detailed.score).toBeGreaterThan(blurry.score);
+    expect(blurry.score).toBeGreaterThan(flat.score);
+    expect(flat.score).toBeGreaterThan(black.score);
+    expect(scoreFrame(Buffer.alloc(10), 32, 18).score).toBe(0);
+  });
+
+  test('should spread picks out and fill up when spacing leaves too few', () => {
+    const scored = [
+      { timestamp: 10, score: 0.9 },
+      { timestamp: 11, score: 0.85 },
+      { timestamp: 40, score: 0.5 },
+      { timestamp: 70, score: 0.2 }
+    ];
+
+    expect(selectCandidates(scored, 3, 5).map(c => c.timestamp)).toEqual([10, 40, 70]);
+    expect(selectCandidates(scored, 4, 50).map(c => c.timestamp)).toEqual([10, 70, 11, 40]);
+  });
+});
@@ -0,0 +1,33 @@
+const { planSpriteSheets, createThumbnailTrack } = require('../../../../src/core/ffmpeg/thumbnail-track');
+
+describe('Thumbnail track', () => {
+  test('should size tiles by aspect ratio and count frames and sheets', () => {
+    expect(planSpriteSheets({ duration: 1003, width: 1920, height: 1080 })).toEqual({
+      interval: 5,
+      duration: 1003,
+      tileWidth: 160,
+      tileHeight: 90,
+      columns: 10,
+      rows: 10,
+      frames: 201,
+      sheets: 3
+    });
+
+    // Portrait source, custom grid
+    const plan = planSpriteSheets({ duration: 30, width: 1080, height: 1920 }, { interval: 2, width: 120, columns: 4, rows: 2 });
+    expect(plan).toMatchObject({ tileWidth: 120, tileHeight: 214, frames: 15, sheets: 2 });
+  });
+
+  test('should map each interval to its tile', () => {
+    const plan = planSpriteSheets({ duration: 12, width: 1280, height: 720 }, { interval: 4, columns: 2, rows: 1 });
+
+    const track = createThumbnailTrack(plan, filename => `https://gw/ipfs/Qm${filename}`);
+
+    expect(track).toBe([
+      'WEBVTT',
+      '00:00:00.000 --> 00:00:04.000\nhttps://gw/ipfs/Qmsprite_000.jpg#xywh=0,0,160,90',
+      '00:00:04.000 --> 00:00:08.000\nhttps://gw/ipfs/Qmsprite_000.jpg#xywh=160,0,160,90',
+      '00:00:08.000 --> 00:00:12.000\nhttps://gw/ipfs/Qmsprite_001.jpg#xywh=0,0,160,90'
+    ].join('\n\n') + '\n');
+  });
+});
@@ -0,0 +1,150 @@
+// Records the fluent-ffmpeg commands built by the transcoder. Analysis passes
+// (`-f null` with an `-af` chain) print silencedetect and loudnorm output;
+// stream 0:2 measures quieter than the rest.
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  probe: () => ({
+    format: { duration: 30, size: 1000, bit_rate: 500000, format_name: 'matroska,webm' },
+    streams: [
+      { index: 0, codec_type: 'video', codec_name: 'h264', width: 1280, height: 720, r_frame_rate: '24/1' },
+      { index: 1, codec_type: 'audio', codec_name: 'ac3', channels: 6, tags: { language: 'eng' }, disposition: { default: 1 } },
+      { index: 2, codec_type: 'audio', codec_name: 'aac', channels: 2, tags: { language: 'spa' }, disposition: { default: 0 } }
+    ]
+  }),
+  save: (command) => {
+    if (command.options.includes('-f null')) {
+      const quiet = command.options.includes('-map 0:2');
+      const lines = [];
+      if (command.options.some(option => option.includes('silencedetect'))) {
+        lines.push(
+          '[silencedetect @ 0x1] silence_start: 0',
+          '[silencedetect @ 0x1] silence_end: 3.5 | silence_duration: 3.5',
+          '[silencedetect @ 0x1] silence_start: 26.75'
+        );
+      }
+      if (command.options.some(option => option.includes('loudnorm'))) {
+        lines.push(
+          '[Parsed_loudnorm_1 @ 0x2] ',
+          'size=N/A time=00:00:30.00 bitrate=N/A speed= 250x',
+          '{',
+          `\t"input_i" : "${quiet ? '-31.20' : '-24.00'}",`,
+          '\t"input_tp" : "-3.10",',
+          '\t"input_lra" : "7.50",',
+          '\t"input_thresh" : "-34.40",',
+          '\t"target_offset" : "-0.20"',
+          '}'
+        );
+      }
+      lines.forEach(line => command.emit('stderr', line));
+    }
+    command.emit('end');
+  }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+const LOUDNORM_SECOND_PASS = 'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-24:measured_TP=-3.1:measured_LRA=7.5' +
+  ':measured_thresh=-34.4:offset=-0.2:linear=true';
+
+describe('Transcoder audio processing', () => {
+  let transcoder;
+  let outputDir;
+  let videoPath;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-loudness-'));
+    videoPath = path.join(outputDir, 'input.mkv');
+    await fs.writeFile(videoPath, 'video');
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should measure loudness and silence in one audio-only pass', async () => {
+    const plan = await transcoder.prepareAudioProcessing(videoPath, { loudnorm: true, trimSilence: true });
+
+    const analysis = mockCommands[0];
+    expect(analysis.options).toEqual([
+      '-map 0:a:0',
+      '-vn',
+      '-sn',
+      '-af silencedetect=noise=-50dB:d=1,loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json',
+      '-f null'
+    ]);
+    expect(plan.loudness).toEqual({ inputI: -24, inputTp: -3.1, inputLra: 7.5, inputThresh: -34.4, targetOffset: -0.2 });
+    expect(plan.filters).toEqual([LOUDNORM_SECOND_PASS, 'aresample=48000']);
+    expect(plan.trim).toEqual({ start: 3.25, end: 27 });
+  });
+
+  test('should skip analysis when only downmixing and return null when nothing is on', async () => {
+    const metadata = await transcoder.analyzeVideo(videoPath);
+    mockCommands.length = 0;
+
+    expect(await transcoder.prepareAudioProcessing(videoPath, {}, { metadata })).toBeNull();
+    const plan = await transcoder.prepareAudioProcessing(videoPath, { downmix: 'mono' }, { metadata });
+
+    expect(mockCommands).toHaveLength(0);
+    expect(plan).toMatchObject({ filters: [], channels: 1, trim: null });
+  });
+
+  test('should apply the gain, downmix and trim to every rendition', async () => {
+    const plan = await transcoder.prepareAudioProcessing(videoPath, { loudnorm: true, downmix: 'stereo', trimSilence: true });
+    mockCommands.length = 0;
+
+    await transcoder.transcodeToMultipleResolutions(videoPath, outputDir, ['720p', '480p'], {
+      singlePass: true,
+      audioProcessing: plan
+    });
+
+    expect(mockCommands).toHaveLength(1);
+    const [command] = mockCommands;
+    expect(command.calls).toContainEqual(['seekInput', 3.25]);
+    expect(command.options.filter(option => option === `-af ${LOUDNORM_SECOND_PASS},aresample=48000`)).toHaveLength(2);
+    expect(command.options.filter(option => option === '-ac 2')).toHaveLength(2);
+    expect(command.options.filter(option => option === '-t 23.75')).toHaveLength(2);
+  });
+
+  test('should measure each separate audio rendition on its own', async () => {
+    const metadata = await transcoder.analyzeVideo(videoPath);
+    const plan = await transcoder.prepareAudioProcessing(videoPath, { loudnorm: true }, { metadata });
+    mockCommands.length = 0;
+
+    const results = await transcoder.transcodeToMultipleResolutions(videoPath, outputDir, ['720p'], {
+      audioTracks: metadata.audioStreams,
+      audioProcessing: plan
+    });
+
+    const [video, englishAnalysis, english, spanishAnalysis, spanish] = mockCommands;
+    expect(video.options).toContain('-an');
+    expect(video.options.some(option => option.startsWith('-af'))).toBe(false);
+    expect(englishAnalysis.options).toContain('-map 0:1');
+    expect(english.options).toContain(`-af ${LOUDNORM_SECOND_PASS},aresample=48000`);
+    expect(spanishAnalysis.options).toContain('-map 0:2');
+    expect(spanish.options.find(option => option.startsWith('-af'))).toContain('measured_I=-31.2');
+    expect(results.audio_es).toMatchObject({ type: 'audio', channels: 2 });
+  });
+
+  test('should move subtitle cues onto the trimmed timeline', async () => {
+    const captions = path.join(outputDir, 'captions.en.srt');
+    await fs.writeFile(captions, '1\n00:00:01,000 --> 00:00:02,000\nLost\n\n2\n00:00:05,000 --> 00:00:07,000\nHello\n');
+
+    const [track] = await transcoder.createSubtitleTracks(videoPath, path.join(outputDir, 'subtitles'), {
+      files: [{ path: captions }],
+      duration: 23.75,
+      trim: { start: 3.25, end: 27 }
+    });
+
+    expect(track.cueCount).toBe(1);
+    const segment = await fs.readFile(track.segments[0].path, 'utf-8');
+    expect(segment).toContain('00:00:01.750 --> 00:00:03.750\nHello');
+    expect(track.segments).toHaveLength(3);
+  });
+});
@@ -0,0 +1,85 @@
+// Records the fluent-ffmpeg commands built by the transcoder and finishes
+// them without running FFmpeg
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  probe: () => ({
+    format: { duration: 30, size: 1000, bit_rate: 500000, format_name: 'matroska,webm' },
+    streams: [
+      { index: 0, codec_type: 'video', codec_name: 'h264', width: 1280, height: 720, r_frame_rate: '24/1' },
+      { index: 1, codec_type: 'audio', codec_name: 'ac3', channels: 6, tags: { language: 'eng' }, disposition: { default: 1 } },
+      { index: 2, codec_type: 'audio', codec_name: 'aac', channels: 2, tags: { language: 'spa', title: 'Doblaje' }, disposition: { default: 0 } }
+    ]
+  })
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder audio tracks', () => {
+  let transcoder;
+  let outputDir;
+  let videoPath;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-audio-'));
+    videoPath = path.join(outputDir, 'input.mkv');
+    await fs.writeFile(videoPath, 'video');
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should list every audio stream with its language', async () => {
+    const metadata = await transcoder.analyzeVideo(videoPath);
+
+    expect(metadata.audioStreams).toEqual([
+      { index: 1, codec: 'ac3', language: 'en', title: null, channels: 6, default: true },
+      { index: 2, codec: 'aac', language: 'es', title: 'Doblaje', channels: 2, default: false }
+    ]);
+  });
+
+  test('should encode video without audio and one rendition per audio stream', async () => {
+    const metadata = await transcoder.analyzeVideo(videoPath);
+
+    const results = await transcoder.transcodeToMultipleResolutions(videoPath, outputDir, ['720p', '480p'], {
+      audioTracks: metadata.audioStreams
+    });
+
+    const [video720, video480, english, spanish] = mockCommands;
+    expect(video720.options).toContain('-an');
+    expect(video720.calls.some(([method]) => method === 'audioCodec')).toBe(false);
+    expect(video480.options).toContain('-an');
+    expect(english.options).toEqual(expect.arrayContaining(['-map 0:1', '-vn', '-c:a aac', '-b:a 128k', '-ac 2']));
+    expect(spanish.options).toContain('-map 0:2');
+
+    expect(Object.keys(results)).toEqual(['720p', '480p', 'audio_en', 'audio_es']);
+    expect(results.audio_en).toMatchObject({ type: 'audio', language: 'en', default: true, codecs: 'mp4a.40.2' });
+    expect(results.audio_en.playlistPath).toBe(path.join(outputDir, 'audio_en', 'audio_en.m3u8'));
+
+    const master = await transcoder.createMasterPlaylist(results);
+    expect(master).toContain('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",LANGUAGE="en",DEFAULT=YES');
+    expect(master).toContain('NAME="Spanish",LANGUAGE="es",DEFAULT=NO');
+    // 720p video at 2500k plus the 128k audio rendition
+    expect(master).toContain('#EXT-X-STREAM-INF:BANDWIDTH=2628000,RESOLUTION=1280x720');
+    expect(master).toMatch(/AUDIO="audio"\n.*720p\.m3u8/);
+    expect(master.split('\n').filter(line => line.startsWith('#EXT-X-STREAM-INF'))).toHaveLength(2);
+  });
+
+  test('should keep audio muxed in single-pass output when there is one stream', async () => {
+    await transcoder.transcodeToMultipleResolutions(videoPath, outputDir, ['720p', '480p'], {
+      singlePass: true,
+      audioTracks: [{ index: 1, language: 'en' }]
+    });
+
+    expect(mockCommands).toHaveLength(1);
+    expect(mockCommands[0].options).toEqual(expect.arrayContaining(['-map 0:a:0?', '-c:a aac']));
+    expect(mockCommands[0].options).not.toContain('-an');
+  });
+});
@@ -0,0 +1,52 @@
+// Fakes an FFmpeg build with x264, NVENC and the usual filters
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  encoders: { libx264: {}, h264_nvenc: {}, aac: {} },
+  filters: { scale: {}, split: {}, fps: {} }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder encoder benchmark', () => {
+  let transcoder;
+
+  beforeEach(() => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+  });
+
+  test('should enumerate software and hardware encoders and required filters', async () => {
+    const capabilities = await transcoder.probeCapabilities();
+
+    expect(capabilities.software).toEqual({ h264: true, hevc: false, av1: false, vp9: false });
+    expect(capabilities.hardware.h264).toEqual(['h264_nvenc']);
+    expect(capabilities.filters).toEqual({ scale: true, split: true, fps: true, thumbnail: false });
+  });
+
+  test('should benchmark every software preset and recommend settings', async () => {
+    const progress = [];
+    transcoder.on('benchmark-progress', event => progress.push(event));
+
+    const result = await transcoder.runBenchmark();
+
+    // NVENC is listed by the probe but renditions are never encoded with it
+    expect(mockCommands.map(command => command.encoder)).toEqual(['libx264', 'libx264', 'libx264', 'libx264']);
+    expect(mockCommands[0].inputs[0]).toBe('testsrc2=size=1280x720:rate=30');
+    expect(mockCommands[0].options).toEqual(expect.arrayContaining(['-preset veryfast', '-frames:v 120', '-f null']));
+
+    expect(result.capabilities.hardware.h264).toEqual(['h264_nvenc']);
+    expect(result.recommended.presets.h264).toBeDefined();
+    expect(progress[progress.length - 1]).toMatchObject({ completed: 4, total: 4 });
+  });
+
+  test('should use benchmarked presets when planning renditions', () => {
+    transcoder.applyCapabilitySettings({ encoderPresets: { h264: 'medium' }, transcodeConcurrency: 3 });
+
+    const plan = transcoder.planRendition('/tmp/out/720p', '720p');
+
+    expect(plan.outputOptions).toContain('-preset medium');
+    expect(transcoder.batchConcurrency).toBe(3);
+  });
+});
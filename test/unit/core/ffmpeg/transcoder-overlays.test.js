@@ -0,0 +1,82 @@
+// Records the fluent-ffmpeg commands built by the transcoder and finishes
+// them without running FFmpeg. Every input probes as 1080p with stereo AAC.
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  probe: () => ({
+    format: { duration: 60, size: 1000, bit_rate: 500000, format_name: 'mov,mp4' },
+    streams: [
+      { index: 0, codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, r_frame_rate: '30/1' },
+      { index: 1, codec_type: 'audio', codec_name: 'aac', channels: 2 }
+    ]
+  })
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder overlays', () => {
+  let transcoder;
+  let workDir;
+  let videoPath;
+  let logoPath;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-overlay-'));
+    videoPath = path.join(workDir, 'main.mp4');
+    logoPath = path.join(workDir, 'logo.png');
+    await fs.writeFile(videoPath, 'video');
+    await fs.writeFile(logoPath, 'png');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('should write the text layer to a file and require the preset files', async () => {
+    const plan = await transcoder.prepareOverlay({
+      name: 'Brand',
+      watermark: { path: logoPath },
+      text: { text: 'Episode 12: "Live"' }
+    }, path.join(workDir, 'overlay'));
+
+    expect(plan.textFile).toBe(path.join(workDir, 'overlay', 'overlay.txt'));
+    expect(await fs.readFile(plan.textFile, 'utf8')).toBe('Episode 12: "Live"');
+    expect(await transcoder.prepareOverlay({ name: 'Empty' }, workDir)).toBeNull();
+    await expect(transcoder.prepareOverlay({ intro: path.join(workDir, 'intro.mp4') }, workDir))
+      .rejects.toThrow(`Overlay file not found: ${path.join(workDir, 'intro.mp4')}`);
+  });
+
+  test('should draw the overlay after scaling each rendition', async () => {
+    const overlay = await transcoder.prepareOverlay({ watermark: { path: logoPath, opacity: 0.5 } }, workDir);
+
+    await transcoder.transcodeToHLS(videoPath, path.join(workDir, 'out'), '720p', { overlay });
+
+    const [command] = mockCommands;
+    expect(command.inputs).toEqual([videoPath, logoPath]);
+    expect(command.calls.map(([method]) => method)).not.toContain('size');
+    expect(command.filterGraph).toEqual([
+      '[1:v]format=rgba,colorchannelmixer=aa=0.5[wmsrc]',
+      '[0:v]scale=w=1280:h=720[base]',
+      '[wmsrc][base]scale2ref=w=main_w*0.15:h=ow/a[wm][ref]',
+      '[ref][wm]overlay=W-w-W*0.03:H-h-H*0.03[vout]'
+    ]);
+    expect(command.options).toEqual(expect.arrayContaining(['-map [vout]', '-map 0:a:0?']));
+  });
+
+  test('should draw the overlay once ahead of the single pass split', async () => {
+    const overlay = await transcoder.prepareOverlay({ text: { text: 'oratr', position: 'top-right' } }, workDir);
+
+    await transcoder.transcodeToHLSSinglePass(videoPath, path.join(workDir, 'single'), ['720p', '480p'], { overlay });
+
+    const [command] = mockCommands;
+    expect(command.inputs).toEqual([videoPath]);
+    expect(command.filterGraph[0]).toMatch(/^\[0:v\]drawtext=textfile='.*overlay\.txt':expansion=none:.*\[main\]$/);
+    expect(command.filterGraph[1]).toBe('[main]split=2[s0][s1]');
+  });
+});
@@ -0,0 +1,117 @@
+// Records the fluent-ffmpeg commands built by the transcoder and finishes
+// them without running FFmpeg; MP4 outputs are written as placeholders.
+// Files named *.mov probe as 720p without audio, everything else as 1080p
+// with stereo AAC.
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  probe: (input) => {
+    const small = input.endsWith('.mov');
+    return {
+      format: { duration: small ? 20 : 60, size: 1000, bit_rate: 500000, format_name: 'mov,mp4' },
+      streams: [
+        { index: 0, codec_type: 'video', codec_name: 'h264', width: small ? 1280 : 1920, height: small ? 720 : 1080, r_frame_rate: '30/1' },
+        ...(small ? [] : [{ index: 1, codec_type: 'audio', codec_name: 'aac', channels: 2 }])
+      ]
+    };
+  },
+  save: (command, target) => {
+    // Intermediate renders are probed afterwards
+    if (target.endsWith('.mp4')) require('fs').writeFileSync(target, 'edited');
+    command.emit('end');
+  }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder preprocessing', () => {
+  let transcoder;
+  let workDir;
+  let videoPath;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-edit-'));
+    videoPath = path.join(workDir, 'main.mp4');
+    await fs.writeFile(videoPath, 'video');
+    await fs.writeFile(path.join(workDir, 'outro.mp4'), 'outro');
+    await fs.writeFile(path.join(workDir, 'phone.mov'), 'phone');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('should cut and join matching clips through an ffconcat list without encoding', async () => {
+    const plan = await transcoder.prepareEdit(videoPath, {
+      in: 5,
+      out: '0:50',
+      append: [path.join(workDir, 'outro.mp4')]
+    }, path.join(workDir, 'edit'));
+
+    expect(mockCommands).toHaveLength(0);
+    expect(plan.source).toBe(path.join(workDir, 'edit', 'source.ffconcat'));
+    expect(plan.intermediate).toBe(false);
+    expect(plan.metadata).toMatchObject({ width: 1920, height: 1080, duration: 105, hasAudio: true });
+
+    const list = await fs.readFile(plan.source, 'utf8');
+    expect(list).toContain(`# ${videoPath} 5 `);
+    expect(list.split('\n').filter(line => !line.startsWith('#'))).toEqual([
+      'ffconcat version 1.0',
+      'file clip_000.mp4',
+      'inpoint 5',
+      'outpoint 50',
+      'duration 45',
+      'file clip_001.mp4',
+      'outpoint 60',
+      'duration 60',
+      ''
+    ]);
+    expect(await fs.readFile(path.join(workDir, 'edit', 'clip_001.mp4'), 'utf8')).toBe('outro');
+  });
+
+  test('should render clips of different formats to one intermediate file', async () => {
+    const plan = await transcoder.prepareEdit(videoPath, {
+      out: 30,
+      append: [{ path: path.join(workDir, 'phone.mov'), in: 2 }]
+    }, path.join(workDir, 'edit'));
+
+    const [render] = mockCommands;
+    expect(render.inputs).toEqual([videoPath, path.join(workDir, 'phone.mov')]);
+    expect(render.calls).toEqual([
+      ['inputOptions', ['-t 30']],
+      ['seekInput', 2],
+      ['inputOptions', ['-t 18']]
+    ]);
+    expect(render.filterGraph[2]).toMatch(/^\[1:v:0\]scale=1920:1080:force_original_aspect_ratio=decrease/);
+    expect(render.filterGraph).toContain('aevalsrc=0:c=stereo:s=48000:d=18[a1]');
+    expect(render.options).toEqual(expect.arrayContaining(['-map [outv]', '-map [outa]', '-c:v libx264', '-crf 16']));
+    expect(plan).toMatchObject({ source: path.join(workDir, 'edit', 'edited.mp4'), intermediate: true });
+    expect(plan.metadata.duration).toBe(48);
+  });
+
+  test('should crop and rotate every rendition ahead of scaling', async () => {
+    const plan = await transcoder.prepareEdit(videoPath, { crop: '9:16', rotate: 180 }, path.join(workDir, 'edit'));
+
+    expect(plan.source).toBe(videoPath);
+    expect(plan.videoFilters).toEqual(['crop=606:1080:657:0', 'hflip', 'vflip']);
+    expect(plan.metadata).toMatchObject({ width: 606, height: 1080, duration: 60 });
+
+    await transcoder.transcodeToHLS(plan.source, path.join(workDir, 'out'), '720p', {
+      encoding: { width: 406, height: 720 },
+      edit: plan
+    });
+    const calls = mockCommands[0].calls.map(([method]) => method);
+    expect(calls.indexOf('videoFilters')).toBeLessThan(calls.indexOf('size'));
+    expect(mockCommands[0].calls).toContainEqual(['videoFilters', plan.videoFilters]);
+
+    mockCommands.length = 0;
+    await transcoder.transcodeToHLSSinglePass(plan.source, path.join(workDir, 'single'), ['720p', '480p'], { edit: plan });
+    expect(mockCommands[0].filterGraph[0]).toBe('[0:v]crop=606:1080:657:0,hflip,vflip,split=2[s0][s1]');
+  });
+});
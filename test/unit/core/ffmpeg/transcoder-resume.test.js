@@ -0,0 +1,81 @@
+// Records the fluent-ffmpeg command built by the transcoder and finishes it
+// without running FFmpeg
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({ commands: mockCommands }));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+async function writeRendition(dir, { listed, unlisted = [], complete = false }) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:10'];
+  for (const [filename, duration] of listed) {
+    lines.push(`#EXTINF:${duration},`, filename);
+    await fs.writeFile(path.join(dir, filename), 'segment');
+  }
+  for (const filename of unlisted) {
+    await fs.writeFile(path.join(dir, filename), 'partial');
+  }
+  if (complete) lines.push('#EXT-X-ENDLIST');
+  await fs.writeFile(path.join(dir, '720p.m3u8'), lines.join('\n') + '\n');
+}
+
+describe('Transcoder resume', () => {
+  let transcoder;
+  let outputDir;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-resume-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should continue after the last segment listed in the playlist', async () => {
+    await writeRendition(outputDir, {
+      listed: [['720p_segment_000.ts', 10], ['720p_segment_001.ts', 9.5]],
+      unlisted: ['720p_segment_002.ts']
+    });
+    const events = [];
+    transcoder.on('resume', event => events.push(event));
+
+    await transcoder.transcodeToHLS('/videos/input.mp4', outputDir, '720p', { resume: true });
+
+    const [command] = mockCommands;
+    expect(command.seek).toBe(19.5);
+    expect(command.options).toEqual(expect.arrayContaining([
+      '-output_ts_offset 19.5', '-start_number 2', '-hls_flags append_list'
+    ]));
+    // The segment FFmpeg was writing when it stopped is discarded
+    expect((await fs.readdir(outputDir)).sort()).toEqual(['720p.m3u8', '720p_segment_000.ts', '720p_segment_001.ts']);
+    expect(events).toEqual([expect.objectContaining({ resolution: '720p', offset: 19.5, segments: 2 })]);
+  });
+
+  test('should skip renditions that already finished', async () => {
+    await writeRendition(outputDir, { listed: [['720p_segment_000.ts', 4]], complete: true });
+
+    const result = await transcoder.transcodeToHLS('/videos/input.mp4', outputDir, '720p', { resume: true });
+
+    expect(mockCommands).toHaveLength(0);
+    expect(result.segments.map(seg => seg.filename)).toEqual(['720p_segment_000.ts']);
+  });
+
+  test('should resume single-pass jobs rendition by rendition', async () => {
+    await fs.mkdir(path.join(outputDir, '720p'));
+    await writeRendition(path.join(outputDir, '720p'), { listed: [['720p_segment_000.ts', 10]] });
+    transcoder.transcodeToHLSSinglePass = jest.fn();
+
+    await transcoder.transcodeToMultipleResolutions('/videos/input.mp4', outputDir, ['720p', '480p'], {
+      singlePass: true,
+      resume: true
+    });
+
+    expect(transcoder.transcodeToHLSSinglePass).not.toHaveBeenCalled();
+    expect(mockCommands.map(command => command.seek)).toEqual([10, undefined]);
+  });
+});
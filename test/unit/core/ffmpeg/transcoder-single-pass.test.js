@@ -0,0 +1,83 @@
+// Records the fluent-ffmpeg command built by the transcoder and finishes it
+// without running FFmpeg
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  run: (command) => {
+    command.emit('codecData', { duration: '00:01:40.00' });
+    command.emit('progress', { timemark: '00:00:50.00', currentFps: 60 });
+    command.emit('end');
+  }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+jest.mock('fs', () => {
+  const actual = jest.requireActual('fs');
+  return {
+    ...actual,
+    promises: {
+      ...actual.promises,
+      mkdir: jest.fn().mockResolvedValue(),
+      readdir: jest.fn(async (dir) => {
+        const name = require('path').basename(dir);
+        return [`${name}.m3u8`, `${name}_segment_000.ts`, `${name}_segment_001.ts`];
+      })
+    }
+  };
+});
+
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder single-pass mode', () => {
+  let transcoder;
+
+  beforeEach(() => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+  });
+
+  test('should split one decode into a scaled branch per rendition', async () => {
+    const results = await transcoder.transcodeToMultipleResolutions(
+      '/videos/input.mp4', '/tmp/out', ['1080p', '720p', '480p'], { singlePass: true }
+    );
+
+    expect(mockCommands).toHaveLength(1);
+    const [command] = mockCommands;
+    expect(command.filterGraph).toEqual([
+      '[0:v]split=3[s0][s1][s2]',
+      '[s0]scale=w=1920:h=1080[v0]',
+      '[s1]scale=w=1280:h=720[v1]',
+      '[s2]scale=w=854:h=480[v2]'
+    ]);
+    expect(command.outputs.map(output => output.target)).toEqual([
+      '/tmp/out/1080p/1080p.m3u8',
+      '/tmp/out/720p/720p.m3u8',
+      '/tmp/out/480p/480p.m3u8'
+    ]);
+    expect(command.outputs[1].options).toEqual(expect.arrayContaining([
+      '-map [v1]', '-map 0:a:0?', '-c:v libx264', '-c:a aac', '-b:v 2500k'
+    ]));
+
+    expect(Object.keys(results)).toEqual(['1080p', '720p', '480p']);
+    expect(results['720p'].segments.map(seg => seg.filename)).toEqual(['720p_segment_000.ts', '720p_segment_001.ts']);
+  });
+
+  test('should report combined progress for all renditions', async () => {
+    const events = [];
+    transcoder.on('progress', event => events.push(event));
+
+    await transcoder.transcodeToHLSSinglePass('/videos/input.mp4', '/tmp/out', ['720p', '480p']);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].percent).toBe(50);
+    expect(events[0].renditions).toEqual(['720p', '480p']);
+  });
+
+  test('should encode sequentially without singlePass', async () => {
+    transcoder.transcodeToHLS = jest.fn(async (input, dir, resolution) => ({ resolution }));
+
+    await transcoder.transcodeToMultipleResolutions('/videos/input.mp4', '/tmp/out', ['720p', '480p']);
+
+    expect(transcoder.transcodeToHLS).toHaveBeenCalledTimes(2);
+    expect(mockCommands).toHaveLength(0);
+  });
+});
@@ -0,0 +1,85 @@
+// Fakes ffprobe output with one text and one bitmap subtitle stream, and
+// "extracts" streams by writing a fixed WebVTT file
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  probe: () => ({
+    format: { duration: 12, size: 1000, bit_rate: 500000, format_name: 'matroska,webm' },
+    streams: [
+      { index: 0, codec_type: 'video', codec_name: 'h264', width: 1280, height: 720, r_frame_rate: '30/1' },
+      { index: 1, codec_type: 'audio', codec_name: 'aac' },
+      { index: 2, codec_type: 'subtitle', codec_name: 'subrip', tags: { language: 'spa' }, disposition: { default: 1, forced: 0 } },
+      { index: 3, codec_type: 'subtitle', codec_name: 'hdmv_pgs_subtitle', tags: { language: 'eng' }, disposition: { default: 0, forced: 0 } }
+    ]
+  }),
+  save: (command, outputPath) => {
+    require('fs').writeFileSync(outputPath, 'WEBVTT\n\n00:00:02.000 --> 00:00:03.000\nHola\n');
+    command.emit('end');
+  }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder subtitles', () => {
+  let transcoder;
+  let workDir;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-subs-'));
+    await fs.writeFile(path.join(workDir, 'input.mkv'), 'video');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('should list embedded subtitle streams and flag bitmap ones', async () => {
+    const metadata = await transcoder.analyzeVideo(path.join(workDir, 'input.mkv'));
+
+    expect(metadata.subtitleStreams).toEqual([
+      { index: 2, codec: 'subrip', language: 'es', title: null, default: true, forced: false, textBased: true },
+      { index: 3, codec: 'hdmv_pgs_subtitle', language: 'en', title: null, default: false, forced: false, textBased: false }
+    ]);
+  });
+
+  test('should build segmented tracks from caption files and text streams', async () => {
+    const videoPath = path.join(workDir, 'input.mkv');
+    const captionPath = path.join(workDir, 'input.en.srt');
+    await fs.writeFile(captionPath, '1\n00:00:01,000 --> 00:00:11,000\nHello\n');
+    const metadata = await transcoder.analyzeVideo(videoPath);
+
+    const tracks = await transcoder.createSubtitleTracks(videoPath, path.join(workDir, 'subtitles'), {
+      files: [{ path: captionPath }],
+      streams: metadata.subtitleStreams,
+      duration: 12,
+      segmentFormat: 'ts'
+    });
+
+    // Only the SubRip stream is extracted
+    expect(mockCommands).toHaveLength(1);
+    expect(mockCommands[0].options).toEqual(['-map 0:2', '-c:s webvtt', '-f webvtt']);
+
+    expect(tracks.map(({ id, name, language, default: isDefault }) => ({ id, name, language, isDefault }))).toEqual([
+      { id: 'subs_en', name: 'English', language: 'en', isDefault: false },
+      { id: 'subs_es', name: 'Spanish', language: 'es', isDefault: true }
+    ]);
+    expect(tracks[0].segments.map(seg => seg.filename)).toEqual(['subs_en_segment_000.vtt', 'subs_en_segment_001.vtt']);
+    expect(await fs.readFile(tracks[0].segments[1].path, 'utf-8')).toContain('Hello');
+
+    const playlist = await fs.readFile(tracks[1].playlistPath, 'utf-8');
+    expect(playlist).toContain('subs_es_segment_000.vtt');
+
+    const master = await transcoder.createMasterPlaylist(
+      { '720p': { bandwidth: 2500000, width: 1280, height: 720, playlistPath: '720p/720p.m3u8' } },
+      { subtitles: tracks.map(track => ({ ...track, playlistPath: `subtitles/${track.id}/${track.id}.m3u8` })) }
+    );
+    expect(master).toContain('#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Spanish",LANGUAGE="es",DEFAULT=YES');
+    expect(master).toContain('#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,SUBTITLES="subs"');
+  });
+});
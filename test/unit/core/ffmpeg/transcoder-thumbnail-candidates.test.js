@@ -0,0 +1,44 @@
+// Fakes FFmpeg: the scene pass reports one cut, and frame extraction returns
+// a black frame before 20 s and a detailed one after it
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({
+  commands: mockCommands,
+  save: (command) => {
+    command.emit('stderr', '[Parsed_showinfo_2 @ 0x1] n:   0 pts: 40 pts_time:40  duration:1');
+    command.emit('end');
+  },
+  pipe: (command) => {
+    const stream = new (require('stream').PassThrough)();
+    const pixels = Buffer.alloc(160 * 90);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = command.seek < 20 ? 2 : (i % 2 ? 210 : 50);
+    }
+    setImmediate(() => stream.end(pixels));
+    return stream;
+  }
+}));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder thumbnail candidates', () => {
+  test('should score scene changes and samples and skip dark frames', async () => {
+    const transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+
+    const candidates = await transcoder.findThumbnailCandidates('/videos/input.mp4', {
+      metadata: { duration: 100, width: 1280, height: 720 },
+      count: 3,
+      samples: 4
+    });
+
+    const [scenePass] = mockCommands;
+    expect(scenePass.calls).toContainEqual(['inputOptions', ['-skip_frame nokey']]);
+    expect(scenePass.filters).toEqual(['scale=160:-2', 'select=\'gt(scene,0.3)\'', 'showinfo']);
+    expect(mockCommands[1].filters).toEqual(['scale=160:90', 'format=gray']);
+
+    // The cut at 40 s is scored with the samples; 40.5 s is too close to 36.875 s to be picked too
+    expect(mockCommands.slice(1).map(command => command.seek)).toEqual([13.625, 36.875, 40.5, 60.125, 83.375]);
+    expect(candidates.map(candidate => candidate.timestamp)).toEqual([36.875, 60.125, 83.375]);
+    expect(candidates[0]).toMatchObject({ brightness: 130, contrast: 80 });
+  });
+});
@@ -0,0 +1,41 @@
+// Records the fluent-ffmpeg command built by the transcoder and finishes it
+// without running FFmpeg
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => require('../../../helpers/fluent-ffmpeg-mock').fluentFfmpeg({ commands: mockCommands }));
+jest.mock('../../../../src/core/binaries/ffmpeg-binary', () => require('../../../helpers/fluent-ffmpeg-mock').ffmpegBinary());
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Transcoder = require('../../../../src/core/ffmpeg/transcoder');
+
+describe('Transcoder thumbnail track', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    mockCommands.length = 0;
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-previews-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should tile frames into sprite sheets and write the WebVTT track', async () => {
+    const transcoder = new Transcoder({ ffmpegPath: '/usr/bin/ffmpeg', ffprobePath: '/usr/bin/ffprobe' });
+
+    const result = await transcoder.generateThumbnailTrack('/videos/input.mp4', outputDir, {
+      metadata: { duration: 600, width: 1280, height: 720 },
+      interval: 2
+    });
+
+    const [command] = mockCommands;
+    expect(command.filters).toEqual(['fps=1/2', 'scale=160:90', 'tile=10x10']);
+    expect(command.options).toContain('-start_number 0');
+    expect(command.saved).toBe(path.join(outputDir, 'sprite_%03d.jpg'));
+
+    expect(result.sheets.map(sheet => sheet.filename)).toEqual(['sprite_000.jpg', 'sprite_001.jpg', 'sprite_002.jpg']);
+    const track = await fs.readFile(result.trackPath, 'utf-8');
+    expect(track).toContain('00:03:20.000 --> 00:03:22.000\nsprite_001.jpg#xywh=0,0,160,90');
+  });
+});
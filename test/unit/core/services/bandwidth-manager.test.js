@@ -0,0 +1,99 @@
+const BandwidthManager = require('../../../../src/core/services/bandwidth-manager');
+
+// Monday 5 January 2026, local time
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+describe('BandwidthManager', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should parse and format transfer windows', () => {
+    expect(BandwidthManager.parseWindows('mon-fri 22:00-06:00; Sat, sun 00:00-24:00;; 1:30-2:00')).toEqual([
+      { days: [1, 2, 3, 4, 5], start: '22:00', end: '06:00' },
+      { days: [0, 6], start: '00:00', end: '24:00' },
+      { days: [0, 1, 2, 3, 4, 5, 6], start: '01:30', end: '02:00' }
+    ]);
+    expect(BandwidthManager.formatWindow({ days: [5, 6, 0], start: '22:00', end: '06:00' })).toBe('fri,sat,sun 22:00-06:00');
+    expect(BandwidthManager.normalizeWindow({ start: '9:00', end: '17:00' })).toEqual({ days: [0, 1, 2, 3, 4, 5, 6], start: '09:00', end: '17:00' });
+
+    expect(() => BandwidthManager.parseWindows('weekends')).toThrow('Invalid transfer window "weekends"');
+    expect(() => BandwidthManager.parseWindows('mon 22:00-25:00')).toThrow('Invalid time "25:00"');
+    expect(() => BandwidthManager.normalizeWindow({ days: ['someday'] })).toThrow('Invalid day "someday"');
+    expect(() => new BandwidthManager({ uploadKBps: -1 })).toThrow('Rate limit must be 0 (unlimited) or more');
+  });
+
+  test('should allow transfers inside windows, including overnight ones', () => {
+    const manager = new BandwidthManager({ windows: ['mon-fri 22:00-06:00', 'sat 10:00-12:00'] });
+
+    expect(manager.isAllowed(at(5, 23))).toBe(true); // Monday night
+    expect(manager.isAllowed(at(6, 5, 59))).toBe(true); // Tuesday morning, carried over from Monday
+    expect(manager.isAllowed(at(6, 6))).toBe(false);
+    expect(manager.isAllowed(at(5, 3))).toBe(false); // Sunday's night is not a window
+    expect(manager.isAllowed(at(10, 11))).toBe(true);
+
+    expect(manager.nextAllowedTime(at(6, 12))).toEqual(at(6, 22));
+    expect(manager.nextAllowedTime(at(10, 13))).toEqual(at(12, 22)); // Saturday afternoon -> Monday night
+    expect(new BandwidthManager().isAllowed(at(5, 3))).toBe(true);
+  });
+
+  test('should pace throttled streams at the upload rate', async () => {
+    jest.useFakeTimers({ now: at(5, 12) });
+    const manager = new BandwidthManager({ uploadKBps: 64 });
+    const received = [];
+    const done = (async () => {
+      for await (const chunk of manager.throttle(Buffer.alloc(256 * 1024), 'upload')) received.push(chunk.length);
+    })();
+
+    // The first second of data goes out as a burst, then one 64 KiB slice per second
+    await jest.advanceTimersByTimeAsync(0);
+    expect(received).toEqual([65536]);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(received).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(2000);
+    await done;
+    expect(received).toEqual([65536, 65536, 65536, 65536]);
+  });
+
+  test('should hold transfers until the window opens or the config changes', async () => {
+    jest.useFakeTimers({ now: at(5, 12) });
+    const manager = new BandwidthManager({ windows: ['13:00-14:00'] });
+    const waiting = jest.fn();
+    manager.on('waiting', waiting);
+
+    let opened = false;
+    const wait = manager.waitForWindow('nightly sync').then(() => { opened = true; });
+    await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+    expect(opened).toBe(false);
+    expect(waiting).toHaveBeenCalledWith({ label: 'nightly sync', reason: 'window', until: at(5, 13).toISOString() });
+
+    await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+    await wait;
+    expect(opened).toBe(true);
+
+    jest.setSystemTime(at(5, 15));
+    const second = manager.waitForWindow();
+    manager.configure({ windows: [] });
+    await jest.advanceTimersByTimeAsync(0);
+    await expect(second).resolves.toBeUndefined();
+  });
+
+  test('should start fetches one at a time while IPFS is over the download limit', async () => {
+    jest.useFakeTimers({ now: at(5, 12) });
+    const manager = new BandwidthManager({ downloadKBps: 100 });
+    const rates = [300 * 1024, 150 * 1024, 50 * 1024];
+    const ipfsManager = { getBandwidthStats: jest.fn(async () => ({ rateIn: rates.shift() })) };
+
+    let started = false;
+    const wait = manager.waitForDownloadCapacity(ipfsManager, 'QmPin').then(() => { started = true; });
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(started).toBe(false);
+    await jest.advanceTimersByTimeAsync(2000);
+    await wait;
+    expect(ipfsManager.getBandwidthStats).toHaveBeenCalledTimes(3);
+
+    expect(manager.fetchConcurrency(50)).toBe(1);
+    expect(new BandwidthManager().fetchConcurrency(50)).toBe(50);
+    expect(manager.getStatus()).toMatchObject({ uploadKBps: 0, downloadKBps: 100, allowedNow: true, windows: [] });
+  });
+});
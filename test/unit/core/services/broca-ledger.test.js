@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BrocaLedger = require('../../../../src/core/services/broca-ledger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-05-10T00:00:00Z');
+
+describe('BrocaLedger', () => {
+  let root;
+  let ledger;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-broca-'));
+    ledger = new BrocaLedger({ ledgerFile: path.join(root, 'broca-ledger.json') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should persist spend, record each transaction once and summarize by month', async () => {
+    await ledger.record({ type: 'upload', broca: 500, account: 'alice', transactionId: 'tx1', at: '2024-04-20T10:00:00Z' });
+    await ledger.record({ type: 'upload', broca: 500, account: 'alice', transactionId: 'tx1', at: '2024-04-20T10:00:00Z' });
+    await ledger.record({ type: 'renewal', broca: 120, account: 'alice', contractId: 'alice:0:1', at: '2024-05-02T10:00:00Z' });
+    await ledger.record({ type: 'extension', broca: 80, account: 'bob', contractId: 'bob:0:2', at: '2024-05-03T10:00:00Z' });
+    await expect(ledger.record({ type: 'tip', broca: 1 })).rejects.toThrow('Unknown ledger entry type "tip"');
+    await expect(ledger.record({ type: 'upload', broca: -1 })).rejects.toThrow('BROCA amount must be 0 or more');
+
+    const reloaded = new BrocaLedger({ ledgerFile: ledger.ledgerFile });
+    expect((await reloaded.getEntries()).map(entry => entry.broca)).toEqual([500, 120, 80]);
+    expect((await reloaded.getEntries({ account: 'alice', since: '2024-05-01' })).map(entry => entry.type)).toEqual(['renewal']);
+    expect(await reloaded.summary({ account: 'alice' })).toEqual({
+      total: 620,
+      months: {
+        '2024-04': { upload: 500, renewal: 0, extension: 0, total: 500 },
+        '2024-05': { upload: 0, renewal: 120, extension: 0, total: 120 }
+      }
+    });
+  });
+
+  test('should forecast repeated renewals and model regeneration from SPK Power', async () => {
+    const contracts = [
+      { id: 'alice:0:1', size: 1024 * 100, expiresAt: new Date(now.getTime() + 10 * DAY) },
+      { id: 'alice:0:2', size: 1024 * 50, expiresAt: new Date(now.getTime() + 50 * DAY) },
+      { id: 'alice:0:3', size: 1024, expiresAt: null }
+    ];
+    const forecast = await ledger.forecast({
+      contracts,
+      estimateCost: async (bytes, days) => (bytes / 1024) * days,
+      days: 60,
+      extensionDays: 30,
+      now
+    });
+
+    expect(forecast.renewals.map(r => [r.contractId, r.at.slice(0, 10), r.broca])).toEqual([
+      ['alice:0:1', '2024-05-20', 3000],
+      ['alice:0:1', '2024-06-19', 3000],
+      ['alice:0:2', '2024-06-29', 1500]
+    ]);
+    expect(forecast).toMatchObject({ total: 7500, months: { '2024-05': 3000, '2024-06': 4500 } });
+
+    // 2 SPK Power: 2000 BROCA capacity refilled over 144000 blocks (5 days)
+    expect(BrocaLedger.regeneration({ power: 2 })).toEqual({ capacity: 2000, perDay: 400 });
+    expect(BrocaLedger.fromBalances({ BROCA: { available: 1500000 }, SPK: { power: 2000 } })).toEqual({ available: 1500, power: 2 });
+  });
+
+  test('should warn when an upload would leave renewals unpaid', () => {
+    const renewals = [
+      { contractId: 'alice:0:1', at: new Date(now.getTime() + 2 * DAY).toISOString(), broca: 900 },
+      { contractId: 'alice:0:2', at: new Date(now.getTime() + 3 * DAY).toISOString(), broca: 900 }
+    ];
+
+    // 200 BROCA left, regenerating 400/day: the first renewal fits, the second does not
+    const tight = ledger.checkUpload({ cost: 800, available: 1000, power: 2, renewals, now });
+    expect(tight.ok).toBe(false);
+    expect(tight.shortfalls.map(s => [s.contractId, s.balance])).toEqual([['alice:0:2', 500]]);
+    expect(tight.warnings).toEqual([
+      '1 renewal(s) could not be paid after this upload; the first is alice:0:2 on 2024-05-13 (needs 900 BROCA, 500 expected)'
+    ]);
+
+    expect(ledger.checkUpload({ cost: 100, available: 1000, power: 2, renewals, now })).toMatchObject({ ok: true, shortfalls: [] });
+    expect(ledger.checkUpload({ cost: 1200, available: 1000, renewals: [], now }).warnings).toEqual([
+      'The upload needs 1200 BROCA but only 1000 is available'
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ContractRenewalService = require('../../../../src/core/services/contract-renewal-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const cid = (name) => `Qm${name.padEnd(44, 'x')}`;
+
+function contract(id, days, files, owner = 'alice') {
+  return {
+    id,
+    owner,
+    expiresAt: new Date(Date.now() + days * DAY).toISOString(),
+    files: files.map(([name, size, filePath]) => ({ cid: cid(name), size, path: filePath }))
+  };
+}
+
+describe('ContractRenewalService', () => {
+  let root;
+  let contracts;
+  let contractSource;
+  let service;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-renewal-'));
+    contracts = [];
+    contractSource = {
+      getExpiringContracts: jest.fn(async () => contracts),
+      extendContract: jest.fn(async () => ({ success: true }))
+    };
+    service = new ContractRenewalService({
+      contractSource,
+      estimateCost: async (bytes, days) => (bytes / 1024) * days,
+      stateFile: path.join(root, 'contract-renewals.json')
+    });
+    service.username = 'alice';
+  });
+
+  afterEach(async () => {
+    service.stop();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should parse and format renewal rules', () => {
+    expect(ContractRenewalService.parseRules(`/Videos/Archive/: never; ${cid('a')}: Always;; alice:0:123: accessed`)).toEqual([
+      { folder: 'Videos/Archive', policy: 'never' },
+      { cid: cid('a'), policy: 'always' },
+      { contract: 'alice:0:123', policy: 'accessed' }
+    ]);
+    expect(ContractRenewalService.formatRule({ folder: 'Videos', policy: 'accessed' })).toBe('Videos: accessed');
+    expect(() => ContractRenewalService.parseRules('Videos')).toThrow('Invalid renewal rule "Videos"');
+    expect(() => ContractRenewalService.parseRules('Videos: sometimes')).toThrow('Invalid renewal policy "sometimes"');
+    expect(() => service.configure({ extensionDays: 0.5 })).toThrow('Extension must be a whole number of days');
+  });
+
+  test('should only renew the account\'s own contracts allowed by their policies', async () => {
+    service.configure({
+      enabled: true,
+      extensionDays: 30,
+      policies: ['Videos/Archive: never', 'Videos/Archive/Keep: always', 'Videos/Live: accessed']
+    });
+    contracts = [
+      contract('alice:0:1', 3, [['old', 1024, 'Videos/Archive/old.m3u8']]),
+      contract('alice:0:2', 2, [['kept', 1024, 'Videos/Archive/Keep/kept.m3u8'], ['old2', 1024, 'Videos/Archive/x.ts']]),
+      contract('alice:0:3', 4, [['live', 2048, 'Videos/Live/show.m3u8']]),
+      contract('alice:0:4', 5, [['misc', 1024, 'Documents/notes.txt']]),
+      contract('bob:0:5', 1, [['theirs', 1024, 'Videos/theirs.m3u8']], 'bob')
+    ];
+
+    const decisions = await service.check();
+
+    expect(decisions.map(d => [d.contractId, d.decision, d.policy, d.broca])).toEqual([
+      ['alice:0:2', 'renewed', 'always', 60],
+      ['alice:0:1', 'skipped', 'never', 0],
+      ['alice:0:3', 'skipped', 'accessed', 0],
+      ['alice:0:4', 'renewed', 'always', 30]
+    ]);
+    expect(decisions[2].reason).toBe('no files accessed in the last 30 days');
+    expect(contractSource.extendContract).toHaveBeenCalledWith('alice:0:2', 'alice', 60, 0);
+    expect(contractSource.extendContract).toHaveBeenCalledTimes(2);
+
+    // Opening a file makes its contract eligible under the 'accessed' policy
+    await service.recordAccess(cid('live'));
+    contracts = [contracts[2]];
+    expect((await service.check())[0]).toMatchObject({ decision: 'renewed', broca: 60 });
+  });
+
+  test('should stay within the monthly budget and persist the decision log', async () => {
+    service.configure({ enabled: true, monthlyBudget: 100, extensionDays: 30 });
+    contracts = [
+      contract('alice:0:1', 1, [['a', 2048]]), // 60 BROCA
+      contract('alice:0:2', 2, [['b', 2048]]), // 60, over what is left
+      contract('alice:0:3', 3, [['c', 1024]]) // 30, still fits
+    ];
+
+    const preview = await service.check({ dryRun: true });
+    expect(preview.map(d => d.decision)).toEqual(['renew', 'skipped', 'renew']);
+    expect(contractSource.extendContract).not.toHaveBeenCalled();
+
+    contractSource.extendContract.mockImplementationOnce(async () => ({ success: true }))
+      .mockImplementationOnce(async () => { throw new Error('RC too low'); });
+    const decisions = await service.check();
+    expect(decisions.map(d => [d.decision, d.reason])).toEqual([
+      ['renewed', null],
+      ['skipped', 'needs 60 BROCA, 40 left in this month\'s budget'],
+      ['failed', 'RC too low']
+    ]);
+
+    const reloaded = new ContractRenewalService({ contractSource, estimateCost: async () => 0, stateFile: service.stateFile });
+    reloaded.configure({ monthlyBudget: 100 });
+    expect((await reloaded.getLog()).map(d => d.contractId)).toEqual(['alice:0:3', 'alice:0:2', 'alice:0:1']);
+    expect(await reloaded.getStatus()).toMatchObject({ spentThisMonth: 60, remainingBudget: 40 });
+  });
+
+  test('should keep the monthly spend when the log is trimmed and log repeated skips once', async () => {
+    service.configure({ enabled: true, monthlyBudget: 100, extensionDays: 30, policies: ['alice:0:2: never'] });
+    contracts = [contract('alice:0:1', 1, [['a', 1024]]), contract('alice:0:2', 2, [['b', 1024]])];
+    await service.check();
+
+    contracts = [contract('alice:0:2', 2, [['b', 1024]])];
+    await service.check();
+    await service.check();
+    expect((await service.getLog()).map(d => [d.contractId, d.decision])).toEqual([
+      ['alice:0:2', 'skipped'],
+      ['alice:0:1', 'renewed']
+    ]);
+
+    // A full log of other decisions pushes the renewal out, but not its BROCA
+    const state = JSON.parse(await fs.readFile(service.stateFile, 'utf8'));
+    state.decisions = Array.from({ length: 1000 }, (_, i) => ({ contractId: `alice:0:${i + 10}`, decision: 'failed', broca: 0, at: new Date().toISOString() }));
+    await fs.writeFile(service.stateFile, JSON.stringify(state));
+
+    const reloaded = new ContractRenewalService({ contractSource, estimateCost: async () => 0, stateFile: service.stateFile });
+    reloaded.configure({ monthlyBudget: 100 });
+    expect(await reloaded.getStatus()).toMatchObject({ spentThisMonth: 30, remainingBudget: 70 });
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const DirectUploadService = require('../../../../src/core/services/direct-upload-service');
+
+const MB = 1024 * 1024;
+
+// Consumes add() sources like the IPFS client, recording the chunks it was given
+function createIpfsManager() {
+  const added = [];
+  return {
+    added,
+    isDaemonRunning: jest.fn(async () => true),
+    addFile: jest.fn(async (source, name) => {
+      const entry = { name, buffered: Buffer.isBuffer(source), chunks: [] };
+      for await (const chunk of (Buffer.isBuffer(source) ? [source] : source)) entry.chunks.push(chunk.length);
+      added.push(entry);
+      return { cid: `Qm${name.replace(/\W/g, '')}` };
+    })
+  };
+}
+
+describe('DirectUploadService streaming', () => {
+  let root;
+  let ipfsManager;
+  let spkClient;
+  let service;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-direct-'));
+    ipfsManager = createIpfsManager();
+    spkClient = {
+      directUploadFiles: jest.fn(async ({ sizes }) => ({
+        success: true,
+        id: 'direct-1',
+        transactionId: 'tx-1',
+        filesUploaded: sizes.length,
+        totalSize: sizes.reduce((sum, size) => sum + size, 0)
+      }))
+    };
+    service = new DirectUploadService({ ipfsManager, spkClient, pendingUploadsManager: null });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should stream files from disk in bounded chunks', async () => {
+    const filePath = path.join(root, 'recording.mp4');
+    await fs.writeFile(filePath, Buffer.alloc(3 * MB + 10, 1));
+    await fs.writeFile(path.join(root, 'notes.txt'), 'hello');
+
+    const result = await service.uploadFromPaths([filePath, path.join(root, 'notes.txt')]);
+
+    const [video, notes] = ipfsManager.added;
+    expect(video).toMatchObject({ name: 'recording.mp4', buffered: false });
+    expect(Math.max(...video.chunks)).toBeLessThanOrEqual(MB);
+    expect(video.chunks.reduce((sum, size) => sum + size, 0)).toBe(3 * MB + 10);
+    expect(notes.chunks).toEqual([5]);
+
+    expect(spkClient.directUploadFiles).toHaveBeenCalledWith(expect.objectContaining({ sizes: [3 * MB + 10, 5] }));
+    expect(result.files.map(file => [file.name, file.size])).toEqual([['recording.mp4', 3 * MB + 10], ['notes.txt', 5]]);
+  });
+
+  test('should report storing progress while a request body streams in', async () => {
+    const progress = jest.fn();
+    service.on('progress', progress);
+    const body = Readable.from((function * () {
+      for (let i = 0; i < 17; i++) yield Buffer.alloc(MB);
+    })());
+
+    const result = await service.directUpload([{ name: 'upload.bin', size: 17 * MB, stream: body }]);
+
+    const storing = progress.mock.calls.map(([event]) => event).filter(event => event.stage === 'storing' && event.bytes);
+    expect(storing.map(event => event.bytes)).toEqual([8 * MB, 16 * MB]);
+    expect(storing[0]).toMatchObject({ file: 'upload.bin', totalBytes: 17 * MB, message: 'Storing upload.bin in IPFS (8.0 MB of 17.0 MB)' });
+    expect(storing[0].progress).toBeCloseTo(40 + (8 / 17) * 30);
+    expect(result.files[0].size).toBe(17 * MB);
+  });
+
+  test('should fail when a streamed file does not match its declared size', async () => {
+    const errors = jest.fn();
+    service.on('error', errors);
+
+    await expect(service.directUpload([
+      { name: 'short.bin', size: 10, stream: Readable.from([Buffer.from('abc')]) }
+    ])).rejects.toThrow('short.bin changed size while uploading (expected 10 bytes, read 3)');
+    expect(spkClient.directUploadFiles).not.toHaveBeenCalled();
+    expect(errors).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('changed size') }));
+  });
+});
@@ -0,0 +1,96 @@
+const { EventEmitter } = require('events');
+const http = require('http');
+const MetricsService = require('../../../../src/core/services/metrics-service');
+
+function createServices() {
+  const storageNode = new EventEmitter();
+  storageNode.running = true;
+  storageNode.config = { account: 'alice' };
+  storageNode.stats = {
+    validations: 7,
+    filesStored: 3,
+    lastValidation: new Date('2024-01-01T00:00:00Z'),
+    starts: 3,
+    restarts: 2,
+    unexpectedExits: 1
+  };
+
+  const ipfsManager = new EventEmitter();
+  ipfsManager.running = true;
+  ipfsManager.client = {};
+  ipfsManager.config = { maxStorage: 1000 };
+  ipfsManager.getRepoStats = jest.fn(async () => ({ repoSize: 250, numObjects: 12 }));
+  ipfsManager.getBandwidthStats = jest.fn(async () => ({ totalIn: 10, totalOut: 20, rateIn: 1, rateOut: 2 }));
+
+  const fileSyncService = {
+    isRunning: () => true,
+    getStats: () => ({ syncCount: 5, errorCount: 2, totalContracts: 4, pinnedCIDs: 9, lastSync: null })
+  };
+
+  return { storageNode, ipfsManager, fileSyncService };
+}
+
+describe('MetricsService', () => {
+  test('should render POA, IPFS and sync metrics in Prometheus format', async () => {
+    const metrics = new MetricsService(createServices());
+    const text = await metrics.collect();
+
+    expect(text).toContain('# TYPE oratr_poa_validations_total counter');
+    expect(text).toContain('oratr_poa_validations_total{account="alice"} 7');
+    expect(text).toContain('oratr_poa_restarts_total{account="alice"} 2');
+    expect(text).toContain('oratr_poa_last_validation_timestamp_seconds{account="alice"} 1704067200');
+    expect(text).toContain('oratr_ipfs_repo_size_bytes 250');
+    expect(text).toContain('oratr_ipfs_storage_max_bytes 1000');
+    expect(text).toContain('oratr_ipfs_storage_usage_ratio 0.25');
+    expect(text).toContain('oratr_sync_errors_total 2');
+    expect(text).toContain('oratr_sync_pinned_cids 9');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('should record proof latency and earnings from storage node events', async () => {
+    const services = createServices();
+    const metrics = new MetricsService(services);
+    metrics.attach();
+
+    services.storageNode.emit('validation', { output: 'Proof generated', latencyMs: 800 });
+    services.storageNode.emit('validation', { output: 'Handling validation request', latencyMs: null });
+    services.storageNode.emit('earnings-update', { amount: 1.5, token: 'broca' });
+
+    const text = await metrics.collect();
+
+    expect(text).toContain('oratr_poa_proof_latency_seconds_bucket{account="alice",le="0.5"} 0');
+    expect(text).toContain('oratr_poa_proof_latency_seconds_bucket{account="alice",le="1"} 1');
+    expect(text).toContain('oratr_poa_proof_latency_seconds_count{account="alice"} 1');
+    expect(text).toContain('oratr_poa_earnings_total{account="alice",token="BROCA"} 1.5');
+  });
+
+  test('should count IPFS scrape failures instead of failing the scrape', async () => {
+    const services = createServices();
+    services.ipfsManager.getRepoStats.mockRejectedValue(new Error('down'));
+    const metrics = new MetricsService(services);
+
+    const text = await metrics.collect();
+
+    expect(text).not.toContain('oratr_ipfs_repo_size_bytes');
+    expect(text).toContain('oratr_metrics_scrape_errors_total 1');
+  });
+
+  test('should require the bearer token when one is configured', async () => {
+    const metrics = new MetricsService(createServices());
+    const { port } = await metrics.start({ port: 0, token: 'secret' });
+
+    const get = (headers) => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/metrics', headers }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject);
+    });
+
+    try {
+      expect(await get({})).toBe(401);
+      expect(await get({ Authorization: 'Bearer secret' })).toBe(200);
+    } finally {
+      await metrics.stop();
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PrivateKey, cryptoUtils } = require('@hiveio/dhive');
+const OfflineSigning = require('../../../../src/core/services/offline-signing');
+const { prepareTransaction } = require('../../../../src/core/spk/wallet-operations');
+
+const keys = {
+  alice: PrivateKey.fromSeed('alice-active'),
+  bob: PrivateKey.fromSeed('bob-active'),
+  carol: PrivateKey.fromSeed('carol-active'),
+  mallory: PrivateKey.fromSeed('mallory-active')
+};
+const publicKey = name => keys[name].createPublic().toString();
+
+const transaction = {
+  ref_block_num: 1234,
+  ref_block_prefix: 567890,
+  expiration: '2099-01-01T00:00:00',
+  operations: [['transfer', { from: 'treasury', to: 'exchange', amount: '100.000 HIVE', memo: '' }]],
+  extensions: []
+};
+
+describe('OfflineSigning', () => {
+  let root;
+  let hiveClient;
+  let signing;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-signing-'));
+    // Treasury needs 2 of: alice's key, bob's key, or carol's account
+    const accounts = {
+      treasury: { name: 'treasury', active: { weight_threshold: 2, key_auths: [[publicKey('alice'), 1], [publicKey('bob'), 1]], account_auths: [['carol', 1]] } },
+      carol: { name: 'carol', active: { weight_threshold: 1, key_auths: [[publicKey('carol'), 1]], account_auths: [] } }
+    };
+    hiveClient = {
+      database: {
+        getAccounts: jest.fn(async names => names.map(name => accounts[name])),
+        getDynamicGlobalProperties: jest.fn(async () => ({
+          head_block_number: 0x12345678,
+          head_block_id: '12345678aabbccdd00000000000000000000000000',
+          time: '2024-05-10T00:00:00'
+        }))
+      },
+      broadcast: { send: jest.fn(async () => ({ id: 'confirmed', block_num: 99 })) }
+    };
+    signing = new OfflineSigning({ hiveClient, requestsFile: path.join(root, 'a.json') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should prepare an unsigned transaction that expires within the hour Hive allows', async () => {
+    expect(await prepareTransaction(hiveClient, transaction.operations, { expiresIn: 30 * 60 * 1000 })).toEqual({
+      ref_block_num: 0x5678,
+      ref_block_prefix: 0xddccbbaa,
+      expiration: '2024-05-10T00:30:00',
+      operations: transaction.operations,
+      extensions: []
+    });
+    await expect(prepareTransaction(hiveClient, transaction.operations, { expiresIn: 2 * 60 * 60 * 1000 }))
+      .rejects.toThrow('Expiration must be between 1 second and 60 minutes');
+  });
+
+  test('should collect signatures from co-signers and broadcast once the threshold is met', async () => {
+    const request = await signing.create({ account: 'treasury', keyType: 'active', transaction }, { description: 'Monthly payout' });
+    expect(request).toMatchObject({ id: cryptoUtils.generateTrxId(transaction), weight: 0, threshold: 2, ready: false, status: 'pending' });
+    await expect(signing.broadcast(request.id)).rejects.toThrow('Signatures carry weight 0 of the 2 needed');
+
+    // Bob signs on a machine that only has the QR payload and reads the authority from a node
+    const offline = new OfflineSigning({ hiveClient, requestsFile: path.join(root, 'b.json') });
+    const received = await offline.import(OfflineSigning.toQrPayload(request));
+    expect(received).toMatchObject({ id: request.id, description: 'Monthly payout', weight: 0 });
+    await expect(new OfflineSigning({ requestsFile: path.join(root, 'c.json') }).import(OfflineSigning.toQrPayload(request)))
+      .rejects.toThrow('needs a Hive node');
+    const signedByBob = await offline.sign(request.id, keys.bob.toString());
+    expect(signedByBob.keys.filter(key => key.signed)).toEqual([{ key: publicKey('bob'), weight: 1, signed: true }]);
+
+    // His file comes back; a key outside the authority is rejected
+    expect(await signing.import(JSON.stringify(OfflineSigning.toPayload(signedByBob)))).toMatchObject({ weight: 1, ready: false });
+    const mallory = keys.mallory.sign(cryptoUtils.transactionDigest(transaction)).toString();
+    await expect(signing.import(mallory, { id: request.id })).rejects.toThrow(`Signature by ${publicKey('mallory')} does not belong to @treasury's active authority`);
+
+    // Carol signs for her account with another wallet, which returns a signed transaction
+    const tampered = { ...transaction, operations: [['transfer', { ...transaction.operations[0][1], to: 'mallory' }]] };
+    await expect(signing.import(JSON.stringify(cryptoUtils.signTransaction(tampered, keys.carol))))
+      .rejects.toThrow('No signing request for transaction');
+    const ready = await signing.import(JSON.stringify(cryptoUtils.signTransaction(transaction, keys.carol)));
+    expect(ready).toMatchObject({ weight: 2, ready: true });
+
+    const broadcasts = [];
+    signing.on('broadcast', event => broadcasts.push(event));
+    expect(await signing.broadcast(request.id.slice(0, 8))).toMatchObject({ status: 'broadcast', result: { id: 'confirmed' } });
+    expect(hiveClient.broadcast.send.mock.calls[0][0].signatures).toHaveLength(2);
+    expect(broadcasts).toEqual([{ username: 'treasury', keyType: 'active', operations: transaction.operations, result: { id: 'confirmed', block_num: 99 } }]);
+
+    const reloaded = new OfflineSigning({ requestsFile: signing.requestsFile });
+    expect((await reloaded.list()).map(entry => [entry.status, entry.signatures.length])).toEqual([['broadcast', 2]]);
+  });
+
+  test('should check signatures against the authority on chain, not the one in the file', async () => {
+    const request = await signing.create({ account: 'treasury', keyType: 'active', transaction });
+    const forged = {
+      ...OfflineSigning.toPayload(request),
+      authority: { weight_threshold: 1, key_auths: [[publicKey('mallory'), 1]], account_auths: [] },
+      accountAuthorities: {}
+    };
+
+    const other = new OfflineSigning({ hiveClient, requestsFile: path.join(root, 'b.json') });
+    const received = await other.import(JSON.stringify(forged));
+    expect(received).toMatchObject({ threshold: 2, fileAuthority: forged.authority });
+    expect(hiveClient.database.getAccounts).toHaveBeenLastCalledWith(['carol']);
+    await expect(other.sign(request.id, keys.mallory.toString())).rejects.toThrow('does not belong to @treasury\'s active authority');
+
+    const signature = keys.mallory.sign(cryptoUtils.transactionDigest(transaction)).toString();
+    await expect(signing.import(JSON.stringify({ ...forged, transaction: { ...transaction, signatures: [signature] } })))
+      .rejects.toThrow('does not belong to @treasury\'s active authority');
+  });
+
+  test('should decode payloads and weigh delegated account authorities', () => {
+    expect(() => OfflineSigning.decodePayload('hello')).toThrow('Not a signing request, signed transaction or signature');
+    const signature = keys.alice.sign(cryptoUtils.transactionDigest(transaction)).toString();
+    expect(OfflineSigning.decodePayload(` ${signature}\n`)).toEqual({ signatures: [signature] });
+
+    const authority = { weight_threshold: 3, key_auths: [[publicKey('alice'), 2]], account_auths: [['carol', 1]] };
+    const carol = { weight_threshold: 1, key_auths: [[publicKey('carol'), 1]], account_auths: [] };
+    expect(OfflineSigning.authorityWeight(authority, [publicKey('alice')], { carol })).toBe(2);
+    expect(OfflineSigning.authorityWeight(authority, [publicKey('alice'), publicKey('carol')], { carol })).toBe(3);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TokenScheduler = require('../../../../src/core/services/token-scheduler');
+const wallet = require('../../../../src/core/spk/wallet-operations');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2024-05-10T00:00:00Z');
+
+describe('TokenScheduler', () => {
+  let root;
+  let balances;
+  let broadcast;
+  let scheduler;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-schedules-'));
+    balances = {
+      hive: { HIVE: 120.5, HBD: 3, rewards: { HIVE: 0.2, HBD: 0.1, VESTS: 1000.123456, HP: 0.6 } },
+      spk: { SPK: 2, LARYNX: 40 }
+    };
+    broadcast = jest.fn(async () => ({ result: { tx_id: `tx${broadcast.mock.calls.length}` } }));
+    scheduler = new TokenScheduler({
+      getBalances: async (account, chain) => balances[chain],
+      broadcast,
+      isTestnet: () => true,
+      stateFile: path.join(root, 'token-schedules.json')
+    });
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should validate rules and derive the key type they sign with', () => {
+    const rule = TokenScheduler.normalizeRule({ account: '@Alice', action: 'transfer', token: 'hive', to: 'cold', keep: '5' });
+    expect(rule).toMatchObject({ account: 'alice', token: 'HIVE', to: 'cold', amount: 'all', keep: 5, intervalHours: 24, name: 'Send all HIVE to @cold' });
+    expect(TokenScheduler.keyTypeOf(rule)).toBe('active');
+    expect(TokenScheduler.keyTypeOf({ action: 'claim_rewards' })).toBe('posting');
+
+    expect(() => TokenScheduler.normalizeRule({ account: 'alice', action: 'power_up', token: 'HBD' }))
+      .toThrow('power_up works with HIVE, LARYNX, SPK, got HBD');
+    expect(() => TokenScheduler.normalizeRule({ account: 'alice', action: 'transfer', token: 'SPK', to: 'alice' }))
+      .toThrow('A transfer rule cannot send to its own account');
+    expect(() => TokenScheduler.normalizeRule({ account: 'alice', action: 'claim_rewards', intervalHours: 0.5 }))
+      .toThrow('Interval must be at least 1 hour, got 0.5');
+  });
+
+  test('should plan runs within keep, threshold and limits', () => {
+    const rule = TokenScheduler.normalizeRule({ account: 'alice', action: 'transfer', token: 'HIVE', to: 'cold', keep: 20, maxPerRun: 60, maxPerDay: 100 });
+    expect(TokenScheduler.planRun(rule, balances.hive)).toEqual({ amount: 60 });
+    expect(TokenScheduler.planRun(rule, balances.hive, 70)).toEqual({ amount: 30 });
+    expect(TokenScheduler.planRun(rule, balances.hive, 100)).toEqual({ skip: 'Daily limit of 100 HIVE reached' });
+    expect(TokenScheduler.planRun({ ...rule, threshold: 150 }, balances.hive))
+      .toEqual({ skip: '100.5 HIVE available is below the threshold of 150' });
+    expect(TokenScheduler.planRun({ ...rule, amount: 200 }, balances.hive)).toEqual({ skip: 'Needs 200 HIVE, 100.5 available' });
+
+    const claim = TokenScheduler.normalizeRule({ account: 'alice', action: 'claim_rewards', threshold: 1 });
+    expect(TokenScheduler.planRun(claim, balances.hive)).toEqual({ skip: 'Pending rewards of 0.9 are below the threshold of 1' });
+    expect(TokenScheduler.buildTransaction(claim, { rewards: balances.hive.rewards }).operations).toEqual([['claim_reward_balance', {
+      account: 'alice', reward_hive: '0.200 HIVE', reward_hbd: '0.100 HBD', reward_vests: '1000.123456 VESTS'
+    }]]);
+
+    const powerUp = TokenScheduler.normalizeRule({ account: 'alice', action: 'power_up', token: 'LARYNX' });
+    expect(TokenScheduler.buildTransaction(powerUp, { amount: 1.5 }, { testnet: true })).toEqual({
+      operations: [['custom_json', { required_auths: ['alice'], required_posting_auths: [], id: 'spkccT_power_up', json: '{"amount":1500}' }]],
+      keyType: 'active'
+    });
+  });
+
+  test('should plan SPK runs from the spk-js getBalances shape', () => {
+    const spkJs = {
+      SPK: { balance: 2500, staked: 0 },
+      LARYNX: { balance: 40000, staked: 5000, delegatedIn: 0, delegatedOut: 0 },
+      BROCA: { balance: 120000 }
+    };
+    expect(wallet.spkBalances(spkJs)).toEqual({ SPK: 2.5, LARYNX: 40 });
+
+    const rule = TokenScheduler.normalizeRule({ account: 'alice', action: 'power_up', token: 'LARYNX', keep: 10 });
+    expect(TokenScheduler.planRun(rule, wallet.spkBalances(spkJs))).toEqual({ amount: 30 });
+  });
+
+  test('should only run approved, due rules and drop approval when a rule changes', async () => {
+    const rule = await scheduler.add({ account: 'alice', action: 'power_up', token: 'LARYNX', keep: 10, intervalHours: 12 });
+    expect(await scheduler.tick(now)).toEqual([]);
+    await expect(scheduler.run(rule.id, now)).rejects.toThrow('is not approved to sign with the active key');
+    await expect(scheduler.approve(rule.id, 'posting')).rejects.toThrow('signs with the active key, approve active (got posting)');
+
+    await scheduler.approve(rule.id, 'active');
+    const [run] = await scheduler.tick(now);
+    expect(run).toMatchObject({ status: 'broadcast', amount: 30, token: 'LARYNX', transactionId: 'tx1' });
+    expect(broadcast).toHaveBeenCalledWith('alice', {
+      operations: [['custom_json', { required_auths: ['alice'], required_posting_auths: [], id: 'spkccT_power_up', json: '{"amount":30000}' }]]
+    }, 'active');
+
+    // Not due again until the interval has passed
+    expect(await scheduler.tick(new Date(now.getTime() + 6 * HOUR))).toEqual([]);
+    balances.spk.LARYNX = 10;
+    expect(await scheduler.tick(new Date(now.getTime() + 12 * HOUR))).toMatchObject([{ status: 'skipped', reason: '10 LARYNX is not above the 10 kept' }]);
+
+    await scheduler.update(rule.id, { name: 'Stake LARYNX', intervalHours: 6 });
+    expect((await scheduler.list())[0]).toMatchObject({ name: 'Stake LARYNX', approved: true });
+    await scheduler.update(rule.id, { keep: 0 });
+    expect((await scheduler.list())[0]).toMatchObject({ approved: false, keyType: 'active' });
+
+    // A sweep approved for one recipient does not carry over to another, however it is changed
+    const sweep = await scheduler.add({ account: 'alice', action: 'transfer', token: 'HIVE', to: 'bob', amount: 1 });
+    await scheduler.approve(sweep.id, 'active');
+    await scheduler.update(sweep.id, { to: 'mallory' });
+    expect((await scheduler.list())[1].approved).toBe(false);
+    await scheduler.approve(sweep.id, 'active');
+    (await scheduler.get(sweep.id)).amount = 100;
+    expect((await scheduler.list())[1].approved).toBe(false);
+    await expect(scheduler.run(sweep.id, now)).rejects.toThrow('is not approved to sign with the active key');
+
+    const reloaded = new TokenScheduler({ stateFile: scheduler.stateFile });
+    expect((await reloaded.getLog()).map(entry => entry.status)).toEqual(['skipped', 'broadcast']);
+  });
+});
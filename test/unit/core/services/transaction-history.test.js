@@ -0,0 +1,99 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TransactionHistory = require('../../../../src/core/services/transaction-history');
+
+const spkOp = (action, json, account = 'alice') => ['custom_json', {
+  required_auths: [account],
+  required_posting_auths: [],
+  id: `spkccT_${action}`,
+  json: JSON.stringify(json)
+}];
+
+describe('TransactionHistory', () => {
+  let root;
+  let hiveHistory;
+  let history;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-history-'));
+    hiveHistory = [];
+    history = new TransactionHistory({
+      hiveClient: { database: { getAccountHistory: jest.fn(async () => hiveHistory) } },
+      historyFile: path.join(root, 'transaction-history.json')
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should describe Hive and SPK wallet operations', () => {
+    expect(TransactionHistory.fromOperation(['transfer', { from: 'alice', to: 'bob', amount: '1.500 HBD', memo: 'thanks' }]))
+      .toMatchObject({ chain: 'hive', type: 'transfer', token: 'HBD', amount: 1.5, from: 'alice', to: 'bob', memo: 'thanks' });
+    expect(TransactionHistory.fromOperation(['delegate_vesting_shares', { delegator: 'alice', delegatee: 'carol', vesting_shares: '2000.000000 VESTS' }]))
+      .toMatchObject({ type: 'delegate', token: 'VESTS', amount: 2000, to: 'carol' });
+    expect(TransactionHistory.fromOperation(spkOp('spk_send', { to: 'bob', amount: 2500, memo: 'hi' })))
+      .toMatchObject({ chain: 'spk', type: 'transfer', token: 'SPK', amount: 2.5, from: 'alice', to: 'bob' });
+    expect(TransactionHistory.fromOperation(spkOp('power_up', { amount: 1000 })))
+      .toMatchObject({ type: 'power_up', token: 'LARYNX', amount: 1 });
+    expect(TransactionHistory.fromOperation(['vote', { voter: 'alice' }])).toBeNull();
+    expect(TransactionHistory.fromOperation(['custom_json', { id: 'follow', json: '[]' }])).toBeNull();
+  });
+
+  test('should record broadcasts, confirm them from chain history and export CSV', async () => {
+    await history.recordBroadcast({
+      username: 'alice',
+      operations: [['transfer', { from: 'alice', to: 'bob', amount: '1.000 HIVE', memo: 'rent, May' }]],
+      result: { jsonrpc: '2.0', id: 1, result: { tx_id: 'aaa111', status: 'unknown' } }
+    });
+    await history.recordBroadcast({
+      username: 'alice',
+      operations: [spkOp('send', { to: 'bob', amount: 5000 })],
+      error: new Error('missing required active authority')
+    });
+
+    hiveHistory = [
+      [10, { trx_id: 'aaa111', block: 500, op_in_trx: 0, timestamp: '2024-05-01T12:00:00', op: ['transfer', { from: 'alice', to: 'bob', amount: '1.000 HIVE', memo: 'rent, May' }] }],
+      [11, { trx_id: 'bbb222', block: 510, op_in_trx: 0, timestamp: '2024-05-02T12:00:00', op: ['transfer', { from: 'carol', to: 'alice', amount: '3.000 HBD', memo: '' }] }],
+      [12, { trx_id: 'ccc333', block: 520, op_in_trx: 0, timestamp: '2024-05-03T12:00:00', op: ['vote', { voter: 'alice' }] }]
+    ];
+    expect(await history.sync('alice')).toEqual({ added: 1, confirmed: 1 });
+    expect(history.hiveClient.database.getAccountHistory).toHaveBeenCalledWith('alice', -1, 1000);
+
+    const reloaded = new TransactionHistory({ historyFile: history.historyFile });
+    expect((await reloaded.query({ account: 'alice' })).map(e => [e.token, e.source, e.status, e.block])).toEqual([
+      ['LARYNX', 'oratr', 'failed', null],
+      ['HBD', 'chain', 'confirmed', 510],
+      ['HIVE', 'oratr', 'confirmed', 500]
+    ]);
+    expect((await reloaded.query({ search: 'RENT' })).map(e => e.transactionId)).toEqual(['aaa111']);
+    expect(await reloaded.query({ token: 'HBD', since: '2024-05-03' })).toEqual([]);
+
+    const csv = TransactionHistory.toCsv(await reloaded.query({ token: 'HIVE' }));
+    expect(csv.split('\n')[0]).toBe(TransactionHistory.CSV_COLUMNS.join(','));
+    expect(csv.split('\n')[1]).toBe('2024-05-01T12:00:00.000Z,hive,HIVE,transfer,alice,alice,bob,1,"rent, May",confirmed,oratr,aaa111,500,,');
+
+    // Memos are chosen by the sender, so they cannot become spreadsheet formulas
+    const row = (memo) => TransactionHistory.toCsv([{ memo, amount: -1 }]).split('\n')[1].split(',')[8];
+    expect(['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)', 'plain'].map(row)).toEqual(['"\'=HYPERLINK(""x"")"', '\'+1', '\'-2', '\'@SUM(A1)', 'plain']);
+    expect(TransactionHistory.toCsv([{ amount: -1 }]).split('\n')[1].split(',')[7]).toBe('-1');
+  });
+
+  test('should link an upload to its contract transaction', async () => {
+    await history.recordBroadcast({
+      username: 'alice',
+      operations: [spkOp('channel_open', { broca: 120000, broker: 'dlux-io', to: 'alice' })],
+      result: { result: { tx_id: 'ddd444' } }
+    });
+    await history.linkUpload({ transactionId: 'ddd444', uploadId: 'QmMaster', contractId: 'alice:0:99', account: 'alice', broca: 120 });
+    // An upload whose broadcast was not seen still gets an entry
+    await history.linkUpload({ transactionId: 'eee555', uploadId: 'up-2', contractId: 'alice:0:100', account: 'alice', broca: 40 });
+    await history.flush();
+
+    expect((await history.linked('QmMaster')).map(e => [e.type, e.transactionId, e.contractId, e.amount])).toEqual([
+      ['contract', 'ddd444', 'alice:0:99', 120]
+    ]);
+    expect((await history.linked('alice:0:100')).map(e => [e.type, e.uploadId, e.token])).toEqual([['upload', 'up-2', 'BROCA']]);
+  });
+});
@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TranscodeJobsManager = require('../../../../src/core/services/transcode-jobs-manager');
+
+const SETTINGS = { resolutions: ['720p', '480p'], codec: 'h264', segmentFormat: 'ts', duration: 40 };
+
+function playlist(segments, complete) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:10'];
+  for (let i = 0; i < segments; i++) {
+    lines.push('#EXTINF:10.000000,', `segment_${i}.ts`);
+  }
+  if (complete) lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+async function writePlaylist(job, resolution, segments, complete) {
+  const dir = path.join(job.outputDir, resolution);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${resolution}.m3u8`), playlist(segments, complete));
+}
+
+describe('TranscodeJobsManager', () => {
+  let root;
+  let source;
+  let manager;
+
+  function createManager() {
+    return new TranscodeJobsManager({
+      storageFile: path.join(root, 'transcode-jobs.json'),
+      jobsDir: path.join(root, 'jobs')
+    });
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-jobs-'));
+    source = path.join(root, 'video.mp4');
+    await fs.writeFile(source, 'not really a video');
+    manager = createManager();
+    await manager.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should resume a job for the same source and settings after a restart', async () => {
+    const job = await manager.prepareJob(source, SETTINGS, { name: 'video.mp4' });
+    expect(job.resumed).toBe(false);
+    expect(job.outputDir).toBe(path.join(root, 'jobs', job.id));
+
+    await manager.updateJob(job.id, 'transcoding');
+    await writePlaylist(job, '720p', 2, false);
+
+    // Simulate an app restart
+    const restarted = createManager();
+    await restarted.init();
+    expect(restarted.getJob(job.id).status).toBe('interrupted');
+
+    const resumed = await restarted.prepareJob(source, SETTINGS);
+    expect(resumed.id).toBe(job.id);
+    expect(resumed.resumed).toBe(true);
+    expect(resumed.renditions['720p']).toEqual({ segments: 2, duration: 20, complete: false });
+    expect(await restarted.getResumableJobs()).toHaveLength(1);
+  });
+
+  test('should start a new job when the settings or source change', async () => {
+    const job = await manager.prepareJob(source, SETTINGS);
+
+    const otherCodec = await manager.prepareJob(source, { ...SETTINGS, codec: 'hevc' });
+    expect(otherCodec.id).not.toBe(job.id);
+
+    await fs.appendFile(source, ' edited');
+    const edited = await manager.prepareJob(source, SETTINGS);
+    expect(edited.id).not.toBe(job.id);
+  });
+
+  test('should record progress and mark the job failed when transcoding throws', async () => {
+    const job = await manager.prepareJob(source, SETTINGS);
+    const transcoder = new EventEmitter();
+    transcoder.transcodeToMultipleResolutions = jest.fn(async () => {
+      await writePlaylist(job, '720p', 4, true);
+      await writePlaylist(job, '480p', 1, false);
+      throw new Error('FFmpeg exited with code 1');
+    });
+
+    await expect(manager.runJob(job.id, transcoder, { singlePass: true })).rejects.toThrow('FFmpeg exited');
+
+    expect(transcoder.transcodeToMultipleResolutions).toHaveBeenCalledWith(
+      source, job.outputDir, ['720p', '480p'], expect.objectContaining({ singlePass: true, resume: false })
+    );
+    const [display] = await manager.getJobsForDisplay();
+    expect(display.status).toBe('failed');
+    expect(display.error).toBe('FFmpeg exited with code 1');
+    // 720p complete, 480p at 10 of 40 seconds
+    expect(display.percent).toBe(63);
+    expect(transcoder.listenerCount('progress')).toBe(0);
+  });
+
+  test('should complete a job and delete its output on removal', async () => {
+    const job = await manager.prepareJob(source, SETTINGS);
+    const transcoder = new EventEmitter();
+    transcoder.transcodeToHLS = jest.fn(async (input, dir, resolution) => {
+      await writePlaylist(job, resolution, 4, true);
+      return { resolution };
+    });
+
+    await manager.runRendition(job.id, transcoder, '720p');
+    expect(transcoder.transcodeToHLS).toHaveBeenCalledWith(source, path.join(job.outputDir, '720p'), '720p', { resume: false });
+    expect(manager.getJob(job.id).status).toBe('transcoding');
+
+    await manager.completeJob(job.id);
+    expect((await manager.getJobsForDisplay())[0].percent).toBe(100);
+
+    await manager.removeJob(job.id);
+    await expect(fs.access(job.outputDir)).rejects.toThrow();
+    expect(JSON.parse(await fs.readFile(manager.storageFile, 'utf8'))).toEqual([]);
+  });
+
+  test('should keep caller-provided output directories when removing a job', async () => {
+    const outputDir = path.join(root, 'cli-out');
+    const job = await manager.prepareJob(source, SETTINGS, { outputDir });
+
+    await manager.removeJob(job.id);
+
+    await expect(fs.access(outputDir)).resolves.toBeUndefined();
+  });
+});
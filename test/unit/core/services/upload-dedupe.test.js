@@ -0,0 +1,138 @@
+const UploadDedupe = require('../../../../src/core/services/upload-dedupe');
+const DirectUploadService = require('../../../../src/core/services/direct-upload-service');
+
+// CIDs derived from content so identical files hash the same
+const ipfsManager = {
+  hashOnly: jest.fn(async (content) => `Qm${Buffer.from(content).toString('hex')}`),
+  isDaemonRunning: jest.fn(async () => true),
+  addFile: jest.fn(async (source) => {
+    const chunks = [];
+    for await (const chunk of (Buffer.isBuffer(source) ? [source] : source)) chunks.push(chunk);
+    return { cid: `Qm${Buffer.concat(chunks).toString('hex')}` };
+  })
+};
+
+const cidOf = (text) => `Qm${Buffer.from(text).toString('hex')}`;
+
+describe('UploadDedupe', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        head_block: 1000,
+        file_contracts: {
+          // 40 days left at 3 second blocks
+          'alice:0:123': { e: '1153000:QmExpiry', df: { [cidOf('intro')]: 5, [cidOf('#EXTM3U')]: 7 } },
+          'alice:0:124': { e: '1001:QmExpiry', df: { [cidOf('outro')]: 5 } }
+        }
+      })
+    }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    console.warn.mockRestore();
+  });
+
+  test('should resolve dedupe modes from options and settings', () => {
+    expect(UploadDedupe.resolveMode(undefined, undefined)).toBe('reference');
+    expect(UploadDedupe.resolveMode(undefined, 'ask')).toBe('reference');
+    expect(UploadDedupe.resolveMode(undefined, 'upload')).toBe('upload');
+    expect(UploadDedupe.resolveMode('reference', 'upload')).toBe('reference');
+    expect(() => UploadDedupe.resolveMode('skip')).toThrow('Unknown dedupe mode "skip"');
+  });
+
+  test('should find files in the uploader\'s contracts before asking the network', async () => {
+    const checkNetwork = jest.fn(async (cids) => cids.map(cid => ({ cid, exists: cid === cidOf('logo') })));
+    const dedupe = new UploadDedupe({ ipfsManager, spkApiUrl: () => 'https://spk.test', checkNetwork });
+
+    const result = await dedupe.check([
+      { name: 'intro.ts', buffer: Buffer.from('intro') },
+      { name: 'logo.png', buffer: Buffer.from('logo') },
+      { name: 'new.ts', buffer: Buffer.from('brand new') },
+      { name: 'live.bin', stream: [] }
+    ], 'alice');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://spk.test/@alice');
+    expect(checkNetwork).toHaveBeenCalledWith([cidOf('logo'), cidOf('brand new')]);
+    expect(result.files.map(file => [file.name, file.existing])).toEqual([
+      ['intro.ts', { source: 'contract', contractId: 'alice:0:123', expires: '1153000:QmExpiry', expiresIn: 40 * 24 * 60 * 60 }],
+      ['logo.png', { source: 'network' }],
+      ['new.ts', null],
+      ['live.bin', null]
+    ]);
+    expect(result.files[3].cid).toBeNull();
+    // Network matches are reported but not referenced
+    expect(result.duplicates.map(file => file.name)).toEqual(['intro.ts']);
+    expect(result.duplicateBytes).toBe(5);
+  });
+
+  test('should only reference contract files that outlive the new contract, never the master playlist', async () => {
+    const dedupe = new UploadDedupe({ ipfsManager, spkApiUrl: 'https://spk.test' });
+    const existing = await dedupe.findExisting([cidOf('intro'), cidOf('outro')], 'alice');
+    const days = (count) => count * 24 * 60 * 60;
+
+    expect(UploadDedupe.canReference('intro.ts', existing.get(cidOf('intro')), days(30))).toBe(true);
+    expect(UploadDedupe.canReference('intro.ts', existing.get(cidOf('intro')), days(60))).toBe(false);
+    expect(UploadDedupe.canReference('outro.ts', existing.get(cidOf('outro')), days(30))).toBe(false);
+    expect(UploadDedupe.canReference('master.m3u8', existing.get(cidOf('intro')), days(30))).toBe(false);
+    expect(UploadDedupe.canReference('logo.png', { source: 'network' }, days(30))).toBe(false);
+    expect(UploadDedupe.canReference('intro.ts', { source: 'contract', expiresIn: null }, days(30))).toBe(false);
+  });
+
+  test('should treat failed lookups as no duplicates', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 502 }));
+    const dedupe = new UploadDedupe({
+      ipfsManager,
+      spkApiUrl: 'https://spk.test',
+      checkNetwork: jest.fn(async () => { throw new Error('offline'); })
+    });
+
+    const existing = await dedupe.findExisting([cidOf('intro')], 'alice');
+    expect(existing.size).toBe(0);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reference stored files instead of paying for them in direct uploads', async () => {
+    const spkClient = {
+      username: 'alice',
+      directUploadFiles: jest.fn(async ({ sizes }) => ({
+        success: true,
+        id: 'direct-1',
+        transactionId: 'tx-1',
+        filesUploaded: sizes.length,
+        totalSize: sizes.reduce((sum, size) => sum + size, 0)
+      }))
+    };
+    const uploadDedupe = new UploadDedupe({ ipfsManager, spkApiUrl: 'https://spk.test' });
+    const service = new DirectUploadService({ ipfsManager, spkClient, pendingUploadsManager: null, uploadDedupe });
+    const files = () => [
+      { name: 'intro.ts', buffer: Buffer.from('intro') },
+      { name: 'master.m3u8', buffer: Buffer.from('#EXTM3U') }
+    ];
+
+    const result = await service.directUpload(files(), { videoName: 'clip.mp4' });
+
+    // The master playlist is uploaded even though it is stored already
+    expect(ipfsManager.addFile).toHaveBeenCalledTimes(1);
+    expect(spkClient.directUploadFiles).toHaveBeenCalledWith(expect.objectContaining({
+      cids: [cidOf('#EXTM3U')],
+      sizes: [7],
+      metadata: [expect.objectContaining({ name: 'clip', flag: 1 })]
+    }));
+    expect(result.brocaCost).toBe(7);
+    expect(result.referenced).toEqual([expect.objectContaining({ name: 'intro.ts', cid: cidOf('intro'), referenced: true })]);
+
+    // Paying again is still possible, and nothing is broadcast when every file is already stored
+    await service.directUpload(files(), { dedupe: 'upload' });
+    expect(spkClient.directUploadFiles.mock.calls[1][0].cids).toEqual([cidOf('intro'), cidOf('#EXTM3U')]);
+
+    const stored = await service.directUpload([{ name: 'intro.ts', buffer: Buffer.from('intro') }]);
+    expect(spkClient.directUploadFiles).toHaveBeenCalledTimes(2);
+    expect(stored).toMatchObject({ success: true, transactionId: null, brocaCost: 0, filesUploaded: 0 });
+  });
+});
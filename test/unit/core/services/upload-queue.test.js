@@ -0,0 +1,323 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const UploadQueue = require('../../../../src/core/services/upload-queue');
+const VideoUploadService = require('../../../../src/core/services/video-upload-service');
+const PlaylistProcessor = require('../../../../src/core/ffmpeg/playlist-processor');
+const UploadDedupe = require('../../../../src/core/services/upload-dedupe');
+
+// Transcoder returning what Transcoder.transcodeToMultipleResolutions does:
+// { [resolution]: collectRendition() result } with files in <outputDir>/<resolution>/.
+// Transcodes wait until the test finishes them, so phases can be observed.
+function createTranscoder(root) {
+  const transcoder = new EventEmitter();
+  transcoder.pending = [];
+  transcoder.analyzeVideo = jest.fn(async () => ({ width: 1280, height: 720, duration: 4, fps: 30, hasAudio: true }));
+  transcoder.determineOutputResolutions = jest.fn(() => ['720p', '480p']);
+  transcoder.findThumbnailCandidates = jest.fn(async () => [{ timestamp: 2 }]);
+  transcoder.generateThumbnail = jest.fn(async () => ({ buffer: Buffer.from('jpeg'), mimeType: 'image/jpeg' }));
+  transcoder.createTempDirectory = jest.fn(() => fs.mkdtemp(path.join(root, 'tmp-')));
+  transcoder.cancelAll = jest.fn();
+  transcoder.transcodeToMultipleResolutions = jest.fn((videoPath, outputDir, resolutions) => new Promise((resolve, reject) => {
+    transcoder.pending.push({
+      videoPath,
+      reject,
+      finish: async () => {
+        const results = {};
+        for (const resolution of resolutions) {
+          const dir = path.join(outputDir, resolution);
+          const segment = `${resolution}_segment_000.ts`;
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(path.join(dir, segment), `${videoPath} ${resolution}`);
+          await fs.writeFile(path.join(dir, `${resolution}.m3u8`), `#EXTM3U\n#EXTINF:4.0,\n${segment}\n#EXT-X-ENDLIST\n`);
+          results[resolution] = {
+            playlistPath: path.join(dir, `${resolution}.m3u8`),
+            segments: [{ filename: segment, path: path.join(dir, segment) }],
+            resolution,
+            codec: 'h264',
+            segmentFormat: 'ts',
+            codecs: 'avc1.64001f,mp4a.40.2',
+            bandwidth: resolution === '720p' ? 2800000 : 1400000
+          };
+        }
+        resolve(results);
+      }
+    });
+  }));
+  return transcoder;
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 400; i++) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting for the queue');
+}
+
+describe('UploadQueue', () => {
+  let root;
+  let transcoder;
+  let spkClient;
+  let videoUploadService;
+  let queue;
+  let items;
+
+  function createQueue(options = {}) {
+    const created = new UploadQueue({
+      videoUploadService,
+      queueFile: path.join(root, 'upload-queue.json'),
+      ...options
+    });
+    created.on('queue-updated', async () => { items = await created.getQueue(); });
+    return created;
+  }
+
+  async function finishTranscode(index) {
+    await waitFor(() => transcoder.pending.length > index);
+    await transcoder.pending[index].finish();
+  }
+
+  const statuses = () => items.map(item => [path.basename(item.videoPath), item.status]);
+  const refresh = async () => { items = await queue.getQueue(); };
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-queue-'));
+    transcoder = createTranscoder(root);
+    spkClient = {
+      calculateBrocaCost: jest.fn(async () => ({ broca: 10 })),
+      directUpload: jest.fn(async () => ({ contractId: 'contract-1', transactionId: 'tx-1', brocaCost: 10, totalSize: 100 }))
+    };
+    videoUploadService = new VideoUploadService({
+      transcoder,
+      playlistProcessor: new PlaylistProcessor(),
+      ipfsManager: {
+        hashOnly: jest.fn(async content => `Qm${Buffer.from(content).toString('hex').slice(0, 16)}`),
+        isRunning: () => true,
+        addFile: jest.fn(async () => {})
+      },
+      spkClient,
+      integratedStorage: null
+    });
+    items = [];
+    queue = createQueue();
+  });
+
+  afterEach(async () => {
+    await queue.pauseQueue();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should order items by priority and move them within the queue', async () => {
+    await queue.pauseQueue();
+    const a = await queue.queueUpload('/videos/a.mp4');
+    const b = await queue.queueUpload('/videos/b.mp4', {}, { priority: 5 });
+    const c = await queue.queueUpload('/videos/c.mp4');
+    await refresh();
+
+    expect(statuses().map(([name]) => name)).toEqual(['b.mp4', 'a.mp4', 'c.mp4']);
+
+    await queue.moveItem(c, 0);
+    await refresh();
+    expect(statuses().map(([name]) => name)).toEqual(['c.mp4', 'b.mp4', 'a.mp4']);
+    expect(items[0].priority).toBe(5);
+
+    await queue.setPriority(a, 10);
+    await refresh();
+    expect(statuses().map(([name]) => name)).toEqual(['a.mp4', 'c.mp4', 'b.mp4']);
+    expect(b).toEqual(expect.any(String));
+  });
+
+  test('should transcode with the real renditions shape and publish a CID master playlist', async () => {
+    const completed = jest.fn();
+    queue.on('completed', completed);
+    await queue.queueUpload('/videos/a.mp4', { resolutions: ['720p', '480p'] });
+    await finishTranscode(0);
+    await waitFor(() => completed.mock.calls.length === 1);
+
+    const [outputDir, resolutions] = transcoder.transcodeToMultipleResolutions.mock.calls[0].slice(1, 3);
+    expect(resolutions).toEqual(['720p', '480p']);
+    const { result } = completed.mock.calls[0][0];
+    expect(Object.keys(result.resolutions)).toEqual(['720p', '480p']);
+    expect(result.masterPlaylistCID).toMatch(/^Qm/);
+    expect(result.thumbnail).toMatchObject({ timestamp: 2, mimeType: 'image/jpeg' });
+    expect(result.contract).toMatchObject({ id: 'contract-1', transactionId: 'tx-1' });
+
+    const files = spkClient.directUpload.mock.calls[0][0];
+    expect(files.map(file => file.name)).toEqual(expect.arrayContaining([
+      '720p_segment_000.ts', '720p.m3u8', '480p.m3u8', 'master.m3u8', 'thumbnail.jpg'
+    ]));
+    const master = (await files.find(file => file.name === 'master.m3u8').arrayBuffer()).toString();
+    expect(master).toContain(`/ipfs/${result.resolutions['720p'].playlistCID}?filename=720p.m3u8`);
+    await expect(fs.access(outputDir)).rejects.toThrow();
+  });
+
+  test('should reference segments already in the signed-in account\'s contracts', async () => {
+    const originalFetch = global.fetch;
+    const cidOf = content => `Qm${Buffer.from(content).toString('hex')}`;
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        head_block: 1000,
+        file_contracts: { 'alice:0:123': { e: '1153000:QmExpiry', df: { [cidOf('/videos/a.mp4 720p')]: 18 } } }
+      })
+    }));
+
+    // Shaped like SPKClientWrapper: the account is currentUser, there is no username
+    const wrapper = {
+      currentUser: 'alice',
+      calculateBrocaCost: jest.fn(async () => ({ broca: 10 })),
+      directUploadFiles: jest.fn(async ({ sizes }) => ({ success: true, id: 'direct-1', transactionId: 'tx-1', totalSize: sizes.length }))
+    };
+    const ipfsManager = { hashOnly: jest.fn(async content => cidOf(content)), isRunning: () => true, addFile: jest.fn(async () => {}) };
+    videoUploadService = new VideoUploadService({
+      transcoder,
+      playlistProcessor: new PlaylistProcessor(),
+      ipfsManager,
+      spkClient: wrapper,
+      integratedStorage: null,
+      uploadDedupe: new UploadDedupe({ ipfsManager, spkApiUrl: 'https://spk.test' })
+    });
+    queue = createQueue();
+
+    try {
+      const completed = jest.fn();
+      queue.on('completed', completed);
+      await queue.queueUpload('/videos/a.mp4', { uploadMethod: 'direct', resolutions: ['720p', '480p'] });
+      await finishTranscode(0);
+      await waitFor(() => completed.mock.calls.length === 1);
+
+      expect(global.fetch).toHaveBeenCalledWith('https://spk.test/@alice');
+      const { cids } = wrapper.directUploadFiles.mock.calls[0][0];
+      expect(cids).not.toContain(cidOf('/videos/a.mp4 720p'));
+      expect(cids).toContain(cidOf('/videos/a.mp4 480p'));
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('should limit transcodes and uploads separately', async () => {
+    await queue.queueUpload('/videos/a.mp4');
+    await queue.queueUpload('/videos/b.mp4');
+    await refresh();
+    expect(statuses()).toEqual([['a.mp4', 'transcoding'], ['b.mp4', 'queued']]);
+
+    // a moves on to uploading while b takes the free transcode slot
+    let finishUpload;
+    spkClient.directUpload.mockImplementationOnce(() => new Promise(resolve => { finishUpload = resolve; }));
+    await finishTranscode(0);
+    await waitFor(() => finishUpload && transcoder.pending.length === 2);
+    await refresh();
+    expect(statuses()).toEqual([['a.mp4', 'uploading'], ['b.mp4', 'transcoding']]);
+    expect(queue.getStatus()).toMatchObject({ transcoding: 1, uploading: 1, queueLength: 2 });
+
+    // b waits for the upload slot
+    await finishTranscode(1);
+    await waitFor(() => statuses()[1][1] === 'transcoded');
+    expect(statuses()[0][1]).toBe('uploading');
+
+    const completed = jest.fn();
+    queue.on('completed', completed);
+    finishUpload({ contractId: 'contract-a', transactionId: 'tx-a' });
+    await waitFor(() => completed.mock.calls.length === 2);
+    await refresh();
+    expect(statuses()).toEqual([['a.mp4', 'completed'], ['b.mp4', 'completed']]);
+    expect(completed.mock.calls[0][0].result.contract.id).toBe('contract-a');
+  });
+
+  test('should hold uploads while canUpload is false', async () => {
+    let unlocked = false;
+    queue = createQueue({ canUpload: () => unlocked });
+    await queue.queueUpload('/videos/a.mp4');
+    await finishTranscode(0);
+    await waitFor(() => statuses()[0] && statuses()[0][1] === 'transcoded');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(statuses()[0][1]).toBe('transcoded');
+    expect(spkClient.directUpload).not.toHaveBeenCalled();
+
+    unlocked = true;
+    await queue.processQueue();
+    await waitFor(() => statuses()[0][1] === 'completed');
+  });
+
+  test('should hold items until their scheduled start and upload times', async () => {
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const a = await queue.queueUpload('/videos/a.mp4', {}, { scheduledAt: later });
+    const b = await queue.queueUpload('/videos/b.mp4', {}, { uploadAt: later });
+    await refresh();
+
+    expect(statuses()).toEqual([['a.mp4', 'queued'], ['b.mp4', 'transcoding']]);
+    expect(items[0].scheduledAt).toBe(Date.parse(later));
+
+    await finishTranscode(0);
+    await waitFor(() => statuses()[1][1] === 'transcoded');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(statuses()[1][1]).toBe('transcoded');
+
+    await queue.scheduleItem(b, { uploadAt: null });
+    await queue.scheduleItem(a, { scheduledAt: Date.now() - 1000 });
+    await waitFor(() => statuses()[1][1] === 'completed' && transcoder.pending.length === 2);
+    expect(statuses()[0][1]).toBe('transcoding');
+    await expect(queue.scheduleItem(a, { scheduledAt: 'tonight' })).rejects.toThrow('Invalid schedule time: tonight');
+  });
+
+  test('should pause individual items and retry failed uploads without transcoding again', async () => {
+    const a = await queue.queueUpload('/videos/a.mp4');
+    const b = await queue.queueUpload('/videos/b.mp4');
+    await queue.pauseItem(b);
+    await queue.pauseItem(a);
+    await refresh();
+    expect(statuses()).toEqual([['a.mp4', 'transcoding'], ['b.mp4', 'paused']]);
+
+    // a finishes its transcode, then waits
+    await finishTranscode(0);
+    await waitFor(() => statuses()[0][1] === 'paused');
+    expect(items[0].pausedStatus).toBe('transcoded');
+    expect(transcoder.pending).toHaveLength(1);
+
+    spkClient.directUpload.mockRejectedValueOnce(new Error('Node unreachable'));
+    await queue.resumeItem(a);
+    await waitFor(() => statuses()[0][1] === 'failed');
+    expect(items[0]).toMatchObject({ error: 'Node unreachable', failedPhase: 'upload' });
+
+    await queue.retryItem(a);
+    await waitFor(() => statuses()[0][1] === 'completed');
+    expect(transcoder.transcodeToMultipleResolutions).toHaveBeenCalledTimes(1);
+    await expect(queue.removeItem(a)).resolves.toBe(true);
+  });
+
+  test('should mark an item failed when a phase throws outside its own error handling', async () => {
+    const failed = jest.fn();
+    queue.on('failed', failed);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(queue, 'updateItem').mockRejectedValueOnce(new Error('disk full'));
+
+    await queue.queueUpload('/videos/a.mp4');
+    await waitFor(() => failed.mock.calls.length === 1);
+    expect(failed.mock.calls[0][0]).toMatchObject({ failedPhase: 'transcode', error: 'disk full' });
+    expect(queue.getStatus().transcoding).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test('should persist the queue and recover items cut off by a restart', async () => {
+    await queue.queueUpload('/videos/a.mp4', { metadata: { license: 'CC-BY' } }, { priority: 2 });
+    await queue.queueUpload('/videos/b.mp4');
+    await queue.setConcurrency({ upload: 2 });
+    spkClient.directUpload.mockImplementation(() => new Promise(() => {}));
+    await finishTranscode(0);
+    await waitFor(() => statuses()[0][1] === 'uploading');
+    await queue.pauseQueue();
+
+    const restarted = createQueue();
+    await restarted.pauseQueue();
+    const recovered = await restarted.getQueue();
+    expect(recovered.map(item => [path.basename(item.videoPath), item.status, item.priority])).toEqual([
+      ['a.mp4', 'transcoded', 2],
+      ['b.mp4', 'queued', 0]
+    ]);
+    expect(recovered[0].options).toEqual({ metadata: { license: 'CC-BY' } });
+    expect(recovered[0].prepared.renditions['720p'].segments).toHaveLength(1);
+    expect(restarted.getStatus().concurrency).toEqual({ transcode: 1, upload: 2 });
+  });
+});
@@ -0,0 +1,223 @@
+// chokidar watchers are replaced with emitters the tests fire 'add' on
+const mockWatchers = [];
+jest.mock('chokidar', () => {
+  const { EventEmitter } = require('events');
+  return {
+    watch: jest.fn((folder, options) => {
+      const watcher = new EventEmitter();
+      watcher.folder = folder;
+      watcher.options = options;
+      watcher.close = jest.fn(async () => {});
+      mockWatchers.push(watcher);
+      return watcher;
+    })
+  };
+});
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WatchFolderService = require('../../../../src/core/services/watch-folder-service');
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('WatchFolderService', () => {
+  let root;
+  let recordings;
+  let videoUploadService;
+  let pendingUploadsManager;
+  let service;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'oratr-watch-'));
+    recordings = path.join(root, 'recordings');
+    await fs.mkdir(recordings);
+    for (const name of ['a.mp4', 'b.mp4', 'Stream 1.MKV', 'notes.txt']) {
+      await fs.writeFile(path.join(recordings, name), 'video');
+    }
+    mockWatchers.length = 0;
+    videoUploadService = new EventEmitter();
+    videoUploadService.queueUpload = jest.fn(async videoPath => `queue-${path.basename(videoPath)}`);
+    pendingUploadsManager = {
+      hasPendingVideoUpload: jest.fn(async () => null),
+      addPendingUpload: jest.fn(async () => 'contract-1')
+    };
+    service = new WatchFolderService({
+      videoUploadService,
+      pendingUploadsManager,
+      uploadDefaults: () => ({ audioProcessing: { loudnorm: true } }),
+      ingestedFile: path.join(root, 'ingested.json')
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should validate folders and fill in defaults', () => {
+    expect(WatchFolderService.normalizeFolder({
+      path: '/recordings',
+      resolutions: '1080p, 720p',
+      tags: ['gaming', ' '],
+      folderPath: '/Videos/Streams/'
+    })).toEqual({
+      id: path.resolve('/recordings'),
+      path: path.resolve('/recordings'),
+      enabled: true,
+      recursive: false,
+      ingestExisting: false,
+      resolutions: ['1080p', '720p'],
+      contractDays: 30,
+      folderPath: 'Videos/Streams',
+      tags: ['gaming'],
+      license: ''
+    });
+    expect(() => WatchFolderService.normalizeFolder({})).toThrow('path is required');
+    expect(() => WatchFolderService.normalizeFolder({ path: '/recordings', contractDays: 0.5 })).toThrow('whole number of days');
+  });
+
+  test('should watch enabled folders until their files stop growing', async () => {
+    const status = await service.start([
+      { path: '/recordings', recursive: true },
+      { path: '/archive', enabled: false },
+      { path: '' }
+    ]);
+
+    expect(status.folders.map(folder => folder.path)).toEqual([path.resolve('/recordings')]);
+    expect(mockWatchers).toHaveLength(1);
+    expect(mockWatchers[0].options).toMatchObject({
+      ignoreInitial: true,
+      depth: undefined,
+      awaitWriteFinish: { stabilityThreshold: 5000, pollInterval: 1000 }
+    });
+
+    await service.stop();
+    expect(mockWatchers[0].close).toHaveBeenCalled();
+  });
+
+  test('should queue new videos with the folder defaults', async () => {
+    await service.start([{ path: recordings, resolutions: ['720p'], contractDays: 7, folderPath: 'Streams', tags: 'live', license: 'CC-BY' }]);
+    const queued = jest.fn();
+    service.on('fileQueued', queued);
+    const done = new Promise(resolve => service.once('fileQueued', resolve));
+
+    mockWatchers[0].emit('add', path.join(recordings, 'notes.txt'));
+    mockWatchers[0].emit('add', path.join(recordings, 'Stream 1.MKV'));
+    await done;
+
+    expect(videoUploadService.queueUpload).toHaveBeenCalledTimes(1);
+    expect(videoUploadService.queueUpload).toHaveBeenCalledWith(path.join(recordings, 'Stream 1.MKV'), {
+      uploadMethod: 'direct',
+      audioProcessing: { loudnorm: true },
+      resolutions: ['720p'],
+      title: 'Stream 1',
+      folderPath: 'Streams',
+      tags: ['live'],
+      license: 'CC-BY',
+      contract: { duration: 7 * 24 * 60 * 60, autoRenew: false, redundancy: 3 }
+    });
+    expect(queued).toHaveBeenCalledWith(expect.objectContaining({ queueId: 'queue-Stream 1.MKV' }));
+  });
+
+  test('should skip videos already queued or awaiting confirmation', async () => {
+    const folder = WatchFolderService.normalizeFolder({ path: recordings });
+    const skipped = jest.fn();
+    service.on('fileSkipped', skipped);
+
+    const [first, second] = await Promise.all([
+      service.handleFile(folder, path.join(recordings, 'a.mp4')),
+      service.handleFile(folder, path.join(recordings, 'a.mp4'))
+    ]);
+    expect(first).toBe('queue-a.mp4');
+    expect(second).toBeNull();
+
+    pendingUploadsManager.hasPendingVideoUpload.mockResolvedValueOnce({ id: 'upload-1' });
+    expect(await service.handleFile(folder, path.join(recordings, 'b.mp4'))).toBeNull();
+
+    expect(videoUploadService.queueUpload).toHaveBeenCalledTimes(1);
+    expect(skipped.mock.calls.map(([event]) => event.reason)).toEqual(['queued', 'pending']);
+    expect(service.getStatus().ingesting).toEqual([
+      { path: path.join(recordings, 'a.mp4'), folder: folder.id, queueId: 'queue-a.mp4' }
+    ]);
+  });
+
+  test('should record finished uploads as pending and release failed ones', async () => {
+    const folder = WatchFolderService.normalizeFolder({ path: recordings });
+    const videoPath = path.join(recordings, 'a.mp4');
+    await service.handleFile(folder, videoPath);
+
+    const uploaded = new Promise(resolve => service.once('fileUploaded', resolve));
+    videoUploadService.emit('completed', {
+      id: 'queue-a.mp4',
+      videoPath,
+      status: 'completed',
+      result: {
+        masterPlaylistCID: 'QmMaster',
+        thumbnail: null,
+        contract: { id: 'contract-1', transactionId: 'tx-1', cost: 12, totalSize: 3400 }
+      }
+    });
+    await uploaded;
+
+    expect(pendingUploadsManager.addPendingUpload).toHaveBeenCalledWith(expect.objectContaining({
+      uploadId: 'contract-1',
+      type: 'video',
+      masterPlaylistCID: 'QmMaster',
+      originalVideoPath: videoPath
+    }));
+    expect(service.getStatus().ingesting).toEqual([]);
+
+    const failed = jest.fn();
+    service.on('fileFailed', failed);
+    // Recorded again over the uploaded file
+    await fs.writeFile(videoPath, 'another take');
+    expect(await service.handleFile(folder, videoPath)).toBe('queue-a.mp4');
+    videoUploadService.emit('failed', { id: 'queue-a.mp4', videoPath, status: 'failed', error: new Error('No active account') });
+    await flush();
+
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ path: videoPath }));
+    expect(pendingUploadsManager.addPendingUpload).toHaveBeenCalledTimes(1);
+    expect(service.getStatus().ingesting).toEqual([]);
+  });
+
+  test('should not upload a confirmed recording again when watching restarts', async () => {
+    const folder = WatchFolderService.normalizeFolder({ path: recordings, ingestExisting: true });
+    const videoPath = path.join(recordings, 'a.mp4');
+    await service.handleFile(folder, videoPath);
+    const uploaded = new Promise(resolve => service.once('fileUploaded', resolve));
+    videoUploadService.emit('completed', {
+      id: 'queue-a.mp4',
+      videoPath,
+      status: 'completed',
+      result: { masterPlaylistCID: 'QmMaster', contract: { id: 'contract-1' } }
+    });
+    await uploaded;
+
+    // The contract confirmed, so it is no longer pending; a new service reads the list from disk
+    const restarted = new WatchFolderService({ videoUploadService, pendingUploadsManager, ingestedFile: service.ingestedFile });
+    const skipped = jest.fn();
+    restarted.on('fileSkipped', skipped);
+    expect(await restarted.handleFile(folder, videoPath)).toBeNull();
+    expect(skipped).toHaveBeenCalledWith(expect.objectContaining({ reason: 'uploaded', masterPlaylistCID: 'QmMaster' }));
+
+    // A recording saved over with new content is uploaded again
+    await fs.writeFile(videoPath, 'a longer recording');
+    expect(await restarted.handleFile(folder, videoPath)).toBe('queue-a.mp4');
+    expect(videoUploadService.queueUpload).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep saving the ingested list after a failed write', async () => {
+    jest.spyOn(fs, 'writeFile').mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+    service.ingested['/recordings/a.mp4'] = { size: 5, mtimeMs: 1 };
+    await expect(service.save()).rejects.toThrow('ENOSPC');
+
+    service.ingested['/recordings/b.mp4'] = { size: 5, mtimeMs: 2 };
+    await service.save();
+    const { files } = JSON.parse(await fs.readFile(service.ingestedFile, 'utf8'));
+    expect(Object.keys(files)).toEqual(['/recordings/a.mp4', '/recordings/b.mp4']);
+    fs.writeFile.mockRestore();
+  });
+});
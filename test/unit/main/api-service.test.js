@@ -0,0 +1,166 @@
+const http = require('http');
+const ApiService = require('../../../src/main/services/api-service');
+
+function request(port, method, path, { token, body, host } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: {
+        Host: host || `127.0.0.1:${port}`,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(payload ? { 'Content-Type': 'application/json' } : {})
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('ApiService', () => {
+  const token = 'test-token';
+  let fakeIpcMain;
+  let electronHandle;
+  let api;
+  let port;
+
+  beforeAll(() => {
+    electronHandle = jest.fn();
+    fakeIpcMain = { handle: electronHandle, removeHandler: jest.fn() };
+    ApiService.trackIpcHandlers(fakeIpcMain);
+    fakeIpcMain.handle('storage:getStatus', async () => ({ running: true }));
+    fakeIpcMain.handle('upload:video', async (_event, filePath, options) => ({ success: true, filePath, options }));
+    fakeIpcMain.handle('account:export', async () => ({ secret: 'nope' }));
+  });
+
+  beforeEach(async () => {
+    api = new ApiService({});
+    const result = await api.start({ port: 0, token });
+    port = result.port;
+  });
+
+  afterEach(async () => {
+    await api.stop();
+  });
+
+  test('should still register handlers with Electron', () => {
+    expect(electronHandle).toHaveBeenCalledWith('storage:getStatus', expect.any(Function));
+    expect(electronHandle).toHaveBeenCalledTimes(3);
+  });
+
+  test('should reject requests without a valid token', async () => {
+    const missing = await request(port, 'GET', '/api/v1/storage/getStatus');
+    const wrong = await request(port, 'GET', '/api/v1/storage/getStatus', { token: 'other' });
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+  });
+
+  test('should reject non-loopback Host headers', async () => {
+    const res = await request(port, 'GET', '/api/v1/storage/getStatus', { token, host: 'evil.example:80' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should map GET routes to read-only channels', async () => {
+    const res = await request(port, 'GET', '/api/v1/storage/getStatus', { token });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ running: true });
+  });
+
+  test('should pass POST body as handler arguments', async () => {
+    const res = await request(port, 'POST', '/api/v1/upload/video', {
+      token,
+      body: ['/tmp/video.mp4', { resolutions: ['720p'] }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.filePath).toBe('/tmp/video.mp4');
+    expect(res.body.options).toEqual({ resolutions: ['720p'] });
+  });
+
+  test('should require POST for mutating channels', async () => {
+    const res = await request(port, 'GET', '/api/v1/upload/video', { token });
+
+    expect(res.status).toBe(405);
+  });
+
+  test('should block sensitive channels and hide them from the index', async () => {
+    const blocked = await request(port, 'POST', '/api/v1/account/export', { token });
+    const index = await request(port, 'GET', '/api/v1', { token });
+
+    expect(blocked.status).toBe(403);
+    expect(index.body.channels).toContain('storage:getStatus');
+    expect(index.body.channels).not.toContain('account:export');
+
+    // Scheduled rules sign without asking, so they are created and approved in the app only
+    expect(['add', 'update', 'approve', 'run'].map(method => ApiService.isChannelAllowed(`schedules:${method}`))).toEqual([false, false, false, false]);
+    expect(ApiService.isChannelAllowed('schedules:list')).toBe(true);
+
+    // Signing requests are created, signed, imported and broadcast in the app only
+    expect(['create', 'sign-local', 'broadcast', 'import', 'import-file'].map(method => ApiService.isChannelAllowed(`offline:${method}`)))
+      .toEqual([false, false, false, false, false]);
+    expect(ApiService.isChannelAllowed('offline:list')).toBe(true);
+  });
+
+  test('should only serve listed channels', async () => {
+    const readsPaths = ['spk:uploadFromPaths', 'upload:direct-files'];
+    const writesDirectories = ['ffmpeg:generateThumbnail', 'ffmpeg:transcodeToHLS', 'ffmpeg:prepareEdit'];
+    const opensDialogs = ['history:export-csv', 'offline:export-file'];
+    const signs = ['hive:transfer', 'token:transfer', 'spk:registerPublicKey'];
+    for (const channel of [...readsPaths, ...writesDirectories, ...opensDialogs, ...signs, 'feature:added-later']) {
+      expect([channel, ApiService.isChannelAllowed(channel)]).toEqual([channel, false]);
+    }
+
+    const handler = jest.fn(async () => ({ success: true }));
+    fakeIpcMain.handle('spk:uploadFromPaths', handler);
+    fakeIpcMain.handle('ffmpeg:transcodeToHLS', handler);
+    expect((await request(port, 'POST', '/api/v1/spk/uploadFromPaths', { token, body: [['/home/me/.ssh/id_rsa']] })).status).toBe(403);
+    expect((await request(port, 'POST', '/api/v1/ffmpeg/transcodeToHLS', { token, body: ['/tmp/in.mp4', '/etc'] })).status).toBe(403);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should keep credentials and file access out of reach', async () => {
+    const settings = { apiToken: token, webdavPassword: 'hunter2', webdavUsername: 'me', apiPort: 4820 };
+    const set = jest.fn(async () => ({ success: true }));
+    fakeIpcMain.handle('settings:get-all', async () => settings);
+    fakeIpcMain.handle('settings:get', async (_event, key) => settings[key]);
+    fakeIpcMain.handle('settings:set', set);
+    fakeIpcMain.handle('ffmpeg:readFile', async () => ({ success: true, data: [] }));
+
+    expect((await request(port, 'GET', '/api/v1/settings/get-all', { token })).body)
+      .toEqual({ apiToken: '', webdavPassword: '', webdavUsername: 'me', apiPort: 4820 });
+    expect((await request(port, 'GET', `/api/v1/settings/get?args=${encodeURIComponent('["webdavPassword"]')}`, { token })).body).toBe('');
+    expect((await request(port, 'GET', `/api/v1/settings/get?args=${encodeURIComponent('["webdavUsername"]')}`, { token })).body).toBe('me');
+
+    // Settings are changed in the app only
+    const rotate = await request(port, 'POST', '/api/v1/settings/set', { token, body: { key: 'apiToken', value: 'mine' } });
+    expect(rotate.status).toBe(403);
+    expect((await request(port, 'POST', '/api/v1/settings/set', { token, body: { key: 'logLevel', value: 'debug' } })).status).toBe(403);
+    expect(set).not.toHaveBeenCalled();
+
+    expect((await request(port, 'POST', '/api/v1/ffmpeg/readFile', { token, body: ['/etc/passwd'] })).status).toBe(403);
+  });
+
+  test('should return 404 for unknown channels', async () => {
+    const res = await request(port, 'GET', '/api/v1/nothing/here', { token });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('should normalize request bodies into argument lists', () => {
+    expect(ApiService.toArgs(undefined)).toEqual([]);
+    expect(ApiService.toArgs([1, 2])).toEqual([1, 2]);
+    expect(ApiService.toArgs({ args: ['a'] })).toEqual(['a']);
+    expect(ApiService.toArgs({ key: 'value' })).toEqual([{ key: 'value' }]);
+  });
+});